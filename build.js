@@ -19,6 +19,7 @@ const filesToCopy = [
     'server.js',
     'package.json',
     'js/',
+    'data/',
     'README.md'
 ];
 
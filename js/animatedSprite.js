@@ -0,0 +1,118 @@
+/**
+ * 动画精灵 - 播放精灵图集中的帧动画，实体可以选用精灵绘制，图集未加载时继续使用程序绘制
+ */
+class AnimatedSprite {
+    /**
+     * @param {string} atlasId - 图集ID（见AssetManager）
+     * @param {AssetManager} assets - 资源管理器
+     */
+    constructor(atlasId, assets = assetManager) {
+        this.atlasId = atlasId;
+        this.assets = assets;
+        this.animation = null;
+        this.time = 0;
+    }
+    
+    /**
+     * 按配置为实体创建精灵（见 GameConfig.ASSETS.ENTITY_SPRITES）
+     * @param {string} entityType - 实体类型
+     * @returns {AnimatedSprite|null} 精灵，该实体不使用精灵时为null
+     */
+    static forEntity(entityType) {
+        const atlasId = GameConfig.ASSETS.ENTITY_SPRITES[entityType];
+        return atlasId ? new AnimatedSprite(atlasId) : null;
+    }
+    
+    /**
+     * 获取图集
+     * @returns {Object|null} 图集，未加载时为null
+     */
+    getAtlas() {
+        return this.assets.getAtlas(this.atlasId);
+    }
+    
+    /**
+     * 检查图集是否已加载
+     * @returns {boolean} 是否可以用精灵绘制
+     */
+    isReady() {
+        return this.getAtlas() !== null;
+    }
+    
+    /**
+     * 检查图集中是否有指定动画
+     * @param {string} name - 动画名称
+     * @returns {boolean} 是否有该动画
+     */
+    hasAnimation(name) {
+        const atlas = this.getAtlas();
+        return Boolean(atlas && atlas.animations[name]);
+    }
+    
+    /**
+     * 播放动画（与当前动画相同时继续播放，不从头开始）
+     * @param {string} name - 动画名称
+     */
+    play(name) {
+        if (this.animation !== name) {
+            this.animation = name;
+            this.time = 0;
+        }
+    }
+    
+    /**
+     * 推进动画时间
+     * @param {number} deltaTime - 时间增量（秒）
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+    }
+    
+    /**
+     * 获取当前帧
+     * @returns {Object|null} 帧 {x, y, w, h}，图集未加载或没有当前动画时为null
+     */
+    getFrame() {
+        const atlas = this.getAtlas();
+        const animation = atlas && atlas.animations[this.animation];
+        if (!animation) {
+            return null;
+        }
+        
+        const count = animation.frames.length;
+        const index = Math.floor(this.time * animation.fps);
+        const frameIndex = animation.loop === false ? Math.min(index, count - 1) : index % count;
+        return atlas.frames[animation.frames[frameIndex]];
+    }
+    
+    /**
+     * 检查不循环的动画是否已播放完
+     * @returns {boolean} 是否播放完
+     */
+    isFinished() {
+        const atlas = this.getAtlas();
+        const animation = atlas && atlas.animations[this.animation];
+        return Boolean(animation && animation.loop === false &&
+            this.time * animation.fps >= animation.frames.length);
+    }
+    
+    /**
+     * 绘制当前帧
+     * @param {Renderer} renderer - 渲染器
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {boolean} flipX - 是否水平翻转
+     * @returns {boolean} 是否绘制成功（失败时由实体改用程序绘制）
+     */
+    render(renderer, x, y, width, height, flipX = false) {
+        const frame = this.getFrame();
+        if (!frame) {
+            return false;
+        }
+        
+        renderer.drawSprite(this.getAtlas().image, frame, x, y, width, height, flipX);
+        return true;
+    }
+}
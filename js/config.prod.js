@@ -26,7 +26,14 @@ const GameConfig = {
         ANIMATION_SPEED: 8.0,        // 动画播放速度（帧/秒）
         RUNNING_FRAMES: 4,           // 奔跑动画帧数
         JUMPING_FRAMES: 2,           // 跳跃动画帧数
-        ANIMATION_BOUNCE: 2          // 奔跑时的上下摆动幅度
+        ANIMATION_BOUNCE: 2,         // 奔跑时的上下摆动幅度
+        JUMP_CUT_MULTIPLIER: 0.5,    // 上升中松开跳跃键时保留的速度比例（按住跳得更高，1为关闭）
+        AIR_JUMPS: 1,                // 空中可额外跳跃的次数（0为关闭二段跳）
+        AIR_JUMP_FORCE: -340,        // 空中跳跃力 (像素/秒)
+        COYOTE_TIME: 0.08,           // 离开地面后仍可起跳的时间（秒）
+        JUMP_BUFFER_TIME: 0.12,      // 落地前提前按下跳跃的缓冲时间（秒）
+        SLIDE_HEIGHT: 22,            // 滑铲时的碰撞高度（可从顶部障碍物下方通过）
+        SLIDE_FAST_FALL_SPEED: 600   // 空中按下滑铲时的快速下落速度 (像素/秒)
     },
     
     // 障碍物属性
@@ -34,7 +41,10 @@ const GameConfig = {
         WIDTH: 32,
         HEIGHT: 32,
         MIN_GAP: 150,       // 障碍物之间最小间距
-        MAX_GAP: 300        // 障碍物之间最大间距
+        MAX_GAP: 300,       // 障碍物之间最大间距
+        BARRIER_WIDTH: 40,          // 顶部障碍物宽度
+        BARRIER_CLEARANCE: 28,      // 顶部障碍物下方与地面的空隙（只能滑铲通过）
+        BARRIER_GAP: 260            // 顶部障碍物与相邻障碍物的最小间距（留出落地和滑铲的时间）
     },
     
     // 渲染设置
@@ -86,4 +96,752 @@ const Keys = {
     SPACE: 32,
     ENTER: 13,
     ESC: 27
-};
\ No newline at end of file
+};
+
+// 障碍物片段配置
+// 片段是手工编排的一段地面障碍物、漂浮障碍物和道具序列（data/chunks 下的JSON文件），
+// 障碍物管理器按难度阶段的标签挑选片段首尾拼接，没有合适的片段时按原来的方式随机生成
+GameConfig.CHUNKS = {
+    ENABLED: true,                          // 是否使用片段生成障碍物
+    MANIFEST_URL: 'data/chunks/index.json', // 片段清单（列出所有片段文件）
+    MAX_LENGTH: 4000,                       // 单个片段的最大长度（像素）
+    MAX_ENTRIES: 40                         // 单个片段的最大条目数
+};
+
+// 资源配置
+// 加载场景按清单预加载图片、精灵图集和音效后进入菜单，格式见 AssetManager
+// 实体在对应图集加载完成后用精灵绘制，图集未配置或加载失败时使用程序绘制
+GameConfig.ASSETS = {
+    MANIFEST_URL: 'data/assets/manifest.json', // 资源清单
+    MIN_LOADING_TIME: 0.5,                     // 加载界面最短显示时间（秒），避免一闪而过
+    LOAD_TIMEOUT: 10,                          // 超过该时间仍未加载完时直接进入菜单（秒），剩余资源在后台继续加载
+    ENTITY_SPRITES: {                          // 实体使用的图集ID，为null时使用程序绘制
+        player: 'player',                      // 动画名称与玩家的动画状态相同（running、jumping、sliding等）
+        obstacle: null                         // 帧名称与障碍物类型相同（basic、tall等）
+    }
+};
+
+// 音频配置
+// 音效和背景音乐都由 AudioManager 用振荡器和噪声实时合成，不需要音频文件
+// 音效层：tone（振荡器，频率从 from 滑到 to）或 noise（白噪声，可加滤波器），delay 为相对音效开始的延迟（秒）
+GameConfig.AUDIO = {
+    MIN_REPEAT_INTERVAL: 0.04,           // 同一音效的最短播放间隔（秒）
+    SOUNDS: {
+        jump: { bus: 'sfx', layers: [
+            { type: 'tone', wave: 'square', from: 320, to: 640, duration: 0.12, volume: 0.2 }
+        ] },
+        shoot: { bus: 'sfx', layers: [
+            { type: 'tone', wave: 'square', from: 900, to: 300, duration: 0.08, volume: 0.15 },
+            { type: 'noise', duration: 0.05, volume: 0.1, filter: { type: 'highpass', frequency: 2000 } }
+        ] },
+        hit: { bus: 'sfx', layers: [
+            { type: 'tone', wave: 'sawtooth', from: 220, to: 80, duration: 0.2, volume: 0.3 },
+            { type: 'noise', duration: 0.15, volume: 0.25, filter: { type: 'lowpass', frequency: 1200 } }
+        ] },
+        explosion: { bus: 'sfx', layers: [
+            { type: 'noise', duration: 0.5, volume: 0.5, filter: { type: 'lowpass', frequency: 800 } },
+            { type: 'tone', wave: 'sine', from: 120, to: 40, duration: 0.4, volume: 0.4 }
+        ] },
+        combo: { bus: 'sfx', layers: [
+            { type: 'tone', wave: 'triangle', from: 660, duration: 0.08, volume: 0.2 },
+            { type: 'tone', wave: 'triangle', from: 990, duration: 0.1, volume: 0.2, delay: 0.06 }
+        ] },
+        gameOver: { bus: 'sfx', layers: [
+            { type: 'tone', wave: 'triangle', from: 440, to: 415, duration: 0.3, volume: 0.3 },
+            { type: 'tone', wave: 'triangle', from: 330, to: 311, duration: 0.3, volume: 0.3, delay: 0.3 },
+            { type: 'tone', wave: 'triangle', from: 220, to: 110, duration: 0.7, volume: 0.3, delay: 0.6 }
+        ] },
+        victory: { bus: 'sfx', layers: [
+            { type: 'tone', wave: 'square', from: 523, duration: 0.12, volume: 0.2 },
+            { type: 'tone', wave: 'square', from: 659, duration: 0.12, volume: 0.2, delay: 0.12 },
+            { type: 'tone', wave: 'square', from: 784, duration: 0.12, volume: 0.2, delay: 0.24 },
+            { type: 'tone', wave: 'square', from: 1047, duration: 0.5, volume: 0.2, delay: 0.36 }
+        ] },
+        uiSelect: { bus: 'ui', layers: [
+            { type: 'tone', wave: 'square', from: 520, duration: 0.05, volume: 0.15 }
+        ] },
+        uiConfirm: { bus: 'ui', layers: [
+            { type: 'tone', wave: 'square', from: 660, to: 880, duration: 0.1, volume: 0.15 }
+        ] },
+        // 以下为背景音乐使用的乐器
+        kick: { bus: 'music', layers: [
+            { type: 'tone', wave: 'sine', from: 150, to: 45, duration: 0.15, volume: 0.6 }
+        ] },
+        hat: { bus: 'music', layers: [
+            { type: 'noise', duration: 0.04, volume: 0.15, filter: { type: 'highpass', frequency: 7000 } }
+        ] },
+        bass: { bus: 'music', layers: [
+            { type: 'tone', wave: 'triangle', from: 110, duration: 0.18, volume: 0.35 }
+        ] },
+        lead: { bus: 'music', layers: [
+            { type: 'tone', wave: 'square', from: 440, duration: 0.1, volume: 0.08 }
+        ] }
+    },
+    MUSIC: {
+        BPM: 110,                        // 强度为0时的节奏（每分钟拍数）
+        MAX_BPM: 150,                    // 强度为1时的节奏
+        STEPS: 16,                       // 每小节的步数（每拍四步）
+        LOOKAHEAD: 0.1,                  // 提前安排音符的时间（秒）
+        SPEED_WEIGHT: 0.7,               // 滚动速度（从初始到上限）对音乐强度的贡献
+        COMBO_WEIGHT: 0.3,               // 连击数对音乐强度的贡献
+        COMBO_FOR_MAX_INTENSITY: 10,     // 连击贡献达到满值时的连击数
+        // 音轨在音乐强度达到 minIntensity 后加入，notes 为每一步相对乐器音高的半音数，null 表示休止
+        TRACKS: [
+            { name: 'kick', sound: 'kick', minIntensity: 0,
+                notes: [0, null, null, null, 0, null, null, null, 0, null, null, null, 0, null, null, null] },
+            { name: 'bass', sound: 'bass', minIntensity: 0,
+                notes: [0, null, 0, null, 3, null, 3, null, 5, null, 5, null, 3, null, 7, null] },
+            { name: 'hats', sound: 'hat', minIntensity: 0.3,
+                notes: [null, null, 0, null, null, null, 0, null, null, null, 0, null, null, null, 0, 0] },
+            { name: 'lead', sound: 'lead', minIntensity: 0.6,
+                notes: [12, null, 15, null, 17, null, 15, 12, 19, null, 17, null, 15, null, 12, null] }
+        ]
+    }
+};
+
+// 设置配置
+// 玩家在设置界面修改的选项按分组保存在本地存储，数据带有版本号，版本变化时按 SettingsManager.migrate 迁移
+// 选项的类型由默认值决定：数字为0-1的音量，布尔值为开关，字符串从对应的可选值中选择
+GameConfig.SETTINGS = {
+    VERSION: 1,                          // 设置数据的版本
+    STORAGE_KEY: 'runnerGameSettings',   // 设置在本地存储中的键名
+    VOLUME_STEP: 0.1,                    // 设置界面每次调整音量的幅度
+    DEFAULTS: {
+        audio: { master: 0.8, music: 0.5, sfx: 0.8, ui: 0.6, muted: false },
+        gameplay: { healthMode: 'classic', touchControls: 'zones' },   // 难度（见 GameConfig.HEALTH.MODES）和触摸操作布局（见 GameConfig.TOUCH.LAYOUTS）
+        // 每个动作绑定的按键（event.code），游戏场景按动作查询，回放按动作录制
+        controls: {
+            jump: ['Space'],             // 跳跃，也用于菜单确认
+            shoot: ['KeyQ'],
+            slide: ['KeyS', 'ArrowDown'],
+            pause: ['Escape'],
+            restart: ['KeyR'],
+            weapon1: ['Digit1'],
+            weapon2: ['Digit2'],
+            weapon3: ['Digit3'],
+            weapon4: ['Digit4']
+        },
+        video: { quality: 'high' },
+        hud: { showControls: true, showDifficulty: true, showFps: false },
+        general: { language: 'zh' }
+    },
+    MAX_KEYS_PER_ACTION: 2,              // 每个动作最多绑定的按键数
+    // 界面快捷键（菜单、结算、设置界面直接使用），不能绑定到动作；ESC在等待按键时用于取消
+    RESERVED_KEYS: ['Escape', 'Enter', 'KeyM', 'KeyL', 'KeyK', 'KeyO', 'KeyV', 'KeyE', 'Backquote'],
+    // 界面动作（动作 -> 固定按键），与游戏动作一样通过 isActionJustPressed 查询，手柄按钮见 GameConfig.GAMEPAD.BUTTONS
+    UI_ACTIONS: {
+        settings: ['KeyO'],        // 打开设置
+        menu: ['Escape'],          // 返回主菜单
+        watchReplay: ['KeyV'],     // 观看本局回放
+        exportReplay: ['KeyE']     // 导出本局回放
+    },
+    // 画质等级：parallax 为是否绘制背景层，foreground 为是否绘制前景层，smoothing 为图像平滑质量
+    QUALITY_LEVELS: {
+        high: { parallax: true, foreground: true, smoothing: 'high' },
+        medium: { parallax: true, foreground: false, smoothing: 'medium' },
+        low: { parallax: false, foreground: false, smoothing: 'low' }
+    }
+};
+
+// 手柄配置
+// 按钮编号为标准布局（Gamepad API 的 standard mapping）：0下 1右 2左 3上（A/B/X/Y），4/5肩键，6/7扳机，8/9选择/开始，
+// 10/11摇杆按下，12-15十字键上下左右；非标准布局的手柄按相同编号尽量使用
+GameConfig.GAMEPAD = {
+    AXIS_DEADZONE: 0.5,          // 摇杆推过这个值视为按下对应方向
+    TRIGGER_THRESHOLD: 0.3,      // 模拟扳机按下超过这个值视为按下
+    BUTTONS: {                   // 动作 -> 按钮编号
+        jump: [0, 12],
+        shoot: [2, 7],
+        slide: [1, 13],
+        pause: [9],
+        restart: [8],
+        weapon1: [14],
+        weapon2: [15],
+        weapon3: [4],
+        weapon4: [5],
+        settings: [3],
+        menu: [3]                // 与设置共用Y键（设置只在暂停时、返回菜单只在结算时读取），不占用游戏动作的按钮
+    },
+    AXES: [                      // 摇杆方向触发的动作（axis 为轴编号，direction 为方向）
+        { axis: 1, direction: 1, action: 'slide' }   // 左摇杆向下
+    ],
+    // 按手柄名称（gamepad.id，不区分大小写）识别手柄类型，用于显示对应的按钮名称
+    TYPES: {
+        xbox: ['xbox', 'xinput', '045e'],
+        playstation: ['playstation', 'dualshock', 'dualsense', '054c', 'wireless controller'],
+        nintendo: ['nintendo', 'switch', 'pro controller', '057e']
+    },
+    BUTTON_NAMES: {              // 手柄类型 -> 按钮编号对应的名称（generic 为无法识别的手柄）
+        xbox: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'View', 'Menu', 'LS', 'RS', '↑', '↓', '←', '→'],
+        playstation: ['✕', '○', '□', '△', 'L1', 'R1', 'L2', 'R2', 'Share', 'Options', 'L3', 'R3', '↑', '↓', '←', '→'],
+        nintendo: ['B', 'A', 'Y', 'X', 'L', 'R', 'ZL', 'ZR', '-', '+', 'LS', 'RS', '↑', '↓', '←', '→'],
+        generic: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', '↑', '↓', '←', '→']
+    },
+    RUMBLE: {                    // 震动效果：strong/weak 为强弱马达强度（0-1），duration 为毫秒
+        block: { strong: 0.2, weak: 0.5, duration: 120 },   // 护盾抵挡
+        hit: { strong: 0.6, weak: 0.6, duration: 220 },     // 受伤
+        crash: { strong: 1, weak: 0.8, duration: 400 }      // 被击败
+    }
+};
+
+// 触摸操作配置（坐标为游戏画布坐标）
+GameConfig.TOUCH = {
+    LAYOUTS: ['zones', 'buttons'],    // 操作布局：点击屏幕左右两侧 / 屏幕按钮（在设置中选择）
+    ZONES: { left: 'jump', right: 'shoot' },   // zones 布局下点击屏幕左半边和右半边触发的动作
+    BUTTONS: [                        // buttons 布局的屏幕按钮（圆形，x/y 为圆心）
+        { action: 'slide', x: 60, y: 340, radius: 36 },
+        { action: 'jump', x: 150, y: 310, radius: 42 },
+        { action: 'shoot', x: 735, y: 270, radius: 42 }
+    ],
+    PAUSE_BUTTON: { action: 'pause', x: 400, y: 26, radius: 20, label: '❚❚' },   // 两种布局都显示
+    SWIPE_DISTANCE: 40                // 不在按钮上的触摸向下滑动超过该距离时改为滑铲（按住直到松开）
+};
+
+// 障碍物可通过性检查配置
+// 生成地面障碍物前用简化的玩家跳跃模型模拟即将到来的障碍物，无法通过时改用基础类型或放弃本次生成
+GameConfig.FAIRNESS = {
+    ENABLED: true,               // 是否在生成时检查
+    TIME_STEP: 1 / 60,           // 模拟步长（秒）
+    DECISION_INTERVAL: 3,        // 每隔几个模拟步可以改变一次操作（模拟玩家的反应粒度）
+    LOOKBEHIND: 2,               // 和新障碍物一起检查的前面的地面障碍物数量
+    START_LEAD: 100,             // 只检查左边缘与玩家右侧距离超过这个值的障碍物（更近的视为玩家正在应对）
+    FALLBACK_TYPE: 'basic'       // 新障碍物无法通过时改用的类型
+};
+
+// 关卡配置
+// 关卡编辑器保存的关卡按距离放置障碍物、漂浮障碍物、道具和触发器，按关卡游戏时不再随机生成障碍物、敌人和首领
+GameConfig.LEVEL = {
+    VERSION: 1,                  // 关卡文件格式版本
+    MAX_LENGTH: 200000,          // 关卡最大长度（像素）
+    MAX_ENTRIES: 5000,           // 关卡最大条目数
+    MAX_MESSAGE_LENGTH: 40,      // 提示文字的最大长度
+    MESSAGE_DURATION: 2.5        // 提示文字显示时间（秒）
+};
+
+// 关卡编辑器配置
+GameConfig.EDITOR = {
+    GRID: 10,                    // 放置和拖动条目时对齐的网格（像素）
+    SCROLL_SPEED: 800,           // 方向键滚动时间轴的速度（像素/秒）
+    DEFAULT_LENGTH: 4000,        // 新关卡的长度（像素）
+    LENGTH_STEP: 500,            // 每次调整关卡长度的步长（像素）
+    DRAFT_KEY: 'runnerLevelEditorDraft'  // 本地保存编辑中关卡的键
+};
+
+// 难度曲线配置
+// 每个阶段在达到 startTime（秒）或 startDistance（像素）任意一个阈值时开始，
+// 两个阶段之间的参数按进度线性插值
+GameConfig.DIFFICULTY = {
+    MAX_SPEED_MULTIPLIER: 2.0,   // 滚动速度倍数上限
+    TIERS: [
+        {
+            name: '热身',
+            startTime: 0,
+            startDistance: 0,
+            speedMultiplier: 1.0,                   // 滚动速度倍数
+            spawnIntervalMultiplier: 1.0,           // 地面障碍物生成间隔倍数（越小越密集）
+            floatingSpawnIntervalMultiplier: 1.0,   // 漂浮障碍物生成间隔倍数
+            floatingAmplitudeMultiplier: 1.0,       // 漂浮幅度倍数
+            obstacleWeights: { basic: 0.6, tall: 0.25, wide: 0.15, barrier: 0 },
+            floatingWeights: { floating: 0.8, floating_large: 0.2 },
+            enemySpawnChance: 0,                    // 每次生成检查出现敌人的概率（热身阶段不出现敌人）
+            enemyWeights: { chaser: 0.5, turret: 0.2, diver: 0.3 },
+            chunkTags: ['easy']                     // 可使用的障碍物片段标签
+        },
+        {
+            name: '进阶',
+            startTime: 30,
+            startDistance: 6000,
+            speedMultiplier: 1.15,
+            spawnIntervalMultiplier: 0.9,
+            floatingSpawnIntervalMultiplier: 0.9,
+            floatingAmplitudeMultiplier: 1.1,
+            obstacleWeights: { basic: 0.45, tall: 0.25, wide: 0.2, barrier: 0.1 },
+            floatingWeights: { floating: 0.75, floating_large: 0.25 },
+            enemySpawnChance: 0.3,
+            enemyWeights: { chaser: 0.5, turret: 0.2, diver: 0.3 },
+            chunkTags: ['easy', 'normal']
+        },
+        {
+            name: '挑战',
+            startTime: 75,
+            startDistance: 16000,
+            speedMultiplier: 1.3,
+            spawnIntervalMultiplier: 0.8,
+            floatingSpawnIntervalMultiplier: 0.8,
+            floatingAmplitudeMultiplier: 1.25,
+            obstacleWeights: { basic: 0.35, tall: 0.3, wide: 0.2, barrier: 0.15 },
+            floatingWeights: { floating: 0.65, floating_large: 0.35 },
+            enemySpawnChance: 0.5,
+            enemyWeights: { chaser: 0.4, turret: 0.3, diver: 0.3 },
+            chunkTags: ['normal']
+        },
+        {
+            name: '困难',
+            startTime: 120,
+            startDistance: 28000,
+            speedMultiplier: 1.5,
+            spawnIntervalMultiplier: 0.7,
+            floatingSpawnIntervalMultiplier: 0.7,
+            floatingAmplitudeMultiplier: 1.4,
+            obstacleWeights: { basic: 0.3, tall: 0.3, wide: 0.25, barrier: 0.15 },
+            floatingWeights: { floating: 0.55, floating_large: 0.45 },
+            enemySpawnChance: 0.65,
+            enemyWeights: { chaser: 0.35, turret: 0.35, diver: 0.3 },
+            chunkTags: ['normal', 'hard']
+        },
+        {
+            name: '极限',
+            startTime: 180,
+            startDistance: 45000,
+            speedMultiplier: 1.75,
+            spawnIntervalMultiplier: 0.6,
+            floatingSpawnIntervalMultiplier: 0.6,
+            floatingAmplitudeMultiplier: 1.6,
+            obstacleWeights: { basic: 0.25, tall: 0.3, wide: 0.3, barrier: 0.15 },
+            floatingWeights: { floating: 0.5, floating_large: 0.5 },
+            enemySpawnChance: 0.8,
+            enemyWeights: { chaser: 0.3, turret: 0.4, diver: 0.3 },
+            chunkTags: ['hard']
+        }
+    ]
+};
+GameConfig.PIXELS_PER_METER = 20;                    // 距离显示换算（像素/米）
+
+// 视差背景配置
+// 背景层栈从后往前绘制，每层有自己的滚动系数、垂直偏移和可选雾色，格式见 ParallaxBackground
+// foreground 为 true 的层在实体之后绘制；tile 类型的层可以引用 TILES 中的平铺图案
+GameConfig.PARALLAX = {
+    DEFAULT_PALETTE: { skyTop: '#87ceeb', skyBottom: '#87ceeb', ground: '#8b4513' },   // 没有地形区域时的配色
+    DEFAULT_LAYERS: [
+        { type: 'clouds', factor: 0.3, offsetY: -300, color: 'rgba(255, 255, 255, 0.8)' },
+        { type: 'tile', factor: 1, color: '#9acd32', tile: 'grass' }
+    ],
+    TILES: {
+        grass: {
+            width: 15,
+            shapes: [
+                { shape: 'rect', x: 0, y: -8, width: 3, height: 8 },
+                { shape: 'rect', x: 5, y: -6, width: 2, height: 6 },
+                { shape: 'rect', x: 8, y: -7, width: 3, height: 7 }
+            ]
+        },
+        pebbles: {
+            width: 70,
+            shapes: [
+                { shape: 'ellipse', x: 10, y: -2, width: 8, height: 4 },
+                { shape: 'ellipse', x: 42, y: -1, width: 5, height: 3 }
+            ]
+        },
+        roadMarkings: {
+            width: 80,
+            shapes: [
+                { shape: 'rect', x: 0, y: 20, width: 40, height: 4 }
+            ]
+        },
+        iceCracks: {
+            width: 120,
+            shapes: [
+                { shape: 'rect', x: 10, y: 8, width: 30, height: 2 },
+                { shape: 'rect', x: 60, y: 26, width: 18, height: 2 }
+            ]
+        },
+        craters: {
+            width: 150,
+            shapes: [
+                { shape: 'ellipse', x: 30, y: 14, width: 36, height: 10 },
+                { shape: 'ellipse', x: 105, y: 34, width: 22, height: 7 }
+            ]
+        },
+        sun: {
+            width: 2000,   // 比画布宽，滚动系数为0时固定在天空中
+            shapes: [
+                { shape: 'circle', x: 620, y: 0, radius: 55, color: 'rgba(255, 255, 255, 0.25)' },
+                { shape: 'circle', x: 620, y: 0, radius: 40 }
+            ]
+        },
+        planet: {
+            width: 2000,
+            shapes: [
+                { shape: 'circle', x: 640, y: 0, radius: 34 },
+                { shape: 'ellipse', x: 630, y: -8, width: 20, height: 12, color: '#3fa34d' },
+                { shape: 'ellipse', x: 652, y: 12, width: 14, height: 8, color: '#3fa34d' }
+            ]
+        }
+    }
+};
+
+// 地形区域配置
+// 奔跑距离每经过 LENGTH 像素切换到 ROTATION 中的下一个区域（循环），切换前 TRANSITION_LENGTH 像素内画面和物理参数平滑过渡
+// palette 中的颜色必须是 #rrggbb 格式（过渡时逐通道插值），layers 为该区域的背景层栈（格式见 PARALLAX），obstacleSkin 为障碍物颜色
+// modifiers: gravityMultiplier 重力倍数，jumpControl 跳跃控制（松开跳跃键截断上升的效果，1为正常，越小越难控制跳跃高度）
+GameConfig.BIOMES = {
+    ENABLED: true,               // 是否切换区域（关闭时始终使用第一个区域）
+    LENGTH: 6000,                // 每个区域的长度（像素）
+    TRANSITION_LENGTH: 800,      // 区域之间的过渡长度（像素）
+    ROTATION: ['meadow', 'desert', 'nightCity', 'ice', 'moon'],
+    TYPES: {
+        meadow: {
+            name: '草原',
+            palette: { skyTop: '#87ceeb', skyBottom: '#c9ecfa', ground: '#8b4513' },
+            layers: [
+                { type: 'clouds', factor: 0.3, offsetY: -300, color: 'rgba(255, 255, 255, 0.8)' },
+                { type: 'waves', factor: 0.1, offsetY: -75, color: '#6fa86a', fog: { amount: 0.5 }, waves: [[30, 130], [10, 47]] },
+                { type: 'waves', factor: 0.2, offsetY: -45, color: '#7cbf6a', fog: { amount: 0.2 }, waves: [[25, 90], [12, 37]] },
+                { type: 'foliage', factor: 0.5, color: '#5a9e4b', spacing: 110, minHeight: 10, maxHeight: 20 },
+                { type: 'tile', factor: 1, color: '#9acd32', tile: 'grass' },
+                { type: 'foliage', factor: 1.3, offsetY: 50, color: '#2e6b2e', foreground: true, spacing: 260, density: 0.5 }
+            ],
+            obstacleSkin: { basic: '#e74c3c', tall: '#c0392b', wide: '#e67e22', barrier: '#34495e', floating: '#9b59b6', floating_large: '#8e44ad' },
+            modifiers: { gravityMultiplier: 1, jumpControl: 1 }
+        },
+        desert: {
+            name: '沙漠',
+            palette: { skyTop: '#f4b860', skyBottom: '#fde6b0', ground: '#d9a55b' },
+            layers: [
+                { type: 'tile', factor: 0, offsetY: -260, color: '#fff3b0', tile: 'sun' },
+                { type: 'waves', factor: 0.12, offsetY: -50, color: '#ecc88a', fog: { amount: 0.4 }, waves: [[18, 170], [5, 60]] },
+                { type: 'waves', factor: 0.25, offsetY: -30, color: '#e6bb72', waves: [[22, 140], [6, 45]] },
+                { type: 'tile', factor: 1, color: '#b9823a', tile: 'pebbles' }
+            ],
+            obstacleSkin: { basic: '#8e5b2c', tall: '#4f7f2a', wide: '#a0522d', barrier: '#6d4c41', floating: '#d35400', floating_large: '#a04000' },
+            modifiers: { gravityMultiplier: 1, jumpControl: 1 }
+        },
+        nightCity: {
+            name: '夜之城',
+            palette: { skyTop: '#0b1026', skyBottom: '#2c2f5a', ground: '#2d2d3a' },
+            layers: [
+                { type: 'stars', factor: 0.02, offsetY: -100, color: '#ffffff' },
+                { type: 'buildings', factor: 0.15, color: '#1a1d3a', fog: { amount: 0.35 }, spacing: 45, minHeight: 100, maxHeight: 230, seed: 1 },
+                { type: 'buildings', factor: 0.35, color: '#1a1d3a', windowColor: '#f9d56e' },
+                { type: 'tile', factor: 1, color: '#5a5a78', tile: 'roadMarkings' }
+            ],
+            obstacleSkin: { basic: '#ff2e88', tall: '#c71585', wide: '#ff6f00', barrier: '#6a6a8e', floating: '#00e5ff', floating_large: '#00b8d4' },
+            modifiers: { gravityMultiplier: 1, jumpControl: 1 }
+        },
+        ice: {
+            name: '冰原',
+            palette: { skyTop: '#9fd3ee', skyBottom: '#e8f6ff', ground: '#d6eefa' },
+            layers: [
+                { type: 'mountains', factor: 0.05, offsetY: -20, color: '#b3d4e8', fog: { amount: 0.5 }, spacing: 220, minHeight: 60, maxHeight: 130, seed: 1 },
+                { type: 'mountains', factor: 0.1, color: '#b3d4e8', capColor: '#ffffff' },
+                { type: 'tile', factor: 1, color: '#ffffff', tile: 'iceCracks' },
+                { type: 'snow', factor: 0.6, color: 'rgba(255, 255, 255, 0.9)' }
+            ],
+            obstacleSkin: { basic: '#2e86c1', tall: '#1b4f72', wide: '#5dade2', barrier: '#2e4053', floating: '#a569bd', floating_large: '#7d3c98' },
+            modifiers: { gravityMultiplier: 1, jumpControl: 0.4 }   // 冰面打滑，很难跳低
+        },
+        moon: {
+            name: '月球',
+            palette: { skyTop: '#000000', skyBottom: '#1c1c2e', ground: '#8e8e8e' },
+            layers: [
+                { type: 'stars', factor: 0.02, offsetY: -100, color: '#ffffff' },
+                { type: 'tile', factor: 0, offsetY: -270, color: '#3d7bd9', tile: 'planet' },
+                { type: 'mountains', factor: 0.15, color: '#5c5c66', fog: { amount: 0.3 }, spacing: 120, minHeight: 25, maxHeight: 60 },
+                { type: 'tile', factor: 1, color: '#6e6e6e', tile: 'craters' }
+            ],
+            obstacleSkin: { basic: '#ef6c00', tall: '#d84315', wide: '#f9a825', barrier: '#37474f', floating: '#ab47bc', floating_large: '#8e24aa' },
+            modifiers: { gravityMultiplier: 0.6, jumpControl: 1 }   // 低重力，跳得更高更远
+        }
+    }
+};
+
+// 固定步长模拟配置
+// 游戏逻辑始终以固定步长推进，渲染时在最近两次模拟状态之间插值，保证不同刷新率下游戏过程一致
+GameConfig.SIMULATION = {
+    FIXED_DELTA_TIME: 1 / 120,   // 模拟步长（秒），即120Hz
+    MAX_FRAME_TIME: 0.25,        // 单帧最多计入的时间（秒），防止切回标签页后一次性追赶过多
+    MAX_STEPS_PER_FRAME: 12      // 单帧最多模拟步数，超出的积压时间直接丢弃（防止死亡螺旋）
+};
+
+// 输入录制与回放配置
+GameConfig.REPLAY = {
+    VERSION: 1,                              // 回放数据格式版本
+    ACTION_BITS: {                           // 录制的输入动作（动作 -> 位掩码）
+        jump: 1,
+        shoot: 2,
+        pause: 4,
+        slide: 8,
+        weapon1: 16,                         // 切换武器1-4
+        weapon2: 32,
+        weapon3: 64,
+        weapon4: 128
+    },
+    SPEEDS: [0.25, 0.5, 1, 2, 4],            // 可选回放速度
+    SEEK_SECONDS: 5                          // 每次快进/后退的秒数
+};
+
+// 道具配置
+// 道具从屏幕右侧随障碍物一起滚入，玩家接触即拾取，效果按模拟时间计时
+// 叠加规则 stacking: 'stack' 增加层数并重置时间，'extend' 累加剩余时间（不超过maxDuration），'refresh' 重置为完整时间
+GameConfig.POWER_UP = {
+    SPAWN_INTERVAL: 8000,        // 道具生成间隔（毫秒）
+    SIZE: 24,                    // 道具尺寸
+    MIN_Y: 240,                  // 生成位置最高点（跳跃可达）
+    MAX_Y: 310,                  // 生成位置最低点（贴近地面）
+    BOB_AMPLITUDE: 6,            // 上下浮动幅度（像素）
+    BOB_FREQUENCY: 1.5,          // 上下浮动频率（Hz）
+    TYPES: {
+        shield: {
+            name: '护盾',
+            icon: '🛡',
+            color: '#3498db',
+            weight: 0.2,
+            duration: 15,            // 持续时间（秒）
+            stacking: 'stack',
+            maxStacks: 2             // 最多抵挡的碰撞次数
+        },
+        rapidFire: {
+            name: '速射',
+            icon: '🔥',
+            color: '#e67e22',
+            weight: 0.2,
+            duration: 8,
+            stacking: 'refresh',
+            cooldownMultiplier: 0.4, // 射击冷却倍数
+            heatMultiplier: 0.5      // 每次射击的热量倍数
+        },
+        scoreDoubler: {
+            name: '双倍得分',
+            icon: '×2',
+            color: '#f1c40f',
+            weight: 0.15,
+            duration: 10,
+            stacking: 'extend',
+            maxDuration: 20,
+            scoreMultiplier: 2       // 得分倍数
+        },
+        magnet: {
+            name: '磁铁',
+            icon: '🧲',
+            color: '#e74c3c',
+            weight: 0.15,
+            duration: 12,
+            stacking: 'extend',
+            maxDuration: 24,
+            radius: 300,             // 吸引半径（像素）
+            pullSpeed: 350           // 吸引速度（像素/秒）
+        },
+        slowTime: {
+            name: '时间减缓',
+            icon: '⏳',
+            color: '#9b59b6',
+            weight: 0.15,
+            duration: 5,
+            stacking: 'refresh',
+            worldTimeScale: 0.6      // 世界时间倍率（玩家、障碍物、子弹一起变慢）
+        },
+        coolant: {
+            name: '冷却剂',
+            icon: '❄',
+            color: '#00bcd4',
+            weight: 0.15,
+            duration: 6,
+            stacking: 'refresh',
+            ventHeat: true,          // 拾取时清空热量并解除过热
+            heatMultiplier: 0        // 持续时间内射击不产生热量
+        }
+    }
+};
+
+// 敌人配置
+// 敌人从屏幕右侧飞入并主动攻击玩家，都可以被子弹消灭（得分见ScoreSystem的SHOOT_SCORES）
+// 每次生成检查按难度阶段的 enemySpawnChance 决定是否出现敌人，再按 enemyWeights 选择类型
+GameConfig.ENEMY = {
+    SPAWN_INTERVAL: 4000,            // 敌人生成检查间隔（毫秒，随难度阶段的生成间隔倍数缩短）
+    HIT_FLASH_TIME: 0.1,             // 被击中后闪白的时间（秒）
+    TYPES: {
+        chaser: {
+            name: '追踪者',
+            width: 28,
+            height: 24,
+            health: 1,
+            speedMultiplier: 1.15,   // 水平速度相对世界滚动速度的倍数（比障碍物更快地逼近）
+            trackSpeed: 110,         // 追踪玩家高度的最大垂直速度（像素/秒）
+            minY: 200,               // 最高飞行高度
+            color: '#16a085'
+        },
+        turret: {
+            name: '炮台',
+            width: 30,
+            height: 28,
+            health: 3,
+            speedMultiplier: 1.0,
+            minY: 110,               // 悬停高度范围（高于普通跳跃，需要二段跳才能射中）
+            maxY: 160,
+            fireInterval: 1.6,       // 射击间隔（秒）
+            firstShotDelay: 0.5,     // 进入屏幕后第一次射击的延迟（秒）
+            projectileSpeed: 220,    // 子弹速度（像素/秒，瞄准发射时玩家的位置）
+            aimHeight: 0.2,          // 瞄准点在玩家身体上的高度比例（0为头顶），站立时可以滑铲躲过
+            color: '#7f8c8d'
+        },
+        diver: {
+            name: '俯冲者',
+            width: 30,
+            height: 20,
+            health: 1,
+            speedMultiplier: 1.0,
+            cruiseY: 60,             // 俯冲前的巡航高度
+            diveDuration: 1.0,       // 俯冲并拉起的总时间（秒），最低点正好经过玩家
+            diveClearance: 26,       // 俯冲最低点与地面的距离（滑铲可以躲过）
+            color: '#c0392b'
+        }
+    },
+    PROJECTILE: {
+        SIZE: 8,                     // 敌人子弹尺寸
+        COLOR: '#ff5e57'
+    }
+};
+
+// 首领配置
+// 奔跑距离到达里程碑（米）时出现首领战，期间暂停障碍物和敌人的生成，首领被击败或撤退后恢复
+// 首领只有弱点会受到玩家子弹的伤害，打在装甲上的子弹会被挡住；所有弱点被摧毁时首领被击败（奖励见ScoreSystem的BOSS_BONUS）
+// 攻击阶段按剩余生命比例切换，每个阶段按 pattern 依次循环攻击方式：
+// 'aimed' 瞄准玩家上半身（滑铲躲过），'high' 沿头部高度水平射击（滑铲躲过），'low' 贴地水平射击（跳跃躲过）
+GameConfig.BOSS = {
+    MILESTONES: [400, 1200, 2200],   // 首领出现的距离（米）
+    REPEAT_INTERVAL: 1200,           // 最后一个里程碑之后每隔多少米再出现一次（0表示不再出现）
+    NAME: '钢铁巨像',
+    WIDTH: 110,
+    HEIGHT: 150,
+    HOVER_X: 640,                    // 战斗时的悬停位置（左边缘）
+    HOVER_Y: 195,                    // 战斗时的悬停高度（顶部）
+    BOB_AMPLITUDE: 8,                // 上下浮动幅度（像素）
+    BOB_FREQUENCY: 0.6,              // 上下浮动频率（Hz）
+    ENTER_SPEED: 120,                // 入场和撤退的移动速度（像素/秒）
+    RETREAT_TIME: 40,                // 战斗超过该时间（秒）仍未被击败时撤退（没有奖励）
+    DEFEAT_TIME: 1.5,                // 被击败后的爆炸下坠时间（秒）
+    HEALTH_GROWTH: 0.5,              // 每多出现一次，弱点生命值增加的比例
+    HIT_FLASH_TIME: 0.1,             // 弱点被击中后闪白的时间（秒）
+    WEAK_POINTS: [
+        // 位置相对首领左上角，突出在身体前方（子弹先碰到弱点）；眼睛需要跳起射击，核心在站立射击的高度
+        { name: '眼睛', offsetX: -10, offsetY: 36, width: 26, height: 26, health: 6 },
+        { name: '核心', offsetX: -12, offsetY: 112, width: 28, height: 30, health: 8 }
+    ],
+    PHASES: [
+        { healthRatio: 1.0, name: '瞄准射击', attackInterval: 1.5, pattern: ['aimed'] },
+        { healthRatio: 0.6, name: '交替扫射', attackInterval: 1.3, pattern: ['high', 'low'] },
+        { healthRatio: 0.3, name: '狂暴', attackInterval: 1.1, pattern: ['aimed', 'low', 'high', 'low'] }
+    ],
+    FIRST_ATTACK_DELAY: 1.0,         // 到达悬停位置后第一次攻击的延迟（秒）
+    PROJECTILE_SPEED: 240,           // 子弹速度（像素/秒）
+    AIM_HEIGHT: 0.2,                 // 瞄准点在玩家身体上的高度比例（0为头顶）
+    HIGH_SHOT_HEIGHT: 30,            // 'high' 子弹中心离地高度（高于滑铲时的头顶）
+    LOW_SHOT_HEIGHT: 10,             // 'low' 子弹中心离地高度
+    COLOR: '#34495e',
+    WEAK_POINT_COLOR: '#e74c3c'
+};
+
+// 武器配置
+// action 为切换到该武器的动作（默认数字键1-4），pattern 决定发射方式：'single' 单发，'spread' 扇形同时发射 count 颗子弹（相邻子弹相差 spreadAngle 度），
+// 'charge' 按住射击键蓄力、松开时发射，伤害和尺寸随蓄力时间从 damage/width/height 增长到 maxDamage/maxWidth/maxHeight
+// pierce 为命中后还能继续穿过的目标数量（0表示命中第一个目标后消失），cooldown 为射击冷却（毫秒，受速射道具影响），
+// heat 为每次射击增加的热量（见 GameConfig.HEAT，蓄力炮按蓄力程度在 heat 和 maxHeat 之间）
+GameConfig.WEAPONS = {
+    DEFAULT: 'blaster',
+    TYPES: {
+        blaster: {
+            name: '爆能枪',
+            action: 'weapon1',
+            pattern: 'single',
+            speed: 400,
+            damage: 1,
+            pierce: 0,
+            cooldown: 300,
+            heat: 16,
+            width: 8,
+            height: 4,
+            color: '#ffff00'
+        },
+        spread: {
+            name: '散射枪',
+            action: 'weapon2',
+            pattern: 'spread',
+            count: 3,
+            spreadAngle: 12,
+            speed: 380,
+            damage: 1,
+            pierce: 0,
+            cooldown: 450,
+            heat: 24,
+            width: 7,
+            height: 4,
+            color: '#2ecc71'
+        },
+        laser: {
+            name: '穿透激光',
+            action: 'weapon3',
+            pattern: 'single',
+            speed: 900,
+            damage: 2,               // 一次击穿大型漂浮障碍物
+            pierce: 3,
+            cooldown: 650,
+            heat: 30,
+            width: 28,
+            height: 3,
+            color: '#00e5ff'
+        },
+        charge: {
+            name: '蓄力炮',
+            action: 'weapon4',
+            pattern: 'charge',
+            chargeTime: 1.0,         // 蓄满所需时间（秒）
+            speed: 450,
+            damage: 1,
+            maxDamage: 4,
+            pierce: 0,
+            fullChargePierce: 2,     // 蓄满时的穿透数量
+            cooldown: 400,
+            heat: 12,
+            maxHeat: 40,
+            width: 8,
+            height: 6,
+            maxWidth: 20,
+            maxHeight: 16,
+            color: '#9b59b6'
+        }
+    }
+};
+
+// 射击热量配置
+// 每次射击按武器的 heat 增加热量，热量随时间持续散热；热量达到 MAX 时过热，散热到 RECOVER_HEAT 以下之前不能射击
+// 冷却剂道具清空热量并在持续时间内射击不产生热量，速射道具减少每次射击的热量（见 GameConfig.POWER_UP）
+GameConfig.HEAT = {
+    MAX: 100,
+    COOL_RATE: 40,               // 散热速度（每秒）
+    OVERHEAT_COOL_RATE: 25,      // 过热时的散热速度（每秒，比正常散热慢，过热有明显的停火时间）
+    RECOVER_HEAT: 40,            // 过热后散热到该热量时恢复射击
+    WARNING_RATIO: 0.7,          // 热量超过该比例时热量条变为警告颜色
+    COLOR: '#f39c12',
+    WARNING_COLOR: '#e74c3c',
+    OVERHEAT_COLOR: '#c0392b'
+};
+
+// 生命值配置
+// 每种模式定义生命值、额外命数和受伤后的击退与无敌时间，classic为一碰即结束的经典模式
+// 生命值归零时消耗一条命并回满生命值，没有剩余的命时游戏结束
+GameConfig.HEALTH = {
+    DEFAULT_MODE: 'classic',     // 默认模式
+    BLINK_FREQUENCY: 10,         // 无敌时角色闪烁频率（Hz）
+    MODES: {
+        classic: {
+            name: '经典',
+            description: '一碰即结束',
+            maxHealth: 1,            // 生命值（心数）
+            lives: 0,                // 额外的命
+            invulnerabilityTime: 0,  // 受伤后的无敌时间（秒）
+            knockbackDistance: 0,    // 击退距离（像素）
+            knockbackDuration: 0,    // 击退持续时间（秒）
+            knockbackJumpForce: 0    // 击退时向上弹起的速度（像素/秒，负值向上）
+        },
+        hearts: {
+            name: '生命',
+            description: '3颗心，2条命',
+            maxHealth: 3,
+            lives: 2,
+            invulnerabilityTime: 1.5,
+            knockbackDistance: 40,
+            knockbackDuration: 0.4,
+            knockbackJumpForce: -250
+        }
+    }
+};
@@ -94,6 +94,89 @@ class DebugConsole {
             }
             return '无法重置游戏';
         }, '重置游戏状态');
+        
+        // 种子命令
+        this.registerCommand('seed', (value) => {
+            if (!window.gameEngine) {
+                return '游戏引擎不可用';
+            }
+            
+            const gameScene = window.gameEngine.sceneManager.scenes.get('game');
+            if (!gameScene || !gameScene.setNextSeed) {
+                return '游戏场景不可用';
+            }
+            
+            if (value === undefined) {
+                return `当前种子: ${gameScene.getSeed()}`;
+            }
+            
+            if (!gameScene.setNextSeed(value)) {
+                return `无效的种子: ${value}`;
+            }
+            
+            // 正在游戏中则立即重开，否则在下一局开始时生效
+            if (window.gameEngine.sceneManager.getCurrentScene() === gameScene) {
+                gameScene.resetGame();
+                return `已使用种子 ${gameScene.getSeed()} 重新开始游戏`;
+            }
+            return `下一局将使用种子: ${value}`;
+        }, '显示当前种子或以指定种子重新开始 (用法: seed [种子])');
+        
+        // 生命值模式命令
+        this.registerCommand('mode', (value) => {
+            if (!window.gameEngine) {
+                return '游戏引擎不可用';
+            }
+            
+            const gameScene = window.gameEngine.sceneManager.scenes.get('game');
+            if (!gameScene || !gameScene.setHealthMode) {
+                return '游戏场景不可用';
+            }
+            
+            const modes = Object.keys(GameConfig.HEALTH.MODES);
+            if (value === undefined) {
+                return `当前模式: ${gameScene.getHealthMode()} (可用: ${modes.join(', ')})`;
+            }
+            
+            if (!gameScene.setHealthMode(value)) {
+                return `未知的模式: ${value} (可用: ${modes.join(', ')})`;
+            }
+            
+            // 正在游戏中则立即重开，否则在下一局开始时生效
+            if (window.gameEngine.sceneManager.getCurrentScene() === gameScene) {
+                gameScene.resetGame();
+                return `已切换到 ${value} 模式并重新开始游戏`;
+            }
+            return `下一局将使用 ${value} 模式`;
+        }, '显示或切换生命值模式 (用法: mode [classic|hearts])');
+        
+        // 回放命令
+        this.registerCommand('replay', (action) => {
+            if (!window.gameEngine || !window.gameEngine.replayController) {
+                return '回放控制器不可用';
+            }
+            
+            const replayController = window.gameEngine.replayController;
+            switch (action) {
+                case 'watch':
+                    return replayController.play(replayController.getLastRecording()) ?
+                        '开始回放最近一局' : '没有可回放的录制';
+                case 'export':
+                    return replayController.exportReplay() ? '回放已导出' : '没有可导出的回放';
+                case 'import':
+                    replayController.importReplay();
+                    return '请选择回放文件';
+                case 'stop':
+                    replayController.stop();
+                    return '回放已停止';
+                default: {
+                    const replay = replayController.getLastRecording();
+                    return replay ?
+                        `最近一局: 种子=${replay.seed}, 模拟步数=${replay.totalTicks}, 输入记录=${replay.inputs.length}` :
+                        '还没有录制';
+                }
+            }
+        }, '回放最近一局 (用法: replay [watch|export|import|stop])');
     }
     
     /**
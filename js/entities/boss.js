@@ -0,0 +1,332 @@
+/**
+ * 首领类 - 在距离里程碑出现的大型悬浮敌人
+ * 只有弱点会受到伤害，按剩余生命比例切换攻击阶段
+ * 状态: 'entering' 入场, 'fighting' 战斗, 'retreating' 撤退, 'defeated' 被击败
+ */
+class Boss extends Entity {
+    constructor(level = 1) {
+        const config = GameConfig.BOSS;
+        super(GameConfig.CANVAS_WIDTH, config.HOVER_Y, config.WIDTH, config.HEIGHT);
+        this.config = config;
+        this.level = level;
+        this.name = localization.t('boss.name', { level });
+        
+        // 弱点（每多出现一次生命值按比例增加）
+        const healthMultiplier = 1 + (level - 1) * config.HEALTH_GROWTH;
+        this.weakPoints = config.WEAK_POINTS.map(weakPoint => {
+            const health = Math.round(weakPoint.health * healthMultiplier);
+            return {
+                ...weakPoint,
+                health: health,
+                maxHealth: health,
+                hitFlashTimer: 0
+            };
+        });
+        this.maxHealth = this.weakPoints.reduce((sum, weakPoint) => sum + weakPoint.maxHealth, 0);
+        
+        // 状态
+        this.state = 'entering';
+        this.stateTime = 0;
+        this.animationTime = 0;
+        this.baseY = config.HOVER_Y;
+        
+        // 攻击
+        this.phaseIndex = 0;
+        this.attackIndex = 0;
+        this.attackTimer = config.FIRST_ATTACK_DELAY;
+    }
+    
+    /**
+     * 更新首领状态
+     * @param {number} deltaTime - 时间增量
+     */
+    update(deltaTime) {
+        this.animationTime += deltaTime;
+        this.stateTime += deltaTime;
+        
+        this.weakPoints.forEach(weakPoint => {
+            if (weakPoint.hitFlashTimer > 0) {
+                weakPoint.hitFlashTimer -= deltaTime;
+            }
+        });
+        
+        switch (this.state) {
+            case 'entering':
+                this.x = Math.max(this.config.HOVER_X, this.x - this.config.ENTER_SPEED * deltaTime);
+                this.updateHover();
+                if (this.x <= this.config.HOVER_X) {
+                    this.setState('fighting');
+                }
+                break;
+            case 'fighting':
+                this.updateHover();
+                this.attackTimer -= deltaTime;
+                if (this.stateTime >= this.config.RETREAT_TIME) {
+                    this.setState('retreating');
+                }
+                break;
+            case 'retreating':
+                this.x += this.config.ENTER_SPEED * deltaTime;
+                this.updateHover();
+                if (this.x >= GameConfig.CANVAS_WIDTH) {
+                    this.destroy();
+                }
+                break;
+            case 'defeated':
+                // 爆炸下坠
+                this.y += 40 * deltaTime;
+                if (this.stateTime >= this.config.DEFEAT_TIME) {
+                    this.destroy();
+                }
+                break;
+        }
+    }
+    
+    /**
+     * 在悬停高度上下浮动
+     */
+    updateHover() {
+        const bob = Math.sin(this.animationTime * this.config.BOB_FREQUENCY * Math.PI * 2);
+        this.y = this.baseY + bob * this.config.BOB_AMPLITUDE;
+    }
+    
+    /**
+     * 切换状态
+     * @param {string} state - 新状态
+     */
+    setState(state) {
+        this.state = state;
+        this.stateTime = 0;
+        
+        if (GameConfig.DEBUG) {
+            console.log(`首领状态: ${this.name} -> ${state}`);
+        }
+    }
+    
+    /**
+     * 检查首领是否可以受到伤害（入场和战斗中）
+     * @returns {boolean} 是否可以受到伤害
+     */
+    isVulnerable() {
+        return this.active && (this.state === 'entering' || this.state === 'fighting');
+    }
+    
+    /**
+     * 检查首领是否已被击败
+     * @returns {boolean} 是否被击败
+     */
+    isDefeated() {
+        return this.state === 'defeated';
+    }
+    
+    /**
+     * 获取剩余生命值（所有弱点生命值之和）
+     * @returns {number} 剩余生命值
+     */
+    getHealth() {
+        return this.weakPoints.reduce((sum, weakPoint) => sum + weakPoint.health, 0);
+    }
+    
+    /**
+     * 获取剩余生命比例
+     * @returns {number} 剩余生命比例 (0-1)
+     */
+    getHealthRatio() {
+        return this.getHealth() / this.maxHealth;
+    }
+    
+    /**
+     * 获取当前攻击阶段配置
+     * @returns {Object} 阶段配置
+     */
+    getPhase() {
+        return this.config.PHASES[this.phaseIndex];
+    }
+    
+    /**
+     * 获取还没被摧毁的弱点
+     * @returns {Array<Object>} 弱点数组
+     */
+    getActiveWeakPoints() {
+        return this.weakPoints.filter(weakPoint => weakPoint.health > 0);
+    }
+    
+    /**
+     * 获取弱点的碰撞边界
+     * @param {Object} weakPoint - 弱点
+     * @returns {Object} 边界矩形 {x, y, width, height}
+     */
+    getWeakPointBounds(weakPoint) {
+        return {
+            x: this.x + weakPoint.offsetX,
+            y: this.y + weakPoint.offsetY,
+            width: weakPoint.width,
+            height: weakPoint.height
+        };
+    }
+    
+    /**
+     * 对弱点造成伤害，所有弱点被摧毁时首领被击败
+     * @param {Object} weakPoint - 被击中的弱点
+     * @param {number} damage - 伤害值
+     * @returns {Object} 结果 {weakPointDestroyed, defeated}
+     */
+    damageWeakPoint(weakPoint, damage = 1) {
+        const result = { weakPointDestroyed: false, defeated: false };
+        if (!this.isVulnerable() || weakPoint.health <= 0) {
+            return result;
+        }
+        
+        weakPoint.health = Math.max(0, weakPoint.health - damage);
+        weakPoint.hitFlashTimer = this.config.HIT_FLASH_TIME;
+        result.weakPointDestroyed = weakPoint.health === 0;
+        
+        this.updatePhase();
+        
+        if (this.getHealth() === 0) {
+            this.setState('defeated');
+            result.defeated = true;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * 按剩余生命比例切换攻击阶段（只会前进）
+     */
+    updatePhase() {
+        const ratio = this.getHealthRatio();
+        const phases = this.config.PHASES;
+        
+        for (let i = phases.length - 1; i > this.phaseIndex; i--) {
+            if (ratio <= phases[i].healthRatio) {
+                this.phaseIndex = i;
+                this.attackIndex = 0;
+                
+                if (GameConfig.DEBUG) {
+                    console.log(`首领进入阶段: ${phases[i].name}`);
+                }
+                break;
+            }
+        }
+    }
+    
+    /**
+     * 检查是否可以发动攻击
+     * @returns {boolean} 是否可以攻击
+     */
+    canAttack() {
+        return this.active && this.state === 'fighting' && this.attackTimer <= 0;
+    }
+    
+    /**
+     * 按当前阶段的攻击方式发射一颗子弹
+     * @param {Object} target - 玩家碰撞边界 {x, y, width, height}
+     * @returns {Object} 子弹参数 {x, y, velocityX, velocityY}
+     */
+    attack(target) {
+        const phase = this.getPhase();
+        const pattern = phase.pattern[this.attackIndex % phase.pattern.length];
+        this.attackIndex++;
+        this.attackTimer = phase.attackInterval;
+        
+        const size = GameConfig.ENEMY.PROJECTILE.SIZE;
+        const speed = this.config.PROJECTILE_SPEED;
+        const muzzleX = this.x - size;
+        
+        if (pattern === 'aimed') {
+            const muzzleY = this.y + this.height * 0.45;
+            const dx = (target.x + target.width / 2) - muzzleX;
+            const dy = (target.y + target.height * this.config.AIM_HEIGHT) - muzzleY;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            
+            return {
+                x: muzzleX - size / 2,
+                y: muzzleY - size / 2,
+                velocityX: dx / distance * speed,
+                velocityY: dy / distance * speed
+            };
+        }
+        
+        // 水平扫射：沿固定高度飞行
+        const height = pattern === 'low' ? this.config.LOW_SHOT_HEIGHT : this.config.HIGH_SHOT_HEIGHT;
+        return {
+            x: muzzleX - size / 2,
+            y: GameConfig.GROUND_Y - height - size / 2,
+            velocityX: -speed,
+            velocityY: 0
+        };
+    }
+    
+    /**
+     * 渲染首领
+     * @param {Renderer} renderer - 渲染器
+     */
+    render(renderer) {
+        // 被击败后闪烁
+        if (this.isDefeated() && Math.floor(this.stateTime * 12) % 2 === 0) {
+            renderer.setGlobalAlpha(0.4);
+        }
+        
+        // 推进器火焰
+        const flame = 6 + Math.sin(this.animationTime * 30) * 3;
+        renderer.fillRect(this.x + 30, this.y + this.height, 14, flame, '#f39c12');
+        renderer.fillRect(this.x + 70, this.y + this.height, 14, flame, '#f39c12');
+        
+        // 身体和装甲板
+        renderer.fillRect(this.x, this.y, this.width, this.height, this.config.COLOR);
+        renderer.strokeRect(this.x, this.y, this.width, this.height, '#1c2833', 3);
+        renderer.fillRect(this.x + 44, this.y + 12, this.width - 56, 20, '#2c3e50');
+        renderer.fillRect(this.x + 44, this.y + 80, this.width - 56, 20, '#2c3e50');
+        
+        // 炮口
+        renderer.fillRect(this.x - 8, this.y + this.height * 0.45 - 5, 12, 10, '#1c2833');
+        
+        // 即将攻击时炮口发光
+        if (this.state === 'fighting' && this.attackTimer < 0.3) {
+            renderer.setGlobalAlpha(0.8);
+            renderer.drawCircle(this.x - 8, this.y + this.height * 0.45, 6, GameConfig.ENEMY.PROJECTILE.COLOR);
+            renderer.resetGlobalAlpha();
+        }
+        
+        // 弱点
+        this.weakPoints.forEach(weakPoint => {
+            this.renderWeakPoint(renderer, weakPoint);
+        });
+        
+        renderer.resetGlobalAlpha();
+        
+        // 调试模式下显示边界和信息
+        if (GameConfig.DEBUG) {
+            renderer.drawRect(this.x, this.y, this.width, this.height, 'rgba(255, 255, 0, 0.3)');
+            renderer.drawText(`${this.state} HP:${this.getHealth()}/${this.maxHealth}`, this.x, this.y - 6, '#ffffff', '10px Arial');
+        }
+    }
+    
+    /**
+     * 渲染弱点：完好时发光脉动，被摧毁后显示为熄灭的裂口
+     * @param {Renderer} renderer - 渲染器
+     * @param {Object} weakPoint - 弱点
+     */
+    renderWeakPoint(renderer, weakPoint) {
+        const bounds = this.getWeakPointBounds(weakPoint);
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        const radius = Math.min(bounds.width, bounds.height) / 2;
+        
+        if (weakPoint.health <= 0) {
+            renderer.drawCircle(centerX, centerY, radius, '#17202a');
+            renderer.drawLine(centerX - radius / 2, centerY - radius / 2, centerX + radius / 2, centerY + radius / 2, '#566573', 2);
+            return;
+        }
+        
+        const color = weakPoint.hitFlashTimer > 0 ? '#ffffff' : this.config.WEAK_POINT_COLOR;
+        const pulse = Math.sin(this.animationTime * 6) * 2;
+        
+        renderer.setGlobalAlpha(0.35);
+        renderer.drawCircle(centerX, centerY, radius + 4 + pulse, color);
+        renderer.resetGlobalAlpha();
+        renderer.drawCircle(centerX, centerY, radius, color);
+        renderer.drawCircle(centerX, centerY, radius / 3, '#ffffff');
+    }
+}
@@ -2,19 +2,13 @@
  * 子弹实体类
  */
 class Bullet extends Entity {
-    constructor(x, y, direction = 1) {
-        super(x, y, GameConfig.BULLET_WIDTH, GameConfig.BULLET_HEIGHT);
+    constructor(x, y, direction = 1, weaponType = GameConfig.WEAPONS.DEFAULT, options = {}) {
+        super(x, y); // 尺寸由武器配置决定
         
         // 子弹移动方向 (1 = 向右, -1 = 向左)
         this.direction = direction;
         
-        // 设置子弹速度
-        this.speed = GameConfig.BULLET_SPEED;
-        this.velocityX = this.speed * this.direction;
-        this.velocityY = 0; // 子弹水平飞行
-        
         // 子弹属性
-        this.damage = 1;
         this.maxDistance = GameConfig.CANVAS_WIDTH + 100; // 最大飞行距离
         this.traveledDistance = 0; // 已飞行距离
         
@@ -29,6 +23,65 @@ class Bullet extends Entity {
         // 记录初始位置用于距离计算
         this.startX = x;
         this.startY = y;
+        
+        // 按武器类型设置尺寸、速度、伤害、穿透和颜色
+        this.configureWeapon(weaponType, options);
+    }
+    
+    /**
+     * 按武器配置设置子弹属性
+     * @param {string} weaponType - 武器类型（GameConfig.WEAPONS.TYPES中的键）
+     * @param {Object} options - 发射参数 {angle: 偏离水平方向的角度（度）, charge: 蓄力程度 (0-1)}
+     */
+    configureWeapon(weaponType, options = {}) {
+        const weapon = GameConfig.WEAPONS.TYPES[weaponType] || GameConfig.WEAPONS.TYPES[GameConfig.WEAPONS.DEFAULT];
+        const charge = Utils.clamp(options.charge || 0, 0, 1);
+        const angle = (options.angle || 0) * Math.PI / 180;
+        
+        this.weaponType = GameConfig.WEAPONS.TYPES[weaponType] ? weaponType : GameConfig.WEAPONS.DEFAULT;
+        this.charge = charge;
+        this.color = weapon.color;
+        this.trailColor = weapon.color; // 拖尾颜色
+        
+        // 蓄力武器的尺寸、伤害随蓄力程度增长，蓄满时获得穿透
+        if (weapon.pattern === 'charge') {
+            this.width = Math.round(weapon.width + (weapon.maxWidth - weapon.width) * charge);
+            this.height = Math.round(weapon.height + (weapon.maxHeight - weapon.height) * charge);
+            this.damage = Math.round(weapon.damage + (weapon.maxDamage - weapon.damage) * charge);
+            this.pierce = charge >= 1 ? weapon.fullChargePierce : weapon.pierce;
+        } else {
+            this.width = weapon.width;
+            this.height = weapon.height;
+            this.damage = weapon.damage;
+            this.pierce = weapon.pierce;
+        }
+        
+        // 设置子弹速度（散射的子弹按角度斜向飞行）
+        this.speed = weapon.speed;
+        this.velocityX = Math.cos(angle) * this.speed * this.direction;
+        this.velocityY = Math.sin(angle) * this.speed;
+        
+        // 已经命中过的目标（穿透的子弹不会重复命中同一个目标）
+        this.hitTargets = [];
+    }
+    
+    /**
+     * 检查子弹是否已经命中过目标
+     * @param {Object} target - 障碍物、敌人或首领弱点
+     * @returns {boolean} 是否已命中过
+     */
+    hasHit(target) {
+        return this.hitTargets.includes(target);
+    }
+    
+    /**
+     * 记录一次命中
+     * @param {Object} target - 被命中的目标
+     * @returns {boolean} 子弹是否穿透目标继续飞行
+     */
+    registerHit(target) {
+        this.hitTargets.push(target);
+        return this.hitTargets.length <= this.pierce;
     }
     
     /**
@@ -186,32 +239,43 @@ class Bullet extends Entity {
             const size = (i + 1) / this.trailPositions.length * 2; // 渐变大小
             
             renderer.setGlobalAlpha(alpha);
-            renderer.drawCircle(pos.x, pos.y, size, '#ffff00');
+            renderer.drawCircle(pos.x, pos.y, size, this.trailColor);
             renderer.resetGlobalAlpha();
         }
     }
     
     /**
-     * 渲染子弹主体
+     * 渲染子弹主体（按武器类型区分外观）
      * @param {Renderer} renderer - 渲染器
      */
     renderBulletBody(renderer) {
-        // 子弹主体颜色
-        let bulletColor = '#ffff00'; // 黄色
-        
-        // 根据生命周期调整颜色
+        switch (this.weaponType) {
+            case 'laser':
+                this.renderLaserBody(renderer);
+                break;
+            case 'charge':
+                this.renderChargeBody(renderer);
+                break;
+            default:
+                this.renderBlasterBody(renderer);
+                break;
+        }
+    }
+    
+    /**
+     * 渲染普通子弹（爆能枪、散射枪）
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderBlasterBody(renderer) {
+        // 根据生命周期调整透明度
         if (this.isNearEndOfLife()) {
             // 接近消失时闪烁效果
             const flashIntensity = Math.sin(this.lifeTime * 20) * 0.5 + 0.5;
-            bulletColor = `rgba(255, 255, 0, ${0.5 + flashIntensity * 0.5})`;
+            renderer.setGlobalAlpha(0.5 + flashIntensity * 0.5);
         }
         
-        // 绘制子弹主体 - 椭圆形状
-        const centerX = this.x + this.width / 2;
-        const centerY = this.y + this.height / 2;
-        
         // 子弹核心
-        renderer.fillRect(this.x, this.y, this.width, this.height, bulletColor);
+        renderer.fillRect(this.x, this.y, this.width, this.height, this.color);
         
         // 子弹高光效果
         renderer.fillRect(
@@ -230,7 +294,7 @@ class Bullet extends Entity {
                 this.y + this.height / 2 - 1, 
                 2, 
                 2, 
-                bulletColor
+                this.color
             );
         } else {
             // 向左飞行的子弹尖端
@@ -239,7 +303,7 @@ class Bullet extends Entity {
                 this.y + this.height / 2 - 1, 
                 2, 
                 2, 
-                bulletColor
+                this.color
             );
         }
         
@@ -250,11 +314,43 @@ class Bullet extends Entity {
             this.y - 1, 
             this.width + 2, 
             this.height + 2, 
-            '#ffff88'
+            this.color
         );
         renderer.resetGlobalAlpha();
     }
     
+    /**
+     * 渲染激光：细长的光束，外层半透明光晕，中心白色
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderLaserBody(renderer) {
+        renderer.setGlobalAlpha(0.35);
+        renderer.fillRect(this.x - 4, this.y - 2, this.width + 8, this.height + 4, this.color);
+        renderer.resetGlobalAlpha();
+        
+        renderer.fillRect(this.x, this.y, this.width, this.height, this.color);
+        renderer.fillRect(this.x + 2, this.y + this.height / 2 - 0.5, this.width - 4, 1, '#ffffff');
+    }
+    
+    /**
+     * 渲染蓄力弹：能量球，蓄力越满越大，蓄满时带脉动光环
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderChargeBody(renderer) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        
+        // 外圈光晕（蓄满时脉动）
+        const glow = 6 + (this.charge >= 1 ? Math.sin(this.lifeTime * 30) * 4 : 0);
+        renderer.setGlobalAlpha(0.3 + this.charge * 0.2);
+        renderer.drawEllipse(centerX, centerY, this.width + glow, this.height + glow, this.color);
+        renderer.resetGlobalAlpha();
+        
+        // 能量核心
+        renderer.drawEllipse(centerX, centerY, this.width, this.height, this.color);
+        renderer.drawCircle(centerX + this.direction * this.width / 6, centerY, this.height / 4, '#ffffff');
+    }
+    
     /**
      * 渲染调试信息
      * @param {Renderer} renderer - 渲染器
@@ -0,0 +1,305 @@
+/**
+ * 敌人类 - 会主动攻击玩家的飞行敌人
+ * chaser: 追踪玩家高度；turret: 悬停并向玩家发射子弹；diver: 接近玩家时俯冲
+ */
+class Enemy extends Entity {
+    constructor(x, y, type = 'chaser') {
+        const config = GameConfig.ENEMY.TYPES[type];
+        super(x, y, config.width, config.height);
+        this.type = type;
+        this.config = config;
+        this.velocityX = -GameConfig.OBSTACLE_SPEED * config.speedMultiplier;
+        
+        // 可被子弹消灭
+        this.canBeShot = true;
+        this.health = config.health;
+        this.hitFlashTimer = 0;
+        
+        // 动画时间（翅膀、炮口等）
+        this.animationTime = 0;
+        
+        // 炮台射击计时
+        this.fireTimer = config.firstShotDelay || 0;
+        
+        // 俯冲状态
+        this.isDiving = false;
+        this.hasDived = false;
+        this.diveTime = 0;
+        this.diveStartY = y;
+    }
+    
+    /**
+     * 更新敌人状态
+     * @param {number} deltaTime - 时间增量
+     * @param {Object} target - 玩家碰撞边界 {x, y, width, height}
+     */
+    update(deltaTime, target = null) {
+        // 水平移动
+        this.x += this.velocityX * deltaTime;
+        
+        this.animationTime += deltaTime;
+        if (this.hitFlashTimer > 0) {
+            this.hitFlashTimer -= deltaTime;
+        }
+        
+        switch (this.type) {
+            case 'chaser':
+                this.updateChaser(deltaTime, target);
+                break;
+            case 'turret':
+                this.updateTurret(deltaTime);
+                break;
+            case 'diver':
+                this.updateDiver(deltaTime, target);
+                break;
+        }
+        
+        // 检查是否移出屏幕左侧
+        if (this.isOffscreenLeft()) {
+            this.destroy();
+        }
+    }
+    
+    /**
+     * 追踪者：以有限的垂直速度向玩家中心高度靠拢
+     * @param {number} deltaTime - 时间增量
+     * @param {Object} target - 玩家碰撞边界
+     */
+    updateChaser(deltaTime, target) {
+        if (!target) {
+            return;
+        }
+        
+        const targetY = target.y + target.height / 2 - this.height / 2;
+        const maxStep = this.config.trackSpeed * deltaTime;
+        this.y += Utils.clamp(targetY - this.y, -maxStep, maxStep);
+        this.y = Utils.clamp(this.y, this.config.minY, GameConfig.GROUND_Y - this.height);
+    }
+    
+    /**
+     * 炮台：进入屏幕后开始射击倒计时
+     * @param {number} deltaTime - 时间增量
+     */
+    updateTurret(deltaTime) {
+        if (this.x + this.width <= GameConfig.CANVAS_WIDTH && this.fireTimer > 0) {
+            this.fireTimer -= deltaTime;
+        }
+    }
+    
+    /**
+     * 俯冲者：接近玩家时沿半个正弦周期俯冲到地面附近再拉起，最低点正好经过玩家
+     * @param {number} deltaTime - 时间增量
+     * @param {Object} target - 玩家碰撞边界
+     */
+    updateDiver(deltaTime, target) {
+        const diveDuration = this.config.diveDuration;
+        
+        if (!this.isDiving && !this.hasDived && target) {
+            // 到达最低点所需的水平距离
+            const triggerDistance = Math.abs(this.velocityX) * diveDuration / 2;
+            const distance = (this.x + this.width / 2) - (target.x + target.width / 2);
+            
+            if (distance <= triggerDistance) {
+                this.isDiving = true;
+                this.diveTime = 0;
+                this.diveStartY = this.y;
+            }
+        }
+        
+        if (this.isDiving) {
+            this.diveTime = Math.min(diveDuration, this.diveTime + deltaTime);
+            
+            const bottomY = GameConfig.GROUND_Y - this.config.diveClearance - this.height;
+            const progress = this.diveTime / diveDuration;
+            this.y = this.diveStartY + (bottomY - this.diveStartY) * Math.sin(Math.PI * progress);
+            
+            if (this.diveTime >= diveDuration) {
+                this.isDiving = false;
+                this.hasDived = true;
+            }
+        }
+    }
+    
+    /**
+     * 检查是否需要从下方滑铲躲避（俯冲者的最低点只留出滑铲的空隙）
+     * @returns {boolean} 是否需要滑铲躲避
+     */
+    isOverhead() {
+        return this.type === 'diver';
+    }
+    
+    /**
+     * 检查炮台是否可以向目标射击（冷却结束且目标在前方）
+     * @param {Object} target - 玩家碰撞边界
+     * @returns {boolean} 是否可以射击
+     */
+    canFire(target) {
+        if (this.type !== 'turret' || !this.active || !target || this.fireTimer > 0) {
+            return false;
+        }
+        
+        return this.x > target.x + target.width;
+    }
+    
+    /**
+     * 向目标射击：重置冷却并返回瞄准目标上半身的子弹参数
+     * @param {Object} target - 玩家碰撞边界
+     * @returns {Object} 子弹参数 {x, y, velocityX, velocityY}
+     */
+    fireAt(target) {
+        this.fireTimer = this.config.fireInterval;
+        
+        const size = GameConfig.ENEMY.PROJECTILE.SIZE;
+        const muzzleX = this.x - size / 2;
+        const muzzleY = this.y + this.height / 2;
+        const dx = (target.x + target.width / 2) - muzzleX;
+        const dy = (target.y + target.height * this.config.aimHeight) - muzzleY;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        const speed = this.config.projectileSpeed;
+        
+        return {
+            x: muzzleX - size / 2,
+            y: muzzleY - size / 2,
+            velocityX: dx / distance * speed,
+            velocityY: dy / distance * speed
+        };
+    }
+    
+    /**
+     * 处理被子弹击中
+     * @param {number} damage - 伤害值
+     * @returns {boolean} 是否被消灭
+     */
+    takeDamage(damage = 1) {
+        this.health -= damage;
+        this.hitFlashTimer = GameConfig.ENEMY.HIT_FLASH_TIME;
+        
+        if (this.health <= 0) {
+            this.destroy();
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * 检查敌人是否移出屏幕左侧
+     * @returns {boolean} 是否在屏幕左侧外
+     */
+    isOffscreenLeft() {
+        return this.x + this.width < 0;
+    }
+    
+    /**
+     * 渲染敌人
+     * @param {Renderer} renderer - 渲染器
+     */
+    render(renderer) {
+        const color = this.hitFlashTimer > 0 ? '#ffffff' : this.config.color;
+        
+        switch (this.type) {
+            case 'chaser':
+                this.renderChaser(renderer, color);
+                break;
+            case 'turret':
+                this.renderTurret(renderer, color);
+                break;
+            case 'diver':
+                this.renderDiver(renderer, color);
+                break;
+        }
+        
+        // 显示剩余生命值（如果大于1）
+        if (this.health > 1) {
+            renderer.drawText(
+                this.health.toString(),
+                this.x + this.width / 2,
+                this.y - 4,
+                '#ffffff',
+                'bold 11px Arial',
+                'center'
+            );
+        }
+        
+        // 调试模式下显示边界和信息
+        if (GameConfig.DEBUG) {
+            renderer.drawRect(this.x, this.y, this.width, this.height, 'rgba(255, 255, 0, 0.3)');
+            renderer.drawText(`${this.type} HP:${this.health}`, this.x, this.y - 14, '#ffffff', '10px Arial');
+        }
+    }
+    
+    /**
+     * 渲染追踪者：带扇动翅膀和朝向玩家的眼睛的圆形身体
+     * @param {Renderer} renderer - 渲染器
+     * @param {string} color - 身体颜色
+     */
+    renderChaser(renderer, color) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const flap = Math.sin(this.animationTime * 20) * 4;
+        
+        // 翅膀
+        renderer.drawEllipse(centerX + 4, centerY - 6 + flap, 18, 8, 'rgba(22, 160, 133, 0.6)');
+        
+        // 身体
+        renderer.drawCircle(centerX, centerY, this.height / 2, color);
+        
+        // 眼睛（看向左侧的玩家）
+        renderer.drawCircle(centerX - 5, centerY - 2, 4, '#ffffff');
+        renderer.drawCircle(centerX - 6, centerY - 2, 2, '#000000');
+    }
+    
+    /**
+     * 渲染炮台：悬浮底座和指向左侧的炮管，射击前炮口发光
+     * @param {Renderer} renderer - 渲染器
+     * @param {string} color - 底座颜色
+     */
+    renderTurret(renderer, color) {
+        const centerY = this.y + this.height / 2;
+        
+        // 底座
+        renderer.fillRect(this.x + 6, this.y, this.width - 6, this.height, color);
+        renderer.fillRect(this.x + 6, this.y + this.height - 4, this.width - 6, 4, '#2c3e50');
+        
+        // 炮管
+        renderer.fillRect(this.x - 4, centerY - 3, 12, 6, '#2c3e50');
+        
+        // 炮口预警：即将射击时发光
+        if (this.fireTimer < 0.3) {
+            renderer.setGlobalAlpha(0.8);
+            renderer.drawCircle(this.x - 4, centerY, 4, GameConfig.ENEMY.PROJECTILE.COLOR);
+            renderer.resetGlobalAlpha();
+        }
+        
+        // 悬浮推进器火焰
+        const flame = 3 + Math.sin(this.animationTime * 30) * 2;
+        renderer.fillRect(this.x + this.width / 2, this.y + this.height, 6, flame, '#f39c12');
+    }
+    
+    /**
+     * 渲染俯冲者：尖喙朝左的鸟形身体和后掠的翅膀，俯冲时显示速度线
+     * @param {Renderer} renderer - 渲染器
+     * @param {string} color - 身体颜色
+     */
+    renderDiver(renderer, color) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const wingLift = this.isDiving ? 2 : Math.sin(this.animationTime * 12) * 5;
+        
+        // 翅膀（俯冲时收拢）
+        renderer.drawLine(centerX, centerY, this.x + this.width, this.y + wingLift, color, 3);
+        renderer.drawLine(centerX, centerY, this.x + this.width, this.y + this.height - wingLift, color, 3);
+        
+        // 身体和尖喙
+        renderer.drawEllipse(centerX + 2, centerY, this.width * 0.6, this.height * 0.5, color);
+        renderer.drawLine(this.x, centerY, this.x + 8, centerY, '#f1c40f', 3);
+        
+        // 俯冲时在身后绘制速度线
+        if (this.isDiving) {
+            renderer.setGlobalAlpha(0.5);
+            renderer.fillRect(this.x + this.width + 2, this.y + 2, 10, 2, color);
+            renderer.fillRect(this.x + this.width + 4, this.y + this.height - 4, 10, 2, color);
+            renderer.resetGlobalAlpha();
+        }
+    }
+}
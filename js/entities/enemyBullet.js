@@ -0,0 +1,39 @@
+/**
+ * 敌人子弹类 - 炮台瞄准玩家发射的子弹，可以斜向飞行
+ */
+class EnemyBullet extends Bullet {
+    constructor(x, y, velocityX, velocityY) {
+        super(x, y, velocityX >= 0 ? 1 : -1);
+        
+        const size = GameConfig.ENEMY.PROJECTILE.SIZE;
+        this.width = size;
+        this.height = size;
+        
+        // 按发射时的瞄准方向飞行
+        this.velocityX = velocityX;
+        this.velocityY = velocityY;
+        this.speed = Math.sqrt(velocityX * velocityX + velocityY * velocityY);
+        
+        this.trailColor = GameConfig.ENEMY.PROJECTILE.COLOR;
+    }
+    
+    /**
+     * 渲染敌人子弹主体 - 带光晕的红色能量球
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderBulletBody(renderer) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const radius = this.width / 2;
+        const pulse = Math.sin(this.lifeTime * 25);
+        
+        // 外圈光晕
+        renderer.setGlobalAlpha(0.35);
+        renderer.drawCircle(centerX, centerY, radius + 3 + pulse, GameConfig.ENEMY.PROJECTILE.COLOR);
+        renderer.resetGlobalAlpha();
+        
+        // 子弹核心
+        renderer.drawCircle(centerX, centerY, radius, GameConfig.ENEMY.PROJECTILE.COLOR);
+        renderer.drawCircle(centerX, centerY, radius / 2, '#ffffff');
+    }
+}
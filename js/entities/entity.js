@@ -10,6 +10,38 @@ class Entity {
         this.velocityX = 0;
         this.velocityY = 0;
         this.active = true;
+        
+        // 上一个模拟步的位置（用于渲染插值）
+        this.previousX = x;
+        this.previousY = y;
+    }
+    
+    /**
+     * 记录当前位置作为上一个模拟步的位置
+     * 每个模拟步开始前调用；实体被瞬移或从对象池复用时也应调用，避免插值出拖影
+     */
+    savePreviousPosition() {
+        this.previousX = this.x;
+        this.previousY = this.y;
+    }
+    
+    /**
+     * 将位置临时替换为插值位置，用于渲染
+     * @param {number} alpha - 插值系数 (0-1)，0为上一个模拟步，1为当前模拟步
+     */
+    applyInterpolation(alpha) {
+        this.simulatedX = this.x;
+        this.simulatedY = this.y;
+        this.x = this.previousX + (this.x - this.previousX) * alpha;
+        this.y = this.previousY + (this.y - this.previousY) * alpha;
+    }
+    
+    /**
+     * 渲染结束后恢复真实的模拟位置
+     */
+    restoreSimulatedPosition() {
+        this.x = this.simulatedX;
+        this.y = this.simulatedY;
     }
     
     /**
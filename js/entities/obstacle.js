@@ -2,11 +2,14 @@
  * 障碍物类
  */
 class Obstacle extends Entity {
-    constructor(x, y, type = 'basic') {
+    constructor(x, y, type = 'basic', random = null) {
         super(x, y, GameConfig.OBSTACLE.WIDTH, GameConfig.OBSTACLE.HEIGHT);
         this.type = type;
         this.speed = GameConfig.OBSTACLE_SPEED;
         
+        // 随机数流（由障碍物管理器传入，保证可复现）
+        this.random = random || defaultRandom;
+        
         // 设置初始速度 - 向左移动
         this.velocityX = -this.speed;
         
@@ -18,8 +21,14 @@ class Obstacle extends Entity {
         this.floatingOffset = 0;
         this.originalY = y;
         
+        // 地形区域的颜色（障碍物类型 -> 颜色，由障碍物管理器设置）
+        this.skin = null;
+        
         // 根据类型设置不同属性
         this.setupObstacleType(type);
+        
+        // 类型设置可能调整了位置，同步插值起点
+        this.savePreviousPosition();
     }
     
     /**
@@ -45,6 +54,13 @@ class Obstacle extends Entity {
                 this.canBeShot = false;
                 this.health = Infinity;
                 break;
+            case 'barrier':
+                // 顶部障碍物 - 从屏幕顶部垂下，只在地面上方留出滑铲可通过的空隙
+                this.width = GameConfig.OBSTACLE.BARRIER_WIDTH;
+                this.height = GameConfig.GROUND_Y - GameConfig.OBSTACLE.BARRIER_CLEARANCE;
+                this.canBeShot = false;
+                this.health = Infinity;
+                break;
             case 'floating':
                 // 漂浮障碍物 - 可被射击
                 this.canBeShot = true;
@@ -66,8 +82,10 @@ class Obstacle extends Entity {
                 break;
         }
         
-        // 地面障碍物确保在地面上，漂浮障碍物保持原始Y位置
-        if (!this.isFloating()) {
+        // 顶部障碍物贴住屏幕顶部，地面障碍物确保在地面上，漂浮障碍物保持原始Y位置
+        if (this.isOverhead()) {
+            this.y = GameConfig.GROUND_Y - GameConfig.OBSTACLE.BARRIER_CLEARANCE - this.height;
+        } else if (!this.isFloating()) {
             this.y = GameConfig.GROUND_Y - this.height;
         } else {
             this.originalY = this.y;
@@ -79,9 +97,9 @@ class Obstacle extends Entity {
      */
     setupFloatingMovement() {
         // 随机设置漂浮参数
-        this.floatingAmplitude = 20 + Math.random() * 30; // 漂浮幅度 20-50像素
-        this.floatingFrequency = 1 + Math.random() * 2;   // 漂浮频率 1-3Hz
-        this.floatingOffset = Math.random() * Math.PI * 2; // 随机相位偏移
+        this.floatingAmplitude = this.random.range(20, 50);         // 漂浮幅度 20-50像素
+        this.floatingFrequency = this.random.range(1, 3);           // 漂浮频率 1-3Hz
+        this.floatingOffset = this.random.range(0, Math.PI * 2);    // 随机相位偏移
     }
     
     /**
@@ -92,6 +110,14 @@ class Obstacle extends Entity {
         return this.type === 'floating' || this.type === 'floating_large';
     }
     
+    /**
+     * 检查是否为顶部障碍物（只能滑铲通过）
+     * @returns {boolean} 是否为顶部障碍物
+     */
+    isOverhead() {
+        return this.type === 'barrier';
+    }
+    
     /**
      * 更新障碍物状态
      * @param {number} deltaTime - 时间增量
@@ -131,14 +157,15 @@ class Obstacle extends Entity {
     
     /**
      * 处理被子弹击中
+     * @param {number} damage - 伤害值
      * @returns {boolean} 是否被摧毁
      */
-    takeDamage() {
+    takeDamage(damage = 1) {
         if (!this.canBeShot) {
             return false;
         }
         
-        this.health--;
+        this.health -= damage;
         
         if (this.health <= 0) {
             this.destroy();
@@ -177,6 +204,22 @@ class Obstacle extends Entity {
         };
     }
     
+    /**
+     * 用图集中与障碍物类型同名的帧绘制障碍物（见 GameConfig.ASSETS.ENTITY_SPRITES）
+     * @param {Renderer} renderer - 渲染器
+     * @returns {boolean} 是否绘制成功，未配置图集、图集未加载或缺少该帧时返回false
+     */
+    renderSprite(renderer) {
+        const atlasId = GameConfig.ASSETS.ENTITY_SPRITES.obstacle;
+        const frame = atlasId ? assetManager.getFrame(atlasId, this.type) : null;
+        if (!frame) {
+            return false;
+        }
+        
+        renderer.drawSprite(assetManager.getAtlas(atlasId).image, frame, this.x, this.y, this.width, this.height);
+        return true;
+    }
+    
     /**
      * 渲染障碍物
      * @param {Renderer} renderer - 渲染器
@@ -195,6 +238,9 @@ class Obstacle extends Entity {
             case 'wide':
                 color = '#e67e22'; // 橙色
                 break;
+            case 'barrier':
+                color = '#34495e'; // 深灰色 - 顶部障碍物
+                break;
             case 'floating':
                 color = '#9b59b6'; // 紫色 - 漂浮障碍物
                 break;
@@ -203,7 +249,20 @@ class Obstacle extends Entity {
                 break;
         }
         
-        renderer.drawRect(this.x, this.y, this.width, this.height, color);
+        // 地形区域的颜色优先
+        if (this.skin && this.skin[this.type]) {
+            color = this.skin[this.type];
+        }
+        
+        // 图集中有该类型的帧时使用精灵绘制，否则绘制纯色矩形
+        if (!this.renderSprite(renderer)) {
+            renderer.drawRect(this.x, this.y, this.width, this.height, color);
+        }
+        
+        // 顶部障碍物底部绘制警示条纹
+        if (this.isOverhead()) {
+            this.renderWarningStripes(renderer);
+        }
         
         // 漂浮障碍物添加特殊效果
         if (this.isFloating()) {
@@ -236,4 +295,19 @@ class Obstacle extends Entity {
             );
         }
     }
+    
+    /**
+     * 渲染顶部障碍物底部的黄黑警示条纹
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderWarningStripes(renderer) {
+        const stripeHeight = 12;
+        const stripeWidth = 8;
+        const stripeY = this.y + this.height - stripeHeight;
+        
+        for (let offset = 0; offset < this.width; offset += stripeWidth) {
+            const color = (offset / stripeWidth) % 2 === 0 ? '#f1c40f' : '#2c3e50';
+            renderer.drawRect(this.x + offset, stripeY, Math.min(stripeWidth, this.width - offset), stripeHeight, color);
+        }
+    }
 }
\ No newline at end of file
@@ -21,19 +21,40 @@ class Player extends Entity {
         // 跳跃状态管理
         this.canJump = true;
         this.jumpCooldown = 0;
+        this.jumpControl = 1; // 跳跃控制（地形区域调整，越小松开跳跃键时截断上升的效果越弱）
+        this.jumpCallbacks = [];
+        this.resetJumpState();
+        
+        // 滑铲状态管理
+        this.resetSlideState();
         
         // 动画状态管理
-        this.animationState = 'running'; // 'running', 'jumping', 'falling', 'shooting'
+        this.animationState = 'running'; // 'running', 'sliding', 'jumping', 'airJumping', 'falling', 'shooting'
         this.runningFrames = GameConfig.PLAYER.RUNNING_FRAMES;
         this.jumpingFrames = GameConfig.PLAYER.JUMPING_FRAMES;
         this.currentFrameSet = this.runningFrames;
+        this.sprite = AnimatedSprite.forEntity('player'); // 精灵动画（图集未加载时使用程序绘制）
         
         // 射击状态管理
         this.canShoot = true;
         this.shootCooldown = 0;
-        this.shootCooldownTime = GameConfig.SHOOT_COOLDOWN || 300; // 300毫秒冷却时间
-        this.lastShootTime = 0;
+        this.shootCooldownMultiplier = 1; // 速射道具的冷却倍数
         this.shootCallbacks = [];
+        
+        // 当前武器（基础冷却时间由武器决定）和蓄力状态
+        this.isCharging = false;
+        this.chargeTime = 0;
+        this.setWeapon(GameConfig.WEAPONS.DEFAULT);
+        
+        // 射击热量（冷却剂、速射道具调整每次射击的热量倍数）
+        this.heatMultiplier = 1;
+        this.resetHeat();
+        
+        // 生命值和受伤状态管理（按生命值模式配置）
+        this.configureHealth(GameConfig.HEALTH.MODES[GameConfig.HEALTH.DEFAULT_MODE]);
+        
+        // 位置已固定到屏幕中间，同步插值起点
+        this.savePreviousPosition();
     }
     
     /**
@@ -41,13 +62,19 @@ class Player extends Entity {
      * @param {number} deltaTime - 时间增量
      */
     update(deltaTime) {
-        // 玩家固定在屏幕中间，不进行水平移动
+        // 玩家固定在屏幕中间（受击退时暂时向后偏移），不进行水平移动
         this.velocityX = 0;
-        this.x = GameConfig.PLAYER.CENTER_X - this.width / 2;
+        this.updateDamageState(deltaTime);
+        this.x = this.getAnchorX();
         
         // 应用物理系统更新（重力、碰撞等）
         this.physics.updatePhysics(this, deltaTime);
         
+        // 空中按下滑铲时快速下落
+        if (this.isFastFalling) {
+            this.velocityY = Math.max(this.velocityY, GameConfig.PLAYER.SLIDE_FAST_FALL_SPEED);
+        }
+        
         // 只更新垂直位置（跳跃）
         this.y += this.velocityY * deltaTime;
         
@@ -57,19 +84,41 @@ class Player extends Entity {
         // 更新跳跃冷却时间
         this.updateJumpCooldown(deltaTime);
         
+        // 更新土狼时间、跳跃缓冲和可变跳跃高度
+        this.updateJumpState(deltaTime);
+        
+        // 更新滑铲状态
+        this.updateSlideState();
+        
         // 更新射击冷却时间
         this.updateShootCooldown(deltaTime);
         
+        // 蓄力武器按住射击键时累计蓄力时间
+        if (this.isCharging) {
+            this.chargeTime += deltaTime;
+        }
+        
+        // 射击热量散热
+        this.updateHeat(deltaTime);
+        
         // 更新动画帧
         this.updateAnimation(deltaTime);
     }
     
+    /**
+     * 获取玩家的水平位置（屏幕中间加上击退偏移）
+     * @returns {number} X坐标
+     */
+    getAnchorX() {
+        return GameConfig.PLAYER.CENTER_X - this.width / 2 + this.knockbackOffset;
+    }
+    
     /**
      * 检查并处理边界碰撞
      */
     checkBounds() {
         // 玩家X位置固定在屏幕中间，不需要水平边界检测
-        this.x = GameConfig.PLAYER.CENTER_X - this.width / 2;
+        this.x = this.getAnchorX();
         
         // 上边界检测 - 玩家不能移出屏幕顶部
         if (this.y < 0) {
@@ -102,21 +151,29 @@ class Player extends Entity {
         if (this.animationFrame >= this.currentFrameSet) {
             this.animationFrame = 0;
         }
+        
+        // 精灵动画与动画状态同名
+        if (this.sprite) {
+            this.sprite.play(this.animationState);
+            this.sprite.update(deltaTime);
+        }
     }
     
     /**
      * 根据玩家物理状态更新动画状态
      */
     updateAnimationState() {
-        // 射击状态优先级最高（短暂状态）
-        if (!this.canShoot && this.getShootCooldownRemaining() > this.shootCooldownTime * 0.7) {
+        // 滑铲姿势优先，其次是射击状态（短暂状态）
+        if (this.isSliding) {
+            this.animationState = 'sliding';
+        } else if (!this.canShoot && this.getShootCooldownRemaining() > this.shootCooldownTime * 0.7) {
             this.animationState = 'shooting';
         } else if (this.isGrounded) {
             this.animationState = 'running';
         } else {
-            // 根据垂直速度判断是跳跃还是下落
+            // 根据垂直速度判断是跳跃（地面起跳或空中跳跃）还是下落
             if (this.velocityY < 0) {
-                this.animationState = 'jumping';
+                this.animationState = this.jumpType === 'air' ? 'airJumping' : 'jumping';
             } else {
                 this.animationState = 'falling';
             }
@@ -129,9 +186,11 @@ class Player extends Entity {
     setCurrentFrameSet() {
         switch (this.animationState) {
             case 'running':
+            case 'sliding':
                 this.currentFrameSet = this.runningFrames;
                 break;
             case 'jumping':
+            case 'airJumping':
             case 'falling':
                 this.currentFrameSet = this.jumpingFrames;
                 break;
@@ -165,17 +224,142 @@ class Player extends Entity {
     }
     
     /**
-     * 执行跳跃
+     * 重置跳跃相关状态
+     */
+    resetJumpState() {
+        this.jumpHeld = false;          // 跳跃键是否按住
+        this.isJumpRising = false;      // 是否处于可被松键截断的上升阶段
+        this.jumpType = null;           // 当前跳跃类型: 'ground' | 'air' | null
+        this.coyoteTimer = 0;           // 土狼时间剩余（秒）
+        this.jumpBufferTimer = 0;       // 跳跃缓冲剩余（秒）
+        this.airJumpsRemaining = GameConfig.PLAYER.AIR_JUMPS;
+        this.airJumpEffectTime = 0;     // 空中跳跃效果剩余显示时间（秒）
+    }
+    
+    /**
+     * 设置跳跃键状态，按下的瞬间请求跳跃，上升中松开时截断跳跃
+     * @param {boolean} held - 跳跃键是否按住
+     */
+    setJumpHeld(held) {
+        const justPressed = held && !this.jumpHeld;
+        this.jumpHeld = held;
+        
+        if (justPressed) {
+            this.jump();
+        }
+    }
+    
+    /**
+     * 请求跳跃：能起跳时立即执行，否则在缓冲时间内等待落地
      */
     jump() {
-        // 只有在地面上且可以跳跃时才执行跳跃
-        if (this.isGrounded && this.canJump) {
-            this.physics.applyJumpForce(this, GameConfig.JUMP_FORCE);
-            this.canJump = false;
-            this.jumpCooldown = 0.1; // 100ms的跳跃冷却时间，防止连续跳跃
+        this.jumpBufferTimer = GameConfig.PLAYER.JUMP_BUFFER_TIME;
+        this.tryJump();
+    }
+    
+    /**
+     * 尝试执行缓冲中的跳跃：优先地面起跳（含土狼时间），其次消耗一次空中跳跃
+     * @returns {boolean} 是否起跳
+     */
+    tryJump() {
+        if (this.jumpBufferTimer <= 0) {
+            return false;
+        }
+        
+        if ((this.isGrounded || this.coyoteTimer > 0) && this.canJump) {
+            this.performJump(GameConfig.JUMP_FORCE, 'ground');
+            return true;
+        }
+        
+        if (!this.isGrounded && this.airJumpsRemaining > 0) {
+            this.airJumpsRemaining--;
+            this.airJumpEffectTime = 0.25;
+            this.performJump(GameConfig.PLAYER.AIR_JUMP_FORCE, 'air');
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * 执行跳跃
+     * @param {number} jumpForce - 跳跃力（负值向上）
+     * @param {string} type - 跳跃类型: 'ground' | 'air'
+     */
+    performJump(jumpForce, type) {
+        this.velocityY = jumpForce;
+        this.isGrounded = false;
+        this.canJump = false;
+        this.jumpCooldown = 0.1; // 100ms的跳跃冷却时间，防止连续跳跃
+        this.coyoteTimer = 0;
+        this.jumpBufferTimer = 0;
+        this.isJumpRising = true;
+        this.jumpType = type;
+        this.isFastFalling = false;
+        this.isSliding = false;
+        
+        // 触发跳跃回调
+        this.jumpCallbacks.forEach(callback => {
+            try {
+                callback({ type });
+            } catch (error) {
+                console.error('跳跃回调执行错误:', error);
+            }
+        });
+    }
+    
+    /**
+     * 更新土狼时间、跳跃缓冲和可变跳跃高度
+     * @param {number} deltaTime - 时间增量
+     */
+    updateJumpState(deltaTime) {
+        if (this.isGrounded) {
+            // 着地时恢复土狼时间和空中跳跃次数
+            this.coyoteTimer = GameConfig.PLAYER.COYOTE_TIME;
+            this.airJumpsRemaining = GameConfig.PLAYER.AIR_JUMPS;
+            this.isJumpRising = false;
+            this.jumpType = null;
+        } else if (this.coyoteTimer > 0) {
+            this.coyoteTimer = Math.max(0, this.coyoteTimer - deltaTime);
+        }
+        
+        // 上升中松开跳跃键时截断上升速度，按住则跳满高度
+        if (this.isJumpRising) {
+            if (this.velocityY >= 0) {
+                this.isJumpRising = false;
+            } else if (!this.jumpHeld) {
+                this.velocityY *= this.getJumpCutMultiplier();
+                this.isJumpRising = false;
+            }
+        }
+        
+        // 缓冲的跳跃在落地（或冷却结束）后执行
+        if (this.jumpBufferTimer > 0 && !this.tryJump()) {
+            this.jumpBufferTimer = Math.max(0, this.jumpBufferTimer - deltaTime);
+        }
+        
+        if (this.airJumpEffectTime > 0) {
+            this.airJumpEffectTime = Math.max(0, this.airJumpEffectTime - deltaTime);
         }
     }
     
+    /**
+     * 获取松开跳跃键时保留的上升速度比例（跳跃控制越弱越接近1）
+     * @returns {number} 速度比例
+     */
+    getJumpCutMultiplier() {
+        return 1 - (1 - GameConfig.PLAYER.JUMP_CUT_MULTIPLIER) * this.jumpControl;
+    }
+    
+    /**
+     * 应用地形区域的物理参数
+     * @param {Object} modifiers - 物理参数 {gravityMultiplier, jumpControl}
+     */
+    setBiomeModifiers(modifiers) {
+        this.physics.gravity = GameConfig.GRAVITY * modifiers.gravityMultiplier;
+        this.jumpControl = modifiers.jumpControl;
+    }
+    
     /**
      * 更新跳跃冷却时间
      * @param {number} deltaTime - 时间增量
@@ -191,6 +375,57 @@ class Player extends Entity {
         }
     }
     
+    /**
+     * 重置滑铲相关状态
+     */
+    resetSlideState() {
+        this.slideHeld = false;         // 滑铲键是否按住
+        this.isSliding = false;         // 是否正在滑铲（碰撞高度降低）
+        this.isFastFalling = false;     // 是否正在快速下落
+    }
+    
+    /**
+     * 设置滑铲键状态：在地面上按住时滑铲，在空中按下时快速下落并在落地后滑铲
+     * @param {boolean} held - 滑铲键是否按住
+     */
+    setSlideHeld(held) {
+        if (held && !this.slideHeld && !this.isGrounded) {
+            this.isFastFalling = true;
+            this.isJumpRising = false;
+        }
+        
+        this.slideHeld = held;
+    }
+    
+    /**
+     * 更新滑铲状态
+     */
+    updateSlideState() {
+        if (this.isGrounded) {
+            this.isFastFalling = false;
+        }
+        
+        this.isSliding = this.slideHeld && this.isGrounded;
+    }
+    
+    /**
+     * 获取碰撞边界（滑铲时只保留贴近地面的部分）
+     * @returns {Object} 边界矩形 {x, y, width, height}
+     */
+    getBounds() {
+        if (!this.isSliding) {
+            return super.getBounds();
+        }
+        
+        const slideHeight = GameConfig.PLAYER.SLIDE_HEIGHT;
+        return {
+            x: this.x,
+            y: this.y + this.height - slideHeight,
+            width: this.width,
+            height: slideHeight
+        };
+    }
+    
     /**
      * 更新射击冷却时间
      * @param {number} deltaTime - 时间增量（秒）
@@ -210,18 +445,20 @@ class Player extends Entity {
      * 执行射击
      */
     shoot() {
-        const currentTime = Date.now();
-        
-        // 检查是否可以射击
-        if (this.canShoot && currentTime - this.lastShootTime >= this.shootCooldownTime) {
-            this.lastShootTime = currentTime;
+        // 检查是否可以射击（冷却按模拟时间计算，不受显示帧率影响）
+        if (this.canShootNow()) {
             this.shootCooldown = this.shootCooldownTime;
             this.canShoot = false;
             
+            // 射击产生热量，射击信息中记录本次热量和是否因此过热
+            const shootInfo = this.getShootPosition();
+            shootInfo.heat = this.addHeat(this.getShotHeat(shootInfo.charge));
+            shootInfo.overheated = this.isOverheated;
+            
             // 触发射击回调
             this.shootCallbacks.forEach(callback => {
                 try {
-                    callback(this.getShootPosition());
+                    callback(shootInfo);
                 } catch (error) {
                     console.error('射击回调执行错误:', error);
                 }
@@ -242,7 +479,9 @@ class Player extends Entity {
         return {
             x: this.x + this.width, // 从玩家右侧发射
             y: this.y + this.height / 2, // 从玩家中心高度发射
-            direction: 1 // 向右射击
+            direction: 1, // 向右射击
+            weapon: this.weaponType,
+            charge: this.getChargeLevel()
         };
     }
     
@@ -256,13 +495,91 @@ class Player extends Entity {
         }
     }
     
+    /**
+     * 注册跳跃回调
+     * @param {Function} callback - 跳跃回调函数，参数为 {type: 'ground' | 'air'}
+     */
+    onJump(callback) {
+        if (typeof callback === 'function') {
+            this.jumpCallbacks.push(callback);
+        }
+    }
+    
     /**
      * 检查是否可以射击
      * @returns {boolean} 是否可以射击
      */
     canShootNow() {
-        const currentTime = Date.now();
-        return this.canShoot && currentTime - this.lastShootTime >= this.shootCooldownTime;
+        return this.canShoot && this.shootCooldown <= 0 && !this.isOverheated;
+    }
+    
+    /**
+     * 计算当前武器一次射击的热量（蓄力炮按蓄力程度插值）
+     * @param {number} charge - 蓄力程度 (0-1)
+     * @returns {number} 热量（未乘道具倍数）
+     */
+    getShotHeat(charge = 0) {
+        const weapon = GameConfig.WEAPONS.TYPES[this.weaponType];
+        if (weapon.pattern === 'charge') {
+            return weapon.heat + (weapon.maxHeat - weapon.heat) * charge;
+        }
+        
+        return weapon.heat;
+    }
+    
+    /**
+     * 增加射击热量，达到上限时过热
+     * @param {number} amount - 热量
+     * @returns {number} 实际增加的热量（乘以道具倍数后）
+     */
+    addHeat(amount) {
+        const heat = amount * this.heatMultiplier;
+        this.heat = Math.min(GameConfig.HEAT.MAX, this.heat + heat);
+        
+        if (this.heat >= GameConfig.HEAT.MAX && !this.isOverheated) {
+            this.isOverheated = true;
+            this.cancelCharge();
+            console.log('🔥 武器过热！');
+        }
+        
+        return heat;
+    }
+    
+    /**
+     * 更新散热，过热时散热到恢复热量以下后才能再次射击
+     * @param {number} deltaTime - 时间增量（秒）
+     */
+    updateHeat(deltaTime) {
+        const coolRate = this.isOverheated ? GameConfig.HEAT.OVERHEAT_COOL_RATE : GameConfig.HEAT.COOL_RATE;
+        this.heat = Math.max(0, this.heat - coolRate * deltaTime);
+        
+        if (this.isOverheated && this.heat <= GameConfig.HEAT.RECOVER_HEAT) {
+            this.isOverheated = false;
+        }
+    }
+    
+    /**
+     * 清空热量并解除过热（新的一局或拾取冷却剂）
+     */
+    resetHeat() {
+        this.heat = 0;
+        this.isOverheated = false;
+    }
+    
+    /**
+     * 设置每次射击的热量倍数（如冷却剂、速射道具）
+     * @param {number} multiplier - 热量倍数
+     */
+    setHeatMultiplier(multiplier) {
+        this.heatMultiplier = multiplier;
+    }
+    
+    /**
+     * 获取热量比例
+     * @returns {number} 热量比例 (0-1)
+     */
+    getHeatRatio() {
+        return this.heat / GameConfig.HEAT.MAX;
     }
     
     /**
@@ -270,9 +587,7 @@ class Player extends Entity {
      * @returns {number} 剩余冷却时间（毫秒）
      */
     getShootCooldownRemaining() {
-        const currentTime = Date.now();
-        const remaining = this.shootCooldownTime - (currentTime - this.lastShootTime);
-        return Math.max(0, remaining);
+        return Math.max(0, this.shootCooldown);
     }
     
     /**
@@ -283,6 +598,191 @@ class Player extends Entity {
         this.shootCooldownTime = cooldownTime;
     }
     
+    /**
+     * 按倍数调整射击冷却时间（如速射道具），倍数为1时恢复基础冷却
+     * @param {number} multiplier - 冷却时间倍数
+     */
+    setShootCooldownMultiplier(multiplier) {
+        this.shootCooldownMultiplier = multiplier;
+        this.setShootCooldown(this.baseShootCooldownTime * multiplier);
+    }
+    
+    /**
+     * 切换武器：按武器配置设置基础冷却时间（保留速射道具的倍数），并取消正在进行的蓄力
+     * @param {string} weaponType - 武器类型（GameConfig.WEAPONS.TYPES中的键）
+     * @returns {boolean} 是否切换成功
+     */
+    setWeapon(weaponType) {
+        const weapon = GameConfig.WEAPONS.TYPES[weaponType];
+        if (!weapon) {
+            return false;
+        }
+        
+        this.weaponType = weaponType;
+        this.baseShootCooldownTime = weapon.cooldown;
+        this.setShootCooldownMultiplier(this.shootCooldownMultiplier);
+        this.cancelCharge();
+        return true;
+    }
+    
+    /**
+     * 获取当前武器类型
+     * @returns {string} 武器类型
+     */
+    getWeapon() {
+        return this.weaponType;
+    }
+    
+    /**
+     * 检查当前武器是否需要蓄力
+     * @returns {boolean} 是否为蓄力武器
+     */
+    isChargeWeapon() {
+        return GameConfig.WEAPONS.TYPES[this.weaponType].pattern === 'charge';
+    }
+    
+    /**
+     * 设置蓄力武器的射击键是否按住：冷却结束后按下开始蓄力，松开时按蓄力程度发射
+     * @param {boolean} held - 射击键是否按住
+     */
+    setChargeHeld(held) {
+        if (held && !this.isCharging) {
+            if (this.canShootNow()) {
+                this.isCharging = true;
+                this.chargeTime = 0;
+            }
+        } else if (!held && this.isCharging) {
+            this.shoot();
+            this.cancelCharge();
+        }
+    }
+    
+    /**
+     * 取消蓄力
+     */
+    cancelCharge() {
+        this.isCharging = false;
+        this.chargeTime = 0;
+    }
+    
+    /**
+     * 获取蓄力程度
+     * @returns {number} 蓄力程度 (0-1)，没有蓄力时为0
+     */
+    getChargeLevel() {
+        if (!this.isCharging) {
+            return 0;
+        }
+        
+        return Math.min(1, this.chargeTime / GameConfig.WEAPONS.TYPES[this.weaponType].chargeTime);
+    }
+    
+    /**
+     * 按生命值模式重置生命值、命数和受伤状态
+     * @param {Object} healthConfig - 生命值模式配置（GameConfig.HEALTH.MODES中的一项）
+     */
+    configureHealth(healthConfig) {
+        this.healthConfig = healthConfig;
+        this.maxHealth = healthConfig.maxHealth;
+        this.health = healthConfig.maxHealth;
+        this.lives = healthConfig.lives;
+        this.invulnerableTime = 0;
+        this.knockbackTime = 0;
+        this.knockbackOffset = 0;
+    }
+    
+    /**
+     * 受到伤害：扣除生命值，生命值归零时消耗一条命并回满，未被击败时触发击退和无敌
+     * @param {number} amount - 伤害值
+     * @returns {Object} 受伤结果 { health, lives, lifeLost, defeated }
+     */
+    takeDamage(amount = 1) {
+        this.health = Math.max(0, this.health - amount);
+        
+        let lifeLost = false;
+        if (this.health === 0 && this.lives > 0) {
+            this.lives--;
+            this.health = this.maxHealth;
+            lifeLost = true;
+        }
+        
+        const defeated = this.health === 0;
+        if (!defeated) {
+            this.startInvulnerability(this.healthConfig.invulnerabilityTime);
+            this.applyKnockback();
+        }
+        
+        return {
+            health: this.health,
+            lives: this.lives,
+            lifeLost: lifeLost,
+            defeated: defeated
+        };
+    }
+    
+    /**
+     * 开始无敌时间
+     * @param {number} duration - 无敌时间（秒）
+     */
+    startInvulnerability(duration) {
+        this.invulnerableTime = Math.max(this.invulnerableTime, duration);
+    }
+    
+    /**
+     * 检查是否处于无敌时间
+     * @returns {boolean} 是否无敌
+     */
+    isInvulnerable() {
+        return this.invulnerableTime > 0;
+    }
+    
+    /**
+     * 触发击退：向后推开并向上弹起
+     */
+    applyKnockback() {
+        const { knockbackDistance, knockbackDuration, knockbackJumpForce } = this.healthConfig;
+        
+        if (knockbackDistance > 0 && knockbackDuration > 0) {
+            this.knockbackTime = knockbackDuration;
+        }
+        
+        if (knockbackJumpForce < 0) {
+            this.velocityY = Math.min(this.velocityY, knockbackJumpForce);
+            this.isGrounded = false;
+        }
+    }
+    
+    /**
+     * 更新无敌时间和击退偏移
+     * @param {number} deltaTime - 时间增量（秒）
+     */
+    updateDamageState(deltaTime) {
+        if (this.invulnerableTime > 0) {
+            this.invulnerableTime = Math.max(0, this.invulnerableTime - deltaTime);
+        }
+        
+        if (this.knockbackTime > 0) {
+            this.knockbackTime = Math.max(0, this.knockbackTime - deltaTime);
+            
+            // 先被推向后方，再在击退结束时回到原位
+            const progress = 1 - this.knockbackTime / this.healthConfig.knockbackDuration;
+            this.knockbackOffset = this.knockbackTime > 0 ?
+                -this.healthConfig.knockbackDistance * Math.sin(progress * Math.PI) : 0;
+        }
+    }
+    
+    /**
+     * 获取生命值信息
+     * @returns {Object} 生命值信息 { health, maxHealth, lives }
+     */
+    getHealthInfo() {
+        return {
+            health: this.health,
+            maxHealth: this.maxHealth,
+            lives: this.lives
+        };
+    }
+    
     /**
      * 检查玩家是否在地面上
      * @returns {boolean} 是否在地面上
@@ -310,9 +810,20 @@ class Player extends Entity {
      * @param {Renderer} renderer - 渲染器
      */
     render(renderer) {
+        // 无敌时闪烁
+        const blinkHidden = this.isInvulnerable() &&
+            Math.floor(this.invulnerableTime * GameConfig.HEALTH.BLINK_FREQUENCY * 2) % 2 === 0;
+        if (blinkHidden) {
+            renderer.setGlobalAlpha(0.3);
+        }
+        
         // 根据动画状态渲染不同的视觉效果
         this.renderAnimatedPlayer(renderer);
         
+        if (blinkHidden) {
+            renderer.resetGlobalAlpha();
+        }
+        
         // 可选：显示调试信息
         if (GameConfig.DEBUG) {
             this.renderDebugInfo(renderer);
@@ -333,11 +844,20 @@ class Player extends Entity {
                 offsetY = Math.sin(this.animationFrame * Math.PI * 2) * 1;
                 scale = 1.0;
                 break;
+            case 'sliding':
+                // 滑铲姿势贴地，不摆动
+                scale = 1.0;
+                break;
             case 'jumping':
                 // 跳跃动画：稍微拉伸
                 scale = 1.05;
                 offsetY = -2;
                 break;
+            case 'airJumping':
+                // 空中跳跃动画：拉伸更明显
+                scale = 1.1;
+                offsetY = -3;
+                break;
             case 'falling':
                 // 下落动画：稍微压缩
                 scale = 0.95;
@@ -351,14 +871,21 @@ class Player extends Entity {
         const baseX = this.x;
         const baseY = this.y + offsetY;
         
-        // 绘制卡通人物
-        this.renderCartoonCharacter(renderer, baseX, baseY, scale);
+        // 绘制角色：图集加载完成时使用精灵动画，否则使用程序绘制的卡通人物
+        if (!this.renderSprite(renderer, baseX, baseY, scale)) {
+            this.renderCartoonCharacter(renderer, baseX, baseY, scale);
+        }
         
         // 绘制跑步粒子效果
         if (this.animationState === 'running' && this.isGrounded) {
             this.renderRunningEffects(renderer, baseX, baseY);
         }
         
+        // 绘制空中跳跃效果
+        if (this.airJumpEffectTime > 0) {
+            this.renderAirJumpEffect(renderer);
+        }
+        
         // 绘制中心线指示器（显示玩家在屏幕中间）
         this.renderCenterIndicator(renderer);
         
@@ -368,6 +895,24 @@ class Player extends Entity {
         }
     }
     
+    /**
+     * 用精灵动画渲染角色（按比例缩放时保持脚底位置不变）
+     * @param {Renderer} renderer - 渲染器
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {number} scale - 缩放比例
+     * @returns {boolean} 是否绘制成功，图集未加载或缺少当前动画时返回false
+     */
+    renderSprite(renderer, x, y, scale) {
+        if (!this.sprite || !this.sprite.isReady()) {
+            return false;
+        }
+        
+        const width = this.width * scale;
+        const height = this.height * scale;
+        return this.sprite.render(renderer, x + (this.width - width) / 2, y + this.height - height, width, height);
+    }
+    
     /**
      * 渲染卡通人物
      * @param {Renderer} renderer - 渲染器
@@ -394,25 +939,66 @@ class Player extends Entity {
             renderer.ctx.translate(-centerX, -bottomY);
         }
         
-        // 1. 绘制腿部（在身体后面）
-        this.renderLegs(renderer, centerX, bottomY, legSwing);
-        
-        // 2. 绘制身体
-        this.renderBody(renderer, centerX, bottomY);
-        
-        // 3. 绘制手臂
-        this.renderArms(renderer, centerX, bottomY, armSwing);
-        
-        // 4. 绘制头部
-        this.renderHead(renderer, centerX, bottomY);
-        
-        // 5. 绘制面部表情
-        this.renderFace(renderer, centerX, bottomY);
+        if (this.animationState === 'sliding') {
+            // 滑铲姿势单独绘制
+            this.renderSlidingPose(renderer, centerX, bottomY);
+        } else {
+            // 1. 绘制腿部（在身体后面）
+            this.renderLegs(renderer, centerX, bottomY, legSwing);
+            
+            // 2. 绘制身体
+            this.renderBody(renderer, centerX, bottomY);
+            
+            // 3. 绘制手臂
+            this.renderArms(renderer, centerX, bottomY, armSwing);
+            
+            // 4. 绘制头部
+            this.renderHead(renderer, centerX, bottomY);
+            
+            // 5. 绘制面部表情
+            this.renderFace(renderer, centerX, bottomY);
+        }
         
         // 恢复渲染状态
         renderer.restore();
     }
     
+    /**
+     * 渲染滑铲姿势：身体后仰贴地，双腿向前伸出，高度不超过滑铲碰撞高度
+     * @param {Renderer} renderer - 渲染器
+     * @param {number} centerX - 中心X坐标
+     * @param {number} bottomY - 底部Y坐标
+     */
+    renderSlidingPose(renderer, centerX, bottomY) {
+        // 向前伸出的腿和鞋
+        renderer.fillRect(centerX - 2, bottomY - 6, 16, 4, '#2c3e50');
+        renderer.fillRect(centerX + 12, bottomY - 8, 4, 6, '#34495e');
+        
+        // 后仰的身体和腰带
+        renderer.fillRect(centerX - 12, bottomY - 13, 14, 9, '#3498db');
+        renderer.fillRect(centerX - 12, bottomY - 11, 14, 1, '#2980b9');
+        renderer.fillRect(centerX, bottomY - 13, 2, 9, '#e67e22');
+        
+        // 撑地的手臂
+        renderer.fillRect(centerX - 16, bottomY - 5, 8, 3, '#f39c12');
+        renderer.drawCircle(centerX - 17, bottomY - 3, 2, '#f39c12');
+        
+        // 头部、头发和看向前方的眼睛
+        const headX = centerX - 14;
+        const headY = bottomY - 15;
+        renderer.drawCircle(headX, headY, 7, '#f39c12');
+        renderer.drawCircle(headX - 2, headY - 2, 6, '#8b4513');
+        renderer.drawCircle(headX + 4, headY, 1.5, '#2c3e50');
+        
+        // 脚下的摩擦火花
+        for (let i = 0; i < 3; i++) {
+            const phase = (this.animationFrame + i / 3) % 1;
+            renderer.setGlobalAlpha(0.6 * (1 - phase));
+            renderer.drawCircle(centerX + 16 - phase * 30, bottomY - 1 - i, 1.5, '#f1c40f');
+            renderer.resetGlobalAlpha();
+        }
+    }
+    
     /**
      * 渲染腿部
      * @param {Renderer} renderer - 渲染器
@@ -606,6 +1192,7 @@ class Player extends Entity {
                 renderer.fillRect(centerX - mouthWidth/2, mouthY, mouthWidth, 1, '#2c3e50');
                 break;
             case 'jumping':
+            case 'airJumping':
                 // 跳跃时的兴奋表情
                 renderer.drawCircle(centerX, mouthY, 2, '#2c3e50');
                 break;
@@ -660,6 +1247,20 @@ class Player extends Entity {
         }
     }
     
+    /**
+     * 渲染空中跳跃效果（脚下扩散的气团）
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderAirJumpEffect(renderer) {
+        const progress = 1 - this.airJumpEffectTime / 0.25;
+        const centerX = this.x + this.width / 2;
+        const footY = this.y + this.height;
+        
+        renderer.setGlobalAlpha(0.5 * (1 - progress));
+        renderer.drawEllipse(centerX, footY + 4, 16 + progress * 28, 6 + progress * 6, '#ecf0f1');
+        renderer.resetGlobalAlpha();
+    }
+    
     /**
      * 渲染中心指示器
      * @param {Renderer} renderer - 渲染器
@@ -706,7 +1307,7 @@ class Player extends Entity {
                         this.x, this.y - 30, '#ffffff', '12px Arial');
         renderer.drawText(`Vel: (${Math.round(this.velocityX)}, ${Math.round(this.velocityY)})`, 
                         this.x, this.y - 45, '#ffffff', '12px Arial');
-        renderer.drawText(`Grounded: ${this.isGrounded}, CanJump: ${this.canJump}`, 
+        renderer.drawText(`Grounded: ${this.isGrounded}, CanJump: ${this.canJump}, AirJumps: ${this.airJumpsRemaining}, Sliding: ${this.isSliding}`, 
                         this.x, this.y - 60, '#ffffff', '12px Arial');
         renderer.drawText(`Anim: ${animInfo.state} (${animInfo.frame}/${animInfo.totalFrames})`, 
                         this.x, this.y - 75, '#ffffff', '12px Arial');
@@ -0,0 +1,103 @@
+/**
+ * 道具类 - 随世界滚动的可拾取道具
+ */
+class PowerUp extends Entity {
+    constructor(x, y, type = 'shield') {
+        super(x, y, GameConfig.POWER_UP.SIZE, GameConfig.POWER_UP.SIZE);
+        this.velocityX = -GameConfig.OBSTACLE_SPEED;
+        
+        // 上下浮动
+        this.originalY = y;
+        this.bobTime = 0;
+        
+        this.setType(type);
+    }
+    
+    /**
+     * 设置道具类型
+     * @param {string} type - 道具类型（GameConfig.POWER_UP.TYPES中的键）
+     */
+    setType(type) {
+        this.type = type;
+        this.config = GameConfig.POWER_UP.TYPES[type];
+    }
+    
+    /**
+     * 更新道具状态
+     * @param {number} deltaTime - 时间增量
+     */
+    update(deltaTime) {
+        // 水平随世界滚动
+        this.x += this.velocityX * deltaTime;
+        
+        // 围绕基准高度上下浮动
+        this.bobTime += deltaTime;
+        this.y = this.originalY +
+            Math.sin(this.bobTime * GameConfig.POWER_UP.BOB_FREQUENCY * Math.PI * 2) * GameConfig.POWER_UP.BOB_AMPLITUDE;
+        
+        // 检查是否移出屏幕左侧
+        if (this.isOffscreenLeft()) {
+            this.destroy();
+        }
+    }
+    
+    /**
+     * 向目标点移动（磁铁效果）
+     * @param {number} targetX - 目标X坐标
+     * @param {number} targetY - 目标Y坐标
+     * @param {number} speed - 移动速度（像素/秒）
+     * @param {number} deltaTime - 时间增量
+     */
+    moveTowards(targetX, targetY, speed, deltaTime) {
+        const dx = targetX - (this.x + this.width / 2);
+        const dy = targetY - (this.y + this.height / 2);
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        if (distance === 0) {
+            return;
+        }
+        
+        const step = Math.min(distance, speed * deltaTime);
+        this.x += dx / distance * step;
+        this.y += dy / distance * step;
+        
+        // 同步浮动基准，避免下一步被拉回原高度
+        this.originalY += dy / distance * step;
+    }
+    
+    /**
+     * 检查道具是否移出屏幕左侧
+     * @returns {boolean} 是否在屏幕左侧外
+     */
+    isOffscreenLeft() {
+        return this.x + this.width < 0;
+    }
+    
+    /**
+     * 渲染道具
+     * @param {Renderer} renderer - 渲染器
+     */
+    render(renderer) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const radius = this.width / 2;
+        
+        // 外圈光晕
+        renderer.setGlobalAlpha(0.35);
+        renderer.drawCircle(centerX, centerY, radius + 4, this.config.color);
+        renderer.resetGlobalAlpha();
+        
+        // 道具主体
+        renderer.drawCircle(centerX, centerY, radius, this.config.color);
+        renderer.drawCircle(centerX, centerY, radius - 3, '#ffffff');
+        
+        // 道具图标
+        renderer.drawText(this.config.icon, centerX, centerY + 5, this.config.color, 'bold 13px Arial', 'center');
+        
+        // 调试模式下显示边界和类型
+        if (GameConfig.DEBUG) {
+            renderer.drawRect(this.x, this.y, this.width, this.height, 'rgba(255, 255, 0, 0.3)');
+            renderer.drawText(this.type, this.x, this.y - 5, '#ffffff', '10px Arial');
+        }
+    }
+}
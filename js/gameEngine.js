@@ -2,12 +2,21 @@
  * 游戏引擎 - 核心游戏循环和状态管理
  */
 class GameEngine {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement} canvas - 游戏画布
+     * @param {Object} options - 可选项，可替换渲染器和输入处理器（如无界面模拟）
+     * @param {Renderer} options.renderer - 渲染器
+     * @param {InputHandler} options.inputHandler - 输入处理器
+     */
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.renderer = new Renderer(canvas);
-        this.inputHandler = new InputHandler();
+        this.renderer = options.renderer || new Renderer(canvas);
+        this.inputHandler = options.inputHandler || new InputHandler(canvas);
         this.sceneManager = new SceneManager();
         this.physicsSystem = new PhysicsSystem();
+        this.audioManager = new AudioManager();
+        this.settings = new SettingsManager();
+        this.appliedHealthMode = null;   // 最近一次从设置应用到游戏场景的生命值模式
         
         this.isRunning = false;
         this.isPaused = false;
@@ -17,6 +26,14 @@ class GameEngine {
         this.frameCount = 0;
         this.fpsTimer = 0;
         
+        // 固定步长模拟状态
+        this.fixedDeltaTime = GameConfig.SIMULATION.FIXED_DELTA_TIME;
+        this.accumulator = 0;          // 尚未模拟的时间（秒）
+        this.simulationTick = 0;       // 已执行的模拟步数
+        this.interpolationAlpha = 1;   // 渲染插值系数
+        this.timeScale = 1;            // 模拟时间倍率
+        this.droppedTime = 0;          // 因超出单帧步数上限而丢弃的时间（秒）
+        
         this.gameLoop = this.gameLoop.bind(this);
         
         // 初始化性能监控器
@@ -29,8 +46,18 @@ class GameEngine {
         // 初始化对象池
         this.initializeObjectPools();
         
+        // 切换场景时清除上一个场景中没有读取的按键，如死亡时按住的按钮不会直接跳过结算画面
+        this.sceneManager.onChange(() => this.inputHandler.clearJustPressed());
+        
         // 初始化场景
         this.initializeScenes();
+        
+        // 应用保存的设置，之后设置变化时立即应用
+        this.applySettings();
+        this.settings.onChange(() => this.applySettings());
+        
+        // 初始化回放控制器
+        this.replayController = new ReplayController(this);
     }
     
     /**
@@ -206,9 +233,13 @@ class GameEngine {
      */
     initializeScenes() {
         // 创建场景实例
+        const loadingScene = new LoadingScene();
         const menuScene = new MenuScene();
         const gameScene = new GameScene();
         const gameOverScene = new GameOverScene();
+        const editorScene = new EditorScene();
+        const settingsScene = new SettingsScene();
+        const controlsScene = new ControlsScene();
         
         // 设置场景间的数据传递和回调
         gameScene.onReturnToMenu = () => {
@@ -221,18 +252,71 @@ class GameEngine {
             this.sceneManager.switchScene('gameOver');
         };
         
+        gameScene.onLevelTestEnd = (gameStats) => {
+            // 关卡试玩结束后回到编辑器，显示试玩结果
+            editorScene.setTestResult(gameStats);
+            this.sceneManager.switchScene('editor');
+        };
+        
         // 设置全局游戏引擎引用，供场景使用
+        loadingScene.gameEngine = this;
         menuScene.gameEngine = this;
         gameScene.gameEngine = this;
         gameOverScene.gameEngine = this;
+        editorScene.gameEngine = this;
+        settingsScene.gameEngine = this;
+        controlsScene.gameEngine = this;
         
         // 添加场景到场景管理器
+        this.sceneManager.addScene('loading', loadingScene);
         this.sceneManager.addScene('menu', menuScene);
         this.sceneManager.addScene('game', gameScene);
         this.sceneManager.addScene('gameOver', gameOverScene);
+        this.sceneManager.addScene('editor', editorScene);
+        this.sceneManager.addScene('settings', settingsScene);
+        this.sceneManager.addScene('controls', controlsScene);
         
-        // 设置初始场景为菜单
-        this.sceneManager.switchScene('menu');
+        // 设置初始场景为加载场景，资源加载完成后进入菜单
+        this.sceneManager.switchScene('loading');
+    }
+    
+    /**
+     * 把当前设置应用到音频、输入、渲染、界面语言和游戏场景
+     */
+    applySettings() {
+        const audio = this.settings.getSection('audio');
+        ['master', 'music', 'sfx', 'ui'].forEach(bus => {
+            this.audioManager.setVolume(bus, audio[bus]);
+        });
+        this.audioManager.setMuted(audio.muted);
+        
+        this.inputHandler.setBindings(this.settings.getSection('controls'));
+        this.inputHandler.setTouchLayout(this.settings.get('gameplay', 'touchControls'));
+        
+        this.renderer.setQuality(this.settings.get('video', 'quality'));
+        localization.setLanguage(this.settings.get('general', 'language'));
+        
+        // 难度（生命值模式）在下一局开始时生效；只在这个选项变化时应用，其他设置变化不覆盖URL指定的模式（?mode=）
+        const healthMode = this.settings.get('gameplay', 'healthMode');
+        const gameScene = this.sceneManager.scenes.get('game');
+        if (gameScene && healthMode !== this.appliedHealthMode) {
+            gameScene.setHealthMode(healthMode);
+            this.appliedHealthMode = healthMode;
+        }
+    }
+    
+    /**
+     * 选择难度（生命值模式）：保存到设置并立即应用到游戏场景，
+     * 与保存的设置相同时也会应用（替换URL指定的模式）
+     * @param {string} mode - 生命值模式（见 GameConfig.HEALTH.MODES）
+     */
+    setHealthMode(mode) {
+        this.settings.set('gameplay', 'healthMode', mode);
+        
+        const gameScene = this.sceneManager.scenes.get('game');
+        if (gameScene) {
+            gameScene.setHealthMode(mode);
+        }
     }
     
     /**
@@ -258,6 +342,7 @@ class GameEngine {
      */
     pause() {
         this.isPaused = true;
+        this.audioManager.suspend('engine');
     }
     
     /**
@@ -266,6 +351,7 @@ class GameEngine {
     resume() {
         this.isPaused = false;
         this.lastTime = performance.now();
+        this.audioManager.resume('engine');
     }
     
     /**
@@ -278,12 +364,10 @@ class GameEngine {
         // 开始性能监控
         this.performanceMonitor.startFrame();
         
-        // 计算时间增量
+        // 计算帧时间，限制最大值防止切回标签页后一次性追赶过多
         this.deltaTime = (currentTime - this.lastTime) / 1000;
         this.lastTime = currentTime;
-        
-        // 限制最大时间增量，防止大幅跳跃
-        this.deltaTime = Math.min(this.deltaTime, 1/30);
+        this.deltaTime = Math.min(this.deltaTime, GameConfig.SIMULATION.MAX_FRAME_TIME);
         
         // 计算FPS
         this.calculateFPS(this.deltaTime);
@@ -295,11 +379,19 @@ class GameEngine {
         }
         
         if (!this.isPaused) {
-            this.update(this.deltaTime);
+            // 手柄没有输入事件，每帧轮询一次
+            this.inputHandler.pollGamepads();
+            
+            // 回放控制在模拟步之外处理，回放暂停时仍可响应
+            this.replayController.update(this.inputHandler);
+            this.advanceSimulation(this.deltaTime * this.timeScale);
         }
         
         this.render();
         
+        // 安排即将播放的背景音乐音符
+        this.audioManager.update();
+        
         // 记录性能数据
         this.recordPerformanceMetrics();
         
@@ -310,8 +402,57 @@ class GameEngine {
     }
     
     /**
-     * 更新游戏状态
-     * @param {number} deltaTime - 时间增量
+     * 按固定步长推进模拟
+     * 帧时间累积到累加器中，每满一个步长执行一次update，剩余部分用于渲染插值
+     * @param {number} frameTime - 本帧经过的时间（秒）
+     */
+    advanceSimulation(frameTime) {
+        this.accumulator += frameTime;
+        
+        let steps = 0;
+        while (this.accumulator >= this.fixedDeltaTime) {
+            // 防止死亡螺旋：单帧步数达到上限时丢弃积压的时间
+            if (steps >= GameConfig.SIMULATION.MAX_STEPS_PER_FRAME) {
+                const backlog = this.accumulator - this.accumulator % this.fixedDeltaTime;
+                this.droppedTime += backlog;
+                this.accumulator -= backlog;
+                
+                if (GameConfig.DEBUG) {
+                    console.warn(`模拟落后，丢弃 ${(backlog * 1000).toFixed(1)}ms`);
+                }
+                break;
+            }
+            
+            this.step();
+            this.accumulator -= this.fixedDeltaTime;
+            steps++;
+        }
+        
+        this.interpolationAlpha = this.accumulator / this.fixedDeltaTime;
+    }
+    
+    /**
+     * 执行一个固定步长的模拟步
+     */
+    step() {
+        this.inputHandler.beginStep();
+        this.sceneManager.beginStep();
+        this.update(this.fixedDeltaTime);
+        this.inputHandler.endStep();
+        this.simulationTick++;
+    }
+    
+    /**
+     * 设置模拟时间倍率
+     * @param {number} scale - 时间倍率（1为正常速度）
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+    
+    /**
+     * 更新游戏状态（每个模拟步调用一次）
+     * @param {number} deltaTime - 固定时间步长（秒）
      */
     update(deltaTime) {
         // 更新输入处理器（处理射击冷却等）
@@ -320,8 +461,11 @@ class GameEngine {
         // 使用系统集成管理器更新系统
         this.systemIntegration.updateSystems(deltaTime);
         
-        // 处理当前场景的输入
+        // 处理当前场景的输入（先分发鼠标对界面按钮的点击）
         const currentScene = this.sceneManager.getCurrentScene();
+        if (currentScene) {
+            this.inputHandler.setPointerCursor(currentScene.handlePointer(this.inputHandler));
+        }
         if (currentScene && currentScene.handleInput) {
             currentScene.handleInput(this.inputHandler);
         }
@@ -336,19 +480,23 @@ class GameEngine {
     render() {
         this.renderer.clear();
         
-        // 更新背景滚动
-        this.renderer.updateBackground(this.deltaTime);
+        // 更新背景滚动（纯视觉效果，跟随帧时间平滑滚动）
+        this.renderer.updateBackground(this.deltaTime * this.timeScale);
         
         // 绘制背景
         this.renderer.drawBackground();
         
-        // 渲染当前场景
-        this.sceneManager.render(this.renderer);
+        // 渲染当前场景（实体位置在两个模拟步之间插值）
+        this.sceneManager.render(this.renderer, this.interpolationAlpha);
+        
+        // 绘制回放控制信息
+        this.replayController.render(this.renderer);
         
         // 绘制调试信息
         const debugInfo = {
             'Scene': this.sceneManager.getCurrentScene()?.name || 'None',
-            'Paused': this.isPaused
+            'Paused': this.isPaused,
+            'Tick': this.simulationTick
         };
         this.renderer.drawDebugInfo(this.fps, debugInfo);
         
@@ -0,0 +1,273 @@
+/**
+ * 手柄输入 - 通过 Gamepad API 每帧轮询已连接的手柄，把按钮和摇杆换算为游戏动作
+ * 多个手柄同时连接时任意手柄都可以触发动作，手柄可以随时插拔
+ */
+class GamepadInput {
+    /**
+     * @param {Object} config - 手柄配置（见 GameConfig.GAMEPAD）
+     */
+    constructor(config = GameConfig.GAMEPAD) {
+        this.config = config;
+        this.supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+        this.pads = new Map();        // 手柄编号 -> {id, type, actions: 上次轮询时按下的动作}
+        this.held = {};               // 任意手柄按住的动作
+        this.justPressed = {};        // 刚按下、尚未读取的动作
+        this.activePadIndex = null;   // 最近有输入的手柄（用于按钮提示和震动）
+        
+        if (this.supported) {
+            this.bindEvents();
+        }
+    }
+    
+    /**
+     * 绑定手柄连接和断开事件
+     */
+    bindEvents() {
+        window.addEventListener('gamepadconnected', (event) => {
+            this.addPad(event.gamepad);
+        });
+        
+        window.addEventListener('gamepaddisconnected', (event) => {
+            this.removePad(event.gamepad.index);
+        });
+    }
+    
+    /**
+     * 记录新连接的手柄
+     * @param {Gamepad} gamepad - 手柄
+     */
+    addPad(gamepad) {
+        if (this.pads.has(gamepad.index)) {
+            return;
+        }
+        
+        const type = this.detectType(gamepad.id);
+        this.pads.set(gamepad.index, { id: gamepad.id, type, actions: {} });
+        console.log(`手柄已连接: ${gamepad.id}（${type}）`);
+    }
+    
+    /**
+     * 移除断开的手柄，松开它按住的动作
+     * @param {number} index - 手柄编号
+     */
+    removePad(index) {
+        const pad = this.pads.get(index);
+        if (!pad) {
+            return;
+        }
+        
+        this.pads.delete(index);
+        if (this.activePadIndex === index) {
+            this.activePadIndex = null;
+        }
+        this.updateHeldActions();
+        console.log(`手柄已断开: ${pad.id}`);
+    }
+    
+    /**
+     * 读取所有手柄的当前状态（每帧调用一次）
+     * 有的浏览器不触发连接事件，轮询时也会发现新手柄和已断开的手柄
+     * @returns {boolean} 本次是否有手柄输入
+     */
+    poll() {
+        if (!this.supported) {
+            return false;
+        }
+        
+        const seen = new Set();
+        let active = false;
+        
+        Array.from(navigator.getGamepads() || []).forEach(gamepad => {
+            if (!gamepad || !gamepad.connected) {
+                return;
+            }
+            
+            seen.add(gamepad.index);
+            this.addPad(gamepad);
+            
+            const pad = this.pads.get(gamepad.index);
+            pad.actions = this.readActions(gamepad);
+            if (Object.keys(pad.actions).length > 0) {
+                this.activePadIndex = gamepad.index;
+                active = true;
+            }
+        });
+        
+        // 轮询时已经不存在的手柄视为断开
+        [...this.pads.keys()].filter(index => !seen.has(index)).forEach(index => this.removePad(index));
+        
+        this.updateHeldActions();
+        return active;
+    }
+    
+    /**
+     * 把手柄的按钮和摇杆换算为按下的动作
+     * @param {Gamepad} gamepad - 手柄
+     * @returns {Object} 按下的动作 {action: true}
+     */
+    readActions(gamepad) {
+        const actions = {};
+        
+        Object.entries(this.config.BUTTONS).forEach(([action, buttons]) => {
+            if (buttons.some(index => this.isButtonPressed(gamepad.buttons[index]))) {
+                actions[action] = true;
+            }
+        });
+        
+        this.config.AXES.forEach(({ axis, direction, action }) => {
+            const value = gamepad.axes[axis] || 0;
+            if (value * direction > this.config.AXIS_DEADZONE) {
+                actions[action] = true;
+            }
+        });
+        
+        return actions;
+    }
+    
+    /**
+     * 检查按钮是否按下（模拟扳机按值判断）
+     * @param {GamepadButton} button - 按钮
+     * @returns {boolean} 是否按下
+     */
+    isButtonPressed(button) {
+        return !!button && (button.pressed || button.value > this.config.TRIGGER_THRESHOLD);
+    }
+    
+    /**
+     * 合并所有手柄按住的动作，记录刚按下的动作（松开后未读取的单次触发作废，与键盘一致）
+     */
+    updateHeldActions() {
+        const held = {};
+        this.pads.forEach(pad => {
+            Object.keys(pad.actions).forEach(action => {
+                held[action] = true;
+            });
+        });
+        
+        new Set([...Object.keys(this.held), ...Object.keys(held)]).forEach(action => {
+            if (held[action] && !this.held[action]) {
+                this.justPressed[action] = true;
+            }
+            if (!held[action]) {
+                this.justPressed[action] = false;
+            }
+        });
+        
+        this.held = held;
+    }
+    
+    /**
+     * 检查动作是否被按下
+     * @param {string} action - 动作
+     * @returns {boolean} 是否被按下
+     */
+    isActionPressed(action) {
+        return !!this.held[action];
+    }
+    
+    /**
+     * 检查动作是否刚被按下（单次触发）
+     * @param {string} action - 动作
+     * @returns {boolean} 是否刚被按下
+     */
+    isActionJustPressed(action) {
+        if (this.justPressed[action] && this.held[action]) {
+            this.justPressed[action] = false;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * 清除没有读取的单次触发（按住的动作需要松开后重新按下才会再次触发）
+     */
+    clearJustPressed() {
+        this.justPressed = {};
+    }
+    
+    /**
+     * 按手柄名称识别手柄类型
+     * @param {string} id - 手柄名称（gamepad.id）
+     * @returns {string} 手柄类型（见 GameConfig.GAMEPAD.TYPES，无法识别时为 'generic'）
+     */
+    detectType(id) {
+        const name = (id || '').toLowerCase();
+        const type = Object.keys(this.config.TYPES).find(key => this.config.TYPES[key].some(pattern => name.includes(pattern)));
+        return type || 'generic';
+    }
+    
+    /**
+     * 检查是否有手柄连接
+     * @returns {boolean} 是否有手柄连接
+     */
+    isConnected() {
+        return this.pads.size > 0;
+    }
+    
+    /**
+     * 获取最近使用的手柄编号（还没有输入时使用第一个连接的手柄）
+     * @returns {number|null} 手柄编号，没有手柄时返回null
+     */
+    getActivePadIndex() {
+        if (this.activePadIndex !== null && this.pads.has(this.activePadIndex)) {
+            return this.activePadIndex;
+        }
+        const first = this.pads.keys().next();
+        return first.done ? null : first.value;
+    }
+    
+    /**
+     * 获取最近使用的手柄类型
+     * @returns {string|null} 手柄类型，没有手柄时返回null
+     */
+    getActiveType() {
+        const index = this.getActivePadIndex();
+        return index === null ? null : this.pads.get(index).type;
+    }
+    
+    /**
+     * 获取动作在最近使用的手柄上的主按钮名称
+     * @param {string} action - 动作
+     * @returns {string|null} 按钮名称（如 'A'、'✕'），动作没有按钮时返回null
+     */
+    getButtonName(action) {
+        const names = this.config.BUTTON_NAMES[this.getActiveType() || 'generic'];
+        const buttons = this.config.BUTTONS[action] || [];
+        return buttons.length > 0 ? names[buttons[0]] : null;
+    }
+    
+    /**
+     * 让最近使用的手柄震动（浏览器或手柄不支持时忽略）
+     * @param {Object} effect - 震动效果 {strong, weak, duration}（见 GameConfig.GAMEPAD.RUMBLE）
+     */
+    rumble(effect) {
+        const index = this.getActivePadIndex();
+        if (!this.supported || !effect || index === null) {
+            return;
+        }
+        
+        const gamepad = navigator.getGamepads()[index];
+        if (!gamepad) {
+            return;
+        }
+        
+        try {
+            let result = null;
+            if (gamepad.vibrationActuator && gamepad.vibrationActuator.playEffect) {
+                result = gamepad.vibrationActuator.playEffect('dual-rumble', {
+                    duration: effect.duration,
+                    strongMagnitude: effect.strong,
+                    weakMagnitude: effect.weak
+                });
+            } else if (gamepad.hapticActuators && gamepad.hapticActuators[0]) {
+                result = gamepad.hapticActuators[0].pulse(Math.max(effect.strong, effect.weak), effect.duration);
+            }
+            
+            if (result && result.catch) {
+                result.catch(error => console.warn('手柄震动失败:', error));
+            }
+        } catch (error) {
+            console.warn('手柄震动失败:', error);
+        }
+    }
+}
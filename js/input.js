@@ -1,26 +1,57 @@
 /**
  * 输入处理系统
+ * 按键使用 event.code 表示（如 'Space'、'KeyQ'），游戏场景通过动作（jump、shoot、slide…）查询，动作绑定的按键可在设置中修改
+ * 手柄的按钮和摇杆由 GamepadInput、画布上的触摸由 TouchInput 换算为相同的动作，键盘、手柄和触摸任意一个按下即触发动作
  */
 class InputHandler {
-    constructor() {
-        this.keys = {};
-        this.keyStates = {};
+    /**
+     * @param {HTMLCanvasElement|null} canvas - 游戏画布（用于鼠标和触摸输入，为null时只处理键盘和手柄）
+     */
+    constructor(canvas = null) {
+        this.canvas = canvas;
+        this.keys = {};        // 按住的按键（event.code -> 是否按下）
+        this.keyStates = {};   // 刚按下、尚未读取的按键
         this.callbacks = {};
         this.keyUpCallbacks = {};
-        this.keyMap = {
-            'Space': 32,
-            'Enter': 13,
-            'Escape': 27,
-            'KeyR': 82,
-            'KeyQ': 81       // Q键用于射击
-        };
+        
+        // 动作绑定（动作 -> 按键列表），由设置修改
+        this.bindings = {};
+        this.setBindings(GameConfig.SETTINGS.DEFAULTS.controls);
+        
+        // 等待按键（按键设置界面使用），等待时按下的按键不作为游戏输入
+        this.capturingKey = false;
+        this.capturedKey = null;
+        
+        // 手柄和触摸输入，以及最近使用的输入设备（决定操作提示显示按键、手柄按钮还是触摸操作）
+        this.gamepad = new GamepadInput();
+        this.touch = new TouchInput(canvas);
+        this.lastDevice = 'keyboard';
+        
+        // 点击界面按钮触发的动作（如暂停界面的“继续”），在当前模拟步内视为按下，与按键一样被录制
+        this.uiActions = {};   // 动作 -> 单次触发是否尚未读取
         
         // 射击相关状态
         this.shootCooldown = 0;
-        this.shootCooldownTime = 300; // 300毫秒冷却时间
+        this.shootCooldownTime = GameConfig.WEAPONS.TYPES[GameConfig.WEAPONS.DEFAULT].cooldown; // 与默认武器一致（游戏中的冷却和热量由Player管理）
         this.lastShootTime = 0;
         
+        // 鼠标状态（坐标为游戏画布坐标）
+        this.mouseX = 0;
+        this.mouseY = 0;
+        this.mouseOverCanvas = false;
+        this.pointerCursor = false;
+        this.mouseButtons = {};
+        this.mouseButtonStates = {};
+        this.mouseReleaseStates = {};
+        this.mouseWheel = 0;
+        
         this.bindEvents();
+        if (this.canvas) {
+            this.bindMouseEvents();
+            this.canvas.addEventListener('touchstart', () => {
+                this.lastDevice = 'touch';
+            });
+        }
     }
     
     /**
@@ -28,85 +59,469 @@ class InputHandler {
      */
     bindEvents() {
         document.addEventListener('keydown', (event) => {
-            this.keys[event.keyCode] = true;
-            this.keyStates[event.keyCode] = true;
+            const code = event.code;
+            if (!code) {
+                return;
+            }
             
-            // 处理射击输入（Q键）
-            if (event.keyCode === 81) { // Q键
+            // 等待按键时只记录按下的按键
+            if (this.capturingKey) {
+                event.preventDefault();
+                if (!event.repeat) {
+                    this.capturedKey = code;
+                    this.capturingKey = false;
+                }
+                return;
+            }
+            
+            this.keys[code] = true;
+            this.keyStates[code] = true;
+            this.lastDevice = 'keyboard';
+            
+            // 处理射击输入
+            if (this.bindings.shoot && this.bindings.shoot.includes(code)) {
                 this.handleShootInput();
             }
             
             // 触发回调
-            if (this.callbacks[event.keyCode]) {
-                this.callbacks[event.keyCode].forEach(callback => callback());
+            if (this.callbacks[code]) {
+                this.callbacks[code].forEach(callback => callback());
             }
             
-            // 阻止默认行为（如空格键滚动页面）
-            if (event.keyCode === 32 || event.keyCode === 81) {
+            // 阻止动作按键和方向键的默认行为（如空格键和方向键滚动页面），在输入框中输入时除外
+            if (this.isGameKey(code) && !this.isTextInput(event.target)) {
                 event.preventDefault();
             }
         });
         
         document.addEventListener('keyup', (event) => {
-            this.keys[event.keyCode] = false;
-            this.keyStates[event.keyCode] = false;
+            const code = event.code;
+            this.keys[code] = false;
+            this.keyStates[code] = false;
             
             // 触发按键释放回调
-            if (this.keyUpCallbacks[event.keyCode]) {
-                this.keyUpCallbacks[event.keyCode].forEach(callback => callback());
+            if (this.keyUpCallbacks[code]) {
+                this.keyUpCallbacks[code].forEach(callback => callback());
+            }
+        });
+    }
+    
+    /**
+     * 绑定画布上的鼠标事件
+     */
+    bindMouseEvents() {
+        this.canvas.addEventListener('mousemove', (event) => {
+            this.updateMousePosition(event);
+        });
+        
+        this.canvas.addEventListener('mouseleave', () => {
+            this.mouseOverCanvas = false;
+        });
+        
+        this.canvas.addEventListener('mousedown', (event) => {
+            this.updateMousePosition(event);
+            this.mouseButtons[event.button] = true;
+            this.mouseButtonStates[event.button] = true;
+            event.preventDefault();
+        });
+        
+        // 在画布外松开按键时也要结束拖动
+        // 只清除按住状态：按下和松开落在同一模拟步之前（如触控板轻点）时，刚按下的状态仍在下一步读取，没有读取的在步末作废（见 endStep）
+        document.addEventListener('mouseup', (event) => {
+            if (this.mouseButtons[event.button]) {
+                this.mouseReleaseStates[event.button] = true;
             }
+            this.mouseButtons[event.button] = false;
+        });
+        
+        this.canvas.addEventListener('wheel', (event) => {
+            this.mouseWheel += event.deltaY;
+            event.preventDefault();
+        }, { passive: false });
+        
+        // 右键用于删除，不显示菜单
+        this.canvas.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
         });
     }
     
+    /**
+     * 将鼠标事件的页面坐标换算为游戏画布坐标
+     * @param {MouseEvent} event - 鼠标事件
+     */
+    updateMousePosition(event) {
+        const point = Utils.clientToCanvas(this.canvas, event.clientX, event.clientY);
+        if (!point) {
+            return;
+        }
+        this.mouseX = point.x;
+        this.mouseY = point.y;
+        this.mouseOverCanvas = true;
+    }
+    
+    /**
+     * 获取鼠标位置
+     * @returns {Object} 画布坐标 {x, y}
+     */
+    getMousePosition() {
+        return { x: this.mouseX, y: this.mouseY };
+    }
+    
+    /**
+     * 检查鼠标是否在画布上
+     * @returns {boolean} 是否在画布上
+     */
+    isMouseOverCanvas() {
+        return this.mouseOverCanvas;
+    }
+    
+    /**
+     * 鼠标指向界面按钮时显示手形光标
+     * @param {boolean} pointer - 是否指向按钮
+     */
+    setPointerCursor(pointer) {
+        if (this.pointerCursor === pointer || !this.canvas) {
+            return;
+        }
+        this.pointerCursor = pointer;
+        this.canvas.style.cursor = pointer ? 'pointer' : '';
+    }
+    
+    /**
+     * 检查鼠标按键是否被按下
+     * @param {number} button - 按键（0左键，2右键）
+     * @returns {boolean} 是否被按下
+     */
+    isMouseButtonPressed(button = 0) {
+        return this.mouseButtons[button] || false;
+    }
+    
+    /**
+     * 检查鼠标按键是否刚被按下（单次触发）
+     * @param {number} button - 按键（0左键，2右键）
+     * @returns {boolean} 是否刚被按下
+     */
+    isMouseButtonJustPressed(button = 0) {
+        if (this.mouseButtonStates[button]) {
+            this.mouseButtonStates[button] = false;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * 检查鼠标按键是否刚被松开（单次触发）
+     * @param {number} button - 按键（0左键，2右键）
+     * @returns {boolean} 是否刚被松开
+     */
+    isMouseButtonJustReleased(button = 0) {
+        if (this.mouseReleaseStates[button]) {
+            this.mouseReleaseStates[button] = false;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * 读取并清空累计的滚轮滚动量
+     * @returns {number} 滚动量（向下为正）
+     */
+    consumeMouseWheel() {
+        const wheel = this.mouseWheel;
+        this.mouseWheel = 0;
+        return wheel;
+    }
+    
+    /**
+     * 设置动作绑定，缺少的动作使用默认按键
+     * @param {Object} bindings - 动作 -> 按键列表（event.code，如 'Space'、'KeyQ'）
+     */
+    setBindings(bindings) {
+        const defaults = GameConfig.SETTINGS.DEFAULTS.controls;
+        this.bindings = {};
+        
+        Object.keys(defaults).forEach(action => {
+            const keys = bindings && Array.isArray(bindings[action]) ? bindings[action] : defaults[action];
+            this.bindings[action] = [...keys];
+        });
+    }
+    
+    /**
+     * 获取动作绑定的按键（界面动作为固定按键）
+     * @param {string} action - 动作
+     * @returns {Array<string>} 按键列表（第一个为主按键）
+     */
+    getActionKeys(action) {
+        return [...this.getBoundKeys(action)];
+    }
+    
+    /**
+     * 获取动作使用的按键：游戏动作为玩家设置的绑定，界面动作为 GameConfig.SETTINGS.UI_ACTIONS 中的固定按键
+     * @param {string} action - 动作
+     * @returns {Array<string>} 按键列表（不要修改）
+     */
+    getBoundKeys(action) {
+        return this.bindings[action] || GameConfig.SETTINGS.UI_ACTIONS[action] || [];
+    }
+    
+    /**
+     * 检查按键是否由游戏使用（绑定到动作的按键和方向键）
+     * @param {string} code - 按键
+     * @returns {boolean} 是否由游戏使用
+     */
+    isGameKey(code) {
+        return code.startsWith('Arrow') || Object.values(this.bindings).some(keys => keys.includes(code));
+    }
+    
+    /**
+     * 检查事件目标是否为文字输入框（如调试控制台）
+     * @param {EventTarget} target - 事件目标
+     * @returns {boolean} 是否为文字输入框
+     */
+    isTextInput(target) {
+        return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable === true);
+    }
+    
     /**
      * 检查按键是否被按下
-     * @param {number|string} key - 键码或键名
+     * @param {string} code - 按键（event.code）
      * @returns {boolean} 是否被按下
      */
-    isKeyPressed(key) {
-        const keyCode = typeof key === 'string' ? this.keyMap[key] : key;
-        return this.keys[keyCode] || false;
+    isKeyPressed(code) {
+        return this.keys[code] || false;
     }
     
     /**
      * 检查按键是否刚被按下（单次触发）
-     * @param {number|string} key - 键码或键名
+     * @param {string} code - 按键（event.code）
      * @returns {boolean} 是否刚被按下
      */
-    isKeyJustPressed(key) {
-        const keyCode = typeof key === 'string' ? this.keyMap[key] : key;
-        if (this.keyStates[keyCode] && this.keys[keyCode]) {
-            this.keyStates[keyCode] = false; // 重置状态，确保单次触发
+    isKeyJustPressed(code) {
+        if (this.keyStates[code] && this.keys[code]) {
+            this.keyStates[code] = false; // 重置状态，确保单次触发
             return true;
         }
         return false;
     }
     
+    /**
+     * 检查动作是否被触发（任意绑定的按键、手柄按钮、触摸或界面按钮被按下）
+     * @param {string} action - 动作
+     * @returns {boolean} 是否被按下
+     */
+    isActionPressed(action) {
+        return this.getBoundKeys(action).some(code => this.isKeyPressed(code)) ||
+            this.gamepad.isActionPressed(action) ||
+            this.touch.isActionPressed(action) ||
+            action in this.uiActions;
+    }
+    
+    /**
+     * 检查动作是否刚被触发（单次触发）
+     * @param {string} action - 动作
+     * @returns {boolean} 是否刚被按下
+     */
+    isActionJustPressed(action) {
+        // 读取所有绑定的按键、手柄、触摸和界面按钮，同时按下的多个按键只触发一次
+        let justPressed = false;
+        this.getBoundKeys(action).forEach(code => {
+            if (this.isKeyJustPressed(code)) {
+                justPressed = true;
+            }
+        });
+        if (this.gamepad.isActionJustPressed(action)) {
+            justPressed = true;
+        }
+        if (this.touch.isActionJustPressed(action)) {
+            justPressed = true;
+        }
+        if (this.uiActions[action]) {
+            this.uiActions[action] = false;
+            justPressed = true;
+        }
+        return justPressed;
+    }
+    
+    /**
+     * 轮询手柄状态（手柄没有输入事件，由游戏主循环每帧调用）
+     */
+    pollGamepads() {
+        if (this.gamepad.poll()) {
+            this.lastDevice = 'gamepad';
+        }
+    }
+    
+    /**
+     * 检查玩家当前是否在使用手柄（最近的输入来自仍然连接的手柄）
+     * @returns {boolean} 是否在使用手柄
+     */
+    isUsingGamepad() {
+        return this.lastDevice === 'gamepad' && this.gamepad.isConnected();
+    }
+    
+    /**
+     * 获取动作在当前手柄上的按钮名称
+     * @param {string} action - 动作
+     * @returns {string|null} 按钮名称（如 'A'、'✕'）
+     */
+    getGamepadButtonName(action) {
+        return this.gamepad.getButtonName(action);
+    }
+    
+    /**
+     * 让当前手柄震动
+     * @param {string} effect - 震动效果（见 GameConfig.GAMEPAD.RUMBLE）
+     */
+    rumble(effect) {
+        this.gamepad.rumble(GameConfig.GAMEPAD.RUMBLE[effect]);
+    }
+    
+    /**
+     * 新的模拟步开始（由游戏引擎在每个模拟步开始时调用）
+     */
+    beginStep() {
+        this.touch.beginStep();
+        this.uiActions = {};
+    }
+    
+    /**
+     * 模拟步结束（由游戏引擎在每个模拟步结束时调用）
+     * 本步没有被读取的鼠标按下和松开作废，避免在没有按钮的画面上的点击留到之后的界面上触发
+     */
+    endStep() {
+        this.mouseButtonStates = {};
+        this.mouseReleaseStates = {};
+    }
+    
+    /**
+     * 清除所有没有读取的单次触发（切换场景时调用），
+     * 上一个场景中按下的键、按钮和鼠标点击不会在新场景中触发
+     */
+    clearJustPressed() {
+        this.keyStates = {};
+        this.mouseButtonStates = {};
+        this.mouseReleaseStates = {};
+        this.uiActions = {};
+        this.gamepad.clearJustPressed();
+        this.touch.clearJustPressed();
+    }
+    
+    /**
+     * 触发动作（点击界面按钮时使用），在当前模拟步内视为按下并触发一次
+     * @param {string} action - 动作
+     */
+    pressAction(action) {
+        this.uiActions[action] = true;
+    }
+    
+    /**
+     * 检查本模拟步是否点击了屏幕（用于点击屏幕开始游戏，读取后这次触摸不再触发游戏动作）
+     * @returns {boolean} 是否点击了屏幕
+     */
+    isScreenJustTapped() {
+        return this.touch.consumeTap();
+    }
+    
+    /**
+     * 检查玩家当前是否在使用触摸操作
+     * @returns {boolean} 是否在使用触摸
+     */
+    isUsingTouch() {
+        return this.lastDevice === 'touch';
+    }
+    
+    /**
+     * 设置触摸操作布局
+     * @param {string} layout - 布局（见 GameConfig.TOUCH.LAYOUTS）
+     */
+    setTouchLayout(layout) {
+        this.touch.setLayout(layout);
+    }
+    
+    /**
+     * 获取触摸操作布局
+     * @returns {string} 布局
+     */
+    getTouchLayout() {
+        return this.touch.layout;
+    }
+    
+    /**
+     * 获取当前触摸布局显示的屏幕按钮
+     * @returns {Array<Object>} 按钮 {action, x, y, radius, label?}
+     */
+    getTouchButtons() {
+        return this.touch.getButtons();
+    }
+    
+    /**
+     * 检查当前触摸布局能否触发动作
+     * @param {string} action - 动作
+     * @returns {boolean} 能否触发
+     */
+    hasTouchAction(action) {
+        return this.touch.hasAction(action);
+    }
+    
+    /**
+     * 开始等待按键，下一次按下的按键由 consumeCapturedKey 读取
+     */
+    startKeyCapture() {
+        this.capturingKey = true;
+        this.capturedKey = null;
+    }
+    
+    /**
+     * 取消等待按键
+     */
+    cancelKeyCapture() {
+        this.capturingKey = false;
+        this.capturedKey = null;
+    }
+    
+    /**
+     * 检查是否正在等待按键
+     * @returns {boolean} 是否正在等待
+     */
+    isCapturingKey() {
+        return this.capturingKey;
+    }
+    
+    /**
+     * 读取并清空等待到的按键
+     * @returns {string|null} 按下的按键（event.code），还没有按下时返回null
+     */
+    consumeCapturedKey() {
+        const code = this.capturedKey;
+        this.capturedKey = null;
+        return code;
+    }
+    
     /**
      * 注册按键按下回调
-     * @param {number} keyCode - 键码
+     * @param {string} code - 按键（event.code）
      * @param {Function} callback - 回调函数
      */
-    onKeyDown(keyCode, callback) {
-        if (!this.callbacks[keyCode]) {
-            this.callbacks[keyCode] = [];
+    onKeyDown(code, callback) {
+        if (!this.callbacks[code]) {
+            this.callbacks[code] = [];
         }
-        this.callbacks[keyCode].push(callback);
+        this.callbacks[code].push(callback);
     }
     
     /**
      * 注册按键释放回调
-     * @param {number} keyCode - 键码
+     * @param {string} code - 按键（event.code）
      * @param {Function} callback - 回调函数
      */
-    onKeyUp(keyCode, callback) {
+    onKeyUp(code, callback) {
         if (!this.keyUpCallbacks) {
             this.keyUpCallbacks = {};
         }
-        if (!this.keyUpCallbacks[keyCode]) {
-            this.keyUpCallbacks[keyCode] = [];
+        if (!this.keyUpCallbacks[code]) {
+            this.keyUpCallbacks[code] = [];
         }
-        this.keyUpCallbacks[keyCode].push(callback);
+        this.keyUpCallbacks[code].push(callback);
     }
     
     /**
@@ -147,11 +562,11 @@ class InputHandler {
     }
     
     /**
-     * 检查射击键是否被按下
+     * 检查射击动作的按键是否被按下
      * @returns {boolean} 射击键是否被按下
      */
     isShootKeyPressed() {
-        return this.isKeyPressed(81); // Q键
+        return this.isActionPressed('shoot');
     }
     
     /**
@@ -0,0 +1,578 @@
+/**
+ * 界面文字翻译表（按语言和文字ID）
+ * 其他语言缺少的文字使用中文，文字中的 {name} 替换为参数
+ */
+const LOCALIZED_STRINGS = {
+    zh: {
+        'language.zh': '中文',
+        'language.en': 'English',
+        
+        'key.Space': '空格键',
+        'key.Escape': 'ESC',
+        'key.Enter': '回车键',
+        'key.Tab': 'Tab键',
+        'key.Backspace': '退格键',
+        'key.ShiftLeft': '左Shift',
+        'key.ShiftRight': '右Shift',
+        'key.ControlLeft': '左Ctrl',
+        'key.ControlRight': '右Ctrl',
+        'key.AltLeft': '左Alt',
+        'key.AltRight': '右Alt',
+        'key.letter': '{key}键',
+        'gamepad.button': '{button}键',
+        'touch.zones.jump': '屏幕左侧',
+        'touch.zones.shoot': '屏幕右侧',
+        'touch.zones.slide': '向下滑动',
+        'touch.zones.pause': '暂停按钮',
+        'touch.buttons.jump': '跳跃按钮',
+        'touch.buttons.shoot': '射击按钮',
+        'touch.buttons.slide': '按住滑铲按钮',
+        'touch.buttons.pause': '暂停按钮',
+        'touch.button.jump': '跳跃',
+        'touch.button.shoot': '射击',
+        'touch.button.slide': '滑铲',
+        
+        'action.jump': '跳跃 / 确认',
+        'action.shoot': '射击',
+        'action.slide': '滑铲',
+        'action.pause': '暂停 / 继续',
+        'action.restart': '重新开始',
+        'action.weapon1': '武器1',
+        'action.weapon2': '武器2',
+        'action.weapon3': '武器3',
+        'action.weapon4': '武器4',
+        
+        'healthMode.classic': '经典',
+        'healthMode.classic.description': '一碰即结束',
+        'healthMode.hearts': '生命',
+        'healthMode.hearts.description': '3颗心，2条命',
+        'touchLayout.zones': '点击屏幕左右两侧',
+        'touchLayout.buttons': '屏幕按钮',
+        
+        'difficulty.tier.1': '热身',
+        'difficulty.tier.2': '进阶',
+        'difficulty.tier.3': '挑战',
+        'difficulty.tier.4': '困难',
+        'difficulty.tier.5': '极限',
+        'biome.meadow': '草原',
+        'biome.desert': '沙漠',
+        'biome.nightCity': '夜之城',
+        'biome.ice': '冰原',
+        'biome.moon': '月球',
+        'biome.lowGravity': '低重力',
+        'biome.highGravity': '高重力',
+        'biome.slippery': '冰面打滑，跳跃难以控制',
+        'powerUp.shield': '护盾',
+        'powerUp.rapidFire': '速射',
+        'powerUp.scoreDoubler': '双倍得分',
+        'powerUp.magnet': '磁铁',
+        'powerUp.slowTime': '时间减缓',
+        'powerUp.coolant': '冷却剂',
+        'weapon.blaster': '爆能枪',
+        'weapon.spread': '散射枪',
+        'weapon.laser': '穿透激光',
+        'weapon.charge': '蓄力炮',
+        'boss.name': '钢铁巨像 Lv.{level}',
+        'boss.warning': '⚠ 首领来袭：{name} ⚠',
+        'enemy.chaser': '追踪者',
+        'enemy.turret': '炮台',
+        'enemy.diver': '俯冲者',
+        
+        'loading.progress': '正在加载资源 {count}/{total}{dots}',
+        'loading.waiting': '正在加载{dots}',
+        
+        'menu.title': '跑酷大冒险',
+        'menu.subtitle': 'Runner Adventure',
+        'menu.start': '开始游戏',
+        'menu.startHint': '按 [{key}] 开始',
+        'menu.tapToStart': '点击屏幕开始',
+        'menu.mode': '模式: {name}（{description}） 按 [M] 切换',
+        'menu.link.settings': '设置 [O]',
+        'menu.link.import': '导入回放 [L]',
+        'menu.link.editor': '关卡编辑器 [K]',
+        'menu.instructionsTitle': '游戏说明',
+        'menu.instruction1': '🏃 角色会自动向前奔跑',
+        'menu.instruction2': '⬆️ 按{jump}跳跃，按住跳得更高，空中可再跳一次',
+        'menu.instruction3': '🔫 按{shoot}射击消除漂浮障碍物，{weapons}切换武器',
+        'menu.instruction4': '🚧 跳过地面障碍物，按住{slide}滑铲穿过顶部障碍物',
+        'menu.instruction5': '🎯 射击漂浮障碍物获得额外得分',
+        'menu.instruction6': '🏆 坚持越久得分越高',
+        'menu.touchInstruction2': '⬆️ 点击{jump}跳跃，按住跳得更高，空中可再跳一次',
+        'menu.touchInstruction3': '🔫 点击{shoot}射击消除漂浮障碍物',
+        'menu.touchInstruction4': '🚧 跳过地面障碍物，{slide}滑铲穿过顶部障碍物',
+        'menu.footer': '© 2024 跑酷游戏 - 按{jump}开始冒险！ | 按 [M] 切换模式 | 按 [L] 导入回放 | 按 [K] 关卡编辑器',
+        'menu.touchFooter': '© 2024 跑酷游戏 - 点击屏幕开始冒险！',
+        
+        'pause.title': '游戏暂停',
+        'pause.resume': '按{jump}或{pause}继续',
+        'pause.restart': '按{restart}重新开始',
+        'pause.settings': '按{settings}打开设置',
+        'pause.touchResume': '点击{jump}或{pause}继续',
+        
+        'hud.time': '时间: {time}',
+        'hud.controls': '{jump}跳跃（按住跳更高，空中可再跳） | {slide}滑铲 | {shoot}射击 | {weapons}切换武器 | {escape}',
+        'hud.escapePause': '{pause}暂停',
+        'hud.escapeEditor': '{pause}返回编辑器',
+        'hud.touchControls': '点击{jump}跳跃 | {slide}滑铲 | 点击{shoot}射击',
+        'hud.combo': '射击连击: {count}x ({multiplier}倍得分)',
+        'hud.comboHint': '射击漂浮障碍物和敌人获得额外得分！',
+        'hud.fps': 'FPS: {fps}',
+        
+        'hud.score': '得分: {score}',
+        'hud.highScore': '最高分: {score}',
+        'hud.scoreCombo': '连击: {count}x ({multiplier}倍)',
+        'hud.multiplier': '倍数: x{multiplier}',
+        'hud.heat': '热量',
+        'hud.overheated': '过热',
+        'hud.levelProgress': '关卡: {name} {progress}% | ',
+        'hud.difficulty': '{level}难度: Lv.{tierLevel} {tier} | 区域: {biome} | 距离: {meters}m',
+        'hud.tierUp': '难度提升！Lv.{tierLevel} {tier}',
+        'hud.biomeEnter': '进入{biome}{effects}',
+        'hud.biomeEffects': '（{effects}）',
+        'hud.biomeEffectSeparator': '，',
+        
+        'effect.shieldBlock': '护盾抵挡！',
+        'effect.lifeLost': '失去一条命！剩余 {lives}',
+        'effect.bossDefeated': '击败 {name}！',
+        'effect.overheat': '过热！',
+        
+        'gameOver.title': '游戏结束',
+        'gameOver.subtitle': 'Game Over',
+        'gameOver.finalScore': '最终得分: {score}',
+        'gameOver.bestScore': '最佳得分: {score}',
+        'gameOver.grade': '等级: {grade}',
+        'gameOver.maxCombo': '最高连击: {combo}x',
+        'gameOver.shooting': '射击命中率: {accuracy}% ({hits}/{shots}) | 热量效率: {efficiency}命中/满热量 | 过热: {overheats}次',
+        'gameOver.newRecord': '新纪录！',
+        'gameOver.restart': '重新开始',
+        'gameOver.restartHint': '按 [{key}]',
+        'gameOver.tapToRestart': '点击屏幕',
+        'gameOver.restartKeys': '按{restart}或{jump}重新开始',
+        'gameOver.menuHint': '按{menu}返回菜单',
+        'gameOver.replayHint': '按←键后退查看，按ESC退出回放',
+        'gameOver.reached': '到达难度: Lv.{level} {tier} | 奔跑距离: {meters}m',
+        'gameOver.option.menu': '[{key}] 返回主菜单',
+        'gameOver.option.sameSeed': '[{key}] 相同种子重玩',
+        'gameOver.option.watch': '[{key}] 观看回放',
+        'gameOver.option.export': '[{key}] 导出回放',
+        'gameOver.tip': '提示：按{shoot}射击漂浮障碍物获得额外得分和连击奖励！',
+        'gameOver.seed': '种子: {seed}',
+        'gameOver.bosses': '👑 击败首领: {names}',
+        'gameOver.bossesMore': '{names} 等{count}个',
+        'gameOver.bossSeparator': '、',
+        'gameOver.reason.collision': '撞到障碍物了！',
+        'gameOver.reason.enemy': '被敌人撞到了！',
+        'gameOver.reason.shot': '被敌人击中了！',
+        'gameOver.reason.fall': '掉下去了！',
+        'gameOver.reason.outOfBounds': '跑出边界了！',
+        'gameOver.reason.levelComplete': '关卡完成！',
+        
+        'replay.status': '回放 {status} | {current}s / {total}s | 种子: {seed}',
+        'replay.ended': '■ 回放结束',
+        'replay.paused': '❚❚ 已暂停',
+        'replay.help': '[P]暂停 [↑↓]速度 [←→]跳转 [ESC]退出',
+        'replay.configMismatch': '⚠️ 录制时的游戏配置与当前不同，回放可能不一致',
+        'replay.importFailed': '导入回放失败: {error}',
+        
+        'editor.status': '关卡编辑器 | {name} | 难度: {tier} | 长度: {length}m | 条目: {entries} | 视图: {position}m',
+        'editor.help': '左键放置/拖动 右键删除 T类型 ↑↓高度 P文字/名称 D难度 [ ]长度 ←→/滚轮滚动 Enter试玩 E导出 L导入 N新建 ESC返回',
+        'editor.selected': '  | 选中: {type} @{at}',
+        'editor.tool.obstacle': '地面障碍物',
+        'editor.tool.floating': '漂浮障碍物',
+        'editor.tool.powerUp': '道具',
+        'editor.tool.trigger': '触发器',
+        'editor.randomPowerUp': '随机道具',
+        'editor.trigger.boss': '首领战',
+        'editor.trigger.message': '提示文字',
+        'editor.finish': '终点',
+        'editor.newLevel': '新关卡',
+        'editor.prompt.message': '提示文字',
+        'editor.prompt.levelName': '关卡名称',
+        'editor.prompt.maxLength': '{title}（最多{max}个字符）',
+        'editor.confirmNew': '新建关卡会丢弃当前编辑的关卡，确定吗？',
+        'editor.testUnavailable': '无法试玩: {error}',
+        'editor.testAborted': '试玩中途退出',
+        'editor.testCompleted': '试玩: 关卡完成！得分 {score}',
+        'editor.testFailed': '试玩: 在 {progress}% 处失败，得分 {score}',
+        'editor.exported': '已导出 {file}',
+        'editor.imported': '已导入 {name}',
+        'editor.importFailed': '导入关卡失败: {error}',
+        
+        'settings.title': '设置',
+        'settings.help': '↑↓ 选择   ←→ 调整   回车/点击 确认   ESC 返回',
+        'settings.on': '开',
+        'settings.off': '关',
+        'settings.reset': '恢复默认设置',
+        'settings.resetDone': '已恢复默认设置',
+        'settings.back': '返回',
+        'settings.controls': '按键设置',
+        'settings.section.audio': '音频',
+        'settings.section.gameplay': '游戏',
+        'settings.section.controls': '按键',
+        'settings.section.video': '画面',
+        'settings.section.hud': '界面',
+        'settings.section.general': '通用',
+        'settings.audio.master': '主音量',
+        'settings.audio.music': '音乐',
+        'settings.audio.sfx': '音效',
+        'settings.audio.ui': '界面音',
+        'settings.audio.muted': '静音',
+        'settings.gameplay.healthMode': '难度（生命值模式）',
+        'settings.gameplay.touchControls': '触摸操作',
+        'settings.video.quality': '画质',
+        'settings.hud.showControls': '显示操作提示',
+        'settings.hud.showDifficulty': '显示难度和距离',
+        'settings.hud.showFps': '显示帧率',
+        'settings.general.language': '语言',
+        
+        'quality.high': '高',
+        'quality.medium': '中',
+        'quality.low': '低',
+        
+        'controls.title': '按键设置',
+        'controls.help': '↑↓ 选择动作   ←→ 选择按键   回车/点击 修改   Delete/右键 清除   ESC 返回',
+        'controls.primary': '主按键',
+        'controls.secondary': '备用按键',
+        'controls.reset': '恢复默认按键',
+        'controls.back': '返回',
+        'controls.confirmSwap': '交换按键',
+        'controls.cancelSwap': '取消',
+        'controls.waiting': '请按下「{action}」的新按键（ESC取消）',
+        'controls.saved': '「{action}」已绑定到{key}',
+        'controls.cancelled': '已取消修改',
+        'controls.resetDone': '已恢复默认按键',
+        'controls.cleared': '已清除「{action}」的{key}',
+        'controls.lastKey': '每个动作至少需要一个按键',
+        'controls.reserved': '{key}是界面快捷键，不能绑定',
+        'controls.duplicate': '{key}已经绑定到「{action}」',
+        'controls.conflict': '{key}已用于「{other}」，按回车交换按键，ESC取消',
+        'controls.swapped': '已交换「{action}」和「{other}」的按键',
+        'controls.blocked': '{key}是「{other}」唯一的按键，不能移走'
+    },
+    en: {
+        'key.Space': 'Space',
+        'key.Enter': 'Enter',
+        'key.Tab': 'Tab',
+        'key.Backspace': 'Backspace',
+        'key.ShiftLeft': 'Left Shift',
+        'key.ShiftRight': 'Right Shift',
+        'key.ControlLeft': 'Left Ctrl',
+        'key.ControlRight': 'Right Ctrl',
+        'key.AltLeft': 'Left Alt',
+        'key.AltRight': 'Right Alt',
+        'key.letter': '{key}',
+        'gamepad.button': '{button}',
+        'touch.zones.jump': 'the left side',
+        'touch.zones.shoot': 'the right side',
+        'touch.zones.slide': 'swipe down',
+        'touch.zones.pause': 'the pause button',
+        'touch.buttons.jump': 'the jump button',
+        'touch.buttons.shoot': 'the shoot button',
+        'touch.buttons.slide': 'hold the slide button',
+        'touch.buttons.pause': 'the pause button',
+        'touch.button.jump': 'JUMP',
+        'touch.button.shoot': 'FIRE',
+        'touch.button.slide': 'SLIDE',
+        
+        'action.jump': 'Jump / confirm',
+        'action.shoot': 'Shoot',
+        'action.slide': 'Slide',
+        'action.pause': 'Pause / resume',
+        'action.restart': 'Restart',
+        'action.weapon1': 'Weapon 1',
+        'action.weapon2': 'Weapon 2',
+        'action.weapon3': 'Weapon 3',
+        'action.weapon4': 'Weapon 4',
+        
+        'healthMode.classic': 'Classic',
+        'healthMode.classic.description': 'one hit ends the run',
+        'healthMode.hearts': 'Hearts',
+        'healthMode.hearts.description': '3 hearts, 2 extra lives',
+        'touchLayout.zones': 'Screen halves',
+        'touchLayout.buttons': 'On-screen buttons',
+        
+        'difficulty.tier.1': 'Warm-up',
+        'difficulty.tier.2': 'Advanced',
+        'difficulty.tier.3': 'Challenge',
+        'difficulty.tier.4': 'Hard',
+        'difficulty.tier.5': 'Extreme',
+        'biome.meadow': 'Meadow',
+        'biome.desert': 'Desert',
+        'biome.nightCity': 'Night City',
+        'biome.ice': 'Ice Field',
+        'biome.moon': 'Moon',
+        'biome.lowGravity': 'low gravity',
+        'biome.highGravity': 'high gravity',
+        'biome.slippery': 'slippery ice, jumps are hard to control',
+        'powerUp.shield': 'Shield',
+        'powerUp.rapidFire': 'Rapid Fire',
+        'powerUp.scoreDoubler': 'Double Score',
+        'powerUp.magnet': 'Magnet',
+        'powerUp.slowTime': 'Slow Time',
+        'powerUp.coolant': 'Coolant',
+        'weapon.blaster': 'Blaster',
+        'weapon.spread': 'Spread',
+        'weapon.laser': 'Laser',
+        'weapon.charge': 'Charge',
+        'boss.name': 'Iron Colossus Lv.{level}',
+        'boss.warning': '⚠ Boss incoming: {name} ⚠',
+        'enemy.chaser': 'Chaser',
+        'enemy.turret': 'Turret',
+        'enemy.diver': 'Diver',
+        
+        'loading.progress': 'Loading assets {count}/{total}{dots}',
+        'loading.waiting': 'Loading{dots}',
+        
+        'menu.title': 'Runner Adventure',
+        'menu.subtitle': '跑酷大冒险',
+        'menu.start': 'Start',
+        'menu.startHint': 'Press [{key}] to start',
+        'menu.tapToStart': 'Tap the screen to start',
+        'menu.mode': 'Mode: {name} ({description})  Press [M] to change',
+        'menu.link.settings': 'Settings [O]',
+        'menu.link.import': 'Import replay [L]',
+        'menu.link.editor': 'Level editor [K]',
+        'menu.instructionsTitle': 'How to Play',
+        'menu.instruction1': '🏃 Your runner moves forward on their own',
+        'menu.instruction2': '⬆️ Press {jump} to jump, hold to jump higher, jump again in mid-air',
+        'menu.instruction3': '🔫 Press {shoot} to shoot floating obstacles, {weapons} switch weapons',
+        'menu.instruction4': '🚧 Jump over ground obstacles, hold {slide} to slide under high ones',
+        'menu.instruction5': '🎯 Shooting floating obstacles earns bonus points',
+        'menu.instruction6': '🏆 The longer you survive, the higher your score',
+        'menu.touchInstruction2': '⬆️ Tap {jump} to jump, hold to jump higher, tap again in mid-air',
+        'menu.touchInstruction3': '🔫 Tap {shoot} to shoot floating obstacles',
+        'menu.touchInstruction4': '🚧 Jump over ground obstacles, {slide} to slide under high ones',
+        'menu.footer': '© 2024 Runner - Press {jump} to start! | [M] mode | [L] import replay | [K] level editor',
+        'menu.touchFooter': '© 2024 Runner - Tap the screen to start!',
+        
+        'pause.title': 'Paused',
+        'pause.resume': 'Press {jump} or {pause} to resume',
+        'pause.restart': 'Press {restart} to restart',
+        'pause.settings': 'Press {settings} for settings',
+        'pause.touchResume': 'Tap {jump} or {pause} to resume',
+        
+        'hud.time': 'Time: {time}',
+        'hud.controls': '{jump} jump (hold for higher, again in mid-air) | {slide} slide | {shoot} shoot | {weapons} weapons | {escape}',
+        'hud.escapePause': '{pause} pause',
+        'hud.escapeEditor': '{pause} back to editor',
+        'hud.touchControls': 'Tap {jump} to jump | {slide} to slide | tap {shoot} to shoot',
+        'hud.combo': 'Combo: {count}x ({multiplier}x score)',
+        'hud.comboHint': 'Shoot floating obstacles and enemies for bonus points!',
+        
+        'hud.score': 'Score: {score}',
+        'hud.highScore': 'High score: {score}',
+        'hud.scoreCombo': 'Combo: {count}x ({multiplier}x)',
+        'hud.multiplier': 'Multiplier: x{multiplier}',
+        'hud.heat': 'Heat',
+        'hud.overheated': 'Overheat',
+        'hud.levelProgress': 'Level: {name} {progress}% | ',
+        'hud.difficulty': '{level}Difficulty: Lv.{tierLevel} {tier} | Area: {biome} | Distance: {meters}m',
+        'hud.tierUp': 'Difficulty up! Lv.{tierLevel} {tier}',
+        'hud.biomeEnter': 'Entering {biome}{effects}',
+        'hud.biomeEffects': ' ({effects})',
+        'hud.biomeEffectSeparator': ', ',
+        
+        'effect.shieldBlock': 'Blocked!',
+        'effect.lifeLost': 'Life lost! {lives} left',
+        'effect.bossDefeated': '{name} defeated!',
+        'effect.overheat': 'Overheated!',
+        
+        'gameOver.title': 'Game Over',
+        'gameOver.subtitle': '游戏结束',
+        'gameOver.finalScore': 'Final score: {score}',
+        'gameOver.bestScore': 'Best score: {score}',
+        'gameOver.grade': 'Grade: {grade}',
+        'gameOver.maxCombo': 'Best combo: {combo}x',
+        'gameOver.shooting': 'Accuracy: {accuracy}% ({hits}/{shots}) | Heat efficiency: {efficiency} hits per full gauge | Overheats: {overheats}',
+        'gameOver.newRecord': 'New record!',
+        'gameOver.restart': 'Restart',
+        'gameOver.restartHint': 'Press [{key}]',
+        'gameOver.tapToRestart': 'Tap the screen',
+        'gameOver.restartKeys': 'Press {restart} or {jump} to restart',
+        'gameOver.menuHint': 'Press {menu} for the main menu',
+        'gameOver.replayHint': 'Press ← to rewind, ESC to leave the replay',
+        'gameOver.reached': 'Reached: Lv.{level} {tier} | Distance: {meters}m',
+        'gameOver.option.menu': '[{key}] Main menu',
+        'gameOver.option.sameSeed': '[{key}] Same seed',
+        'gameOver.option.watch': '[{key}] Watch replay',
+        'gameOver.option.export': '[{key}] Export replay',
+        'gameOver.tip': 'Tip: press {shoot} to shoot floating obstacles for bonus points and combos!',
+        'gameOver.seed': 'Seed: {seed}',
+        'gameOver.bosses': '👑 Bosses defeated: {names}',
+        'gameOver.bossesMore': '{names} ({count} in total)',
+        'gameOver.bossSeparator': ', ',
+        'gameOver.reason.collision': 'You hit an obstacle!',
+        'gameOver.reason.enemy': 'You ran into an enemy!',
+        'gameOver.reason.shot': 'You were shot!',
+        'gameOver.reason.fall': 'You fell!',
+        'gameOver.reason.outOfBounds': 'You ran out of bounds!',
+        'gameOver.reason.levelComplete': 'Level complete!',
+        
+        'replay.status': 'Replay {status} | {current}s / {total}s | Seed: {seed}',
+        'replay.ended': '■ Replay ended',
+        'replay.paused': '❚❚ Paused',
+        'replay.help': '[P] pause [↑↓] speed [←→] seek [ESC] exit',
+        'replay.configMismatch': '⚠️ Recorded with a different game config, the replay may not match',
+        'replay.importFailed': 'Failed to import replay: {error}',
+        
+        'editor.status': 'Level Editor | {name} | Difficulty: {tier} | Length: {length}m | Entries: {entries} | View: {position}m',
+        'editor.help': 'LMB place/drag  RMB delete  T type  ↑↓ height  P text/name  D difficulty  [ ] length  ←→/wheel scroll  Enter test  E export  L import  N new  ESC back',
+        'editor.selected': '  | Selected: {type} @{at}',
+        'editor.tool.obstacle': 'Ground obstacle',
+        'editor.tool.floating': 'Floating obstacle',
+        'editor.tool.powerUp': 'Power-up',
+        'editor.tool.trigger': 'Trigger',
+        'editor.randomPowerUp': 'Random power-up',
+        'editor.trigger.boss': 'Boss fight',
+        'editor.trigger.message': 'Message',
+        'editor.finish': 'Finish',
+        'editor.newLevel': 'New level',
+        'editor.prompt.message': 'Message text',
+        'editor.prompt.levelName': 'Level name',
+        'editor.prompt.maxLength': '{title} (up to {max} characters)',
+        'editor.confirmNew': 'Creating a new level discards the level you are editing. Continue?',
+        'editor.testUnavailable': 'Cannot test: {error}',
+        'editor.testAborted': 'Test run aborted',
+        'editor.testCompleted': 'Test run: level complete! Score {score}',
+        'editor.testFailed': 'Test run: failed at {progress}%, score {score}',
+        'editor.exported': 'Exported {file}',
+        'editor.imported': 'Imported {name}',
+        'editor.importFailed': 'Failed to import level: {error}',
+        
+        'settings.title': 'Settings',
+        'settings.help': '↑↓ select   ←→ change   Enter/click confirm   ESC back',
+        'settings.on': 'On',
+        'settings.off': 'Off',
+        'settings.reset': 'Restore defaults',
+        'settings.resetDone': 'Defaults restored',
+        'settings.back': 'Back',
+        'settings.controls': 'Key bindings',
+        'settings.section.audio': 'Audio',
+        'settings.section.gameplay': 'Gameplay',
+        'settings.section.controls': 'Controls',
+        'settings.section.video': 'Video',
+        'settings.section.hud': 'HUD',
+        'settings.section.general': 'General',
+        'settings.audio.master': 'Master volume',
+        'settings.audio.music': 'Music',
+        'settings.audio.sfx': 'Sound effects',
+        'settings.audio.ui': 'UI sounds',
+        'settings.audio.muted': 'Mute',
+        'settings.gameplay.healthMode': 'Difficulty (health mode)',
+        'settings.gameplay.touchControls': 'Touch controls',
+        'settings.video.quality': 'Quality',
+        'settings.hud.showControls': 'Show control hints',
+        'settings.hud.showDifficulty': 'Show difficulty and distance',
+        'settings.hud.showFps': 'Show FPS',
+        'settings.general.language': 'Language',
+        
+        'quality.high': 'High',
+        'quality.medium': 'Medium',
+        'quality.low': 'Low',
+        
+        'controls.title': 'Key Bindings',
+        'controls.help': '↑↓ action   ←→ key slot   Enter/click change   Delete/right-click clear   ESC back',
+        'controls.primary': 'Primary',
+        'controls.secondary': 'Secondary',
+        'controls.reset': 'Restore default keys',
+        'controls.back': 'Back',
+        'controls.confirmSwap': 'Swap keys',
+        'controls.cancelSwap': 'Cancel',
+        'controls.waiting': 'Press a new key for "{action}" (ESC to cancel)',
+        'controls.saved': '"{action}" bound to {key}',
+        'controls.cancelled': 'Change cancelled',
+        'controls.resetDone': 'Default keys restored',
+        'controls.cleared': 'Removed {key} from "{action}"',
+        'controls.lastKey': 'Every action needs at least one key',
+        'controls.reserved': '{key} is a menu shortcut and cannot be bound',
+        'controls.duplicate': '{key} is already bound to "{action}"',
+        'controls.conflict': '{key} is used by "{other}". Enter to swap, ESC to cancel',
+        'controls.swapped': 'Swapped keys of "{action}" and "{other}"',
+        'controls.blocked': '{key} is the only key of "{other}" and cannot be moved'
+    }
+};
+
+/**
+ * 本地化 - 按当前语言查找界面文字
+ */
+class Localization {
+    /**
+     * @param {string} language - 语言代码（见 LOCALIZED_STRINGS）
+     */
+    constructor(language = GameConfig.SETTINGS.DEFAULTS.general.language) {
+        this.language = language;
+    }
+    
+    /**
+     * 设置当前语言
+     * @param {string} language - 语言代码
+     * @returns {boolean} 是否设置成功
+     */
+    setLanguage(language) {
+        if (!LOCALIZED_STRINGS[language]) {
+            console.warn('未知的语言:', language);
+            return false;
+        }
+        
+        this.language = language;
+        return true;
+    }
+    
+    /**
+     * 获取所有可用的语言
+     * @returns {Array<string>} 语言代码列表
+     */
+    static getLanguages() {
+        return Object.keys(LOCALIZED_STRINGS);
+    }
+    
+    /**
+     * 翻译文字
+     * @param {string} id - 文字ID
+     * @param {Object} params - 替换文字中 {name} 的参数
+     * @returns {string} 当前语言的文字，找不到时返回文字ID
+     */
+    t(id, params = {}) {
+        const strings = LOCALIZED_STRINGS[this.language] || {};
+        const text = id in strings ? strings[id] : LOCALIZED_STRINGS.zh[id];
+        if (text === undefined) {
+            return id;
+        }
+        
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+    
+    /**
+     * 获取按键的显示名称
+     * @param {string} code - 按键（event.code，如 'KeyQ'、'Space'、'ArrowUp'）
+     * @returns {string} 显示名称（如 'Q键'、'空格键'、'↑键'）
+     */
+    getKeyLabel(code) {
+        const name = this.getKeyName(code);
+        return name.length === 1 ? this.t('key.letter', { key: name }) : name;
+    }
+    
+    /**
+     * 获取按键的简短名称（用于武器栏等空间有限的地方）
+     * @param {string} code - 按键（event.code）
+     * @returns {string} 简短名称（如 'Q'、'1'、'↑'、'空格键'）
+     */
+    getKeyName(code) {
+        const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        
+        if (arrows[code]) {
+            return arrows[code];
+        }
+        
+        const match = /^(?:Key|Digit)(\w)$/.exec(code);
+        if (match) {
+            return match[1];
+        }
+        
+        const id = `key.${code}`;
+        return id in LOCALIZED_STRINGS.zh ? this.t(id) : code;
+    }
+}
+
+// 全局本地化实例（语言由设置管理器设置）
+const localization = new Localization();
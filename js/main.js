@@ -27,10 +27,24 @@ function initGame() {
         // 设置全局引用，供其他模块使用
         window.gameEngine = game;
         
+        // 支持通过URL参数指定种子，例如 index.html?seed=12345
+        applySeedFromURL(game);
+        
+        // 支持通过URL参数指定生命值模式，例如 index.html?mode=hearts
+        applyHealthModeFromURL(game);
+        
+        // 支持通过URL参数指定关卡文件，例如 index.html?level=data/levels/tutorial.json
+        applyLevelFromURL(game);
+        
         console.log('游戏初始化成功');
         console.log('Canvas尺寸:', canvas.width, 'x', canvas.height);
         console.log('游戏配置:', GameConfig);
         
+        // 加载障碍物片段（加载完成前开始的对局只随机生成障碍物）
+        if (GameConfig.CHUNKS.ENABLED) {
+            chunkLibrary.load();
+        }
+        
         // 启动游戏引擎
         game.start();
         
@@ -40,6 +54,69 @@ function initGame() {
     }
 }
 
+/**
+ * 从URL参数读取种子并应用到游戏场景
+ * @param {GameEngine} engine - 游戏引擎
+ */
+function applySeedFromURL(engine) {
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    if (seedParam === null) {
+        return;
+    }
+    
+    const gameScene = engine.sceneManager.scenes.get('game');
+    if (gameScene && gameScene.setNextSeed(seedParam)) {
+        console.log('使用URL指定的种子:', seedParam);
+    }
+}
+
+/**
+ * 从URL参数读取生命值模式并应用到游戏场景
+ * @param {GameEngine} engine - 游戏引擎
+ */
+function applyHealthModeFromURL(engine) {
+    const modeParam = new URLSearchParams(window.location.search).get('mode');
+    if (modeParam === null) {
+        return;
+    }
+    
+    const gameScene = engine.sceneManager.scenes.get('game');
+    if (gameScene && gameScene.setHealthMode(modeParam)) {
+        console.log('使用URL指定的生命值模式:', modeParam);
+    }
+}
+
+/**
+ * 从URL参数读取关卡文件地址，加载成功后每局都按该关卡游戏
+ * @param {GameEngine} engine - 游戏引擎
+ */
+function applyLevelFromURL(engine) {
+    const levelParam = new URLSearchParams(window.location.search).get('level');
+    if (levelParam === null) {
+        return;
+    }
+    
+    fetch(levelParam)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.text();
+        })
+        .then(text => {
+            const level = LevelData.parse(text);
+            const gameScene = engine.sceneManager.scenes.get('game');
+            if (gameScene) {
+                gameScene.setLevel(level);
+                console.log('使用URL指定的关卡:', level.name);
+            }
+        })
+        .catch(error => {
+            console.error('加载关卡失败:', error);
+            alert('加载关卡失败: ' + error.message);
+        });
+}
+
 /**
  * 页面加载完成后初始化游戏
  */
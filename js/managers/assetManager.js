@@ -0,0 +1,260 @@
+/**
+ * 资源管理器 - 按清单预加载图片、精灵图集和音效，供渲染和音频使用
+ * 清单格式（文件路径相对清单所在目录）：
+ * {
+ *     images: { id: 'xxx.png', ... },
+ *     atlases: { id: 'xxx.json', ... },
+ *     sounds: { id: 'xxx.wav', ... }
+ * }
+ * 图集文件格式（图片路径相对图集文件所在目录）：
+ * {
+ *     image: 'player.svg',
+ *     frames: { run0: { x: 0, y: 0, w: 48, h: 80 }, ... },
+ *     animations: { running: { frames: ['run0', 'run1'], fps: 12, loop: true }, ... }
+ * }
+ * 加载失败的资源只输出警告，使用该资源的实体继续使用程序绘制
+ */
+class AssetManager {
+    constructor() {
+        this.images = new Map();
+        this.atlases = new Map();
+        this.sounds = new Map();
+        
+        this.total = 0;        // 清单中的资源数量
+        this.loaded = 0;       // 已加载成功的数量
+        this.failed = 0;       // 加载失败的数量
+        this.isLoading = false;
+        this.isFinished = false;
+        this.loadPromise = null;
+    }
+    
+    /**
+     * 按清单加载所有资源（重复调用返回同一个加载过程）
+     * @param {string} manifestUrl - 清单地址
+     * @returns {Promise<Object>} 加载结果 {loaded, failed}，清单加载失败时两者都为0
+     */
+    load(manifestUrl = GameConfig.ASSETS.MANIFEST_URL) {
+        if (this.loadPromise) {
+            return this.loadPromise;
+        }
+        
+        const baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+        this.isLoading = true;
+        
+        this.loadPromise = Promise.resolve().then(() => this.fetchJSON(manifestUrl)).then(manifest => {
+            if (!manifest || typeof manifest !== 'object') {
+                throw new Error('资源清单格式错误');
+            }
+            
+            const images = Object.entries(manifest.images || {});
+            const atlases = Object.entries(manifest.atlases || {});
+            const sounds = Object.entries(manifest.sounds || {});
+            this.total = images.length + atlases.length + sounds.length;
+            
+            return Promise.all([
+                ...images.map(([id, file]) => this.track(id, this.loadImage(id, baseUrl + file))),
+                ...atlases.map(([id, file]) => this.track(id, this.loadAtlas(id, baseUrl + file))),
+                ...sounds.map(([id, file]) => this.track(id, this.loadSound(id, baseUrl + file)))
+            ]);
+        }).catch(error => {
+            console.warn('资源清单加载失败，全部使用程序绘制:', error);
+        }).then(() => {
+            this.isLoading = false;
+            this.isFinished = true;
+            console.log(`资源加载完成: 成功 ${this.loaded} 个，失败 ${this.failed} 个`);
+            return { loaded: this.loaded, failed: this.failed };
+        });
+        
+        return this.loadPromise;
+    }
+    
+    /**
+     * 记录单个资源的加载结果（失败时只输出警告）
+     * @param {string} id - 资源ID
+     * @param {Promise} promise - 加载过程
+     * @returns {Promise} 总是成功的加载过程
+     */
+    track(id, promise) {
+        return promise.then(() => {
+            this.loaded++;
+        }).catch(error => {
+            this.failed++;
+            console.warn(`资源加载失败: ${id}`, error);
+        });
+    }
+    
+    /**
+     * 读取JSON文件
+     * @param {string} url - 文件地址
+     * @returns {Promise<Object>} 解析后的数据
+     */
+    fetchJSON(url) {
+        return fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`${url}: HTTP ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+    
+    /**
+     * 加载图片
+     * @param {string} id - 图片ID
+     * @param {string} url - 图片地址
+     * @returns {Promise<HTMLImageElement>} 加载完成的图片
+     */
+    loadImage(id, url) {
+        return this.createImage(url).then(image => {
+            this.images.set(id, image);
+            return image;
+        });
+    }
+    
+    /**
+     * 创建并等待图片加载完成
+     * @param {string} url - 图片地址
+     * @returns {Promise<HTMLImageElement>} 加载完成的图片
+     */
+    createImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`${url}: 图片加载失败`));
+            image.src = url;
+        });
+    }
+    
+    /**
+     * 加载精灵图集（图集描述文件和图片）
+     * @param {string} id - 图集ID
+     * @param {string} url - 图集描述文件地址
+     * @returns {Promise<Object>} 图集 {image, frames, animations}
+     */
+    loadAtlas(id, url) {
+        const baseUrl = url.slice(0, url.lastIndexOf('/') + 1);
+        
+        return this.fetchJSON(url).then(data => {
+            AssetManager.validateAtlas(data);
+            return this.createImage(baseUrl + data.image).then(image => {
+                const atlas = { image, frames: data.frames, animations: data.animations || {} };
+                this.atlases.set(id, atlas);
+                return atlas;
+            });
+        });
+    }
+    
+    /**
+     * 加载音效文件的原始数据（由音频系统解码）
+     * @param {string} id - 音效ID
+     * @param {string} url - 音效地址
+     * @returns {Promise<ArrayBuffer>} 音效数据
+     */
+    loadSound(id, url) {
+        return fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`${url}: HTTP ${response.status}`);
+            }
+            return response.arrayBuffer();
+        }).then(buffer => {
+            this.sounds.set(id, buffer);
+            return buffer;
+        });
+    }
+    
+    /**
+     * 获取加载进度
+     * @returns {number} 0-1，加载结束时为1
+     */
+    getProgress() {
+        if (this.isFinished) {
+            return 1;
+        }
+        return this.total > 0 ? (this.loaded + this.failed) / this.total : 0;
+    }
+    
+    /**
+     * 获取图片
+     * @param {string} id - 图片ID
+     * @returns {HTMLImageElement|null} 图片，未加载时为null
+     */
+    getImage(id) {
+        return this.images.get(id) || null;
+    }
+    
+    /**
+     * 获取精灵图集
+     * @param {string} id - 图集ID
+     * @returns {Object|null} 图集 {image, frames, animations}，未加载时为null
+     */
+    getAtlas(id) {
+        return this.atlases.get(id) || null;
+    }
+    
+    /**
+     * 获取图集中的一帧
+     * @param {string} atlasId - 图集ID
+     * @param {string} frameName - 帧名称
+     * @returns {Object|null} 帧 {x, y, w, h}，不存在时为null
+     */
+    getFrame(atlasId, frameName) {
+        const atlas = this.getAtlas(atlasId);
+        return atlas && atlas.frames[frameName] || null;
+    }
+    
+    /**
+     * 获取音效数据
+     * @param {string} id - 音效ID
+     * @returns {ArrayBuffer|null} 音效数据，未加载时为null
+     */
+    getSound(id) {
+        return this.sounds.get(id) || null;
+    }
+    
+    /**
+     * 获取加载统计信息
+     * @returns {Object} 统计信息
+     */
+    getStats() {
+        return {
+            total: this.total,
+            loaded: this.loaded,
+            failed: this.failed,
+            images: this.images.size,
+            atlases: this.atlases.size,
+            sounds: this.sounds.size
+        };
+    }
+    
+    /**
+     * 校验图集描述格式
+     * @param {Object} data - 图集描述
+     * @throws {Error} 格式无效时抛出错误
+     */
+    static validateAtlas(data) {
+        if (!data || typeof data !== 'object' || typeof data.image !== 'string') {
+            throw new Error('图集缺少图片');
+        }
+        
+        if (!data.frames || typeof data.frames !== 'object') {
+            throw new Error('图集缺少帧列表');
+        }
+        
+        Object.entries(data.frames).forEach(([name, frame]) => {
+            if (!frame || !['x', 'y', 'w', 'h'].every(key => typeof frame[key] === 'number') ||
+                !(frame.w > 0) || !(frame.h > 0)) {
+                throw new Error(`图集的帧 ${name} 格式错误`);
+            }
+        });
+        
+        Object.entries(data.animations || {}).forEach(([name, animation]) => {
+            if (!animation || !Array.isArray(animation.frames) || animation.frames.length === 0 ||
+                !animation.frames.every(frame => data.frames[frame]) ||
+                typeof animation.fps !== 'number' || !(animation.fps > 0)) {
+                throw new Error(`图集的动画 ${name} 格式错误`);
+            }
+        });
+    }
+}
+
+// 全局资源管理器实例（加载场景开始时按清单加载）
+const assetManager = new AssetManager();
@@ -0,0 +1,409 @@
+/**
+ * 音频管理器 - 基于 Web Audio 合成音效和背景音乐，不需要音频文件
+ * 音频分为音乐（music）、音效（sfx）和界面（ui）三条总线，音量和静音状态由设置管理器保存并应用
+ * 音效配方格式（见 GameConfig.AUDIO.SOUNDS）：
+ * {
+ *     bus: 'sfx',
+ *     layers: [
+ *         { type: 'tone', wave: 'square', from: 300, to: 600, duration: 0.12, volume: 0.3, delay: 0 },
+ *         { type: 'noise', duration: 0.2, volume: 0.4, filter: { type: 'lowpass', frequency: 800 } }
+ *     ]
+ * }
+ * 浏览器要求用户操作后才能播放声音，首次按键或点击时才创建音频上下文，之前的播放请求直接忽略
+ * 不支持 Web Audio 的环境（如无界面模拟）中所有方法都不做任何事
+ */
+class AudioManager {
+    constructor(config = GameConfig.AUDIO) {
+        this.config = config;
+        this.supported = typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+        
+        this.context = null;
+        this.masterGain = null;
+        this.busGains = {};
+        this.noiseBuffer = null;
+        
+        const defaults = GameConfig.SETTINGS.DEFAULTS.audio;
+        this.settings = {
+            volumes: { master: defaults.master, music: defaults.music, sfx: defaults.sfx, ui: defaults.ui },
+            muted: defaults.muted
+        };
+        this.lastPlayTimes = new Map();   // 音效名称 -> 上次播放时间，限制短时间内重复播放
+        this.suspendReasons = new Set();  // 暂停音频的原因，全部解除后才恢复
+        
+        // 背景音乐状态
+        this.musicPlaying = false;
+        this.musicIntensity = 0;          // 音乐强度 (0-1)，决定节奏快慢和参与演奏的音轨
+        this.musicStep = 0;               // 下一个要安排的节拍位置
+        this.nextStepTime = 0;            // 下一个节拍的播放时间（音频上下文时间）
+        
+        if (this.supported) {
+            this.bindUnlockEvents();
+        }
+    }
+    
+    /**
+     * 监听首次用户操作，创建音频上下文
+     */
+    bindUnlockEvents() {
+        const unlock = () => {
+            this.unlock();
+            ['keydown', 'pointerdown', 'touchstart'].forEach(type => {
+                window.removeEventListener(type, unlock);
+            });
+        };
+        
+        ['keydown', 'pointerdown', 'touchstart'].forEach(type => {
+            window.addEventListener(type, unlock);
+        });
+    }
+    
+    /**
+     * 创建音频上下文和各条总线
+     */
+    unlock() {
+        if (!this.supported || this.context) {
+            return;
+        }
+        
+        try {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+        } catch (error) {
+            console.warn('无法创建音频上下文，游戏将没有声音:', error);
+            this.supported = false;
+            return;
+        }
+        
+        this.masterGain = this.context.createGain();
+        this.masterGain.connect(this.context.destination);
+        
+        ['music', 'sfx', 'ui'].forEach(bus => {
+            const gain = this.context.createGain();
+            gain.connect(this.masterGain);
+            this.busGains[bus] = gain;
+        });
+        
+        this.noiseBuffer = this.createNoiseBuffer();
+        this.applyVolumes();
+        
+        // 解锁前已经请求暂停（如窗口失去焦点）时保持暂停
+        if (this.suspendReasons.size > 0) {
+            this.context.suspend();
+        } else if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        
+        if (this.musicPlaying) {
+            this.nextStepTime = this.context.currentTime;
+        }
+        
+        if (GameConfig.DEBUG) {
+            console.log('音频上下文已创建');
+        }
+    }
+    
+    /**
+     * 创建白噪声缓冲（噪声类音效共用）
+     * @returns {AudioBuffer} 一秒长的白噪声
+     */
+    createNoiseBuffer() {
+        const sampleRate = this.context.sampleRate;
+        const buffer = this.context.createBuffer(1, sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        const random = new SeededRandom(1);
+        
+        for (let i = 0; i < data.length; i++) {
+            data[i] = random.range(-1, 1);
+        }
+        
+        return buffer;
+    }
+    
+    /**
+     * 把音量设置应用到总线
+     */
+    applyVolumes() {
+        if (!this.context) {
+            return;
+        }
+        
+        const volumes = this.settings.volumes;
+        this.masterGain.gain.value = this.settings.muted ? 0 : volumes.master;
+        Object.keys(this.busGains).forEach(bus => {
+            this.busGains[bus].gain.value = volumes[bus];
+        });
+    }
+    
+    /**
+     * 设置音量
+     * @param {string} bus - 总线名称（master、music、sfx、ui）
+     * @param {number} volume - 音量 (0-1)
+     */
+    setVolume(bus, volume) {
+        if (!(bus in this.settings.volumes)) {
+            console.warn(`未知的音频总线: ${bus}`);
+            return;
+        }
+        
+        this.settings.volumes[bus] = Math.max(0, Math.min(1, volume));
+        this.applyVolumes();
+    }
+    
+    /**
+     * 获取音量
+     * @param {string} bus - 总线名称（master、music、sfx、ui）
+     * @returns {number} 音量 (0-1)
+     */
+    getVolume(bus) {
+        return this.settings.volumes[bus] || 0;
+    }
+    
+    /**
+     * 设置静音
+     * @param {boolean} muted - 是否静音
+     */
+    setMuted(muted) {
+        this.settings.muted = Boolean(muted);
+        this.applyVolumes();
+    }
+    
+    /**
+     * 切换静音状态
+     * @returns {boolean} 切换后是否静音
+     */
+    toggleMute() {
+        this.setMuted(!this.settings.muted);
+        return this.settings.muted;
+    }
+    
+    /**
+     * 检查是否静音
+     * @returns {boolean} 是否静音
+     */
+    isMuted() {
+        return this.settings.muted;
+    }
+    
+    /**
+     * 暂停音频输出（多个来源可以同时请求暂停）
+     * @param {string} reason - 暂停原因（如 'engine'、'scene'）
+     */
+    suspend(reason) {
+        this.suspendReasons.add(reason);
+        
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend();
+        }
+    }
+    
+    /**
+     * 解除某个原因的暂停，所有原因都解除后恢复音频输出
+     * @param {string} reason - 暂停原因
+     */
+    resume(reason) {
+        this.suspendReasons.delete(reason);
+        
+        if (this.context && this.suspendReasons.size === 0 && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+    
+    /**
+     * 检查音频是否可以播放
+     * @returns {boolean} 音频上下文已创建且没有被暂停
+     */
+    isActive() {
+        return Boolean(this.context) && this.suspendReasons.size === 0;
+    }
+    
+    /**
+     * 播放音效
+     * @param {string} name - 音效名称（见 GameConfig.AUDIO.SOUNDS）
+     * @param {Object} options - 可选项
+     * @param {number} options.pitch - 音高倍数（默认1）
+     * @param {number} options.volume - 音量倍数（默认1）
+     */
+    play(name, options = {}) {
+        if (!this.isActive()) {
+            return;
+        }
+        
+        const sound = this.config.SOUNDS[name];
+        if (!sound) {
+            console.warn(`未知的音效: ${name}`);
+            return;
+        }
+        
+        // 同一音效短时间内只播放一次（如回放快进时大量触发）
+        const now = this.context.currentTime;
+        const lastTime = this.lastPlayTimes.get(name);
+        if (lastTime !== undefined && now - lastTime < this.config.MIN_REPEAT_INTERVAL) {
+            return;
+        }
+        this.lastPlayTimes.set(name, now);
+        
+        this.schedule(sound, now, options);
+    }
+    
+    /**
+     * 在指定时间合成音效
+     * @param {Object} sound - 音效配方
+     * @param {number} time - 开始时间（音频上下文时间）
+     * @param {Object} options - 可选项 {pitch, volume}
+     */
+    schedule(sound, time, options = {}) {
+        const pitch = options.pitch || 1;
+        const volume = options.volume === undefined ? 1 : options.volume;
+        const output = this.busGains[sound.bus] || this.busGains.sfx;
+        
+        sound.layers.forEach(layer => {
+            const start = time + (layer.delay || 0);
+            const end = start + layer.duration;
+            
+            // 音量包络：快速起音后指数衰减
+            const envelope = this.context.createGain();
+            envelope.gain.setValueAtTime(0.0001, start);
+            envelope.gain.exponentialRampToValueAtTime(Math.max(0.0001, layer.volume * volume), start + Math.min(0.01, layer.duration / 4));
+            envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+            envelope.connect(output);
+            
+            const source = layer.type === 'noise' ?
+                this.createNoiseSource(layer, envelope) :
+                this.createToneSource(layer, pitch, start, end, envelope);
+            
+            source.start(start);
+            source.stop(end + 0.02);
+        });
+    }
+    
+    /**
+     * 创建音调声源
+     * @param {Object} layer - 音效层 {wave, from, to}
+     * @param {number} pitch - 音高倍数
+     * @param {number} start - 开始时间
+     * @param {number} end - 结束时间
+     * @param {AudioNode} output - 输出节点
+     * @returns {OscillatorNode} 振荡器
+     */
+    createToneSource(layer, pitch, start, end, output) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = layer.wave || 'sine';
+        oscillator.frequency.setValueAtTime(layer.from * pitch, start);
+        
+        const to = layer.to === undefined ? layer.from : layer.to;
+        if (to !== layer.from) {
+            oscillator.frequency.exponentialRampToValueAtTime(to * pitch, end);
+        }
+        
+        oscillator.connect(output);
+        return oscillator;
+    }
+    
+    /**
+     * 创建噪声声源
+     * @param {Object} layer - 音效层 {filter}
+     * @param {AudioNode} output - 输出节点
+     * @returns {AudioBufferSourceNode} 噪声声源
+     */
+    createNoiseSource(layer, output) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+        
+        if (layer.filter) {
+            const filter = this.context.createBiquadFilter();
+            filter.type = layer.filter.type;
+            filter.frequency.value = layer.filter.frequency;
+            source.connect(filter);
+            filter.connect(output);
+        } else {
+            source.connect(output);
+        }
+        
+        return source;
+    }
+    
+    /**
+     * 开始播放背景音乐
+     */
+    startMusic() {
+        if (this.musicPlaying) {
+            return;
+        }
+        
+        this.musicPlaying = true;
+        this.musicStep = 0;
+        this.nextStepTime = this.context ? this.context.currentTime : 0;
+    }
+    
+    /**
+     * 停止背景音乐（已经安排的音符会自然结束）
+     */
+    stopMusic() {
+        this.musicPlaying = false;
+    }
+    
+    /**
+     * 设置音乐强度
+     * @param {number} intensity - 强度 (0-1)，越高节奏越快、参与演奏的音轨越多
+     */
+    setMusicIntensity(intensity) {
+        this.musicIntensity = Math.max(0, Math.min(1, intensity));
+    }
+    
+    /**
+     * 获取当前音乐节奏
+     * @returns {number} 每分钟拍数
+     */
+    getMusicTempo() {
+        const music = this.config.MUSIC;
+        return music.BPM + (music.MAX_BPM - music.BPM) * this.musicIntensity;
+    }
+    
+    /**
+     * 每帧调用，提前安排即将播放的音符
+     */
+    update() {
+        if (!this.musicPlaying || !this.isActive()) {
+            return;
+        }
+        
+        const music = this.config.MUSIC;
+        const now = this.context.currentTime;
+        
+        // 长时间没有调用（如标签页在后台）时跳过错过的节拍
+        if (this.nextStepTime < now) {
+            this.nextStepTime = now;
+        }
+        
+        while (this.nextStepTime < now + music.LOOKAHEAD) {
+            this.scheduleMusicStep(this.musicStep, this.nextStepTime);
+            
+            // 每拍分为四步
+            this.nextStepTime += 60 / this.getMusicTempo() / 4;
+            this.musicStep = (this.musicStep + 1) % music.STEPS;
+        }
+    }
+    
+    /**
+     * 安排一步中所有音轨的音符
+     * @param {number} step - 节拍位置
+     * @param {number} time - 播放时间（音频上下文时间）
+     */
+    scheduleMusicStep(step, time) {
+        this.config.MUSIC.TRACKS.forEach(track => {
+            if (this.musicIntensity < track.minIntensity) {
+                return;
+            }
+            
+            const note = track.notes[step % track.notes.length];
+            const sound = this.config.SOUNDS[track.sound];
+            if (note === null || !sound) {
+                return;
+            }
+            
+            // 音符是相对配方音高的半音数
+            this.schedule(sound, time, { pitch: Math.pow(2, note / 12) });
+        });
+    }
+}
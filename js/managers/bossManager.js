@@ -0,0 +1,282 @@
+/**
+ * 首领管理器 - 在距离里程碑开始首领战，更新和渲染首领及其生命条
+ * 首领战开始和结束时通过回调通知游戏场景暂停和恢复障碍物、敌人的生成
+ */
+class BossManager {
+    constructor() {
+        this.boss = null;
+        
+        // 已出现的首领次数和下一个里程碑
+        this.encounterCount = 0;
+        this.nextMilestoneIndex = 0;
+        
+        // 本局击败的首领名称
+        this.defeatedBosses = [];
+        
+        // 是否在距离里程碑开始首领战（按关卡游戏时只由关卡中的触发器开始）
+        this.milestonesEnabled = true;
+        
+        // 首领射击回调和首领战状态变化回调
+        this.fireCallbacks = [];
+        this.encounterCallbacks = [];
+    }
+    
+    /**
+     * 获取第index个里程碑的距离（像素）
+     * @param {number} index - 里程碑序号
+     * @returns {number} 距离（像素），不再出现时为Infinity
+     */
+    getMilestoneDistance(index) {
+        const milestones = GameConfig.BOSS.MILESTONES;
+        const repeatInterval = GameConfig.BOSS.REPEAT_INTERVAL;
+        let meters;
+        
+        if (index < milestones.length) {
+            meters = milestones[index];
+        } else if (repeatInterval > 0 && milestones.length > 0) {
+            meters = milestones[milestones.length - 1] + (index - milestones.length + 1) * repeatInterval;
+        } else {
+            return Infinity;
+        }
+        
+        return meters * GameConfig.PIXELS_PER_METER;
+    }
+    
+    /**
+     * 更新首领管理器
+     * @param {number} deltaTime - 时间增量
+     * @param {number} distanceTraveled - 本局奔跑距离（像素）
+     * @param {Object} target - 玩家碰撞边界 {x, y, width, height}
+     */
+    update(deltaTime, distanceTraveled, target = null) {
+        if (!this.boss) {
+            if (this.milestonesEnabled && distanceTraveled >= this.getMilestoneDistance(this.nextMilestoneIndex)) {
+                this.startEncounter(distanceTraveled);
+            }
+            return;
+        }
+        
+        this.boss.update(deltaTime);
+        
+        if (target && this.boss.canAttack()) {
+            this.notifyFire(this.boss, this.boss.attack(target));
+        }
+        
+        // 被击败的爆炸结束或撤退离场后结束首领战
+        if (!this.boss.active) {
+            this.endEncounter();
+        }
+    }
+    
+    /**
+     * 开始首领战
+     * @param {number} distanceTraveled - 本局奔跑距离（像素）
+     */
+    startEncounter(distanceTraveled) {
+        this.encounterCount++;
+        
+        // 跳过已经越过的里程碑，避免首领战结束后立即开始下一场
+        while (this.getMilestoneDistance(this.nextMilestoneIndex) <= distanceTraveled) {
+            this.nextMilestoneIndex++;
+        }
+        
+        this.boss = new Boss(this.encounterCount);
+        console.log(`👑 首领出现: ${this.boss.name}`);
+        
+        this.notifyEncounterChange({ type: 'start', boss: this.boss });
+    }
+    
+    /**
+     * 结束首领战
+     */
+    endEncounter() {
+        const boss = this.boss;
+        this.boss = null;
+        
+        if (!boss.isDefeated()) {
+            console.log(`首领撤退: ${boss.name}`);
+        }
+        
+        this.notifyEncounterChange({ type: 'end', boss: boss, defeated: boss.isDefeated() });
+    }
+    
+    /**
+     * 启用或禁用距离里程碑的首领战
+     * @param {boolean} enabled - 是否启用
+     */
+    setMilestonesEnabled(enabled) {
+        this.milestonesEnabled = enabled;
+    }
+    
+    /**
+     * 对首领的弱点造成伤害
+     * @param {Object} weakPoint - 被击中的弱点
+     * @param {number} damage - 伤害值
+     * @returns {Object} 结果 {weakPointDestroyed, defeated}
+     */
+    damageBoss(weakPoint, damage) {
+        if (!this.boss) {
+            return { weakPointDestroyed: false, defeated: false };
+        }
+        
+        const result = this.boss.damageWeakPoint(weakPoint, damage);
+        
+        if (result.defeated) {
+            this.defeatedBosses.push(this.boss.name);
+            console.log(`👑 首领被击败: ${this.boss.name}`);
+            this.notifyEncounterChange({ type: 'defeated', boss: this.boss });
+        }
+        
+        return result;
+    }
+    
+    /**
+     * 注册首领射击回调
+     * @param {Function} callback - 回调函数 (shot) => void，shot为 {boss, x, y, velocityX, velocityY}
+     */
+    onFire(callback) {
+        if (typeof callback === 'function') {
+            this.fireCallbacks.push(callback);
+        }
+    }
+    
+    /**
+     * 通知首领射击
+     * @param {Boss} boss - 射击的首领
+     * @param {Object} shot - 子弹参数 {x, y, velocityX, velocityY}
+     */
+    notifyFire(boss, shot) {
+        this.fireCallbacks.forEach(callback => {
+            try {
+                callback({ boss: boss, ...shot });
+            } catch (error) {
+                console.error('首领射击回调执行错误:', error);
+            }
+        });
+    }
+    
+    /**
+     * 注册首领战状态变化回调
+     * @param {Function} callback - 回调函数 (event) => void，event为 {type: 'start'|'defeated'|'end', boss, defeated}
+     */
+    onEncounterChange(callback) {
+        if (typeof callback === 'function') {
+            this.encounterCallbacks.push(callback);
+        }
+    }
+    
+    /**
+     * 通知首领战状态变化
+     * @param {Object} event - 状态变化信息
+     */
+    notifyEncounterChange(event) {
+        this.encounterCallbacks.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('首领战回调执行错误:', error);
+            }
+        });
+    }
+    
+    /**
+     * 检查是否正在进行首领战
+     * @returns {boolean} 是否正在进行首领战
+     */
+    isEncounterActive() {
+        return this.boss !== null;
+    }
+    
+    /**
+     * 获取当前首领
+     * @returns {Boss|null} 当前首领
+     */
+    getBoss() {
+        return this.boss;
+    }
+    
+    /**
+     * 获取本局击败的首领名称
+     * @returns {Array<string>} 首领名称数组
+     */
+    getDefeatedBosses() {
+        return [...this.defeatedBosses];
+    }
+    
+    /**
+     * 重置首领管理器（新的一局）
+     */
+    reset() {
+        this.boss = null;
+        this.encounterCount = 0;
+        this.nextMilestoneIndex = 0;
+        this.defeatedBosses = [];
+    }
+    
+    /**
+     * 获取首领统计
+     * @returns {Object} 统计信息
+     */
+    getStats() {
+        return {
+            active: this.boss !== null,
+            encounters: this.encounterCount,
+            defeated: this.defeatedBosses.length
+        };
+    }
+    
+    /**
+     * 渲染首领
+     * @param {Renderer} renderer - 渲染器
+     */
+    render(renderer) {
+        if (this.boss) {
+            this.boss.render(renderer);
+        }
+    }
+    
+    /**
+     * 渲染首领来袭提示和生命条
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderHud(renderer) {
+        const boss = this.boss;
+        if (!boss || !boss.isVulnerable()) {
+            return;
+        }
+        
+        const centerX = GameConfig.CANVAS_WIDTH / 2;
+        
+        // 入场时在屏幕中央闪烁提示
+        if (boss.state === 'entering' && Math.floor(boss.stateTime * 4) % 2 === 0) {
+            renderer.drawTextWithStroke(
+                localization.t('boss.warning', { name: boss.name }),
+                centerX,
+                GameConfig.CANVAS_HEIGHT / 2 - 100,
+                '#ff4444',
+                '#000000',
+                'bold 28px Arial',
+                'center',
+                3
+            );
+        }
+        
+        // 名称、攻击阶段和生命条
+        const barWidth = 300;
+        const barX = centerX - barWidth / 2;
+        const barY = 66;
+        
+        renderer.drawTextWithStroke(
+            `${boss.name} - ${boss.getPhase().name}`,
+            centerX,
+            barY - 6,
+            '#ffffff',
+            '#000000',
+            'bold 14px Arial',
+            'center'
+        );
+        renderer.fillRect(barX, barY, barWidth, 10, 'rgba(0, 0, 0, 0.6)');
+        renderer.fillRect(barX, barY, barWidth * boss.getHealthRatio(), 10, GameConfig.BOSS.WEAK_POINT_COLOR);
+        renderer.strokeRect(barX, barY, barWidth, 10, '#ffffff', 1);
+    }
+}
@@ -6,6 +6,9 @@ class BulletManager {
         this.bullets = [];
         this.maxBullets = 50; // 最大同时存在的子弹数量
         
+        // 敌人发射的子弹（只与玩家碰撞，不使用对象池）
+        this.enemyBullets = [];
+        
         // 性能统计
         this.stats = {
             totalCreated: 0,
@@ -94,6 +97,14 @@ class BulletManager {
         // 移除非活跃的子弹
         this.removeInactiveBullets();
         
+        // 更新敌人子弹并移除飞出屏幕的
+        this.enemyBullets.forEach(bullet => {
+            if (bullet.active) {
+                bullet.update(deltaTime);
+            }
+        });
+        this.enemyBullets = this.enemyBullets.filter(bullet => bullet.active);
+        
         // 更新统计信息
         this.stats.currentActive = this.bullets.length;
         
@@ -119,9 +130,11 @@ class BulletManager {
      * @param {number} x - 起始X坐标
      * @param {number} y - 起始Y坐标
      * @param {number} direction - 飞行方向 (1 = 向右, -1 = 向左)
+     * @param {string} weaponType - 武器类型（GameConfig.WEAPONS.TYPES中的键）
+     * @param {Object} options - 发射参数 {angle, charge}
      * @returns {Bullet|null} 创建的子弹对象，如果达到最大数量则返回null
      */
-    addBullet(x, y, direction = 1) {
+    addBullet(x, y, direction = 1, weaponType = GameConfig.WEAPONS.DEFAULT, options = {}) {
         // 检查是否达到最大子弹数量
         if (this.bullets.length >= this.maxBullets) {
             if (GameConfig.DEBUG) {
@@ -138,7 +151,7 @@ class BulletManager {
             if (bullet) {
                 this.stats.poolHits++;
                 // 重新初始化池中的子弹
-                this.initializeBullet(bullet, x, y, direction);
+                this.initializeBullet(bullet, x, y, direction, weaponType, options);
             } else {
                 this.stats.poolMisses++;
             }
@@ -148,14 +161,14 @@ class BulletManager {
             if (bullet) {
                 this.stats.poolHits++;
                 // 重新初始化池中的子弹
-                this.initializeBullet(bullet, x, y, direction);
+                this.initializeBullet(bullet, x, y, direction, weaponType, options);
             }
         }
         
         // 如果池中没有可用对象，创建新的
         if (!bullet) {
             this.stats.poolMisses++;
-            bullet = new Bullet(x, y, direction);
+            bullet = new Bullet(x, y, direction, weaponType, options);
             this.stats.totalCreated++;
         }
         
@@ -163,7 +176,64 @@ class BulletManager {
         this.stats.currentActive = this.bullets.length;
         
         if (GameConfig.DEBUG) {
-            console.log(`创建子弹: 位置=(${x}, ${y}), 方向=${direction}, 来源=${bullet.pooled ? '对象池' : '新创建'}`);
+            console.log(`创建子弹: 位置=(${x}, ${y}), 方向=${direction}, 武器=${bullet.weaponType}, 来源=${bullet.pooled ? '对象池' : '新创建'}`);
+        }
+        
+        return bullet;
+    }
+    
+    /**
+     * 按武器的发射方式开火：散射武器一次发射多颗扇形分布的子弹，其余武器发射一颗
+     * @param {number} x - 发射点X坐标
+     * @param {number} y - 发射点Y坐标（子弹中心线）
+     * @param {number} direction - 飞行方向 (1 = 向右, -1 = 向左)
+     * @param {string} weaponType - 武器类型（GameConfig.WEAPONS.TYPES中的键）
+     * @param {number} charge - 蓄力程度 (0-1)，只对蓄力武器有效
+     * @returns {Array<Bullet>} 创建的子弹数组（达到最大数量时可能少于应发射的数量）
+     */
+    fireWeapon(x, y, direction = 1, weaponType = GameConfig.WEAPONS.DEFAULT, charge = 0) {
+        const weapon = GameConfig.WEAPONS.TYPES[weaponType] || GameConfig.WEAPONS.TYPES[GameConfig.WEAPONS.DEFAULT];
+        const count = weapon.pattern === 'spread' ? weapon.count : 1;
+        const bullets = [];
+        
+        for (let i = 0; i < count; i++) {
+            const angle = weapon.pattern === 'spread' ? (i - (count - 1) / 2) * weapon.spreadAngle : 0;
+            const bullet = this.addBullet(x, y, direction, weaponType, { angle: angle, charge: charge });
+            if (!bullet) {
+                break;
+            }
+            
+            // 子弹尺寸因武器而异，以中心对准发射点高度
+            bullet.y = y - bullet.height / 2;
+            bullet.startY = bullet.y;
+            bullet.savePreviousPosition();
+            bullets.push(bullet);
+        }
+        
+        return bullets;
+    }
+    
+    /**
+     * 添加敌人子弹
+     * @param {number} x - 起始X坐标
+     * @param {number} y - 起始Y坐标
+     * @param {number} velocityX - 水平速度（像素/秒）
+     * @param {number} velocityY - 垂直速度（像素/秒）
+     * @returns {EnemyBullet|null} 创建的子弹对象，如果达到最大数量则返回null
+     */
+    addEnemyBullet(x, y, velocityX, velocityY) {
+        if (this.enemyBullets.length >= this.maxBullets) {
+            if (GameConfig.DEBUG) {
+                console.warn(`已达到敌人子弹数量限制: ${this.maxBullets}`);
+            }
+            return null;
+        }
+        
+        const bullet = new EnemyBullet(x, y, velocityX, velocityY);
+        this.enemyBullets.push(bullet);
+        
+        if (GameConfig.DEBUG) {
+            console.log(`创建敌人子弹: 位置=(${Math.round(x)}, ${Math.round(y)}), 速度=(${Math.round(velocityX)}, ${Math.round(velocityY)})`);
         }
         
         return bullet;
@@ -175,23 +245,23 @@ class BulletManager {
      * @param {number} x - 起始X坐标
      * @param {number} y - 起始Y坐标
      * @param {number} direction - 飞行方向
+     * @param {string} weaponType - 武器类型
+     * @param {Object} options - 发射参数 {angle, charge}
      */
-    initializeBullet(bullet, x, y, direction) {
+    initializeBullet(bullet, x, y, direction, weaponType = GameConfig.WEAPONS.DEFAULT, options = {}) {
         bullet.x = x;
         bullet.y = y;
         bullet.startX = x;
         bullet.startY = y;
         bullet.direction = direction;
-        bullet.speed = GameConfig.BULLET_SPEED;
-        bullet.velocityX = bullet.speed * direction;
-        bullet.velocityY = 0;
+        bullet.configureWeapon(weaponType, options);
         bullet.active = true;
         bullet.lifeTime = 0;
         bullet.traveledDistance = 0;
         bullet.trailPositions = [];
-        bullet.damage = 1;
         bullet.maxDistance = GameConfig.CANVAS_WIDTH + 100;
         bullet.maxLifeTime = 3.0;
+        bullet.savePreviousPosition();
     }
     
     /**
@@ -276,6 +346,18 @@ class BulletManager {
         }
     }
     
+    /**
+     * 移除指定的敌人子弹
+     * @param {EnemyBullet} bullet - 要移除的子弹
+     */
+    removeEnemyBullet(bullet) {
+        bullet.destroy();
+        const index = this.enemyBullets.indexOf(bullet);
+        if (index !== -1) {
+            this.enemyBullets.splice(index, 1);
+        }
+    }
+    
     /**
      * 获取所有活跃的子弹
      * @returns {Array} 活跃子弹数组
@@ -284,6 +366,14 @@ class BulletManager {
         return this.bullets.filter(bullet => bullet.active);
     }
     
+    /**
+     * 获取所有活跃的敌人子弹
+     * @returns {Array} 活跃敌人子弹数组
+     */
+    getEnemyBullets() {
+        return this.enemyBullets.filter(bullet => bullet.active);
+    }
+    
     /**
      * 获取指定区域内的子弹
      * @param {number} x - 区域左上角X坐标
@@ -354,6 +444,7 @@ class BulletManager {
         
         this.stats.totalDestroyed += this.bullets.length;
         this.bullets = [];
+        this.enemyBullets = [];
         this.stats.currentActive = 0;
         
         if (GameConfig.DEBUG) {
@@ -385,6 +476,7 @@ class BulletManager {
         return {
             bullets: {
                 active: this.stats.currentActive,
+                enemyActive: this.enemyBullets.length,
                 maxAllowed: this.maxBullets,
                 totalCreated: this.stats.totalCreated,
                 totalDestroyed: this.stats.totalDestroyed,
@@ -430,6 +522,11 @@ class BulletManager {
             bullet.render(renderer);
         });
         
+        // 渲染敌人子弹
+        this.getEnemyBullets().forEach(bullet => {
+            bullet.render(renderer);
+        });
+        
         // 结束渲染性能监控
         if (window.shootingPerformanceMonitor) {
             window.shootingPerformanceMonitor.endTimer('bulletRender');
@@ -451,7 +548,7 @@ class BulletManager {
         const lineHeight = 14;
         
         renderer.drawText(
-            `子弹: ${stats.bullets.active}/${stats.bullets.maxAllowed} (创建:${stats.bullets.totalCreated}, 销毁:${stats.bullets.totalDestroyed})`,
+            `子弹: ${stats.bullets.active}/${stats.bullets.maxAllowed} 敌人子弹: ${stats.bullets.enemyActive} (创建:${stats.bullets.totalCreated}, 销毁:${stats.bullets.totalDestroyed})`,
             10, y, '#ffff00', '12px Arial'
         );
         
@@ -0,0 +1,246 @@
+/**
+ * 敌人管理器 - 生成、更新和渲染敌人
+ * 炮台射击时通过回调通知游戏场景，由子弹管理器创建敌人子弹
+ */
+class EnemyManager {
+    constructor(random = null, obstacleManager = null) {
+        // 游戏过程随机数流（由游戏场景传入，保证同一种子生成相同的敌人序列）
+        this.random = random || defaultRandom;
+        
+        // 障碍物管理器（俯冲者需要和地面障碍物错开）
+        this.obstacleManager = obstacleManager;
+        
+        this.enemies = [];
+        this.lastSpawnTime = 0;
+        this.spawnInterval = GameConfig.ENEMY.SPAWN_INTERVAL;
+        this.nextSpawnTime = this.spawnInterval;
+        
+        // 当前滚动速度、出现概率和类型权重（由难度导演调整）
+        this.scrollSpeed = GameConfig.OBSTACLE_SPEED;
+        this.spawnChance = 0;
+        this.enemyTypes = [];
+        
+        // 是否暂停生成敌人（首领战期间暂停）
+        this.spawningPaused = false;
+        
+        // 是否随机生成敌人（按关卡游戏时只由关卡中的触发器生成）
+        this.randomSpawning = true;
+        
+        // 敌人射击回调
+        this.fireCallbacks = [];
+        
+        // 统计
+        this.totalSpawned = 0;
+    }
+    
+    /**
+     * 应用难度参数
+     * @param {Object} settings - 难度导演计算出的参数
+     */
+    applyDifficulty(settings) {
+        this.scrollSpeed = settings.scrollSpeed;
+        this.spawnInterval = settings.enemySpawnInterval;
+        this.spawnChance = settings.enemySpawnChance;
+        this.enemyTypes = settings.enemyWeights;
+    }
+    
+    /**
+     * 更新敌人管理器
+     * @param {number} deltaTime - 时间增量
+     * @param {Object} target - 玩家碰撞边界 {x, y, width, height}
+     */
+    update(deltaTime, target = null) {
+        // 更新生成计时器（暂停生成时停止计时）
+        if (!this.spawningPaused && this.randomSpawning) {
+            this.lastSpawnTime += deltaTime * 1000; // 转换为毫秒
+            
+            if (this.lastSpawnTime >= this.nextSpawnTime) {
+                this.spawnEnemy();
+                this.resetSpawnTimer();
+            }
+        }
+        
+        // 更新所有敌人（水平速度随世界滚动速度变化）
+        this.enemies.forEach(enemy => {
+            enemy.velocityX = -this.scrollSpeed * enemy.config.speedMultiplier;
+            enemy.update(deltaTime, target);
+            
+            if (enemy.canFire(target)) {
+                this.notifyFire(enemy, enemy.fireAt(target));
+            }
+        });
+        
+        // 移除屏幕外或已被消灭的敌人
+        this.enemies = this.enemies.filter(enemy => enemy.active);
+    }
+    
+    /**
+     * 按当前出现概率生成敌人
+     */
+    spawnEnemy() {
+        if (!this.random.chance(this.spawnChance)) {
+            return;
+        }
+        
+        const type = this.random.pickWeighted(this.enemyTypes, 'chaser');
+        const config = GameConfig.ENEMY.TYPES[type];
+        
+        // 俯冲者只能滑铲躲过，和顶部障碍物一样需要与地面障碍物保持间距，不够时跳过本次生成
+        if (type === 'diver' && this.obstacleManager && !this.obstacleManager.canOccupyLane(config.width)) {
+            return;
+        }
+        
+        this.createEnemy(type, GameConfig.CANVAS_WIDTH);
+    }
+    
+    /**
+     * 在指定位置创建敌人
+     * @param {string} type - 敌人类型
+     * @param {number} x - X坐标
+     * @param {number|null} y - Y坐标，为null时按类型选择（俯冲者总是在巡航高度）
+     * @returns {Enemy} 创建的敌人
+     */
+    createEnemy(type, x, y = null) {
+        const config = GameConfig.ENEMY.TYPES[type];
+        
+        switch (type) {
+            case 'turret':
+                y = y !== null ? y : this.random.range(config.minY, config.maxY);
+                break;
+            case 'diver':
+                y = config.cruiseY;
+                break;
+            default:
+                y = y !== null ? y : this.random.range(config.minY, GameConfig.GROUND_Y - config.height);
+                break;
+        }
+        
+        const enemy = new Enemy(x, y, type);
+        enemy.velocityX = -this.scrollSpeed * config.speedMultiplier;
+        this.enemies.push(enemy);
+        
+        if (enemy.isOverhead() && this.obstacleManager) {
+            this.obstacleManager.occupyLane(enemy);
+        }
+        
+        this.totalSpawned++;
+        
+        if (GameConfig.DEBUG) {
+            console.log(`生成敌人: 类型=${type}, 位置=(${x}, ${Math.round(y)})`);
+        }
+        
+        return enemy;
+    }
+    
+    /**
+     * 重置生成计时器
+     */
+    resetSpawnTimer() {
+        this.lastSpawnTime = 0;
+        
+        // 随机化下次生成间隔
+        const minInterval = this.spawnInterval * 0.8;
+        const maxInterval = this.spawnInterval * 1.2;
+        this.nextSpawnTime = this.random.range(minInterval, maxInterval);
+    }
+    
+    /**
+     * 暂停或恢复敌人生成（已出现的敌人继续行动）
+     * @param {boolean} paused - 是否暂停
+     */
+    setSpawningPaused(paused) {
+        this.spawningPaused = paused;
+    }
+    
+    /**
+     * 启用或禁用随机生成敌人（禁用时仍可通过createEnemy生成）
+     * @param {boolean} enabled - 是否启用
+     */
+    setRandomSpawning(enabled) {
+        this.randomSpawning = enabled;
+    }
+    
+    /**
+     * 注册敌人射击回调
+     * @param {Function} callback - 回调函数 (shot) => void，shot为 {enemy, x, y, velocityX, velocityY}
+     */
+    onFire(callback) {
+        if (typeof callback === 'function') {
+            this.fireCallbacks.push(callback);
+        }
+    }
+    
+    /**
+     * 通知敌人射击
+     * @param {Enemy} enemy - 射击的敌人
+     * @param {Object} shot - 子弹参数 {x, y, velocityX, velocityY}
+     */
+    notifyFire(enemy, shot) {
+        this.fireCallbacks.forEach(callback => {
+            try {
+                callback({ enemy: enemy, ...shot });
+            } catch (error) {
+                console.error('敌人射击回调执行错误:', error);
+            }
+        });
+    }
+    
+    /**
+     * 移除指定的敌人（用于被消灭或撞到玩家时）
+     * @param {Enemy} enemy - 要移除的敌人
+     */
+    removeEnemy(enemy) {
+        enemy.destroy();
+        const index = this.enemies.indexOf(enemy);
+        if (index !== -1) {
+            this.enemies.splice(index, 1);
+        }
+    }
+    
+    /**
+     * 获取所有活跃的敌人
+     * @returns {Array} 敌人数组
+     */
+    getEnemies() {
+        return this.enemies.filter(enemy => enemy.active);
+    }
+    
+    /**
+     * 清除所有敌人
+     */
+    clearAllEnemies() {
+        this.enemies = [];
+        this.lastSpawnTime = 0;
+        this.nextSpawnTime = this.spawnInterval;
+        this.totalSpawned = 0;
+        this.spawningPaused = false;
+    }
+    
+    /**
+     * 获取敌人数量统计
+     * @returns {Object} 统计信息
+     */
+    getStats() {
+        const activeEnemies = this.getEnemies();
+        const types = {};
+        Object.keys(GameConfig.ENEMY.TYPES).forEach(type => {
+            types[type] = activeEnemies.filter(enemy => enemy.type === type).length;
+        });
+        
+        return {
+            active: activeEnemies.length,
+            totalSpawned: this.totalSpawned,
+            types: types
+        };
+    }
+    
+    /**
+     * 渲染所有敌人
+     * @param {Renderer} renderer - 渲染器
+     */
+    render(renderer) {
+        this.getEnemies().forEach(enemy => {
+            enemy.render(renderer);
+        });
+    }
+}
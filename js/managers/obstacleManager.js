@@ -1,8 +1,40 @@
 /**
  * 障碍物管理器
+ * 有符合当前难度标签的障碍物片段时按片段依次生成，否则按计时器随机生成
+ * 传入可通过性分析器时，随机生成的地面障碍物和片段都要先通过检查
+ * 设置了关卡时只按关卡条目生成，触发器和关卡完成通过回调通知游戏场景
  */
 class ObstacleManager {
-    constructor() {
+    constructor(random = null, chunkLibrary = null, reachabilityAnalyzer = null) {
+        // 游戏过程随机数流（由游戏场景传入，保证同一种子生成相同的障碍物序列）
+        this.random = random || defaultRandom;
+        
+        // 障碍物片段库（未传入时只随机生成）
+        this.chunkLibrary = chunkLibrary;
+        this.chunksEnabled = GameConfig.CHUNKS.ENABLED;
+        this.chunkTags = [];
+        this.activeChunk = null;
+        this.chunkDistance = 0;      // 当前片段起点滚过屏幕右边缘后的距离（像素）
+        this.chunkEntryIndex = 0;    // 当前片段下一个要生成的条目
+        this.lastChunkId = null;
+        this.chunksStarted = 0;
+        
+        // 关卡（设置后代替随机生成和片段）
+        this.level = null;
+        this.levelDistance = 0;      // 关卡起点滚过屏幕右边缘后的距离（像素）
+        this.levelEntryIndex = 0;    // 下一个要生成的关卡条目
+        this.levelComplete = false;
+        this.levelEventCallbacks = [];
+        
+        // 可通过性分析器（未传入时不检查）和片段检查结果缓存（片段ID@滚动速度/物理参数 -> 是否可以通过）
+        this.reachabilityAnalyzer = reachabilityAnalyzer;
+        this.chunkClearableCache = new Map();
+        this.modifiersKey = '1.00/1.00';
+        this.resetFairnessStats();
+        
+        // 地形区域的障碍物颜色（为null时使用障碍物的默认颜色）
+        this.obstacleSkin = null;
+        
         this.obstacles = [];
         this.floatingObstacles = [];
         this.lastSpawnTime = 0;
@@ -12,6 +44,23 @@ class ObstacleManager {
         this.nextSpawnTime = this.spawnInterval;
         this.nextFloatingSpawnTime = this.floatingSpawnInterval;
         
+        // 占用地面通道的其他物体（如俯冲的敌人），生成地面障碍物时同样保持间距
+        this.laneOccupants = [];
+        
+        // 是否暂停生成障碍物（首领战期间暂停，道具照常生成）
+        this.spawningPaused = false;
+        
+        // 道具（与障碍物一起生成和滚动）
+        this.powerUps = [];
+        this.lastPowerUpSpawnTime = 0;
+        this.nextPowerUpSpawnTime = GameConfig.POWER_UP.SPAWN_INTERVAL;
+        this.powerUpTypes = Object.entries(GameConfig.POWER_UP.TYPES)
+            .map(([type, config]) => ({ type: type, weight: config.weight }));
+        
+        // 当前滚动速度和漂浮幅度倍数（由难度导演调整）
+        this.scrollSpeed = GameConfig.OBSTACLE_SPEED;
+        this.floatingAmplitudeMultiplier = 1.0;
+        
         // 地面障碍物类型权重（用于随机生成）
         this.obstacleTypes = [
             { type: 'basic', weight: 0.6 },
@@ -26,11 +75,96 @@ class ObstacleManager {
         ];
     }
     
+    /**
+     * 应用难度参数
+     * @param {Object} settings - 难度导演计算出的参数
+     */
+    applyDifficulty(settings) {
+        this.scrollSpeed = settings.scrollSpeed;
+        this.spawnInterval = settings.spawnInterval;
+        this.floatingSpawnInterval = settings.floatingSpawnInterval;
+        this.floatingAmplitudeMultiplier = settings.floatingAmplitudeMultiplier;
+        this.obstacleTypes = settings.obstacleWeights;
+        this.floatingObstacleTypes = settings.floatingWeights;
+        this.chunkTags = settings.chunkTags || [];
+    }
+    
+    /**
+     * 设置可通过性检查使用的地形区域物理参数（应为新障碍物到达玩家时的参数）
+     * @param {Object} modifiers - 物理参数 {gravityMultiplier, jumpControl}
+     */
+    setBiomeModifiers(modifiers) {
+        this.modifiersKey = `${modifiers.gravityMultiplier.toFixed(2)}/${modifiers.jumpControl.toFixed(2)}`;
+        if (this.reachabilityAnalyzer) {
+            this.reachabilityAnalyzer.setModifiers(modifiers);
+        }
+    }
+    
+    /**
+     * 设置新生成的障碍物使用的颜色
+     * @param {Object|null} skin - 障碍物类型 -> 颜色
+     */
+    setObstacleSkin(skin) {
+        this.obstacleSkin = skin;
+    }
+    
     /**
      * 更新障碍物管理器
      * @param {number} deltaTime - 时间增量
      */
     update(deltaTime) {
+        // 暂停生成时障碍物生成计时器和片段进度也停止，恢复后按原来的进度继续
+        if (!this.spawningPaused) {
+            if (this.level) {
+                this.updateLevel(deltaTime);
+            } else if (this.activeChunk || this.getChunkCandidates().length > 0) {
+                this.updateChunk(deltaTime);
+            } else {
+                this.updateRandomSpawning(deltaTime);
+            }
+        }
+        
+        // 更新道具生成计时器（关卡中的道具由关卡条目生成）
+        if (!this.level) {
+            this.lastPowerUpSpawnTime += deltaTime * 1000;
+            
+            // 检查是否需要生成新道具
+            if (this.lastPowerUpSpawnTime >= this.nextPowerUpSpawnTime) {
+                this.spawnPowerUp();
+                this.resetPowerUpSpawnTimer();
+            }
+        }
+        
+        // 更新所有地面障碍物（所有障碍物随世界以相同速度滚动）
+        this.obstacles.forEach(obstacle => {
+            obstacle.velocityX = -this.scrollSpeed;
+            obstacle.update(deltaTime);
+        });
+        
+        // 更新所有漂浮障碍物
+        this.floatingObstacles.forEach(obstacle => {
+            obstacle.velocityX = -this.scrollSpeed;
+            obstacle.update(deltaTime);
+        });
+        
+        // 更新所有道具
+        this.powerUps.forEach(powerUp => {
+            powerUp.velocityX = -this.scrollSpeed;
+            powerUp.update(deltaTime);
+        });
+        
+        // 移除屏幕外的障碍物
+        this.removeOffscreenObstacles();
+        
+        // 移除屏幕外或已拾取的道具
+        this.powerUps = this.powerUps.filter(powerUp => powerUp.active);
+    }
+    
+    /**
+     * 按计时器随机生成地面障碍物和漂浮障碍物（没有合适的障碍物片段时使用）
+     * @param {number} deltaTime - 时间增量
+     */
+    updateRandomSpawning(deltaTime) {
         // 更新地面障碍物生成计时器
         this.lastSpawnTime += deltaTime * 1000; // 转换为毫秒
         
@@ -48,19 +182,279 @@ class ObstacleManager {
             this.spawnFloatingObstacle();
             this.resetFloatingSpawnTimer();
         }
+    }
+    
+    /**
+     * 检查片段库中是否有可用的障碍物片段
+     * @returns {boolean} 是否可以按片段生成
+     */
+    hasChunks() {
+        return GameConfig.CHUNKS.ENABLED && this.chunkLibrary !== null && this.chunkLibrary.hasChunks();
+    }
+    
+    /**
+     * 启用或停用障碍物片段（停用时只随机生成，回放旧录像时使用）
+     * @param {boolean} enabled - 是否启用
+     */
+    setChunksEnabled(enabled) {
+        this.chunksEnabled = enabled;
+    }
+    
+    /**
+     * 获取符合当前难度标签、并且在当前滚动速度下可以通过的障碍物片段
+     * @returns {Array<Object>} 片段数组
+     */
+    getChunkCandidates() {
+        if (!this.chunksEnabled || !this.hasChunks()) {
+            return [];
+        }
+        return this.chunkLibrary.getChunksByTags(this.chunkTags).filter(chunk => this.isChunkClearable(chunk));
+    }
+    
+    /**
+     * 检查片段在当前滚动速度下能否通过（滚动速度按20像素/秒分档，结果按档缓存）
+     * @param {Object} chunk - 片段
+     * @returns {boolean} 是否可以通过
+     */
+    isChunkClearable(chunk) {
+        if (!this.isFairnessCheckEnabled()) {
+            return true;
+        }
         
-        // 更新所有地面障碍物
-        this.obstacles.forEach(obstacle => {
-            obstacle.update(deltaTime);
-        });
+        const speed = Math.round(this.scrollSpeed / 20) * 20;
+        const key = `${chunk.id}@${speed}/${this.modifiersKey}`;
+        if (!this.chunkClearableCache.has(key)) {
+            // 片段开始前地面通道已经留出顶部障碍物间距，只需要分析片段自身的地面障碍物
+            const startX = this.reachabilityAnalyzer.getStartX();
+            const obstacles = chunk.entries
+                .filter(entry => entry.kind === 'obstacle')
+                .map(entry => this.getObstacleBounds(entry.type, startX + entry.at));
+            const clearable = this.reachabilityAnalyzer.analyze(obstacles, speed).clearable;
+            this.chunkClearableCache.set(key, clearable);
+            
+            if (!clearable) {
+                this.fairnessStats.chunksSkipped++;
+                console.warn(`障碍物片段 ${chunk.id} 在滚动速度 ${speed} 时无法通过，已跳过`);
+            }
+        }
         
-        // 更新所有漂浮障碍物
-        this.floatingObstacles.forEach(obstacle => {
-            obstacle.update(deltaTime);
+        return this.chunkClearableCache.get(key);
+    }
+    
+    /**
+     * 推进当前片段并生成已到达屏幕右边缘的条目，片段结束后开始下一个片段
+     * @param {number} deltaTime - 时间增量
+     */
+    updateChunk(deltaTime) {
+        if (!this.activeChunk) {
+            // 等地面通道和漂浮障碍物都留出足够间距后再开始（片段的第一个条目可能是顶部障碍物）
+            if (!this.canSpawnObstacle('barrier') || !this.canSpawnFloatingObstacle()) {
+                return;
+            }
+            this.startChunk(this.pickChunk(this.getChunkCandidates()));
+        }
+        
+        this.chunkDistance += this.scrollSpeed * deltaTime;
+        this.chunkEntryIndex = this.spawnReachedEntries(this.activeChunk.entries, this.chunkEntryIndex, this.chunkDistance);
+        
+        if (this.chunkEntryIndex >= this.activeChunk.entries.length && this.chunkDistance >= this.activeChunk.length) {
+            this.activeChunk = null;
+        }
+    }
+    
+    /**
+     * 生成已到达屏幕右边缘的条目
+     * 条目按距离排列，按超出的距离向左偏移，保证条目之间的间距与编排的完全一致
+     * @param {Array<Object>} entries - 片段或关卡的条目
+     * @param {number} index - 下一个要生成的条目
+     * @param {number} distance - 起点滚过屏幕右边缘后的距离（像素）
+     * @returns {number} 生成后下一个要生成的条目
+     */
+    spawnReachedEntries(entries, index, distance) {
+        while (index < entries.length && entries[index].at <= distance) {
+            const entry = entries[index];
+            this.spawnChunkEntry(entry, GameConfig.CANVAS_WIDTH - (distance - entry.at));
+            index++;
+        }
+        return index;
+    }
+    
+    /**
+     * 设置按关卡生成（在clearAllObstacles之后调用）
+     * 从中途开始时跳过已经越过玩家的条目，屏幕上其余的条目在第一次更新时一起生成
+     * @param {Object|null} level - 关卡数据，为null时恢复随机生成和片段
+     * @param {number} startDistance - 开始位置（关卡起点滚过屏幕右边缘后的距离，像素）
+     */
+    setLevel(level, startDistance = 0) {
+        this.level = level;
+        this.levelDistance = startDistance;
+        this.levelComplete = false;
+        this.levelEntryIndex = 0;
+        
+        if (!level) {
+            return;
+        }
+        
+        const playerRight = GameConfig.PLAYER.CENTER_X + GameConfig.PLAYER.WIDTH / 2;
+        while (this.levelEntryIndex < level.entries.length &&
+            GameConfig.CANVAS_WIDTH - (startDistance - level.entries[this.levelEntryIndex].at) < playerRight) {
+            this.levelEntryIndex++;
+        }
+    }
+    
+    /**
+     * 推进关卡并生成已到达屏幕右边缘的条目，关卡终点到达玩家时通知关卡完成
+     * @param {number} deltaTime - 时间增量
+     */
+    updateLevel(deltaTime) {
+        if (this.levelComplete) {
+            return;
+        }
+        
+        this.levelDistance += this.scrollSpeed * deltaTime;
+        this.levelEntryIndex = this.spawnReachedEntries(this.level.entries, this.levelEntryIndex, this.levelDistance);
+        
+        if (this.levelEntryIndex >= this.level.entries.length && this.levelDistance >= this.getLevelFinishDistance()) {
+            this.levelComplete = true;
+            this.notifyLevelEvent({ type: 'complete', level: this.level });
+        }
+    }
+    
+    /**
+     * 获取关卡终点到达玩家时的关卡距离
+     * @returns {number} 距离（像素）
+     */
+    getLevelFinishDistance() {
+        return this.level.length + GameConfig.CANVAS_WIDTH - GameConfig.PLAYER.CENTER_X;
+    }
+    
+    /**
+     * 获取关卡进度
+     * @returns {Object|null} 进度 {distance, finishDistance, progress}，没有关卡时为null
+     */
+    getLevelProgress() {
+        if (!this.level) {
+            return null;
+        }
+        
+        const finishDistance = this.getLevelFinishDistance();
+        return {
+            distance: this.levelDistance,
+            finishDistance: finishDistance,
+            progress: Utils.clamp(this.levelDistance / finishDistance, 0, 1)
+        };
+    }
+    
+    /**
+     * 注册关卡事件回调
+     * @param {Function} callback - 回调函数 (event) => void，event为 {type: 'trigger', entry, x} 或 {type: 'complete', level}
+     */
+    onLevelEvent(callback) {
+        if (typeof callback === 'function') {
+            this.levelEventCallbacks.push(callback);
+        }
+    }
+    
+    /**
+     * 通知关卡事件
+     * @param {Object} event - 事件信息
+     */
+    notifyLevelEvent(event) {
+        this.levelEventCallbacks.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('关卡事件回调执行错误:', error);
+            }
         });
+    }
+    
+    /**
+     * 按权重挑选下一个片段（有多个候选时不连续使用同一个片段）
+     * @param {Array<Object>} candidates - 候选片段
+     * @returns {Object} 选中的片段
+     */
+    pickChunk(candidates) {
+        const pool = candidates.length > 1 ?
+            candidates.filter(chunk => chunk.id !== this.lastChunkId) :
+            candidates;
         
-        // 移除屏幕外的障碍物
-        this.removeOffscreenObstacles();
+        const totalWeight = pool.reduce((sum, chunk) => sum + (chunk.weight || 1), 0);
+        const weights = pool.map(chunk => ({ type: chunk.id, weight: (chunk.weight || 1) / totalWeight }));
+        const id = this.random.pickWeighted(weights, pool[pool.length - 1].id);
+        
+        return pool.find(chunk => chunk.id === id);
+    }
+    
+    /**
+     * 开始生成片段
+     * @param {Object} chunk - 片段
+     */
+    startChunk(chunk) {
+        this.activeChunk = chunk;
+        this.chunkDistance = 0;
+        this.chunkEntryIndex = 0;
+        this.lastChunkId = chunk.id;
+        this.chunksStarted++;
+        
+        if (GameConfig.DEBUG) {
+            console.log(`开始障碍物片段: ${chunk.id}${chunk.name ? ` (${chunk.name})` : ''}`);
+        }
+    }
+    
+    /**
+     * 生成片段或关卡中的一个条目
+     * @param {Object} entry - 条目 {at, kind, type, y}
+     * @param {number} x - 生成位置X坐标
+     */
+    spawnChunkEntry(entry, x) {
+        switch (entry.kind) {
+            case 'obstacle':
+                this.createObstacle(entry.type, x);
+                break;
+            case 'floating': {
+                const y = entry.y !== undefined ? entry.y :
+                    this.random.range(GameConfig.FLOATING_OBSTACLE_MIN_Y, GameConfig.FLOATING_OBSTACLE_MAX_Y);
+                this.createFloatingObstacle(entry.type, x, y);
+                break;
+            }
+            case 'powerUp': {
+                const type = entry.type === 'random' ? this.random.pickWeighted(this.powerUpTypes, 'shield') : entry.type;
+                const y = entry.y !== undefined ? entry.y :
+                    this.random.range(GameConfig.POWER_UP.MIN_Y, GameConfig.POWER_UP.MAX_Y);
+                this.createPowerUp(type, x, y);
+                break;
+            }
+            case 'trigger':
+                // 触发器（敌人、首领战、提示文字）由游戏场景处理
+                this.notifyLevelEvent({ type: 'trigger', entry: entry, x: x });
+                break;
+        }
+    }
+    
+    /**
+     * 检查其他物体（如俯冲的敌人）是否可以进入地面通道
+     * 除了与已生成的地面障碍物保持间距，还要给当前片段接下来的地面障碍物留出间距
+     * @param {number} width - 物体宽度
+     * @returns {boolean} 是否可以进入
+     */
+    canOccupyLane(width) {
+        if (!this.canSpawnObstacle('barrier')) {
+            return false;
+        }
+        
+        if (!this.activeChunk) {
+            return true;
+        }
+        
+        const nextGroundEntry = this.activeChunk.entries
+            .slice(this.chunkEntryIndex)
+            .find(entry => entry.kind === 'obstacle');
+        if (!nextGroundEntry) {
+            return true;
+        }
+        
+        return nextGroundEntry.at - this.chunkDistance - width >= GameConfig.OBSTACLE.BARRIER_GAP;
     }
     
     /**
@@ -73,10 +467,98 @@ class ObstacleManager {
         }
         
         // 随机选择障碍物类型
-        const obstacleType = this.getRandomObstacleType();
+        let obstacleType = this.getRandomObstacleType();
+        
+        // 顶部障碍物需要更大的间距，不够时跳过本次生成
+        if (!this.canSpawnObstacle(obstacleType)) {
+            return;
+        }
         
         // 在屏幕右侧生成障碍物
         const x = GameConfig.CANVAS_WIDTH;
+        
+        // 和前面的地面障碍物一起无法通过时改用基础类型，仍然无法通过则放弃本次生成
+        if (!this.isPlacementClearable(obstacleType, x)) {
+            const fallbackType = GameConfig.FAIRNESS.FALLBACK_TYPE;
+            if (obstacleType === fallbackType || !this.canSpawnObstacle(fallbackType) ||
+                !this.isPlacementClearable(fallbackType, x)) {
+                this.fairnessStats.rejected++;
+                
+                if (GameConfig.DEBUG) {
+                    console.log(`放弃生成无法通过的障碍物: 类型=${obstacleType}`);
+                }
+                return;
+            }
+            
+            this.fairnessStats.adjusted++;
+            
+            if (GameConfig.DEBUG) {
+                console.log(`障碍物无法通过，改为: ${obstacleType} -> ${fallbackType}`);
+            }
+            obstacleType = fallbackType;
+        }
+        
+        this.createObstacle(obstacleType, x);
+    }
+    
+    /**
+     * 检查是否启用可通过性检查
+     * @returns {boolean} 是否启用
+     */
+    isFairnessCheckEnabled() {
+        return GameConfig.FAIRNESS.ENABLED && this.reachabilityAnalyzer !== null;
+    }
+    
+    /**
+     * 检查在指定位置生成地面障碍物后，它和前面还没到达玩家的地面障碍物能否一起通过
+     * @param {string} type - 障碍物类型
+     * @param {number} x - 生成位置X坐标
+     * @returns {boolean} 是否可以通过
+     */
+    isPlacementClearable(type, x) {
+        if (!this.isFairnessCheckEnabled()) {
+            return true;
+        }
+        
+        const startX = this.reachabilityAnalyzer.getStartX();
+        const upcoming = this.getObstacles()
+            .filter(obstacle => obstacle.x >= startX)
+            .sort((a, b) => a.x - b.x)
+            .slice(-GameConfig.FAIRNESS.LOOKBEHIND)
+            .map(obstacle => obstacle.getBounds());
+        
+        this.fairnessStats.checked++;
+        return this.reachabilityAnalyzer.analyze([...upcoming, this.getObstacleBounds(type, x)], this.scrollSpeed).clearable;
+    }
+    
+    /**
+     * 获取指定类型的地面障碍物在指定位置时的碰撞边界
+     * @param {string} type - 障碍物类型
+     * @param {number} x - X坐标
+     * @returns {Object} 边界矩形 {x, y, width, height}
+     */
+    getObstacleBounds(type, x) {
+        return new Obstacle(x, GameConfig.GROUND_Y, type, this.random).getBounds();
+    }
+    
+    /**
+     * 重置可通过性检查统计
+     */
+    resetFairnessStats() {
+        this.fairnessStats = {
+            checked: 0,          // 检查的随机生成次数
+            adjusted: 0,         // 改用基础类型的次数
+            rejected: 0,         // 放弃生成的次数
+            chunksSkipped: 0     // 因无法通过被跳过的片段（按滚动速度分档计数）
+        };
+    }
+    
+    /**
+     * 创建地面障碍物
+     * @param {string} obstacleType - 障碍物类型
+     * @param {number} x - 生成位置X坐标
+     */
+    createObstacle(obstacleType, x) {
         const y = GameConfig.GROUND_Y; // Obstacle构造函数会自动调整y位置
         
         // 尝试从对象池获取障碍物
@@ -91,37 +573,74 @@ class ObstacleManager {
             obstacle.y = y - obstacle.height;
             obstacle.type = obstacleType;
             obstacle.active = true;
-            obstacle.velocityX = -GameConfig.OBSTACLE_SPEED;
+            obstacle.velocityX = -this.scrollSpeed;
             obstacle.velocityY = 0;
+            obstacle.savePreviousPosition();
         } else {
             // 如果池中没有可用对象，创建新的
-            obstacle = new Obstacle(x, y, obstacleType);
+            obstacle = new Obstacle(x, y, obstacleType, this.random);
+            obstacle.velocityX = -this.scrollSpeed;
         }
         
+        obstacle.skin = this.obstacleSkin;
         this.obstacles.push(obstacle);
         
         if (GameConfig.DEBUG) {
-            console.log(`生成障碍物: 类型=${obstacleType}, 位置=(${x}, ${y}), 来源=${obstacle.pooled ? '对象池' : '新创建'}`);
+            console.log(`生成障碍物: 类型=${obstacleType}, 位置=(${Math.round(x)}, ${y}), 来源=${obstacle.pooled ? '对象池' : '新创建'}`);
         }
     }
     
     /**
      * 检查是否可以生成新障碍物（确保间距）
+     * @param {string|null} type - 将要生成的障碍物类型（未确定时为null）
      * @returns {boolean} 是否可以生成
      */
-    canSpawnObstacle() {
-        if (this.obstacles.length === 0) {
+    canSpawnObstacle(type = null) {
+        this.laneOccupants = this.laneOccupants.filter(occupant => occupant.active);
+        const laneEntities = [...this.obstacles, ...this.laneOccupants];
+        
+        if (laneEntities.length === 0) {
             return true;
         }
         
         // 找到最右侧的障碍物
-        const rightmostObstacle = this.obstacles.reduce((rightmost, current) => {
+        const rightmostObstacle = laneEntities.reduce((rightmost, current) => {
             return current.x > rightmost.x ? current : rightmost;
         });
         
         // 检查与最右侧障碍物的距离
         const distance = GameConfig.CANVAS_WIDTH - (rightmostObstacle.x + rightmostObstacle.width);
-        return distance >= GameConfig.OBSTACLE.MIN_GAP;
+        return distance >= this.getRequiredGap(rightmostObstacle, type);
+    }
+    
+    /**
+     * 获取两个相邻地面障碍物之间需要的最小间距
+     * 顶部障碍物（以及需要滑铲躲避的敌人）前后需要留出落地后滑铲、滑铲后起跳的距离
+     * @param {Entity} previous - 前一个障碍物
+     * @param {string|null} nextType - 后一个障碍物类型
+     * @returns {number} 最小间距（像素）
+     */
+    getRequiredGap(previous, nextType) {
+        if (previous.isOverhead() || nextType === 'barrier') {
+            return GameConfig.OBSTACLE.BARRIER_GAP;
+        }
+        return GameConfig.OBSTACLE.MIN_GAP;
+    }
+    
+    /**
+     * 登记占用地面通道的物体，之后生成的地面障碍物与它保持间距
+     * @param {Entity} entity - 占用通道的物体（需要实现isOverhead）
+     */
+    occupyLane(entity) {
+        this.laneOccupants.push(entity);
+    }
+    
+    /**
+     * 暂停或恢复障碍物生成（已生成的障碍物继续滚动）
+     * @param {boolean} paused - 是否暂停
+     */
+    setSpawningPaused(paused) {
+        this.spawningPaused = paused;
     }
     
     /**
@@ -129,18 +648,8 @@ class ObstacleManager {
      * @returns {string} 障碍物类型
      */
     getRandomObstacleType() {
-        const random = Math.random();
-        let cumulativeWeight = 0;
-        
-        for (const obstacleType of this.obstacleTypes) {
-            cumulativeWeight += obstacleType.weight;
-            if (random <= cumulativeWeight) {
-                return obstacleType.type;
-            }
-        }
-        
-        // 默认返回基础类型
-        return 'basic';
+        // 没有命中时默认返回基础类型
+        return this.random.pickWeighted(this.obstacleTypes, 'basic');
     }
     
     /**
@@ -156,10 +665,17 @@ class ObstacleManager {
         const obstacleType = this.getRandomFloatingObstacleType();
         
         // 在屏幕右侧随机高度生成漂浮障碍物
-        const x = GameConfig.CANVAS_WIDTH;
-        const y = GameConfig.FLOATING_OBSTACLE_MIN_Y + 
-                 Math.random() * (GameConfig.FLOATING_OBSTACLE_MAX_Y - GameConfig.FLOATING_OBSTACLE_MIN_Y);
-        
+        const y = this.random.range(GameConfig.FLOATING_OBSTACLE_MIN_Y, GameConfig.FLOATING_OBSTACLE_MAX_Y);
+        this.createFloatingObstacle(obstacleType, GameConfig.CANVAS_WIDTH, y);
+    }
+    
+    /**
+     * 创建漂浮障碍物
+     * @param {string} obstacleType - 漂浮障碍物类型
+     * @param {number} x - 生成位置X坐标
+     * @param {number} y - 生成位置Y坐标
+     */
+    createFloatingObstacle(obstacleType, x, y) {
         // 尝试从对象池获取障碍物
         let obstacle = null;
         if (window.objectPoolManager) {
@@ -173,18 +689,25 @@ class ObstacleManager {
             obstacle.originalY = y;
             obstacle.type = obstacleType;
             obstacle.active = true;
-            obstacle.velocityX = -GameConfig.OBSTACLE_SPEED;
+            obstacle.velocityX = -this.scrollSpeed;
             obstacle.velocityY = 0;
+            obstacle.random = this.random;
             obstacle.setupObstacleType(obstacleType);
+            obstacle.savePreviousPosition();
         } else {
             // 如果池中没有可用对象，创建新的
-            obstacle = new Obstacle(x, y, obstacleType);
+            obstacle = new Obstacle(x, y, obstacleType, this.random);
+            obstacle.velocityX = -this.scrollSpeed;
         }
         
+        // 按当前难度放大漂浮幅度
+        obstacle.floatingAmplitude *= this.floatingAmplitudeMultiplier;
+        
+        obstacle.skin = this.obstacleSkin;
         this.floatingObstacles.push(obstacle);
         
         if (GameConfig.DEBUG) {
-            console.log(`生成漂浮障碍物: 类型=${obstacleType}, 位置=(${x}, ${y}), 来源=${obstacle.pooled ? '对象池' : '新创建'}`);
+            console.log(`生成漂浮障碍物: 类型=${obstacleType}, 位置=(${Math.round(x)}, ${Math.round(y)}), 来源=${obstacle.pooled ? '对象池' : '新创建'}`);
         }
     }
     
@@ -212,18 +735,98 @@ class ObstacleManager {
      * @returns {string} 漂浮障碍物类型
      */
     getRandomFloatingObstacleType() {
-        const random = Math.random();
-        let cumulativeWeight = 0;
+        // 没有命中时默认返回基础漂浮类型
+        return this.random.pickWeighted(this.floatingObstacleTypes, 'floating');
+    }
+    
+    /**
+     * 生成道具
+     */
+    spawnPowerUp() {
+        const type = this.random.pickWeighted(this.powerUpTypes, 'shield');
+        const x = GameConfig.CANVAS_WIDTH;
+        const y = this.random.range(GameConfig.POWER_UP.MIN_Y, GameConfig.POWER_UP.MAX_Y);
         
-        for (const obstacleType of this.floatingObstacleTypes) {
-            cumulativeWeight += obstacleType.weight;
-            if (random <= cumulativeWeight) {
-                return obstacleType.type;
-            }
+        // 与刚生成的地面障碍物靠得太近时后移，保证道具可以被安全拾取
+        const margin = GameConfig.OBSTACLE.MIN_GAP / 2;
+        const rightmostEdge = this.obstacles.reduce(
+            (edge, obstacle) => Math.max(edge, obstacle.x + obstacle.width),
+            -Infinity
+        );
+        const spawnX = Math.max(x, rightmostEdge + margin);
+        
+        this.createPowerUp(type, spawnX, y);
+    }
+    
+    /**
+     * 创建道具
+     * @param {string} type - 道具类型
+     * @param {number} x - 生成位置X坐标
+     * @param {number} y - 生成位置Y坐标
+     */
+    createPowerUp(type, x, y) {
+        const powerUp = new PowerUp(x, y, type);
+        powerUp.velocityX = -this.scrollSpeed;
+        this.powerUps.push(powerUp);
+        
+        if (GameConfig.DEBUG) {
+            console.log(`生成道具: 类型=${type}, 位置=(${Math.round(x)}, ${Math.round(y)})`);
         }
+    }
+    
+    /**
+     * 重置道具生成计时器
+     */
+    resetPowerUpSpawnTimer() {
+        this.lastPowerUpSpawnTime = 0;
         
-        // 默认返回基础漂浮类型
-        return 'floating';
+        // 随机化下次道具生成间隔
+        const minInterval = GameConfig.POWER_UP.SPAWN_INTERVAL * 0.75;
+        const maxInterval = GameConfig.POWER_UP.SPAWN_INTERVAL * 1.25;
+        this.nextPowerUpSpawnTime = this.random.range(minInterval, maxInterval);
+    }
+    
+    /**
+     * 将范围内的道具吸向指定位置（磁铁效果）
+     * @param {number} targetX - 目标X坐标
+     * @param {number} targetY - 目标Y坐标
+     * @param {number} radius - 吸引半径
+     * @param {number} speed - 吸引速度（像素/秒）
+     * @param {number} deltaTime - 时间增量
+     */
+    attractPowerUps(targetX, targetY, radius, speed, deltaTime) {
+        this.getPowerUps().forEach(powerUp => {
+            const distance = Utils.distance(
+                powerUp.x + powerUp.width / 2,
+                powerUp.y + powerUp.height / 2,
+                targetX,
+                targetY
+            );
+            
+            if (distance <= radius) {
+                powerUp.moveTowards(targetX, targetY, speed, deltaTime);
+            }
+        });
+    }
+    
+    /**
+     * 移除指定的道具（用于被拾取时）
+     * @param {PowerUp} powerUp - 要移除的道具
+     */
+    removePowerUp(powerUp) {
+        powerUp.destroy();
+        const index = this.powerUps.indexOf(powerUp);
+        if (index !== -1) {
+            this.powerUps.splice(index, 1);
+        }
+    }
+    
+    /**
+     * 获取所有活跃的道具
+     * @returns {Array} 道具数组
+     */
+    getPowerUps() {
+        return this.powerUps.filter(powerUp => powerUp.active);
     }
     
     /**
@@ -233,9 +836,9 @@ class ObstacleManager {
         this.lastSpawnTime = 0;
         
         // 随机化下次生成间隔（增加游戏变化性）
-        const minInterval = GameConfig.OBSTACLE_SPAWN_INTERVAL * 0.8;
-        const maxInterval = GameConfig.OBSTACLE_SPAWN_INTERVAL * 1.2;
-        this.nextSpawnTime = Utils.random(minInterval, maxInterval);
+        const minInterval = this.spawnInterval * 0.8;
+        const maxInterval = this.spawnInterval * 1.2;
+        this.nextSpawnTime = this.random.range(minInterval, maxInterval);
     }
     
     /**
@@ -245,9 +848,9 @@ class ObstacleManager {
         this.lastFloatingSpawnTime = 0;
         
         // 随机化下次漂浮障碍物生成间隔
-        const minInterval = GameConfig.FLOATING_OBSTACLE_SPAWN_INTERVAL * 0.7;
-        const maxInterval = GameConfig.FLOATING_OBSTACLE_SPAWN_INTERVAL * 1.3;
-        this.nextFloatingSpawnTime = Utils.random(minInterval, maxInterval);
+        const minInterval = this.floatingSpawnInterval * 0.7;
+        const maxInterval = this.floatingSpawnInterval * 1.3;
+        this.nextFloatingSpawnTime = this.random.range(minInterval, maxInterval);
     }
     
     /**
@@ -360,10 +963,21 @@ class ObstacleManager {
         
         this.obstacles = [];
         this.floatingObstacles = [];
+        this.laneOccupants = [];
+        this.powerUps = [];
         this.lastSpawnTime = 0;
         this.lastFloatingSpawnTime = 0;
+        this.lastPowerUpSpawnTime = 0;
         this.nextSpawnTime = this.spawnInterval;
         this.nextFloatingSpawnTime = this.floatingSpawnInterval;
+        this.nextPowerUpSpawnTime = GameConfig.POWER_UP.SPAWN_INTERVAL;
+        this.spawningPaused = false;
+        this.activeChunk = null;
+        this.chunkDistance = 0;
+        this.chunkEntryIndex = 0;
+        this.lastChunkId = null;
+        this.chunksStarted = 0;
+        this.resetFairnessStats();
     }
     
     /**
@@ -384,7 +998,8 @@ class ObstacleManager {
                 types: {
                     basic: activeGroundObstacles.filter(o => o.type === 'basic').length,
                     tall: activeGroundObstacles.filter(o => o.type === 'tall').length,
-                    wide: activeGroundObstacles.filter(o => o.type === 'wide').length
+                    wide: activeGroundObstacles.filter(o => o.type === 'wide').length,
+                    barrier: activeGroundObstacles.filter(o => o.type === 'barrier').length
                 }
             },
             floating: {
@@ -394,7 +1009,12 @@ class ObstacleManager {
                     floating: activeFloatingObstacles.filter(o => o.type === 'floating').length,
                     floating_large: activeFloatingObstacles.filter(o => o.type === 'floating_large').length
                 }
-            }
+            },
+            chunks: {
+                active: this.activeChunk ? this.activeChunk.id : null,
+                started: this.chunksStarted
+            },
+            fairness: { ...this.fairnessStats }
         };
     }
     
@@ -413,6 +1033,11 @@ class ObstacleManager {
             obstacle.render(renderer);
         });
         
+        // 渲染道具
+        this.getPowerUps().forEach(powerUp => {
+            powerUp.render(renderer);
+        });
+        
         // 调试模式下显示统计信息
         if (GameConfig.DEBUG) {
             const stats = this.getStats();
@@ -424,6 +1049,14 @@ class ObstacleManager {
                 `漂浮障碍物: ${stats.floating.active} (普通:${stats.floating.types.floating}, 大型:${stats.floating.types.floating_large})`,
                 10, 80, '#ffffff'
             );
+            renderer.drawText(
+                `障碍物片段: ${stats.chunks.active || '随机生成'} (已生成:${stats.chunks.started})`,
+                10, 100, '#ffffff'
+            );
+            renderer.drawText(
+                `可通过性检查: ${stats.fairness.checked} (改为基础:${stats.fairness.adjusted}, 放弃:${stats.fairness.rejected}, 跳过片段:${stats.fairness.chunksSkipped})`,
+                10, 120, '#ffffff'
+            );
         }
     }
 }
\ No newline at end of file
@@ -5,6 +5,8 @@ class SceneManager {
     constructor() {
         this.scenes = new Map();
         this.currentScene = null;
+        this.coveredScenes = [];   // 被叠加场景覆盖的场景（暂停更新，仍然绘制在下层）
+        this.changeCallbacks = [];
     }
     
     /**
@@ -27,18 +29,91 @@ class SceneManager {
             return;
         }
         
-        // 退出当前场景
+        // 退出当前场景和被覆盖的场景
         if (this.currentScene) {
             this.currentScene.onExit();
         }
+        while (this.coveredScenes.length > 0) {
+            this.coveredScenes.pop().onExit();
+        }
         
         // 切换到新场景
         this.currentScene = newScene;
         this.currentScene.onEnter();
+        this.notifyChange();
         
         console.log(`切换到场景: ${name}`);
     }
     
+    /**
+     * 在当前场景上叠加场景（如暂停时打开设置），当前场景不退出，关闭叠加场景后继续
+     * @param {string} name - 场景名称
+     */
+    pushScene(name) {
+        const newScene = this.scenes.get(name);
+        if (!newScene) {
+            console.error(`场景 "${name}" 不存在`);
+            return;
+        }
+        
+        if (this.currentScene) {
+            this.coveredScenes.push(this.currentScene);
+        }
+        
+        this.currentScene = newScene;
+        this.currentScene.onEnter();
+        this.notifyChange();
+        
+        console.log(`叠加场景: ${name}`);
+    }
+    
+    /**
+     * 关闭叠加的场景，回到被覆盖的场景
+     */
+    popScene() {
+        if (this.coveredScenes.length === 0) {
+            console.warn('没有被覆盖的场景，无法关闭当前场景');
+            return;
+        }
+        
+        this.currentScene.onExit();
+        this.currentScene = this.coveredScenes.pop();
+        this.notifyChange();
+        
+        console.log(`回到场景: ${this.currentScene.name}`);
+    }
+    
+    /**
+     * 注册场景变化回调（切换、叠加或关闭场景后调用）
+     * @param {Function} callback - 回调函数，参数为当前场景
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeCallbacks.push(callback);
+        }
+    }
+    
+    /**
+     * 通知所有场景变化回调
+     */
+    notifyChange() {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(this.currentScene);
+            } catch (error) {
+                console.error('场景变化回调执行错误:', error);
+            }
+        });
+    }
+    
+    /**
+     * 检查当前场景是否叠加在其他场景上
+     * @returns {boolean} 是否是叠加场景
+     */
+    isOverlay() {
+        return this.coveredScenes.length > 0;
+    }
+    
     /**
      * 获取当前场景
      * @returns {Scene} 当前场景
@@ -57,13 +132,30 @@ class SceneManager {
         }
     }
     
+    /**
+     * 通知当前场景新的模拟步开始
+     */
+    beginStep() {
+        if (this.currentScene && this.currentScene.beginStep) {
+            this.currentScene.beginStep();
+        }
+    }
+    
     /**
      * 渲染当前场景
      * @param {Renderer} renderer - 渲染器
+     * @param {number} alpha - 渲染插值系数 (0-1)
      */
-    render(renderer) {
+    render(renderer, alpha = 1) {
+        // 场景在绘制时重新登记界面区域
+        this.coveredScenes.forEach(scene => {
+            scene.clearUIRegions();
+            scene.render(renderer, alpha);
+        });
+        
         if (this.currentScene) {
-            this.currentScene.render(renderer);
+            this.currentScene.clearUIRegions();
+            this.currentScene.render(renderer, alpha);
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,232 @@
+/**
+ * 设置管理器 - 读取、校验并保存玩家的设置，设置变化时通知游戏引擎应用到各个系统
+ * 存储格式：{ version: 1, settings: { audio: {...}, gameplay: {...}, controls: { jump: ['Space'], ... }, ... } }
+ * 无效或缺少的选项使用默认值（见 GameConfig.SETTINGS.DEFAULTS）
+ */
+class SettingsManager {
+    constructor(config = GameConfig.SETTINGS) {
+        this.config = config;
+        this.changeCallbacks = [];
+        this.settings = this.load();
+    }
+    
+    /**
+     * 从本地存储加载设置
+     * @returns {Object} 校验后的设置
+     */
+    load() {
+        try {
+            const text = localStorage.getItem(this.config.STORAGE_KEY);
+            if (text) {
+                return this.sanitize(this.migrate(JSON.parse(text)));
+            }
+        } catch (error) {
+            console.warn('无法从本地存储加载设置，使用默认设置:', error);
+        }
+        
+        return this.sanitize({});
+    }
+    
+    /**
+     * 保存设置到本地存储
+     */
+    save() {
+        try {
+            localStorage.setItem(this.config.STORAGE_KEY, JSON.stringify({
+                version: this.config.VERSION,
+                settings: this.settings
+            }));
+        } catch (error) {
+            console.warn('无法保存设置到本地存储:', error);
+        }
+    }
+    
+    /**
+     * 把旧版本的存储数据迁移到当前版本
+     * @param {Object} data - 存储的数据 {version, settings}
+     * @returns {Object} 当前版本的设置
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+            throw new Error('设置数据格式错误');
+        }
+        
+        if (data.version > this.config.VERSION) {
+            console.warn(`设置数据版本 ${data.version} 比当前版本 ${this.config.VERSION} 新，只读取能识别的选项`);
+        }
+        
+        // 目前只有第1版，以后修改格式时在这里逐版本转换
+        return data.settings || {};
+    }
+    
+    /**
+     * 按默认值校验设置，无效或缺少的选项使用默认值，多余的选项丢弃
+     * @param {Object} settings - 待校验的设置
+     * @returns {Object} 完整有效的设置
+     */
+    sanitize(settings) {
+        const result = {};
+        
+        Object.entries(this.config.DEFAULTS).forEach(([section, defaults]) => {
+            const values = settings && typeof settings[section] === 'object' ? settings[section] : {};
+            result[section] = {};
+            
+            Object.entries(defaults).forEach(([key, defaultValue]) => {
+                const value = values ? values[key] : undefined;
+                const validValue = this.isValid(section, key, value) ? value : defaultValue;
+                result[section][key] = Array.isArray(validValue) ? [...validValue] : validValue;
+            });
+        });
+        
+        return result;
+    }
+    
+    /**
+     * 检查选项的值是否有效
+     * @param {string} section - 分组
+     * @param {string} key - 选项
+     * @param {*} value - 值
+     * @returns {boolean} 是否有效
+     */
+    isValid(section, key, value) {
+        const defaultValue = this.config.DEFAULTS[section][key];
+        
+        if (typeof defaultValue === 'number') {
+            return typeof value === 'number' && value >= 0 && value <= 1;
+        }
+        if (typeof defaultValue === 'boolean') {
+            return typeof value === 'boolean';
+        }
+        if (Array.isArray(defaultValue)) {
+            return this.isValidKeyList(value);
+        }
+        
+        const options = this.getOptions(section, key);
+        return options ? options.includes(value) : typeof value === 'string';
+    }
+    
+    /**
+     * 检查按键列表是否有效：1到 MAX_KEYS_PER_ACTION 个不重复的按键（event.code）
+     * @param {*} value - 按键列表
+     * @returns {boolean} 是否有效
+     */
+    isValidKeyList(value) {
+        return Array.isArray(value) &&
+            value.length >= 1 &&
+            value.length <= this.config.MAX_KEYS_PER_ACTION &&
+            value.every(code => typeof code === 'string' && /^\w+$/.test(code)) &&
+            new Set(value).size === value.length;
+    }
+    
+    /**
+     * 获取选项的可选值
+     * @param {string} section - 分组
+     * @param {string} key - 选项
+     * @returns {Array<string>|null} 可选值，不是选择类型的选项返回null
+     */
+    getOptions(section, key) {
+        if (section === 'gameplay' && key === 'healthMode') {
+            return Object.keys(GameConfig.HEALTH.MODES);
+        }
+        if (section === 'gameplay' && key === 'touchControls') {
+            return GameConfig.TOUCH.LAYOUTS;
+        }
+        if (section === 'video' && key === 'quality') {
+            return Object.keys(this.config.QUALITY_LEVELS);
+        }
+        if (section === 'general' && key === 'language') {
+            return Localization.getLanguages();
+        }
+        return null;
+    }
+    
+    /**
+     * 获取选项的值
+     * @param {string} section - 分组
+     * @param {string} key - 选项
+     * @returns {*} 值（按键列表返回副本）
+     */
+    get(section, key) {
+        const value = this.settings[section][key];
+        return Array.isArray(value) ? [...value] : value;
+    }
+    
+    /**
+     * 获取整个分组的设置
+     * @param {string} section - 分组
+     * @returns {Object} 分组设置的副本
+     */
+    getSection(section) {
+        return { ...this.settings[section] };
+    }
+    
+    /**
+     * 修改选项并保存
+     * @param {string} section - 分组
+     * @param {string} key - 选项
+     * @param {*} value - 新值
+     * @returns {boolean} 是否修改成功（值无效时不修改）
+     */
+    set(section, key, value) {
+        if (!this.config.DEFAULTS[section] || !(key in this.config.DEFAULTS[section])) {
+            console.warn(`未知的设置: ${section}.${key}`);
+            return false;
+        }
+        
+        if (!this.isValid(section, key, value)) {
+            console.warn(`设置 ${section}.${key} 的值无效:`, value);
+            return false;
+        }
+        
+        if (JSON.stringify(this.settings[section][key]) === JSON.stringify(value)) {
+            return true;
+        }
+        
+        this.settings[section][key] = Array.isArray(value) ? [...value] : value;
+        this.save();
+        this.notifyChange();
+        return true;
+    }
+    
+    /**
+     * 恢复默认设置并保存
+     */
+    reset() {
+        this.settings = this.sanitize({});
+        this.save();
+        this.notifyChange();
+    }
+    
+    /**
+     * 恢复一个分组的默认设置并保存
+     * @param {string} section - 分组
+     */
+    resetSection(section) {
+        this.settings[section] = this.sanitize({})[section];
+        this.save();
+        this.notifyChange();
+    }
+    
+    /**
+     * 注册设置变化回调
+     * @param {Function} callback - 回调函数，参数为当前设置
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeCallbacks.push(callback);
+        }
+    }
+    
+    /**
+     * 通知所有设置变化回调
+     */
+    notifyChange() {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(this.settings);
+            } catch (error) {
+                console.error('设置变化回调执行错误:', error);
+            }
+        });
+    }
+}
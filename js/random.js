@@ -0,0 +1,175 @@
+/**
+ * 可设定种子的伪随机数生成器（Mulberry32算法）
+ * 相同的种子总是产生相同的随机序列，用于复现游戏过程
+ */
+class SeededRandom {
+    constructor(seed = RandomService.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * 重新设置种子（原地重置，已持有该实例的系统无需更新引用）
+     * @param {number} seed - 32位无符号整数种子
+     */
+    setSeed(seed) {
+        this.initialSeed = seed >>> 0;
+        this.state = this.initialSeed;
+    }
+
+    /**
+     * 生成下一个随机数
+     * @returns {number} [0, 1) 范围内的随机数
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 生成指定范围内的随机数
+     * @param {number} min - 最小值
+     * @param {number} max - 最大值
+     * @returns {number} 随机数
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * 生成指定范围内的随机整数（包含两端）
+     * @param {number} min - 最小值
+     * @param {number} max - 最大值
+     * @returns {number} 随机整数
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * 按概率返回true
+     * @param {number} probability - 概率 (0-1)
+     * @returns {boolean} 是否命中
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * 从数组中随机选择一个元素
+     * @param {Array} items - 候选数组
+     * @returns {*} 选中的元素
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * 根据权重随机选择
+     * @param {Array} entries - 权重数组 [{type, weight}]
+     * @param {string} fallback - 没有命中时的默认值
+     * @returns {string} 选中的类型
+     */
+    pickWeighted(entries, fallback) {
+        const random = this.next();
+        let cumulativeWeight = 0;
+
+        for (const entry of entries) {
+            cumulativeWeight += entry.weight;
+            if (random <= cumulativeWeight) {
+                return entry.type;
+            }
+        }
+
+        return fallback;
+    }
+
+    /**
+     * 获取内部状态（用于保存和恢复随机序列位置）
+     * @returns {number} 内部状态
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * 恢复内部状态
+     * @param {number} state - 内部状态
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+/**
+ * 随机数服务 - 由游戏场景持有，按用途提供独立的随机数流
+ * gameplay 流用于所有影响游戏结果的随机（障碍物类型、位置、生成间隔等），
+ * cosmetic 流用于纯视觉效果，视觉效果的多少不会影响游戏过程
+ */
+class RandomService {
+    constructor(seed = RandomService.generateSeed()) {
+        this.gameplay = new SeededRandom(0);
+        this.cosmetic = new SeededRandom(0);
+        this.setSeed(seed);
+    }
+
+    /**
+     * 设置本局种子并重置所有随机数流
+     * @param {number} seed - 种子
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.gameplay.setSeed(this.seed);
+        // 视觉流从同一种子派生，保证两条流互不干扰
+        this.cosmetic.setSeed(Math.imul(this.seed ^ 0x9E3779B9, 0x85EBCA6B));
+    }
+
+    /**
+     * 获取当前种子
+     * @returns {number} 种子
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * 生成一个新的随机种子
+     * @returns {number} 32位无符号整数种子
+     */
+    static generateSeed() {
+        return (Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * 将用户输入转换为种子（支持数字和任意字符串）
+     * @param {number|string} input - 用户输入的种子
+     * @returns {number|null} 种子，无效输入返回null
+     */
+    static parseSeed(input) {
+        if (typeof input === 'number' && Number.isFinite(input)) {
+            return input >>> 0;
+        }
+
+        if (typeof input !== 'string' || input.trim() === '') {
+            return null;
+        }
+
+        const text = input.trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // 字符串种子使用FNV-1a哈希
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// 未指定随机数流时使用的默认实例（独立测试页面等场景）
+const defaultRandom = new SeededRandom();
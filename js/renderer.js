@@ -11,6 +11,9 @@ class Renderer {
         // 背景滚动相关属性
         this.backgroundOffset = 0;
         this.backgroundSpeed = GameConfig.BACKGROUND_SPEED;
+        this.backgroundTheme = null;   // 地形区域的背景主题，为null时使用默认背景
+        this.parallax = new ParallaxBackground();
+        this.quality = GameConfig.SETTINGS.QUALITY_LEVELS[GameConfig.SETTINGS.DEFAULTS.video.quality];
         
         // 渲染统计
         this.renderStats = {
@@ -47,6 +50,21 @@ class Renderer {
         };
     }
     
+    /**
+     * 设置画质等级
+     * @param {string} level - 画质等级（见 GameConfig.SETTINGS.QUALITY_LEVELS）
+     */
+    setQuality(level) {
+        const quality = GameConfig.SETTINGS.QUALITY_LEVELS[level];
+        if (!quality) {
+            console.warn('未知的画质等级:', level);
+            return;
+        }
+        
+        this.quality = quality;
+        this.ctx.imageSmoothingQuality = quality.smoothing;
+    }
+    
     /**
      * 清空画布
      */
@@ -63,69 +81,68 @@ class Renderer {
      * @param {number} deltaTime - 时间增量
      */
     updateBackground(deltaTime) {
+        // 偏移量持续累加，各背景层按自己的视差系数和图案周期取模
         this.backgroundOffset += this.backgroundSpeed * deltaTime;
-        
-        // 当偏移量超过一个循环周期时重置
-        if (this.backgroundOffset >= this.width) {
-            this.backgroundOffset = 0;
-        }
     }
     
     /**
-     * 绘制滚动背景
+     * 设置背景主题（地形区域的配色和背景层栈），为null时使用默认背景
+     * @param {Object|null} theme - 背景主题 {palette, from, to, blend}，见BiomeSystem.getBackgroundTheme
+     */
+    setBackgroundTheme(theme) {
+        this.backgroundTheme = theme;
+    }
+    
+    /**
+     * 绘制滚动背景（天空、地面和背景层，在实体之前绘制）
      */
     drawBackground() {
-        // 绘制天空背景
-        this.fillRect(0, 0, this.width, GameConfig.GROUND_Y, '#87CEEB');
+        const palette = this.backgroundTheme ? this.backgroundTheme.palette : GameConfig.PARALLAX.DEFAULT_PALETTE;
         
-        // 绘制滚动的云朵效果
-        this.drawScrollingClouds();
+        // 天空渐变
+        const gradient = this.ctx.createLinearGradient(0, 0, 0, GameConfig.GROUND_Y);
+        gradient.addColorStop(0, palette.skyTop);
+        gradient.addColorStop(1, palette.skyBottom);
+        this.ctx.fillStyle = gradient;
+        this.ctx.fillRect(0, 0, this.width, GameConfig.GROUND_Y);
         
-        // 绘制地面
-        this.fillRect(0, GameConfig.GROUND_Y, this.width, this.height - GameConfig.GROUND_Y, '#8B4513');
+        // 地面（背景层都在地面之上或贴着地面绘制，因此先画地面）
+        this.fillRect(0, GameConfig.GROUND_Y, this.width, this.height - GameConfig.GROUND_Y, palette.ground);
         
-        // 绘制地面装饰
-        this.drawGroundDecorations();
+        this.drawParallaxPass('background');
     }
     
     /**
-     * 绘制滚动的云朵效果
+     * 绘制前景层（由场景在实体之后、界面之前调用）
      */
-    drawScrollingClouds() {
-        const cloudColor = 'rgba(255, 255, 255, 0.8)';
-        const cloudY = 50;
-        const cloudSpacing = 200;
-        const cloudWidth = 60;
-        const cloudHeight = 30;
-        
-        // 计算云朵位置，考虑背景滚动
-        for (let i = -1; i <= Math.ceil(this.width / cloudSpacing) + 1; i++) {
-            const cloudX = i * cloudSpacing - this.backgroundOffset * 0.3; // 云朵移动速度较慢
-            
-            // 绘制简单的椭圆形云朵
-            this.drawEllipse(cloudX, cloudY, cloudWidth, cloudHeight, cloudColor);
-            this.drawEllipse(cloudX + 20, cloudY - 10, cloudWidth * 0.8, cloudHeight * 0.8, cloudColor);
-            this.drawEllipse(cloudX - 15, cloudY - 5, cloudWidth * 0.6, cloudHeight * 0.6, cloudColor);
-        }
+    drawForeground() {
+        this.drawParallaxPass('foreground');
     }
     
     /**
-     * 绘制地面装饰
+     * 绘制背景层栈的一个阶段，过渡时当前区域的层淡出、下一个区域的层淡入
+     * @param {string} pass - 绘制阶段：'background' 或 'foreground'
      */
-    drawGroundDecorations() {
-        const grassColor = '#9ACD32';
-        const grassHeight = 8;
-        const grassSpacing = 15;
+    drawParallaxPass(pass) {
+        // 按画质等级跳过背景层或前景层
+        if (!this.quality[pass === 'foreground' ? 'foreground' : 'parallax']) {
+            return;
+        }
+        
+        const theme = this.backgroundTheme;
+        const offset = this.backgroundOffset;
         
-        // 绘制滚动的草地装饰
-        for (let i = -1; i <= Math.ceil(this.width / grassSpacing) + 1; i++) {
-            const grassX = i * grassSpacing - (this.backgroundOffset % grassSpacing);
-            const grassY = GameConfig.GROUND_Y - grassHeight;
-            
-            // 绘制简单的草地效果
-            this.fillRect(grassX, grassY, 3, grassHeight, grassColor);
-            this.fillRect(grassX + 5, grassY + 2, 2, grassHeight - 2, grassColor);
-            this.fillRect(grassX + 8, grassY + 1, 3, grassHeight - 1, grassColor);
+        if (!theme) {
+            const palette = GameConfig.PARALLAX.DEFAULT_PALETTE;
+            this.parallax.render(this, GameConfig.PARALLAX.DEFAULT_LAYERS, pass, { offset, palette });
+            return;
+        }
+        
+        if (theme.blend < 1) {
+            this.parallax.render(this, theme.from, pass, { offset, palette: theme.palette, alpha: 1 - theme.blend });
+        }
+        if (theme.blend > 0) {
+            this.parallax.render(this, theme.to, pass, { offset, palette: theme.palette, alpha: theme.blend });
         }
     }
     
@@ -188,6 +205,31 @@ class Renderer {
         this.renderStats.drawCalls++;
     }
     
+    /**
+     * 绘制触摸按钮（半透明圆形，按下时变亮）
+     * @param {number} x - 中心X坐标
+     * @param {number} y - 中心Y坐标
+     * @param {number} radius - 半径
+     * @param {string} label - 按钮文字
+     * @param {boolean} pressed - 是否按下
+     */
+    drawTouchButton(x, y, radius, label, pressed = false) {
+        this.ctx.save();
+        this.ctx.globalAlpha = pressed ? 0.5 : 0.3;
+        this.ctx.fillStyle = pressed ? '#ffffff' : '#000000';
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.globalAlpha = 0.8;
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+        this.ctx.restore();
+        this.renderStats.drawCalls++;
+        
+        this.drawTextWithStroke(label, x, y + 5, '#ffffff', '#000000', 'bold 15px Arial', 'center');
+    }
+    
     /**
      * 绘制椭圆
      * @param {number} x - 中心X坐标
@@ -278,6 +320,43 @@ class Renderer {
         this.renderStats.drawCalls += 2;
     }
     
+    /**
+     * 绘制整张图片
+     * @param {HTMLImageElement} image - 图片（见AssetManager.getImage）
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {number} width - 宽度，默认为图片宽度
+     * @param {number} height - 高度，默认为图片高度
+     */
+    drawImage(image, x, y, width = image.width, height = image.height) {
+        this.ctx.drawImage(image, x, y, width, height);
+        this.renderStats.drawCalls++;
+    }
+    
+    /**
+     * 绘制精灵图集中的一帧
+     * @param {HTMLImageElement} image - 图集图片
+     * @param {Object} frame - 帧在图集中的区域 {x, y, w, h}
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {number} width - 宽度，默认为帧宽度
+     * @param {number} height - 高度，默认为帧高度
+     * @param {boolean} flipX - 是否水平翻转
+     */
+    drawSprite(image, frame, x, y, width = frame.w, height = frame.h, flipX = false) {
+        if (flipX) {
+            this.ctx.save();
+            this.ctx.translate(x + width, y);
+            this.ctx.scale(-1, 1);
+            this.ctx.drawImage(image, frame.x, frame.y, frame.w, frame.h, 0, 0, width, height);
+            this.ctx.restore();
+        } else {
+            this.ctx.drawImage(image, frame.x, frame.y, frame.w, frame.h, x, y, width, height);
+        }
+        
+        this.renderStats.drawCalls++;
+    }
+    
     /**
      * 绘制实体（通用实体渲染接口）
      * @param {Entity} entity - 要渲染的实体
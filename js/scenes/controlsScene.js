@@ -0,0 +1,486 @@
+/**
+ * 按键设置场景 - 叠加在设置界面上，为每个动作绑定主按键和备用按键
+ * 选中按键位置后按回车进入等待按键状态，按下的按键已被其他动作使用时提示冲突，确认后交换两个动作的按键
+ */
+class ControlsScene extends Scene {
+    constructor() {
+        super('controls');
+        this.selectedRow = 0;
+        this.selectedSlot = 0;
+        this.waitingFor = null;        // 等待按键的位置 {action, slot}
+        this.pendingConflict = null;   // 等待确认的冲突 {action, slot, code, other}
+        this.statusMessage = '';
+        this.statusTimer = 0;
+        
+        // 布局：每个动作一行，右侧为按键位置，最后两行是操作按钮
+        this.rows = Object.keys(GameConfig.SETTINGS.DEFAULTS.controls).map(action => ({ type: 'action', action }));
+        this.rows.push({ type: 'button', button: 'reset' }, { type: 'button', button: 'back' });
+        this.top = 80;
+        this.lineHeight = 25;
+        this.labelX = 110;
+        this.slotCenters = [420, 600];
+        this.slotWidth = 150;
+    }
+    
+    /**
+     * 场景进入时调用
+     */
+    onEnter() {
+        super.onEnter();
+        console.log('进入按键设置场景');
+        this.selectedRow = 0;
+        this.selectedSlot = 0;
+        this.waitingFor = null;
+        this.pendingConflict = null;
+        this.statusTimer = 0;
+    }
+    
+    /**
+     * 场景退出时调用
+     */
+    onExit() {
+        super.onExit();
+        console.log('退出按键设置场景');
+        if (this.gameEngine && this.gameEngine.inputHandler.cancelKeyCapture) {
+            this.gameEngine.inputHandler.cancelKeyCapture();
+        }
+    }
+    
+    /**
+     * 更新场景
+     * @param {number} deltaTime - 时间增量
+     */
+    update(deltaTime) {
+        if (this.statusTimer > 0) {
+            this.statusTimer -= deltaTime;
+        }
+    }
+    
+    /**
+     * 处理输入
+     * @param {InputHandler} inputHandler - 输入处理器
+     */
+    handleInput(inputHandler) {
+        // 等待按键时只读取按下的按键
+        if (this.waitingFor) {
+            const code = inputHandler.consumeCapturedKey();
+            if (code) {
+                this.handleCapturedKey(code);
+            }
+            return;
+        }
+        
+        // 按键冲突时等待确认或取消
+        if (this.pendingConflict) {
+            if (inputHandler.isKeyJustPressed('Enter')) {
+                this.resolveConflict();
+            } else if (inputHandler.isKeyJustPressed('Escape')) {
+                this.cancelConflict();
+            }
+            return;
+        }
+        
+        if (inputHandler.isKeyJustPressed('ArrowUp')) {
+            this.moveSelection(-1);
+        }
+        
+        if (inputHandler.isKeyJustPressed('ArrowDown')) {
+            this.moveSelection(1);
+        }
+        
+        if (inputHandler.isKeyJustPressed('ArrowLeft') || inputHandler.isKeyJustPressed('ArrowRight')) {
+            this.selectedSlot = (this.selectedSlot + 1) % GameConfig.SETTINGS.MAX_KEYS_PER_ACTION;
+            this.playSound('uiSelect');
+        }
+        
+        if (inputHandler.isKeyJustPressed('Enter')) {
+            this.activateSelected(inputHandler);
+        }
+        
+        if (inputHandler.isKeyJustPressed('Delete') || inputHandler.isKeyJustPressed('Backspace')) {
+            this.clearSelected();
+        }
+        
+        if (inputHandler.isKeyJustPressed('Escape')) {
+            this.close();
+        }
+    }
+    
+    /**
+     * 移动选中的行（首尾循环）
+     * @param {number} direction - 方向（-1向上，1向下）
+     */
+    moveSelection(direction) {
+        this.selectedRow = (this.selectedRow + direction + this.rows.length) % this.rows.length;
+        this.playSound('uiSelect');
+    }
+    
+    /**
+     * 确认选中的行：动作行开始等待新按键，按钮行执行操作
+     * @param {InputHandler} inputHandler - 输入处理器
+     */
+    activateSelected(inputHandler) {
+        const row = this.rows[this.selectedRow];
+        this.playSound('uiConfirm');
+        
+        if (row.type === 'action') {
+            // 备用按键为空时新按键加在主按键后面
+            const keys = this.getKeys(row.action);
+            this.waitingFor = { action: row.action, slot: Math.min(this.selectedSlot, keys.length) };
+            inputHandler.startKeyCapture();
+        } else if (row.button === 'reset') {
+            this.gameEngine.settings.resetSection('controls');
+            this.showStatus(localization.t('controls.resetDone'));
+        } else if (row.button === 'back') {
+            this.close();
+        }
+    }
+    
+    /**
+     * 处理等待到的按键
+     * @param {string} code - 按下的按键（event.code）
+     */
+    handleCapturedKey(code) {
+        const { action, slot } = this.waitingFor;
+        const params = { action: localization.t(`action.${action}`), key: localization.getKeyLabel(code) };
+        this.waitingFor = null;
+        
+        if (code === 'Escape') {
+            this.showStatus(localization.t('controls.cancelled'));
+            return;
+        }
+        
+        if (GameConfig.SETTINGS.RESERVED_KEYS.includes(code)) {
+            this.showStatus(localization.t('controls.reserved', params));
+            return;
+        }
+        
+        if (this.getKeys(action).includes(code)) {
+            this.showStatus(localization.t('controls.duplicate', params));
+            return;
+        }
+        
+        const other = this.findActionForKey(code);
+        if (other) {
+            this.pendingConflict = { action, slot, code, other };
+            return;
+        }
+        
+        this.assignKey(action, slot, code);
+        this.showStatus(localization.t('controls.saved', params));
+    }
+    
+    /**
+     * 确认冲突：新按键从另一个动作移到当前动作，另一个动作换成当前位置原来的按键
+     */
+    resolveConflict() {
+        const { action, slot, code, other } = this.pendingConflict;
+        const params = {
+            action: localization.t(`action.${action}`),
+            other: localization.t(`action.${other}`),
+            key: localization.getKeyLabel(code)
+        };
+        this.pendingConflict = null;
+        
+        const oldKey = this.getKeys(action)[slot];
+        const otherKeys = this.getKeys(other);
+        const index = otherKeys.indexOf(code);
+        if (oldKey && !otherKeys.includes(oldKey)) {
+            otherKeys[index] = oldKey;
+        } else {
+            otherKeys.splice(index, 1);
+        }
+        
+        if (otherKeys.length === 0) {
+            this.showStatus(localization.t('controls.blocked', params));
+            return;
+        }
+        
+        this.gameEngine.settings.set('controls', other, otherKeys);
+        this.assignKey(action, slot, code);
+        this.showStatus(localization.t('controls.swapped', params));
+        this.playSound('uiConfirm');
+    }
+    
+    /**
+     * 取消冲突，不修改按键
+     */
+    cancelConflict() {
+        this.pendingConflict = null;
+        this.showStatus(localization.t('controls.cancelled'));
+    }
+    
+    /**
+     * 取消等待按键（等待时点击画面）
+     */
+    cancelCapture() {
+        this.waitingFor = null;
+        this.gameEngine.inputHandler.cancelKeyCapture();
+        this.showStatus(localization.t('controls.cancelled'));
+    }
+    
+    /**
+     * 点击按键位置：选中并开始等待新按键，右键点击清除按键
+     * @param {number} row - 行索引
+     * @param {number} slot - 按键位置
+     * @param {boolean} clear - 是否清除按键
+     */
+    clickSlot(row, slot, clear) {
+        this.selectedRow = row;
+        this.selectedSlot = slot;
+        if (clear) {
+            this.clearSelected();
+        } else {
+            this.activateSelected(this.gameEngine.inputHandler);
+        }
+    }
+    
+    /**
+     * 点击按钮行：冲突时两个按钮为交换和取消，否则选中并执行按钮操作
+     * @param {number} row - 行索引
+     */
+    clickButton(row) {
+        if (this.pendingConflict) {
+            if (this.rows[row].button === 'reset') {
+                this.resolveConflict();
+            } else {
+                this.cancelConflict();
+            }
+            return;
+        }
+        
+        this.selectedRow = row;
+        this.activateSelected(this.gameEngine.inputHandler);
+    }
+    
+    /**
+     * 清除选中的按键（每个动作至少保留一个按键）
+     */
+    clearSelected() {
+        const row = this.rows[this.selectedRow];
+        if (row.type !== 'action') {
+            return;
+        }
+        
+        const keys = this.getKeys(row.action);
+        if (this.selectedSlot >= keys.length) {
+            return;
+        }
+        
+        if (keys.length <= 1) {
+            this.showStatus(localization.t('controls.lastKey'));
+            return;
+        }
+        
+        const [code] = keys.splice(this.selectedSlot, 1);
+        this.gameEngine.settings.set('controls', row.action, keys);
+        this.showStatus(localization.t('controls.cleared', {
+            action: localization.t(`action.${row.action}`),
+            key: localization.getKeyLabel(code)
+        }));
+        this.playSound('uiSelect');
+    }
+    
+    /**
+     * 把按键绑定到动作的指定位置
+     * @param {string} action - 动作
+     * @param {number} slot - 按键位置（0为主按键）
+     * @param {string} code - 按键（event.code）
+     */
+    assignKey(action, slot, code) {
+        const keys = this.getKeys(action);
+        keys[Math.min(slot, keys.length)] = code;
+        this.gameEngine.settings.set('controls', action, keys);
+    }
+    
+    /**
+     * 获取动作当前绑定的按键
+     * @param {string} action - 动作
+     * @returns {Array<string>} 按键列表（副本）
+     */
+    getKeys(action) {
+        return this.gameEngine.settings.get('controls', action);
+    }
+    
+    /**
+     * 查找使用按键的动作
+     * @param {string} code - 按键（event.code）
+     * @returns {string|null} 动作，没有动作使用时返回null
+     */
+    findActionForKey(code) {
+        const row = this.rows.find(item => item.type === 'action' && this.getKeys(item.action).includes(code));
+        return row ? row.action : null;
+    }
+    
+    /**
+     * 显示状态提示
+     * @param {string} message - 提示文字
+     */
+    showStatus(message) {
+        this.statusMessage = message;
+        this.statusTimer = 2.5;
+    }
+    
+    /**
+     * 关闭按键设置，回到设置界面
+     */
+    close() {
+        const sceneManager = this.gameEngine.sceneManager;
+        if (sceneManager.isOverlay()) {
+            sceneManager.popScene();
+        } else {
+            sceneManager.switchScene('menu');
+        }
+    }
+    
+    /**
+     * 播放界面音效
+     * @param {string} name - 音效名称
+     */
+    playSound(name) {
+        this.gameEngine.audioManager.play(name);
+    }
+    
+    /**
+     * 渲染场景
+     * @param {Renderer} renderer - 渲染器
+     */
+    render(renderer) {
+        renderer.setGlobalAlpha(0.92);
+        renderer.fillRect(0, 0, GameConfig.CANVAS_WIDTH, GameConfig.CANVAS_HEIGHT, '#1b2631');
+        renderer.resetGlobalAlpha();
+        
+        renderer.drawTextWithStroke(
+            localization.t('controls.title'),
+            GameConfig.CANVAS_WIDTH / 2,
+            20,
+            '#FFD700',
+            '#000000',
+            'bold 28px Arial',
+            'center',
+            2
+        );
+        
+        ['controls.primary', 'controls.secondary'].forEach((id, slot) => {
+            renderer.drawText(localization.t(id), this.slotCenters[slot], this.top - 22, '#f5b041', 'bold 14px Arial', 'center');
+        });
+        
+        this.rows.forEach((row, index) => {
+            const y = row.type === 'action' ? this.top + index * this.lineHeight : this.top + (index + 1) * this.lineHeight;
+            if (row.type === 'action') {
+                this.drawActionRow(renderer, index, y, index === this.selectedRow);
+            } else {
+                this.drawButtonRow(renderer, index, y, index === this.selectedRow);
+            }
+        });
+        
+        this.drawFooter(renderer);
+        
+        // 等待按键时点击画面任意位置取消
+        if (this.waitingFor) {
+            this.addUIRegion('cancelCapture', 0, 0, GameConfig.CANVAS_WIDTH, GameConfig.CANVAS_HEIGHT, () => this.cancelCapture());
+        }
+    }
+    
+    /**
+     * 绘制动作行：动作名称和每个位置绑定的按键
+     * @param {Renderer} renderer - 渲染器
+     * @param {number} row - 行索引
+     * @param {number} y - 行顶部Y坐标
+     * @param {boolean} selected - 是否选中
+     */
+    drawActionRow(renderer, row, y, selected) {
+        const action = this.rows[row].action;
+        const keys = this.getKeys(action);
+        
+        renderer.drawText(
+            localization.t(`action.${action}`),
+            this.labelX,
+            y + 4,
+            selected ? '#ffffff' : '#d5d8dc',
+            selected ? 'bold 14px Arial' : '14px Arial'
+        );
+        
+        this.slotCenters.forEach((centerX, slot) => {
+            const x = centerX - this.slotWidth / 2;
+            const waiting = this.waitingFor && this.waitingFor.action === action && this.waitingFor.slot === slot;
+            const active = selected && slot === this.selectedSlot;
+            const id = `${action}.${slot}`;
+            const hover = !!this.getUIState(id);
+            
+            renderer.fillRect(x, y, this.slotWidth, this.lineHeight - 4, waiting ? 'rgba(46, 204, 113, 0.35)' : (hover ? 'rgba(255, 255, 255, 0.18)' : 'rgba(255, 255, 255, 0.08)'));
+            if (active || waiting) {
+                renderer.strokeRect(x, y, this.slotWidth, this.lineHeight - 4, waiting ? '#2ecc71' : '#FFD700', 1);
+            }
+            
+            // 冲突确认时只能点击交换或取消
+            if (!this.pendingConflict) {
+                this.addUIRegion(id, x, y, this.slotWidth, this.lineHeight - 4, () => this.clickSlot(row, slot, false), () => this.clickSlot(row, slot, true));
+            }
+            
+            const text = waiting ? '...' : (keys[slot] ? localization.getKeyLabel(keys[slot]) : '—');
+            renderer.drawText(text, centerX, y + 4, keys[slot] || waiting ? '#ffffff' : '#7f8c8d', '14px Arial', 'center');
+        });
+    }
+    
+    /**
+     * 绘制操作按钮行（冲突确认时两个按钮改为交换按键和取消）
+     * @param {Renderer} renderer - 渲染器
+     * @param {number} row - 行索引
+     * @param {number} y - 行顶部Y坐标
+     * @param {boolean} selected - 是否选中
+     */
+    drawButtonRow(renderer, row, y, selected) {
+        const button = this.rows[row].button;
+        const width = 240;
+        const x = (GameConfig.CANVAS_WIDTH - width) / 2;
+        const id = `button.${button}`;
+        
+        if (selected) {
+            renderer.fillRect(x, y, width, this.lineHeight - 4, 'rgba(255, 215, 0, 0.2)');
+            renderer.strokeRect(x, y, width, this.lineHeight - 4, '#FFD700', 1);
+        } else if (this.getUIState(id)) {
+            renderer.fillRect(x, y, width, this.lineHeight - 4, 'rgba(255, 255, 255, 0.08)');
+        }
+        this.addUIRegion(id, x, y, width, this.lineHeight - 4, () => this.clickButton(row));
+        
+        let label = `controls.${button}`;
+        if (this.pendingConflict) {
+            label = button === 'reset' ? 'controls.confirmSwap' : 'controls.cancelSwap';
+        }
+        
+        renderer.drawText(
+            localization.t(label),
+            GameConfig.CANVAS_WIDTH / 2,
+            y + 4,
+            selected ? '#ffffff' : '#d5d8dc',
+            'bold 14px Arial',
+            'center'
+        );
+    }
+    
+    /**
+     * 绘制底部提示：等待按键、冲突确认、状态提示或操作说明
+     * @param {Renderer} renderer - 渲染器
+     */
+    drawFooter(renderer) {
+        let text = localization.t('controls.help');
+        let color = 'rgba(255, 255, 255, 0.7)';
+        
+        if (this.waitingFor) {
+            text = localization.t('controls.waiting', { action: localization.t(`action.${this.waitingFor.action}`) });
+            color = '#2ecc71';
+        } else if (this.pendingConflict) {
+            text = localization.t('controls.conflict', {
+                key: localization.getKeyLabel(this.pendingConflict.code),
+                other: localization.t(`action.${this.pendingConflict.other}`)
+            });
+            color = '#f39c12';
+        } else if (this.statusTimer > 0) {
+            text = this.statusMessage;
+            color = '#2ecc71';
+        }
+        
+        renderer.drawText(text, GameConfig.CANVAS_WIDTH / 2, GameConfig.CANVAS_HEIGHT - 28, color, '14px Arial', 'center');
+    }
+}
@@ -0,0 +1,904 @@
+/**
+ * 关卡编辑器场景 - 在滚动的时间轴上用鼠标放置地面障碍物、漂浮障碍物、道具和触发器
+ * 时间轴与游戏画面一致：条目位置 at 为关卡起点滚过屏幕右边缘后，条目出现在屏幕右边缘时的距离，
+ * 编辑器视图的位置 cameraDistance 对应游戏中的关卡距离，从当前视图试玩时画面与编辑器中看到的相同
+ */
+class EditorScene extends Scene {
+    constructor() {
+        super('editor');
+        
+        this.level = null;
+        this.cameraDistance = 0;
+        this.scrollDirection = 0;
+        
+        // 放置工具：每种条目种类记住上次选择的类型
+        this.tools = ['obstacle', 'floating', 'powerUp', 'trigger'];
+        this.toolIndex = 0;
+        this.toolTypes = { obstacle: 'basic', floating: 'floating', powerUp: 'random', trigger: 'chaser' };
+        
+        // 选中和拖动
+        this.selectedEntry = null;
+        this.isDragging = false;
+        this.dragMoved = false;
+        this.dragOffsetAt = 0;
+        this.dragOffsetY = 0;
+        
+        // 提示信息和最近一次试玩结果
+        this.statusMessage = '';
+        this.statusTimer = 0;
+        this.testResult = null;
+        
+        // 预览用的随机数流（只影响漂浮障碍物的浮动参数，不影响游戏）
+        this.previewRandom = new SeededRandom(0);
+        
+        // 布局
+        this.hudHeight = 52;
+        this.flagY = 56;
+        this.minimap = { x: 20, y: GameConfig.GROUND_Y + 22, width: GameConfig.CANVAS_WIDTH - 40, height: 16 };
+    }
+    
+    /**
+     * 场景进入时调用（第一次进入时读取本地保存的关卡）
+     */
+    onEnter() {
+        super.onEnter();
+        console.log('进入关卡编辑器');
+        
+        if (!this.level) {
+            this.level = this.loadDraft() || LevelData.create();
+        }
+        this.isDragging = false;
+        this.scrollDirection = 0;
+        this.clampCamera();
+    }
+    
+    /**
+     * 场景退出时调用
+     */
+    onExit() {
+        super.onExit();
+        console.log('退出关卡编辑器');
+        this.saveDraft();
+    }
+    
+    /**
+     * 更新场景
+     * @param {number} deltaTime - 时间增量
+     */
+    update(deltaTime) {
+        if (this.scrollDirection !== 0) {
+            this.cameraDistance += this.scrollDirection * GameConfig.EDITOR.SCROLL_SPEED * deltaTime;
+            this.clampCamera();
+        }
+        
+        if (this.statusTimer > 0) {
+            this.statusTimer -= deltaTime;
+        }
+    }
+    
+    /**
+     * 处理输入
+     * @param {InputHandler} input - 输入处理器
+     */
+    handleInput(input) {
+        this.handleMouseInput(input);
+        
+        // 滚动时间轴
+        this.scrollDirection = (input.isKeyPressed('ArrowRight') ? 1 : 0) - (input.isKeyPressed('ArrowLeft') ? 1 : 0);
+        if (input.isKeyJustPressed('Home')) {
+            this.cameraDistance = 0;
+        }
+        if (input.isKeyJustPressed('End')) {
+            this.cameraDistance = this.level.length + GameConfig.CANVAS_WIDTH - GameConfig.PLAYER.CENTER_X;
+            this.clampCamera();
+        }
+        
+        // 选择放置工具
+        this.tools.forEach((tool, index) => {
+            if (input.isKeyJustPressed(`Digit${index + 1}`)) {
+                this.toolIndex = index;
+                this.selectedEntry = null;
+            }
+        });
+        
+        // 编辑条目
+        if (input.isKeyJustPressed('KeyT')) {
+            this.cycleType();
+        }
+        if (input.isKeyJustPressed('ArrowUp')) {
+            this.nudgeSelectedY(-GameConfig.EDITOR.GRID);
+        }
+        if (input.isKeyJustPressed('ArrowDown')) {
+            this.nudgeSelectedY(GameConfig.EDITOR.GRID);
+        }
+        if (input.isKeyJustPressed('Delete') || input.isKeyJustPressed('Backspace')) {
+            this.removeEntry(this.selectedEntry);
+        }
+        if (input.isKeyJustPressed('KeyP')) {
+            this.editText();
+        }
+        
+        // 关卡设置
+        if (input.isKeyJustPressed('KeyD')) {
+            this.level.tier = (this.level.tier + 1) % GameConfig.DIFFICULTY.TIERS.length;
+            this.saveDraft();
+        }
+        if (input.isKeyJustPressed('BracketLeft')) {
+            this.changeLength(-GameConfig.EDITOR.LENGTH_STEP);
+        }
+        if (input.isKeyJustPressed('BracketRight')) {
+            this.changeLength(GameConfig.EDITOR.LENGTH_STEP);
+        }
+        
+        // 试玩、文件和场景切换
+        if (input.isKeyJustPressed('Enter')) {
+            this.startTest();
+        }
+        if (input.isKeyJustPressed('KeyE')) {
+            this.exportLevel();
+        }
+        if (input.isKeyJustPressed('KeyL')) {
+            this.importLevel();
+        }
+        if (input.isKeyJustPressed('KeyN')) {
+            this.newLevel();
+        }
+        if (input.isKeyJustPressed('Escape')) {
+            if (this.gameEngine && this.gameEngine.sceneManager) {
+                this.gameEngine.sceneManager.switchScene('menu');
+            }
+        }
+    }
+    
+    /**
+     * 处理鼠标输入：左键放置、选中和拖动条目，右键删除，滚轮滚动时间轴，点击小地图跳转
+     * @param {InputHandler} input - 输入处理器
+     */
+    handleMouseInput(input) {
+        const mouse = input.getMousePosition();
+        
+        const wheel = input.consumeMouseWheel();
+        if (wheel !== 0) {
+            this.cameraDistance += wheel;
+            this.clampCamera();
+        }
+        
+        if (input.isMouseButtonJustPressed(2)) {
+            this.removeEntry(this.findEntryAt(mouse.x, mouse.y));
+        }
+        
+        if (input.isMouseButtonJustPressed(0)) {
+            this.handleClick(mouse.x, mouse.y);
+        }
+        
+        if (this.isDragging && input.isMouseButtonPressed(0)) {
+            this.dragSelected(mouse.x, mouse.y);
+        }
+        
+        if (input.isMouseButtonJustReleased(0) && this.isDragging) {
+            this.isDragging = false;
+            if (this.dragMoved) {
+                LevelData.sortEntries(this.level);
+                this.saveDraft();
+            }
+        }
+    }
+    
+    /**
+     * 处理左键点击
+     * @param {number} x - 画布X坐标
+     * @param {number} y - 画布Y坐标
+     */
+    handleClick(x, y) {
+        const map = this.minimap;
+        if (y >= map.y - 4 && y <= map.y + map.height + 4) {
+            // 点击小地图时把点击的位置移到屏幕中间
+            const at = (x - map.x) / map.width * this.level.length;
+            this.cameraDistance = at + GameConfig.CANVAS_WIDTH / 2;
+            this.clampCamera();
+            return;
+        }
+        
+        if (y < this.hudHeight || y > GameConfig.GROUND_Y) {
+            return;
+        }
+        
+        const entry = this.findEntryAt(x, y) || this.placeEntry(x, y);
+        this.selectedEntry = entry;
+        if (!entry) {
+            return;
+        }
+        
+        this.isDragging = true;
+        this.dragMoved = false;
+        this.dragOffsetAt = this.screenToAt(x) - entry.at;
+        this.dragOffsetY = entry.y !== undefined ? y - entry.y : 0;
+    }
+    
+    /**
+     * 在鼠标位置放置当前工具的条目
+     * @param {number} x - 画布X坐标
+     * @param {number} y - 画布Y坐标
+     * @returns {Object|null} 新条目，取消输入提示文字时为null
+     */
+    placeEntry(x, y) {
+        const kind = this.tools[this.toolIndex];
+        const entry = { at: this.snapAt(this.screenToAt(x)), kind: kind, type: this.toolTypes[kind] };
+        
+        if (kind === 'trigger' && entry.type === 'message') {
+            const text = this.promptText(localization.t('editor.prompt.message'), '');
+            if (text === null) {
+                return null;
+            }
+            entry.text = text;
+        }
+        
+        this.setEntryY(entry, y);
+        this.level.entries.push(entry);
+        LevelData.sortEntries(this.level);
+        this.saveDraft();
+        return entry;
+    }
+    
+    /**
+     * 拖动选中的条目
+     * @param {number} x - 画布X坐标
+     * @param {number} y - 画布Y坐标
+     */
+    dragSelected(x, y) {
+        const entry = this.selectedEntry;
+        if (!entry) {
+            return;
+        }
+        
+        const at = this.snapAt(this.screenToAt(x) - this.dragOffsetAt);
+        const previousY = entry.y;
+        if (at !== entry.at) {
+            entry.at = at;
+            this.dragMoved = true;
+        }
+        
+        if (entry.y !== undefined) {
+            this.setEntryY(entry, y - this.dragOffsetY);
+            this.dragMoved = this.dragMoved || entry.y !== previousY;
+        }
+    }
+    
+    /**
+     * 按画布Y坐标设置条目的高度（对齐网格并限制在允许范围内，不能指定高度的条目删除高度）
+     * @param {Object} entry - 条目
+     * @param {number} y - 画布Y坐标
+     */
+    setEntryY(entry, y) {
+        const range = LevelData.getEntryYRange(entry);
+        if (!range) {
+            delete entry.y;
+            return;
+        }
+        
+        const snapped = Math.round(y / GameConfig.EDITOR.GRID) * GameConfig.EDITOR.GRID;
+        entry.y = Utils.clamp(snapped, range.min, range.max);
+    }
+    
+    /**
+     * 上下移动选中的条目
+     * @param {number} delta - 移动量（像素）
+     */
+    nudgeSelectedY(delta) {
+        const entry = this.selectedEntry;
+        if (!entry || !LevelData.getEntryYRange(entry)) {
+            return;
+        }
+        
+        const range = LevelData.getEntryYRange(entry);
+        const y = entry.y !== undefined ? entry.y : (range.min + range.max) / 2;
+        this.setEntryY(entry, y + delta);
+        this.saveDraft();
+    }
+    
+    /**
+     * 切换类型：有选中的条目时切换它的类型，否则切换当前工具放置的类型
+     */
+    cycleType() {
+        const entry = this.selectedEntry;
+        const kind = entry ? entry.kind : this.tools[this.toolIndex];
+        const types = this.getTypes(kind);
+        const current = entry ? entry.type : this.toolTypes[kind];
+        const next = types[(types.indexOf(current) + 1) % types.length];
+        
+        if (!entry) {
+            this.toolTypes[kind] = next;
+            return;
+        }
+        
+        if (next === 'message') {
+            const text = this.promptText(localization.t('editor.prompt.message'), entry.text || '');
+            if (text === null) {
+                return;
+            }
+            entry.text = text;
+        } else {
+            delete entry.text;
+        }
+        
+        entry.type = next;
+        this.toolTypes[kind] = next;
+        
+        // 新类型的高度范围可能不同
+        if (LevelData.getEntryYRange(entry)) {
+            const range = LevelData.getEntryYRange(entry);
+            this.setEntryY(entry, entry.y !== undefined ? entry.y : (range.min + range.max) / 2);
+        } else {
+            delete entry.y;
+        }
+        this.saveDraft();
+    }
+    
+    /**
+     * 编辑文字：选中提示文字触发器时修改提示文字，否则修改关卡名称
+     */
+    editText() {
+        const entry = this.selectedEntry;
+        if (entry && entry.type === 'message') {
+            const text = this.promptText(localization.t('editor.prompt.message'), entry.text);
+            if (text !== null) {
+                entry.text = text;
+                this.saveDraft();
+            }
+            return;
+        }
+        
+        const name = window.prompt(localization.t('editor.prompt.levelName'), this.level.name);
+        if (name !== null && name.trim() !== '') {
+            this.level.name = name.trim();
+            this.saveDraft();
+        }
+    }
+    
+    /**
+     * 弹出输入框输入提示文字（超出长度时截断）
+     * @param {string} title - 输入框标题
+     * @param {string} value - 默认文字
+     * @returns {string|null} 输入的文字，取消或为空时为null
+     */
+    promptText(title, value) {
+        const text = window.prompt(localization.t('editor.prompt.maxLength', { title: title, max: GameConfig.LEVEL.MAX_MESSAGE_LENGTH }), value);
+        if (text === null || text.trim() === '') {
+            return null;
+        }
+        return text.trim().slice(0, GameConfig.LEVEL.MAX_MESSAGE_LENGTH);
+    }
+    
+    /**
+     * 删除条目
+     * @param {Object|null} entry - 条目
+     */
+    removeEntry(entry) {
+        if (!entry) {
+            return;
+        }
+        
+        const index = this.level.entries.indexOf(entry);
+        if (index !== -1) {
+            this.level.entries.splice(index, 1);
+        }
+        if (this.selectedEntry === entry) {
+            this.selectedEntry = null;
+            this.isDragging = false;
+        }
+        this.saveDraft();
+    }
+    
+    /**
+     * 调整关卡长度（不能短于最后一个条目的位置）
+     * @param {number} delta - 调整量（像素）
+     */
+    changeLength(delta) {
+        const entries = this.level.entries;
+        const lastAt = entries.length > 0 ? entries[entries.length - 1].at : 0;
+        const minLength = Math.max(GameConfig.EDITOR.LENGTH_STEP, Math.ceil(lastAt / GameConfig.EDITOR.GRID) * GameConfig.EDITOR.GRID);
+        
+        this.level.length = Utils.clamp(this.level.length + delta, minLength, GameConfig.LEVEL.MAX_LENGTH);
+        this.clampCamera();
+        this.saveDraft();
+    }
+    
+    /**
+     * 从当前视图开始试玩关卡
+     */
+    startTest() {
+        if (!this.gameEngine || !this.gameEngine.sceneManager) {
+            return;
+        }
+        
+        try {
+            LevelData.validate(this.level);
+        } catch (error) {
+            this.showStatus(localization.t('editor.testUnavailable', { error: error.message }));
+            return;
+        }
+        
+        this.saveDraft();
+        this.testResult = null;
+        
+        const gameScene = this.gameEngine.sceneManager.scenes.get('game');
+        gameScene.setLevelTest(JSON.parse(JSON.stringify(this.level)), this.cameraDistance);
+        this.gameEngine.sceneManager.switchScene('game');
+    }
+    
+    /**
+     * 设置最近一次试玩的结果（由游戏引擎在试玩结束时调用）
+     * @param {Object|null} stats - 游戏统计，中途退出时为null
+     */
+    setTestResult(stats) {
+        if (!stats) {
+            this.testResult = localization.t('editor.testAborted');
+        } else if (stats.reason === 'levelComplete') {
+            this.testResult = localization.t('editor.testCompleted', { score: stats.score });
+        } else {
+            const progress = stats.levelProgress ? Math.floor(stats.levelProgress.progress * 100) : 0;
+            this.testResult = localization.t('editor.testFailed', { progress: progress, score: stats.score });
+        }
+    }
+    
+    /**
+     * 导出关卡JSON文件
+     */
+    exportLevel() {
+        const blob = new Blob([LevelData.serialize(this.level)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.level.name.replace(/[\\/:*?"<>|\s]+/g, '_') || 'level'}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        console.log('关卡已导出:', link.download);
+        this.showStatus(localization.t('editor.exported', { file: link.download }));
+    }
+    
+    /**
+     * 打开文件选择框导入关卡JSON文件
+     */
+    importLevel() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (!file) {
+                return;
+            }
+            
+            file.text().then(text => {
+                this.setLevel(LevelData.parse(text));
+                this.saveDraft();
+                this.showStatus(localization.t('editor.imported', { name: this.level.name }));
+            }).catch(error => {
+                console.error('导入关卡失败:', error);
+                this.showStatus(localization.t('editor.importFailed', { error: error.message }));
+            });
+        });
+        
+        input.click();
+    }
+    
+    /**
+     * 新建空关卡（确认后丢弃当前关卡）
+     */
+    newLevel() {
+        if (this.level.entries.length > 0 && !window.confirm(localization.t('editor.confirmNew'))) {
+            return;
+        }
+        
+        this.setLevel(LevelData.create());
+        this.testResult = null;
+        this.saveDraft();
+    }
+    
+    /**
+     * 设置编辑的关卡并回到关卡起点
+     * @param {Object} level - 关卡数据
+     */
+    setLevel(level) {
+        this.level = level;
+        this.selectedEntry = null;
+        this.isDragging = false;
+        this.cameraDistance = 0;
+    }
+    
+    /**
+     * 获取编辑的关卡
+     * @returns {Object|null} 关卡数据
+     */
+    getLevel() {
+        return this.level;
+    }
+    
+    /**
+     * 保存编辑中的关卡到本地存储
+     */
+    saveDraft() {
+        try {
+            localStorage.setItem(GameConfig.EDITOR.DRAFT_KEY, LevelData.serialize(this.level));
+        } catch (error) {
+            console.warn('无法保存关卡草稿:', error);
+        }
+    }
+    
+    /**
+     * 从本地存储读取编辑中的关卡
+     * @returns {Object|null} 关卡数据，没有保存或数据无效时为null
+     */
+    loadDraft() {
+        try {
+            const text = localStorage.getItem(GameConfig.EDITOR.DRAFT_KEY);
+            return text ? LevelData.parse(text) : null;
+        } catch (error) {
+            console.warn('无法读取关卡草稿:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * 显示提示信息
+     * @param {string} message - 提示信息
+     */
+    showStatus(message) {
+        this.statusMessage = message;
+        this.statusTimer = 3;
+    }
+    
+    /**
+     * 获取条目种类可选的类型
+     * @param {string} kind - 条目种类
+     * @returns {Array<string>} 类型列表
+     */
+    getTypes(kind) {
+        return kind === 'trigger' ? LevelData.getTriggerTypes() : ChunkLibrary.getEntryTypes(kind);
+    }
+    
+    /**
+     * 获取类型的显示名称
+     * @param {string} kind - 条目种类
+     * @param {string} type - 类型
+     * @returns {string} 名称
+     */
+    getTypeName(kind, type) {
+        if (kind === 'powerUp') {
+            return type === 'random' ? localization.t('editor.randomPowerUp') : localization.t(`powerUp.${type}`);
+        }
+        if (kind === 'trigger') {
+            return GameConfig.ENEMY.TYPES[type] ? localization.t(`enemy.${type}`) : localization.t(`editor.trigger.${type}`);
+        }
+        return type;
+    }
+    
+    /**
+     * 画布X坐标转换为条目位置
+     * @param {number} x - 画布X坐标
+     * @returns {number} 条目位置
+     */
+    screenToAt(x) {
+        return x - GameConfig.CANVAS_WIDTH + this.cameraDistance;
+    }
+    
+    /**
+     * 条目位置转换为画布X坐标（条目出现在屏幕右边缘后滚动到的位置）
+     * @param {number} at - 条目位置
+     * @returns {number} 画布X坐标
+     */
+    atToScreen(at) {
+        return GameConfig.CANVAS_WIDTH + at - this.cameraDistance;
+    }
+    
+    /**
+     * 条目位置对齐网格并限制在关卡范围内
+     * @param {number} at - 条目位置
+     * @returns {number} 对齐后的位置
+     */
+    snapAt(at) {
+        const snapped = Math.round(at / GameConfig.EDITOR.GRID) * GameConfig.EDITOR.GRID;
+        return Utils.clamp(snapped, 0, this.level.length);
+    }
+    
+    /**
+     * 限制视图位置：从关卡起点到关卡终点滚过玩家
+     */
+    clampCamera() {
+        if (!this.level) {
+            return;
+        }
+        const maxDistance = this.level.length + GameConfig.CANVAS_WIDTH;
+        this.cameraDistance = Utils.clamp(this.cameraDistance, 0, maxDistance);
+    }
+    
+    /**
+     * 查找画布坐标处的条目（后放置的在上面，优先选中）
+     * @param {number} x - 画布X坐标
+     * @param {number} y - 画布Y坐标
+     * @returns {Object|null} 条目
+     */
+    findEntryAt(x, y) {
+        const point = { x: x, y: y, width: 1, height: 1 };
+        for (let i = this.level.entries.length - 1; i >= 0; i--) {
+            const entry = this.level.entries[i];
+            if (Utils.checkCollision(point, this.getEntryBounds(entry))) {
+                return entry;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 获取条目在画布上的边界
+     * @param {Object} entry - 条目
+     * @returns {Object} 边界 {x, y, width, height}
+     */
+    getEntryBounds(entry) {
+        const x = this.atToScreen(entry.at);
+        const range = LevelData.getEntryYRange(entry);
+        const y = entry.y !== undefined ? entry.y : (range ? (range.min + range.max) / 2 : 0);
+        
+        switch (entry.kind) {
+            case 'obstacle':
+            case 'floating':
+                return this.createPreviewObstacle(entry, x, y).getBounds();
+            case 'powerUp':
+                return { x: x, y: y, width: GameConfig.POWER_UP.SIZE, height: GameConfig.POWER_UP.SIZE };
+            default: {
+                const enemy = GameConfig.ENEMY.TYPES[entry.type];
+                if (!enemy) {
+                    // 首领战和提示文字显示为旗子
+                    return { x: x - 4, y: this.flagY, width: 24, height: 16 };
+                }
+                const enemyY = range ? y : enemy.cruiseY;
+                return { x: x, y: enemyY, width: enemy.width, height: enemy.height };
+            }
+        }
+    }
+    
+    /**
+     * 创建预览用的障碍物
+     * @param {Object} entry - 条目
+     * @param {number} x - 画布X坐标
+     * @param {number} y - 漂浮障碍物的Y坐标
+     * @returns {Obstacle} 障碍物
+     */
+    createPreviewObstacle(entry, x, y) {
+        return new Obstacle(x, entry.kind === 'obstacle' ? GameConfig.GROUND_Y : y, entry.type, this.previewRandom);
+    }
+    
+    /**
+     * 渲染场景
+     * @param {Renderer} renderer - 渲染器
+     */
+    render(renderer) {
+        if (!this.level) {
+            return;
+        }
+        
+        this.renderTimeline(renderer);
+        this.renderEntries(renderer);
+        this.renderPlayerGhost(renderer);
+        this.renderMinimap(renderer);
+        this.renderHUD(renderer);
+    }
+    
+    /**
+     * 渲染时间轴：网格刻度、关卡起点和终点
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderTimeline(renderer) {
+        const step = 100;
+        const firstAt = Math.ceil(this.screenToAt(0) / step) * step;
+        
+        for (let at = Math.max(0, firstAt); at <= this.level.length; at += step) {
+            const x = this.atToScreen(at);
+            if (x > GameConfig.CANVAS_WIDTH) {
+                break;
+            }
+            
+            const major = at % 500 === 0;
+            renderer.drawLine(x, this.hudHeight, x, GameConfig.GROUND_Y, major ? 'rgba(0, 0, 0, 0.25)' : 'rgba(0, 0, 0, 0.1)', 1);
+            if (major) {
+                renderer.drawText(
+                    `${Math.round(at / GameConfig.PIXELS_PER_METER)}m`,
+                    x + 3,
+                    GameConfig.GROUND_Y + 14,
+                    '#ffffff',
+                    '11px Arial',
+                    'left'
+                );
+            }
+        }
+        
+        // 关卡起点和终点
+        const startX = this.atToScreen(0);
+        renderer.drawLine(startX, this.hudHeight, startX, GameConfig.GROUND_Y, '#2ecc71', 2);
+        
+        const finishX = this.atToScreen(this.level.length);
+        renderer.drawLine(finishX, this.hudHeight, finishX, GameConfig.GROUND_Y, '#f1c40f', 3);
+        renderer.drawText(localization.t('editor.finish'), finishX + 4, this.hudHeight + 30, '#f1c40f', 'bold 12px Arial', 'left');
+    }
+    
+    /**
+     * 渲染屏幕上的条目
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderEntries(renderer) {
+        const minAt = this.screenToAt(-100);
+        const maxAt = this.screenToAt(GameConfig.CANVAS_WIDTH);
+        
+        this.level.entries.forEach(entry => {
+            if (entry.at < minAt || entry.at > maxAt) {
+                return;
+            }
+            
+            const bounds = this.getEntryBounds(entry);
+            switch (entry.kind) {
+                case 'obstacle':
+                case 'floating':
+                    this.createPreviewObstacle(entry, bounds.x, bounds.y).render(renderer);
+                    break;
+                case 'powerUp':
+                    this.renderPowerUp(renderer, entry, bounds);
+                    break;
+                default:
+                    this.renderTrigger(renderer, entry, bounds);
+                    break;
+            }
+            
+            // 没有指定高度的条目在游戏中随机高度
+            if (entry.y === undefined && LevelData.getEntryYRange(entry)) {
+                renderer.drawText('~', bounds.x + bounds.width + 2, bounds.y + 10, '#ffffff', 'bold 12px Arial', 'left');
+            }
+            
+            if (entry === this.selectedEntry) {
+                renderer.strokeRect(bounds.x - 3, bounds.y - 3, bounds.width + 6, bounds.height + 6, '#ffffff', 2);
+            }
+        });
+    }
+    
+    /**
+     * 渲染道具条目
+     * @param {Renderer} renderer - 渲染器
+     * @param {Object} entry - 条目
+     * @param {Object} bounds - 画布上的边界
+     */
+    renderPowerUp(renderer, entry, bounds) {
+        if (entry.type === 'random') {
+            const radius = bounds.width / 2;
+            renderer.drawCircle(bounds.x + radius, bounds.y + radius, radius, '#95a5a6');
+            renderer.drawText('?', bounds.x + radius, bounds.y + radius + 5, '#ffffff', 'bold 14px Arial', 'center');
+            return;
+        }
+        
+        new PowerUp(bounds.x, bounds.y, entry.type).render(renderer);
+    }
+    
+    /**
+     * 渲染触发器条目：敌人显示为半透明的敌人轮廓，首领战和提示文字显示为旗子
+     * @param {Renderer} renderer - 渲染器
+     * @param {Object} entry - 条目
+     * @param {Object} bounds - 画布上的边界
+     */
+    renderTrigger(renderer, entry, bounds) {
+        const enemy = GameConfig.ENEMY.TYPES[entry.type];
+        if (enemy) {
+            renderer.setGlobalAlpha(0.7);
+            renderer.fillRect(bounds.x, bounds.y, bounds.width, bounds.height, enemy.color);
+            renderer.resetGlobalAlpha();
+            renderer.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height, '#ffffff', 1);
+            renderer.drawText(localization.t(`enemy.${entry.type}`), bounds.x + bounds.width / 2, bounds.y - 4, '#ffffff', '11px Arial', 'center');
+            return;
+        }
+        
+        const x = bounds.x + 4;
+        const color = entry.type === 'boss' ? '#e74c3c' : '#3498db';
+        renderer.drawLine(x, bounds.y, x, GameConfig.GROUND_Y, color, 2);
+        renderer.fillRect(x, bounds.y, bounds.width - 4, bounds.height / 2 + 2, color);
+        renderer.drawText(
+            entry.type === 'boss' ? GameConfig.BOSS.NAME : `“${entry.text}”`,
+            x + bounds.width,
+            bounds.y + 10,
+            '#ffffff',
+            '12px Arial',
+            'left'
+        );
+    }
+    
+    /**
+     * 渲染玩家位置：从当前视图试玩时，玩家左侧的条目已经越过，不会生成
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderPlayerGhost(renderer) {
+        const player = GameConfig.PLAYER;
+        const left = player.CENTER_X - player.WIDTH / 2;
+        
+        renderer.fillRect(0, this.hudHeight, left + player.WIDTH, GameConfig.GROUND_Y - this.hudHeight, 'rgba(0, 0, 0, 0.15)');
+        renderer.strokeRect(left, GameConfig.GROUND_Y - player.HEIGHT, player.WIDTH, player.HEIGHT, '#ffffff', 2);
+    }
+    
+    /**
+     * 渲染小地图：整个关卡的条目分布和当前视图
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderMinimap(renderer) {
+        const map = this.minimap;
+        const scale = map.width / this.level.length;
+        const colors = { obstacle: '#e74c3c', floating: '#9b59b6', powerUp: '#3498db', trigger: '#f1c40f' };
+        
+        renderer.fillRect(map.x, map.y, map.width, map.height, 'rgba(0, 0, 0, 0.5)');
+        this.level.entries.forEach(entry => {
+            renderer.fillRect(map.x + entry.at * scale, map.y + 2, 2, map.height - 4, colors[entry.kind]);
+        });
+        
+        const viewX = Utils.clamp(map.x + this.screenToAt(0) * scale, map.x, map.x + map.width);
+        const viewRight = Utils.clamp(map.x + this.screenToAt(GameConfig.CANVAS_WIDTH) * scale, map.x, map.x + map.width);
+        renderer.strokeRect(viewX, map.y, Math.max(2, viewRight - viewX), map.height, '#ffffff', 1);
+    }
+    
+    /**
+     * 渲染关卡信息、工具和操作说明
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderHUD(renderer) {
+        const tier = GameConfig.DIFFICULTY.TIERS[this.level.tier];
+        const meters = Math.round(this.level.length / GameConfig.PIXELS_PER_METER);
+        const position = Math.round(Math.max(0, this.cameraDistance) / GameConfig.PIXELS_PER_METER);
+        
+        renderer.fillRect(0, 0, GameConfig.CANVAS_WIDTH, this.hudHeight, 'rgba(0, 0, 0, 0.6)');
+        renderer.drawText(
+            localization.t('editor.status', {
+                name: this.level.name,
+                tier: localization.t(`difficulty.tier.${this.level.tier + 1}`),
+                length: meters,
+                entries: this.level.entries.length,
+                position: position
+            }),
+            10,
+            15,
+            '#ffffff',
+            'bold 12px Arial',
+            'left'
+        );
+        
+        const tools = this.tools.map((tool, index) => {
+            const name = `${index + 1}${localization.t(`editor.tool.${tool}`)}`;
+            return index === this.toolIndex ? `[${name}: ${this.getTypeName(tool, this.toolTypes[tool])}]` : name;
+        }).join('  ');
+        const selected = this.selectedEntry ?
+            localization.t('editor.selected', {
+                type: this.getTypeName(this.selectedEntry.kind, this.selectedEntry.type),
+                at: this.selectedEntry.at
+            }) : '';
+        renderer.drawText(`${tools}${selected}`, 10, 31, '#FFD700', '12px Arial', 'left');
+        
+        renderer.drawText(
+            localization.t('editor.help'),
+            10,
+            46,
+            'rgba(255, 255, 255, 0.8)',
+            '11px Arial',
+            'left'
+        );
+        
+        const message = this.statusTimer > 0 ? this.statusMessage : this.testResult;
+        if (message) {
+            renderer.drawTextWithStroke(
+                message,
+                GameConfig.CANVAS_WIDTH / 2,
+                this.hudHeight + 24,
+                '#ffffff',
+                '#000000',
+                'bold 16px Arial',
+                'center',
+                3
+            );
+        }
+    }
+}
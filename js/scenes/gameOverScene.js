@@ -157,6 +157,12 @@ class GameOverScene extends Scene {
         // 绘制返回菜单选项
         this.drawMenuOption(renderer);
         
+        // 绘制本局种子
+        this.drawSeedInfo(renderer);
+        
+        // 绘制本局击败的首领
+        this.drawBossInfo(renderer);
+        
         // 重置透明度
         renderer.resetGlobalAlpha();
         
@@ -193,7 +199,7 @@ class GameOverScene extends Scene {
         const shake = Math.sin(this.animationTime * 10) * 2;
         
         renderer.drawTextWithStroke(
-            '游戏结束',
+            localization.t('gameOver.title'),
             GameConfig.CANVAS_WIDTH / 2 + shake,
             titleY,
             '#FF6347',
@@ -205,7 +211,7 @@ class GameOverScene extends Scene {
         
         // 绘制副标题
         renderer.drawText(
-            'Game Over',
+            localization.t('gameOver.subtitle'),
             GameConfig.CANVAS_WIDTH / 2,
             titleY + 50,
             'rgba(255, 255, 255, 0.8)',
@@ -223,7 +229,7 @@ class GameOverScene extends Scene {
         
         // 绘制当前得分
         renderer.drawTextWithStroke(
-            `最终得分: ${Math.floor(this.scoreCountUp)}`,
+            localization.t('gameOver.finalScore', { score: Math.floor(this.scoreCountUp) }),
             GameConfig.CANVAS_WIDTH / 2,
             scoreY,
             '#FFD700',
@@ -235,7 +241,7 @@ class GameOverScene extends Scene {
         
         // 绘制最佳得分
         renderer.drawText(
-            `最佳得分: ${this.bestScore}`,
+            localization.t('gameOver.bestScore', { score: this.bestScore }),
             GameConfig.CANVAS_WIDTH / 2,
             scoreY + 40,
             this.isNewRecord ? '#32CD32' : '#FFFFFF',
@@ -246,7 +252,7 @@ class GameOverScene extends Scene {
         // 绘制射击统计信息（如果有）
         if (this.gameStats && this.gameStats.maxCombo > 1) {
             renderer.drawText(
-                `最高连击: ${this.gameStats.maxCombo}x`,
+                localization.t('gameOver.maxCombo', { combo: this.gameStats.maxCombo }),
                 GameConfig.CANVAS_WIDTH / 2,
                 scoreY + 65,
                 '#FF8C00',
@@ -255,10 +261,19 @@ class GameOverScene extends Scene {
             );
         }
         
+        // 命中率和热量效率（每产生一整条热量命中的次数）
         if (this.gameStats && this.gameStats.shotsHit > 0) {
             const accuracy = ((this.gameStats.shotsHit / this.gameStats.shotsFired) * 100).toFixed(1);
+            const heatBars = (this.gameStats.heatGenerated || 0) / GameConfig.HEAT.MAX;
+            const efficiency = heatBars > 0 ? (this.gameStats.shotsHit / heatBars).toFixed(1) : '∞';
             renderer.drawText(
-                `射击命中率: ${accuracy}% (${this.gameStats.shotsHit}/${this.gameStats.shotsFired})`,
+                localization.t('gameOver.shooting', {
+                    accuracy,
+                    hits: this.gameStats.shotsHit,
+                    shots: this.gameStats.shotsFired,
+                    efficiency,
+                    overheats: this.gameStats.overheats || 0
+                }),
                 GameConfig.CANVAS_WIDTH / 2,
                 scoreY + 85,
                 '#87CEEB',
@@ -298,7 +313,7 @@ class GameOverScene extends Scene {
         
         // 绘制新纪录文本
         renderer.drawTextWithStroke(
-            '🏆 新纪录！ 🏆',
+            `🏆 ${localization.t('gameOver.newRecord')} 🏆`,
             GameConfig.CANVAS_WIDTH / 2,
             bannerY - 8,
             '#FFFFFF',
@@ -317,16 +332,22 @@ class GameOverScene extends Scene {
      */
     drawRestartButton(renderer) {
         const buttonY = GameConfig.CANVAS_HEIGHT / 2 + 80;
-        const buttonWidth = 180 * this.buttonPulse;
-        const buttonHeight = 45 * this.buttonPulse;
+        const state = this.getUIState('restartButton');
+        const scale = state === 'pressed' ? 0.95 : this.buttonPulse;
+        const buttonWidth = 180 * scale;
+        const buttonHeight = 45 * scale;
+        
+        // 点击区域使用不随动画变化的大小
+        this.addUIRegion('restartButton', GameConfig.CANVAS_WIDTH / 2 - 90, buttonY - 22.5, 180, 45, () => this.restartGame());
         
-        // 绘制按钮背景
+        // 绘制按钮背景（鼠标悬停时变亮，按下时变暗）
+        const colors = { hover: '#6A8EF0', pressed: '#27408B' };
         renderer.fillRect(
             GameConfig.CANVAS_WIDTH / 2 - buttonWidth / 2,
             buttonY - buttonHeight / 2,
             buttonWidth,
             buttonHeight,
-            '#4169E1'
+            colors[state] || '#4169E1'
         );
         
         renderer.strokeRect(
@@ -340,7 +361,7 @@ class GameOverScene extends Scene {
         
         // 绘制按钮文本
         renderer.drawTextWithStroke(
-            '重新开始',
+            localization.t('gameOver.restart'),
             GameConfig.CANVAS_WIDTH / 2,
             buttonY - 8,
             '#FFFFFF',
@@ -352,7 +373,7 @@ class GameOverScene extends Scene {
         
         // 绘制按键提示
         renderer.drawText(
-            '按 [空格键]',
+            this.isUsingTouch() ? localization.t('gameOver.tapToRestart') : localization.t('gameOver.restartHint', { key: this.getActionLabel('jump') }),
             GameConfig.CANVAS_WIDTH / 2,
             buttonY + 12,
             '#FFFFFF',
@@ -367,20 +388,49 @@ class GameOverScene extends Scene {
      */
     drawMenuOption(renderer) {
         const menuY = GameConfig.CANVAS_HEIGHT / 2 + 140;
-        
-        // 绘制操作提示
-        renderer.drawText(
-            '按 [ESC] 返回主菜单',
-            GameConfig.CANVAS_WIDTH / 2,
-            menuY,
-            'rgba(255, 255, 255, 0.8)',
-            '18px Arial',
-            'center'
-        );
+
+        // 绘制到达的难度阶段和奔跑距离
+        if (this.gameStats && this.gameStats.difficultyLevel) {
+            const meters = Math.floor((this.gameStats.distance || 0) / GameConfig.PIXELS_PER_METER);
+            renderer.drawText(
+                localization.t('gameOver.reached', {
+                    level: this.gameStats.difficultyLevel,
+                    tier: localization.t(`difficulty.tier.${this.gameStats.difficultyLevel}`),
+                    meters
+                }),
+                GameConfig.CANVAS_WIDTH / 2,
+                menuY - 25,
+                '#ffcc66',
+                '14px Arial',
+                'center'
+            );
+        }
+
+        // 绘制操作选项（可用鼠标点击或按括号中的按键）
+        const options = [
+            { id: 'menu', action: 'menu', onClick: () => this.returnToMenu() },
+            { id: 'sameSeed', action: 'restart', onClick: () => this.replaySameSeed() },
+            { id: 'watch', action: 'watchReplay', onClick: () => this.watchReplay() },
+            { id: 'export', action: 'exportReplay', onClick: () => this.exportReplay() }
+        ];
+        const optionWidth = 180;
+        options.forEach((option, index) => {
+            this.drawTextButton(
+                renderer,
+                option.id,
+                localization.t(`gameOver.option.${option.id}`, { key: this.getActionShortLabel(option.action) }),
+                GameConfig.CANVAS_WIDTH / 2 + (index - 1.5) * optionWidth,
+                menuY,
+                optionWidth - 10,
+                option.onClick,
+                '16px Arial',
+                'rgba(255, 255, 255, 0.8)'
+            );
+        });
         
         // 绘制射击功能提示
         renderer.drawText(
-            '提示：使用X键射击漂浮障碍物获得额外得分和连击奖励！',
+            localization.t('gameOver.tip', { shoot: this.getActionLabel('shoot') }),
             GameConfig.CANVAS_WIDTH / 2,
             menuY + 25,
             'rgba(255, 255, 136, 0.9)',
@@ -389,6 +439,49 @@ class GameOverScene extends Scene {
         );
     }
     
+    /**
+     * 绘制本局种子（用于复现和分享同一局游戏）
+     * @param {Renderer} renderer - 渲染器
+     */
+    drawSeedInfo(renderer) {
+        if (!this.gameStats || this.gameStats.seed === undefined) {
+            return;
+        }
+        
+        renderer.drawText(
+            localization.t('gameOver.seed', { seed: this.gameStats.seed }),
+            GameConfig.CANVAS_WIDTH - 20,
+            30,
+            'rgba(255, 255, 255, 0.7)',
+            '14px Arial',
+            'right'
+        );
+    }
+    
+    /**
+     * 绘制本局击败的首领（最多列出3个名称）
+     * @param {Renderer} renderer - 渲染器
+     */
+    drawBossInfo(renderer) {
+        const bossNames = (this.gameStats && this.gameStats.bossNames) || [];
+        if (bossNames.length === 0) {
+            return;
+        }
+        
+        const maxListed = 3;
+        const listed = bossNames.slice(0, maxListed).join(localization.t('gameOver.bossSeparator'));
+        const names = bossNames.length > maxListed ? localization.t('gameOver.bossesMore', { names: listed, count: bossNames.length }) : listed;
+        
+        renderer.drawText(
+            localization.t('gameOver.bosses', { names }),
+            20,
+            30,
+            '#f1c40f',
+            '14px Arial',
+            'left'
+        );
+    }
+    
     /**
      * 绘制庆祝特效
      * @param {Renderer} renderer - 渲染器
@@ -406,27 +499,84 @@ class GameOverScene extends Scene {
      * @param {InputHandler} inputHandler - 输入处理器
      */
     handleInput(inputHandler) {
-        if (inputHandler.isKeyJustPressed('Space')) {
-            // 重新开始游戏
-            if (this.gameEngine && this.gameEngine.sceneManager) {
-                // 重置游戏场景并开始新游戏
-                const gameScene = this.gameEngine.sceneManager.scenes.get('game');
-                if (gameScene && gameScene.resetGame) {
-                    gameScene.resetGame();
-                }
-                this.gameEngine.sceneManager.switchScene('game');
-            } else {
-                console.log('准备重新开始游戏...');
-            }
+        // 触摸时点击屏幕任意位置重新开始
+        if (inputHandler.isActionJustPressed('jump') || inputHandler.isScreenJustTapped()) {
+            this.restartGame();
+        }
+        
+        if (inputHandler.isActionJustPressed('restart')) {
+            this.replaySameSeed();
+        }
+        
+        if (inputHandler.isActionJustPressed('watchReplay')) {
+            this.watchReplay();
+        }
+        
+        if (inputHandler.isActionJustPressed('exportReplay')) {
+            this.exportReplay();
         }
         
-        if (inputHandler.isKeyJustPressed('Escape')) {
-            // 返回主菜单
-            if (this.gameEngine && this.gameEngine.sceneManager) {
-                this.gameEngine.sceneManager.switchScene('menu');
-            } else {
-                console.log('返回主菜单...');
+        if (inputHandler.isActionJustPressed('menu')) {
+            this.returnToMenu();
+        }
+    }
+    
+    /**
+     * 重置游戏场景并开始新游戏
+     */
+    restartGame() {
+        if (this.gameEngine && this.gameEngine.sceneManager) {
+            const gameScene = this.gameEngine.sceneManager.scenes.get('game');
+            if (gameScene && gameScene.resetGame) {
+                gameScene.resetGame();
+            }
+            this.gameEngine.sceneManager.switchScene('game');
+        } else {
+            console.log('准备重新开始游戏...');
+        }
+    }
+    
+    /**
+     * 使用相同种子重玩本局
+     */
+    replaySameSeed() {
+        if (this.gameEngine && this.gameEngine.sceneManager && this.gameStats) {
+            const gameScene = this.gameEngine.sceneManager.scenes.get('game');
+            if (gameScene && gameScene.setNextSeed) {
+                gameScene.setNextSeed(this.gameStats.seed);
             }
+            // 进入游戏场景时会使用指定种子重置游戏
+            this.gameEngine.sceneManager.switchScene('game');
+        }
+    }
+    
+    /**
+     * 观看本局回放
+     */
+    watchReplay() {
+        if (this.gameEngine && this.gameEngine.replayController) {
+            const replayController = this.gameEngine.replayController;
+            replayController.play(replayController.getLastRecording());
+        }
+    }
+    
+    /**
+     * 导出本局回放为JSON文件
+     */
+    exportReplay() {
+        if (this.gameEngine && this.gameEngine.replayController) {
+            this.gameEngine.replayController.exportReplay();
+        }
+    }
+    
+    /**
+     * 返回主菜单
+     */
+    returnToMenu() {
+        if (this.gameEngine && this.gameEngine.sceneManager) {
+            this.gameEngine.sceneManager.switchScene('menu');
+        } else {
+            console.log('返回主菜单...');
         }
     }
-}
\ No newline at end of file
+}
@@ -8,18 +8,68 @@ class GameScene extends Scene {
         // 初始化游戏实体
         this.player = null;
         this.obstacleManager = null;
+        this.enemyManager = null;
+        this.bossManager = null;
         this.scoreSystem = null;
         this.collisionSystem = null;
         
         // 游戏状态
         this.gameState = 'playing'; // 'playing', 'paused', 'game_over'
         this.gameTime = 0;
+        this.distanceTraveled = 0; // 奔跑距离（像素）
+        
+        // 难度阶段和地形区域提示计时器
+        this.tierBannerTimer = 0;
+        this.biomeBannerTimer = 0;
+        
+        // 世界时间倍率（时间减缓道具生效时小于1，减慢玩家、障碍物、子弹和效果，不影响计时和得分）
+        this.worldTimeScale = 1;
+        this.powerUpsCollected = 0;
+        
+        // 生命值模式（每局开始时应用到玩家，回放时使用录制时的模式）
+        this.healthMode = GameConfig.HEALTH.DEFAULT_MODE;
+        this.currentHealthMode = this.healthMode;
+        this.hitsTaken = 0;
+        
+        // 本局是否按障碍物片段生成（回放时使用录制时的设置）
+        this.currentUseChunks = false;
+        
+        // 关卡：level为按URL参数指定的关卡（每局都使用），pendingLevelTest为关卡编辑器下一局试玩的关卡
+        // 本局使用的关卡和开始位置在重置时确定，回放时使用录制时的关卡
+        this.level = null;
+        this.pendingLevelTest = null;
+        this.currentLevel = null;
+        this.currentLevelStart = 0;
+        this.isLevelTest = false;
+        
+        // 关卡提示文字
+        this.levelMessage = '';
+        this.levelMessageTimer = 0;
+        
+        // 本局击败的首领名称
+        this.bossesDefeated = [];
+        
+        // 随机数服务（所有游戏随机均来自这里，同一种子可完全复现一局游戏）
+        this.random = new RandomService();
+        this.pendingSeed = null; // 下一局指定的种子
+        
+        // 模拟步计数（每局从0开始，用于输入录制和回放）
+        this.tick = 0;
+        this.leadUpdates = 0; // 重置后到第一个模拟步之前的场景更新次数
+        
+        // 输入录制和回放
+        this.inputRecorder = new InputRecorder();
+        this.replaySource = null; // 回放时代替InputHandler的输入源
+        this.lastReplay = null;   // 最近一局的录制
         
         // 射击统计
         this.shootingStats = {
             shotsFired: 0,
             shotsHit: 0,
-            maxCombo: 0
+            heatGenerated: 0,
+            overheats: 0,
+            maxCombo: 0,
+            enemiesDefeated: 0
         };
         
         this.initializeEntities();
@@ -32,8 +82,28 @@ class GameScene extends Scene {
         // 创建玩家实体，位置在屏幕中间
         this.player = new Player(GameConfig.PLAYER.CENTER_X - GameConfig.PLAYER.WIDTH / 2, GameConfig.GROUND_Y - GameConfig.PLAYER.HEIGHT);
         
-        // 创建障碍物管理器
-        this.obstacleManager = new ObstacleManager();
+        // 创建障碍物管理器（使用游戏过程随机数流）
+        this.obstacleManager = new ObstacleManager(this.random.gameplay, chunkLibrary, new ReachabilityAnalyzer());
+        
+        // 关卡中的触发器和关卡完成
+        this.obstacleManager.onLevelEvent((event) => {
+            this.handleLevelEvent(event);
+        });
+        
+        // 创建敌人管理器（与障碍物共用游戏过程随机数流）
+        this.enemyManager = new EnemyManager(this.random.gameplay, this.obstacleManager);
+        this.enemyManager.onFire((shot) => {
+            this.handleEnemyFire(shot);
+        });
+        
+        // 创建首领管理器（首领战期间暂停障碍物和敌人的生成）
+        this.bossManager = new BossManager();
+        this.bossManager.onFire((shot) => {
+            this.handleEnemyFire(shot);
+        });
+        this.bossManager.onEncounterChange((event) => {
+            this.handleBossEncounterChange(event);
+        });
         
         // 创建子弹管理器
         this.bulletManager = new BulletManager();
@@ -44,24 +114,68 @@ class GameScene extends Scene {
         // 创建碰撞系统
         this.collisionSystem = new CollisionSystem();
         
-        // 创建效果系统
-        this.effectSystem = new EffectSystem();
+        // 创建效果系统（使用视觉效果随机数流）
+        this.effectSystem = new EffectSystem(this.random.cosmetic);
+        
+        // 创建难度导演
+        this.difficultyDirector = new DifficultyDirector();
+        this.difficultyDirector.onTierChange(() => {
+            this.tierBannerTimer = 2.0; // 显示难度提升提示2秒
+        });
+        
+        // 创建地形区域系统
+        this.biomeSystem = new BiomeSystem();
+        this.biomeSystem.onBiomeChange(() => {
+            this.biomeBannerTimer = 2.0; // 显示进入新区域提示2秒
+        });
+        
+        // 创建道具效果系统，效果变化时同步到玩家、得分和世界时间
+        this.powerUpSystem = new PowerUpSystem();
+        this.powerUpSystem.onChange(() => {
+            this.applyPowerUpModifiers();
+        });
         
         // 注册碰撞回调
         this.collisionSystem.registerCollisionCallback('player-obstacle', (collision) => {
             this.handlePlayerObstacleCollision(collision);
         });
         
+        // 注册道具拾取回调
+        this.collisionSystem.registerCollisionCallback('player-powerup', (pickup) => {
+            this.handlePowerUpPickup(pickup);
+        });
+        
         // 注册子弹碰撞回调
         this.collisionSystem.registerCollisionCallback('bullet-obstacle', (collision) => {
             this.handleBulletObstacleCollision(collision);
         });
         
+        // 注册敌人相关碰撞回调
+        this.collisionSystem.registerCollisionCallback('player-enemy', (collision) => {
+            this.handlePlayerEnemyCollision(collision);
+        });
+        this.collisionSystem.registerCollisionCallback('player-enemybullet', (collision) => {
+            this.handlePlayerEnemyBulletCollision(collision);
+        });
+        this.collisionSystem.registerCollisionCallback('bullet-enemy', (collision) => {
+            this.handleBulletEnemyCollision(collision);
+        });
+        
+        // 注册首领碰撞回调
+        this.collisionSystem.registerCollisionCallback('bullet-boss', (collision) => {
+            this.handleBulletBossCollision(collision);
+        });
+        
         // 注册玩家射击回调
         this.player.onShoot((shootInfo) => {
             this.handlePlayerShoot(shootInfo);
         });
         
+        // 注册玩家跳跃回调（空中跳跃的音效音调更高）
+        this.player.onJump((jumpInfo) => {
+            this.playSound('jump', { pitch: jumpInfo.type === 'air' ? 1.25 : 1 });
+        });
+        
         // 验证射击系统集成
         this.verifyShootingSystemIntegration();
         
@@ -115,6 +229,17 @@ class GameScene extends Scene {
     onExit() {
         super.onExit();
         console.log('退出游戏场景');
+        
+        // 离开游戏场景时停止背景音乐，解除暂停游戏时的静音
+        if (this.gameEngine) {
+            this.gameEngine.audioManager.stopMusic();
+            this.gameEngine.audioManager.resume('scene');
+        }
+        
+        // 其他场景使用默认背景
+        if (this.gameEngine && this.gameEngine.renderer) {
+            this.gameEngine.renderer.setBackgroundTheme(null);
+        }
     }
     
     /**
@@ -123,12 +248,81 @@ class GameScene extends Scene {
     resetGame() {
         this.gameState = 'playing';
         this.gameTime = 0;
+        this.distanceTraveled = 0;
+        this.tierBannerTimer = 0;
+        
+        // 设置本局种子：优先使用指定的种子，否则随机生成
+        const seed = this.pendingSeed !== null ? this.pendingSeed : RandomService.generateSeed();
+        this.pendingSeed = null;
+        this.random.setSeed(seed);
+        console.log(`本局种子: ${seed}`);
+        
+        // 确定本局生命值模式：回放时使用录制时的模式（没有记录模式的旧回放按默认模式）
+        if (this.replaySource) {
+            this.currentHealthMode = this.replaySource.getSettings().healthMode || GameConfig.HEALTH.DEFAULT_MODE;
+        } else {
+            this.currentHealthMode = this.healthMode;
+        }
+        
+        // 确定本局是否按障碍物片段生成：回放时与录制时一致（没有记录的旧回放只随机生成）
+        if (this.replaySource) {
+            this.currentUseChunks = this.replaySource.getSettings().chunks === true;
+            if (this.currentUseChunks && !this.obstacleManager.hasChunks()) {
+                console.warn('回放录制时使用了障碍物片段，但片段尚未加载，回放结果可能不一致');
+            }
+        } else {
+            this.currentUseChunks = this.obstacleManager.hasChunks();
+        }
+        this.obstacleManager.setChunksEnabled(this.currentUseChunks);
+        
+        // 确定本局关卡：回放时使用录制时的关卡，否则优先使用编辑器试玩的关卡
+        this.selectLevel();
+        this.levelMessage = '';
+        this.levelMessageTimer = 0;
+        this.hitsTaken = 0;
+        this.bossesDefeated = [];
+        
+        // 从头开始播放背景音乐
+        if (this.gameEngine) {
+            this.gameEngine.audioManager.stopMusic();
+            this.gameEngine.audioManager.resume('scene');
+            this.gameEngine.audioManager.startMusic();
+            this.gameEngine.audioManager.setMusicIntensity(0);
+        }
+        
+        // 重置模拟步计数，非回放时开始录制本局输入
+        this.tick = 0;
+        this.leadUpdates = 0;
+        if (!this.replaySource) {
+            this.inputRecorder.begin(seed, {
+                healthMode: this.currentHealthMode,
+                chunks: this.currentUseChunks,
+                level: this.currentLevel ? { data: this.currentLevel, start: this.currentLevelStart } : null
+            });
+        }
+        
+        // 重置难度到初始阶段（关卡使用关卡指定的固定阶段）
+        if (this.difficultyDirector) {
+            this.difficultyDirector.setFixedTier(this.currentLevel ? this.currentLevel.tier : null);
+            this.difficultyDirector.reset();
+            this.applyDifficultySettings(this.difficultyDirector.getSettings());
+        }
+        
+        // 回到第一个地形区域
+        if (this.biomeSystem) {
+            this.biomeSystem.reset();
+            this.biomeBannerTimer = 0;
+            this.applyBiome();
+        }
         
         // 重置射击统计
         this.shootingStats = {
             shotsFired: 0,
             shotsHit: 0,
-            maxCombo: 0
+            heatGenerated: 0,
+            overheats: 0,
+            maxCombo: 0,
+            enemiesDefeated: 0
         };
         
         // 重置玩家位置到屏幕中间
@@ -140,11 +334,30 @@ class GameScene extends Scene {
             this.player.velocityX = 0; // 玩家不再水平移动
             this.player.velocityY = 0;
             this.player.isGrounded = true;
+            this.player.resetJumpState();
+            this.player.resetSlideState();
+            this.player.setWeapon(GameConfig.WEAPONS.DEFAULT);
+            this.player.resetHeat();
+            this.player.configureHealth(this.getHealthModeConfig());
+            this.player.savePreviousPosition();
         }
         
-        // 清除所有障碍物
+        // 清除所有障碍物，按关卡游戏时从关卡的开始位置生成
         if (this.obstacleManager) {
             this.obstacleManager.clearAllObstacles();
+            this.obstacleManager.setLevel(this.currentLevel, this.currentLevelStart);
+        }
+        
+        // 清除所有敌人（关卡中的敌人只由触发器生成）
+        if (this.enemyManager) {
+            this.enemyManager.clearAllEnemies();
+            this.enemyManager.setRandomSpawning(!this.currentLevel);
+        }
+        
+        // 重置首领战（关卡中的首领战只由触发器开始）
+        if (this.bossManager) {
+            this.bossManager.reset();
+            this.bossManager.setMilestonesEnabled(!this.currentLevel);
         }
         
         // 清除所有子弹
@@ -161,6 +374,38 @@ class GameScene extends Scene {
         if (this.scoreSystem) {
             this.scoreSystem.reset();
         }
+        
+        // 清除道具效果
+        this.powerUpsCollected = 0;
+        if (this.powerUpSystem) {
+            this.powerUpSystem.reset();
+            this.applyPowerUpModifiers();
+        }
+    }
+    
+    /**
+     * 确定本局使用的关卡和开始位置
+     */
+    selectLevel() {
+        this.isLevelTest = false;
+        
+        if (this.replaySource) {
+            const recorded = this.replaySource.getSettings().level;
+            this.currentLevel = recorded ? recorded.data : null;
+            this.currentLevelStart = recorded ? recorded.start : 0;
+        } else if (this.pendingLevelTest) {
+            this.currentLevel = this.pendingLevelTest.level;
+            this.currentLevelStart = this.pendingLevelTest.start;
+            this.isLevelTest = true;
+            this.pendingLevelTest = null;
+        } else {
+            this.currentLevel = this.level;
+            this.currentLevelStart = 0;
+        }
+        
+        if (this.currentLevel) {
+            console.log(`本局关卡: ${this.currentLevel.name}${this.isLevelTest ? '（试玩）' : ''}，开始位置: ${Math.round(this.currentLevelStart)}`);
+        }
     }
     
     /**
@@ -168,6 +413,11 @@ class GameScene extends Scene {
      * @param {number} deltaTime - 时间增量
      */
     update(deltaTime) {
+        // 记录重置后、第一个模拟步开始前的更新次数，回放时需要按相同顺序补齐
+        if (this.tick === 0) {
+            this.leadUpdates++;
+        }
+        
         if (this.gameState !== 'playing') {
             return;
         }
@@ -175,19 +425,46 @@ class GameScene extends Scene {
         // 更新游戏时间
         this.gameTime += deltaTime;
         
+        // 更新难度（滚动速度、生成密度等）
+        this.updateDifficulty(deltaTime);
+        
+        // 更新关卡提示文字计时
+        if (this.levelMessageTimer > 0) {
+            this.levelMessageTimer -= deltaTime;
+        }
+        
+        // 世界中的物体按世界时间倍率更新
+        const worldDeltaTime = deltaTime * this.worldTimeScale;
+        
         // 更新玩家
         if (this.player) {
-            this.player.update(deltaTime);
+            this.player.update(worldDeltaTime);
         }
         
         // 更新障碍物管理器
         if (this.obstacleManager) {
-            this.obstacleManager.update(deltaTime);
+            this.obstacleManager.update(worldDeltaTime);
+        }
+        
+        // 更新敌人（追踪和瞄准玩家）
+        if (this.enemyManager) {
+            this.enemyManager.update(worldDeltaTime, this.player ? this.player.getBounds() : null);
+        }
+        
+        // 更新首领战（到达距离里程碑时开始）
+        if (this.bossManager) {
+            this.bossManager.update(worldDeltaTime, this.distanceTraveled, this.player ? this.player.getBounds() : null);
+        }
+        
+        // 更新道具效果计时和磁铁吸引
+        if (this.powerUpSystem) {
+            this.powerUpSystem.update(deltaTime);
+            this.updateMagnet(worldDeltaTime);
         }
         
         // 更新子弹管理器
         if (this.bulletManager) {
-            this.bulletManager.update(deltaTime);
+            this.bulletManager.update(worldDeltaTime);
         }
         
         // 更新得分系统 - 基于时间而不是距离
@@ -205,7 +482,7 @@ class GameScene extends Scene {
         
         // 更新效果系统
         if (this.effectSystem) {
-            this.effectSystem.update(deltaTime);
+            this.effectSystem.update(worldDeltaTime);
         }
         
         // 记录射击统计到性能监控器
@@ -213,241 +490,882 @@ class GameScene extends Scene {
             window.shootingPerformanceMonitor.recordShootingMetrics(this.shootingStats);
         }
         
+        // 检查道具拾取（先于障碍物碰撞，同一步拾取的护盾立即生效）
+        this.checkPowerUpPickups();
+        
         // 检查碰撞和游戏结束条件
         this.checkGameEndConditions();
         
-        // 检查子弹与障碍物碰撞
+        // 检查子弹与障碍物、敌人碰撞
         this.checkBulletCollisions();
     }
     
     /**
-     * 检查游戏结束条件
+     * 每个模拟步开始前调用
      */
-    checkGameEndConditions() {
-        if (!this.player || !this.obstacleManager || !this.collisionSystem) {
-            return;
+    beginStep() {
+        this.tick++;
+        this.storePreviousState();
+    }
+    
+    /**
+     * 记录所有实体在本模拟步开始前的位置（用于渲染插值）
+     */
+    storePreviousState() {
+        this.getInterpolatedEntities().forEach(entity => entity.savePreviousPosition());
+    }
+    
+    /**
+     * 获取需要插值渲染的实体
+     * @returns {Array<Entity>} 实体数组
+     */
+    getInterpolatedEntities() {
+        const entities = [];
+        
+        if (this.player) {
+            entities.push(this.player);
         }
         
-        // 使用碰撞系统检查玩家与障碍物的碰撞
-        const obstacles = this.obstacleManager.getObstacles();
-        const collision = this.collisionSystem.checkPlayerObstacleCollisions(this.player, obstacles);
+        if (this.obstacleManager) {
+            entities.push(
+                ...this.obstacleManager.obstacles,
+                ...this.obstacleManager.floatingObstacles,
+                ...this.obstacleManager.powerUps
+            );
+        }
         
-        if (collision) {
-            // 碰撞已经通过回调处理，这里不需要额外处理
-            return;
+        if (this.enemyManager) {
+            entities.push(...this.enemyManager.enemies);
         }
         
-        // 检查玩家是否掉出屏幕
-        if (this.player.y > GameConfig.CANVAS_HEIGHT + 100) {
-            this.gameOver('fall');
-            return;
+        if (this.bossManager && this.bossManager.getBoss()) {
+            entities.push(this.bossManager.getBoss());
         }
         
-        // 检查玩家是否移出屏幕左侧（如果有这种机制）
-        if (this.player.x < -this.player.width) {
-            this.gameOver('outOfBounds');
-            return;
+        if (this.bulletManager) {
+            entities.push(...this.bulletManager.bullets, ...this.bulletManager.enemyBullets);
         }
+        
+        return entities;
     }
     
     /**
-     * 处理玩家与障碍物碰撞
-     * @param {Object} collision - 碰撞信息
+     * 更新难度导演并同步难度参数
+     * @param {number} deltaTime - 时间增量
      */
-    handlePlayerObstacleCollision(collision) {
-        console.log('检测到碰撞:', collision);
+    updateDifficulty(deltaTime) {
+        if (!this.difficultyDirector) {
+            return;
+        }
         
-        // 添加碰撞效果
-        if (this.effectSystem && this.player) {
-            const playerBounds = this.player.getBounds();
-            const centerX = playerBounds.x + playerBounds.width / 2;
-            const centerY = playerBounds.y + playerBounds.height / 2;
+        // 按当前滚动速度累计奔跑距离（时间减缓时世界滚动变慢）
+        const scrollSpeed = this.difficultyDirector.getSettings().scrollSpeed;
+        this.distanceTraveled += scrollSpeed * deltaTime * this.worldTimeScale;
+        
+        const settings = this.difficultyDirector.update(this.gameTime, this.distanceTraveled);
+        this.applyDifficultySettings(settings);
+        
+        if (this.tierBannerTimer > 0) {
+            this.tierBannerTimer -= deltaTime;
+        }
+        
+        // 地形区域随奔跑距离轮换
+        if (this.biomeSystem) {
+            this.biomeSystem.update(this.distanceTraveled);
+            this.applyBiome();
             
-            // 创建摧毁效果（玩家碰撞）
-            this.effectSystem.addDestruction(centerX, centerY, {
-                particleCount: 10,
-                colors: ['#ff0000', '#ff4444', '#ff8888']
-            });
+            if (this.biomeBannerTimer > 0) {
+                this.biomeBannerTimer -= deltaTime;
+            }
         }
         
-        this.gameOver('collision');
+        this.updateMusicIntensity();
     }
     
     /**
-     * 处理子弹与障碍物碰撞
-     * @param {Object} collision - 碰撞信息
+     * 按滚动速度和连击数调整背景音乐强度
      */
-    handleBulletObstacleCollision(collision) {
-        const { bullet, obstacle, damage } = collision;
-        
-        console.log('🎯 子弹击中障碍物:', {
-            bulletPos: `(${Math.round(bullet.x)}, ${Math.round(bullet.y)})`,
-            obstaclePos: `(${Math.round(obstacle.x)}, ${Math.round(obstacle.y)})`,
-            obstacleType: obstacle.type,
-            damage: damage
-        });
-        
-        // 统计命中次数
-        this.shootingStats.shotsHit++;
-        
-        // 移除子弹
-        if (this.bulletManager) {
-            this.bulletManager.removeBullet(bullet);
-            console.log('子弹已移除，剩余子弹数量:', this.bulletManager.getBullets().length);
+    updateMusicIntensity() {
+        if (!this.gameEngine) {
+            return;
         }
         
-        // 对障碍物造成伤害
-        const isDestroyed = obstacle.takeDamage();
+        const music = GameConfig.AUDIO.MUSIC;
+        const speedMultiplier = this.difficultyDirector.getSettings().speedMultiplier;
+        const maxSpeedMultiplier = GameConfig.DIFFICULTY.MAX_SPEED_MULTIPLIER;
+        const speedIntensity = maxSpeedMultiplier > 1 ? (speedMultiplier - 1) / (maxSpeedMultiplier - 1) : 0;
+        const combo = this.scoreSystem ? this.scoreSystem.getComboCount() : 0;
+        const comboIntensity = Math.min(combo / music.COMBO_FOR_MAX_INTENSITY, 1);
         
-        if (isDestroyed) {
-            console.log('💥 障碍物被摧毁');
-            
-            // 障碍物被摧毁，从障碍物管理器中移除
-            if (this.obstacleManager) {
-                this.obstacleManager.removeObstacle(obstacle);
-            }
-            
-            // 使用新的射击得分系统添加得分奖励
-            let scoreBonus = 0;
-            if (this.scoreSystem) {
-                const obstacleType = obstacle.type || 'floating';
-                scoreBonus = this.scoreSystem.addShootingScore(obstacleType);
-                
-                // 更新最高连击记录
-                const currentCombo = this.scoreSystem.getComboCount();
-                if (currentCombo > this.shootingStats.maxCombo) {
-                    this.shootingStats.maxCombo = currentCombo;
-                }
-                
-                console.log(`🏆 获得射击得分奖励: ${scoreBonus} (类型: ${obstacleType}, 连击: ${currentCombo})`);
-            }
-            
-            // 添加爆炸效果
-            if (this.effectSystem) {
-                const obstacleBounds = obstacle.getBounds();
-                const centerX = obstacleBounds.x + obstacleBounds.width / 2;
-                const centerY = obstacleBounds.y + obstacleBounds.height / 2;
-                
-                // 创建爆炸效果
-                this.effectSystem.addExplosion(centerX, centerY);
-                console.log('💥 爆炸效果已创建');
-                
-                // 创建得分弹出效果，显示实际获得的得分
-                this.effectSystem.addScorePopup(centerX, centerY - 20, scoreBonus);
-                console.log('📈 得分弹出效果已创建');
-            }
-        } else {
-            console.log('障碍物受到伤害但未被摧毁');
+        this.gameEngine.audioManager.setMusicIntensity(
+            speedIntensity * music.SPEED_WEIGHT + comboIntensity * music.COMBO_WEIGHT
+        );
+    }
+    
+    /**
+     * 检查界面选项是否开启（见 GameConfig.SETTINGS.DEFAULTS.hud）
+     * @param {string} option - 选项名称
+     * @returns {boolean} 是否开启
+     */
+    isHudOptionEnabled(option) {
+        const settings = this.gameEngine ? this.gameEngine.settings : null;
+        return settings ? settings.get('hud', option) : GameConfig.SETTINGS.DEFAULTS.hud[option];
+    }
+    
+    /**
+     * 播放音效（场景尚未关联游戏引擎时忽略）
+     * @param {string} name - 音效名称（见 GameConfig.AUDIO.SOUNDS）
+     * @param {Object} options - 可选项 {pitch, volume}
+     */
+    playSound(name, options = {}) {
+        if (this.gameEngine) {
+            this.gameEngine.audioManager.play(name, options);
         }
     }
     
     /**
-     * 处理玩家射击
-     * @param {Object} shootInfo - 射击信息
+     * 让正在使用的手柄震动（回放时不震动）
+     * @param {string} effect - 震动效果（见 GameConfig.GAMEPAD.RUMBLE）
      */
-    handlePlayerShoot(shootInfo) {
-        if (this.bulletManager) {
-            const bullet = this.bulletManager.addBullet(
-                shootInfo.x,
-                shootInfo.y,
-                shootInfo.direction
-            );
-            
-            if (bullet) {
-                // 统计射击次数
-                this.shootingStats.shotsFired++;
-                console.log('🔫 玩家射击 - 子弹已创建:', {
-                    position: `(${shootInfo.x}, ${shootInfo.y})`,
-                    direction: shootInfo.direction,
-                    bulletId: bullet.id || 'unknown',
-                    totalShots: this.shootingStats.shotsFired
-                });
-                
-                // 验证子弹是否正确添加到管理器
-                const activeBullets = this.bulletManager.getBullets();
-                console.log(`当前活跃子弹数量: ${activeBullets.length}`);
-            } else {
-                console.warn('⚠️ 无法创建子弹，可能达到最大数量限制');
-            }
-        } else {
-            console.error('❌ BulletManager 未初始化，无法创建子弹');
+    rumble(effect) {
+        if (this.gameEngine && !this.isReplaying()) {
+            this.gameEngine.inputHandler.rumble(effect);
         }
     }
     
     /**
-     * 检查子弹与障碍物碰撞
+     * 将当前地形区域的物理参数、障碍物颜色和背景应用到玩家、障碍物管理器和渲染器
      */
-    checkBulletCollisions() {
-        if (!this.bulletManager || !this.obstacleManager || !this.collisionSystem) {
-            if (GameConfig.DEBUG) {
-                console.warn('碰撞检查跳过 - 缺少必要的管理器');
-            }
-            return;
+    applyBiome() {
+        if (this.player) {
+            this.player.setBiomeModifiers(this.biomeSystem.getModifiers());
         }
         
-        const bullets = this.bulletManager.getBullets();
-        const floatingObstacles = this.obstacleManager.getFloatingObstacles();
-        
-        // 调试信息
-        if (GameConfig.DEBUG && (bullets.length > 0 || floatingObstacles.length > 0)) {
-            console.log(`🔍 碰撞检查: ${bullets.length} 子弹 vs ${floatingObstacles.length} 漂浮障碍物`);
+        if (this.obstacleManager) {
+            // 新障碍物从屏幕右边缘滚动到玩家时才需要应对，按那时的物理参数检查能否通过
+            const arrivalDistance = this.distanceTraveled + GameConfig.CANVAS_WIDTH - GameConfig.PLAYER.CENTER_X;
+            this.obstacleManager.setBiomeModifiers(this.biomeSystem.getModifiersAt(arrivalDistance));
+            this.obstacleManager.setObstacleSkin(this.biomeSystem.getDominantBiome().obstacleSkin);
         }
         
-        // 使用碰撞系统检查子弹与漂浮障碍物的碰撞
-        const collisions = this.collisionSystem.checkBulletObstacleCollisions(bullets, floatingObstacles);
-        
-        if (GameConfig.DEBUG && collisions.length > 0) {
-            console.log(`💥 检测到 ${collisions.length} 个碰撞`);
+        if (this.gameEngine && this.gameEngine.renderer) {
+            this.gameEngine.renderer.setBackgroundTheme(this.biomeSystem.getBackgroundTheme());
         }
     }
     
     /**
-     * 游戏结束
-     * @param {string} reason - 游戏结束原因
+     * 将难度参数应用到障碍物管理器和背景滚动
+     * @param {Object} settings - 难度参数
      */
-    gameOver(reason = 'unknown') {
-        if (this.gameState === 'game_over') {
-            return; // 防止重复触发
+    applyDifficultySettings(settings) {
+        if (this.obstacleManager) {
+            this.obstacleManager.applyDifficulty(settings);
         }
         
-        this.gameState = 'game_over';
-        this.gameOverReason = reason;
+        if (this.enemyManager) {
+            this.enemyManager.applyDifficulty(settings);
+        }
         
-        // 保存最高分
-        if (this.scoreSystem) {
-            this.scoreSystem.saveHighScore();
+        // 保持背景滚动速度与障碍物速度同步
+        if (this.gameEngine && this.gameEngine.renderer) {
+            this.gameEngine.renderer.backgroundSpeed = settings.backgroundSpeed;
+        }
+    }
+    
+    /**
+     * 检查游戏结束条件
+     */
+    checkGameEndConditions() {
+        if (!this.player || !this.obstacleManager || !this.collisionSystem) {
+            return;
         }
         
-        // 停止玩家移动
-        if (this.player) {
-            this.player.velocityX = 0;
+        // 使用碰撞系统检查玩家与障碍物、敌人和敌人子弹的碰撞（受伤后的无敌时间内不检查）
+        if (!this.player.isInvulnerable() && this.checkPlayerHazardCollisions()) {
+            // 碰撞已经通过回调处理，这里不需要额外处理
+            return;
         }
         
-        console.log(`游戏结束！原因: ${reason}, 得分: ${this.scoreSystem?.getScore() || 0}`);
+        // 检查玩家是否掉出屏幕
+        if (this.player.y > GameConfig.CANVAS_HEIGHT + 100) {
+            this.gameOver('fall');
+            return;
+        }
         
-        // 可以在这里添加游戏结束音效或其他效果
-        this.onGameOver(reason);
+        // 检查玩家是否移出屏幕左侧（如果有这种机制）
+        if (this.player.x < -this.player.width) {
+            this.gameOver('outOfBounds');
+            return;
+        }
     }
     
     /**
-     * 游戏结束回调
-     * @param {string} reason - 游戏结束原因
+     * 依次检查玩家与障碍物、敌人、敌人子弹的碰撞，每个模拟步最多处理一次
+     * @returns {boolean} 是否发生碰撞
      */
-    onGameOver(reason) {
+    checkPlayerHazardCollisions() {
+        const obstacles = this.obstacleManager.getObstacles();
+        if (this.collisionSystem.checkPlayerObstacleCollisions(this.player, obstacles)) {
+            return true;
+        }
+        
+        if (this.enemyManager &&
+            this.collisionSystem.checkPlayerEnemyCollisions(this.player, this.enemyManager.getEnemies())) {
+            return true;
+        }
+        
+        if (this.bulletManager &&
+            this.collisionSystem.checkPlayerEnemyBulletCollisions(this.player, this.bulletManager.getEnemyBullets())) {
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * 检查玩家拾取道具
+     */
+    checkPowerUpPickups() {
+        if (!this.player || !this.obstacleManager || !this.collisionSystem) {
+            return;
+        }
+        
+        // 拾取通过回调处理
+        this.collisionSystem.checkPlayerPowerUpCollisions(this.player, this.obstacleManager.getPowerUps());
+    }
+    
+    /**
+     * 处理道具拾取
+     * @param {Object} pickup - 拾取信息
+     */
+    handlePowerUpPickup(pickup) {
+        const { powerUp } = pickup;
+        
+        if (this.obstacleManager) {
+            this.obstacleManager.removePowerUp(powerUp);
+        }
+        
+        if (!this.powerUpSystem.activate(powerUp.type)) {
+            return;
+        }
+        
+        this.powerUpsCollected++;
+        
+        // 冷却剂立即清空射击热量
+        if (powerUp.config.ventHeat && this.player) {
+            this.player.resetHeat();
+        }
+        
+        // 添加拾取效果
+        if (this.effectSystem) {
+            const bounds = powerUp.getBounds();
+            this.effectSystem.addPickupEffect(
+                bounds.x + bounds.width / 2,
+                bounds.y + bounds.height / 2,
+                localization.t(`powerUp.${powerUp.type}`),
+                powerUp.config.color
+            );
+        }
+        
+        console.log(`✨ 拾取道具: ${powerUp.config.name}`);
+    }
+    
+    /**
+     * 将当前道具效果应用到玩家射击冷却、得分倍数和世界时间
+     */
+    applyPowerUpModifiers() {
+        const modifiers = this.powerUpSystem.getModifiers();
+        
+        if (this.player) {
+            this.player.setShootCooldownMultiplier(modifiers.shootCooldownMultiplier);
+            this.player.setHeatMultiplier(modifiers.heatMultiplier);
+        }
+        
+        if (this.scoreSystem) {
+            this.scoreSystem.setBonusMultiplier(modifiers.scoreMultiplier);
+        }
+        
+        this.worldTimeScale = modifiers.worldTimeScale;
+    }
+    
+    /**
+     * 磁铁生效时把附近的道具吸向玩家
+     * @param {number} deltaTime - 时间增量
+     */
+    updateMagnet(deltaTime) {
+        const magnet = this.powerUpSystem.getModifiers().magnet;
+        if (!magnet || !this.player || !this.obstacleManager) {
+            return;
+        }
+        
+        const bounds = this.player.getBounds();
+        this.obstacleManager.attractPowerUps(
+            bounds.x + bounds.width / 2,
+            bounds.y + bounds.height / 2,
+            magnet.radius,
+            magnet.pullSpeed,
+            deltaTime
+        );
+    }
+    
+    /**
+     * 处理玩家与障碍物碰撞
+     * @param {Object} collision - 碰撞信息
+     */
+    handlePlayerObstacleCollision(collision) {
+        console.log('检测到碰撞:', collision);
+        
+        const obstacle = collision.obstacle;
+        this.handlePlayerHit(obstacle, () => {
+            if (this.obstacleManager) {
+                this.obstacleManager.removeObstacle(obstacle);
+            }
+        }, 'collision');
+    }
+    
+    /**
+     * 处理玩家与敌人碰撞
+     * @param {Object} collision - 碰撞信息
+     */
+    handlePlayerEnemyCollision(collision) {
+        const enemy = collision.enemy;
+        console.log(`检测到敌人碰撞: ${enemy.type}`);
+        
+        this.handlePlayerHit(enemy, () => {
+            if (this.enemyManager) {
+                this.enemyManager.removeEnemy(enemy);
+            }
+        }, 'enemy');
+    }
+    
+    /**
+     * 处理玩家被敌人子弹击中
+     * @param {Object} collision - 碰撞信息
+     */
+    handlePlayerEnemyBulletCollision(collision) {
+        const bullet = collision.bullet;
+        console.log('被敌人子弹击中');
+        
+        this.handlePlayerHit(bullet, () => {
+            if (this.bulletManager) {
+                this.bulletManager.removeEnemyBullet(bullet);
+            }
+        }, 'shot');
+    }
+    
+    /**
+     * 处理玩家被击中：护盾优先抵挡，否则扣除生命值，没有剩余生命时游戏结束
+     * @param {Entity} hazard - 击中玩家的障碍物、敌人或敌人子弹
+     * @param {Function} removeHazard - 将其从所属管理器中移除
+     * @param {string} reason - 被击败时的游戏结束原因
+     */
+    handlePlayerHit(hazard, removeHazard, reason) {
+        // 护盾抵挡一次碰撞：摧毁击中玩家的物体，游戏继续
+        if (this.powerUpSystem && this.powerUpSystem.consume('shield')) {
+            removeHazard();
+            
+            if (this.effectSystem) {
+                const hazardBounds = hazard.getBounds();
+                const centerX = hazardBounds.x + hazardBounds.width / 2;
+                const centerY = hazardBounds.y + hazardBounds.height / 2;
+                const shieldColor = GameConfig.POWER_UP.TYPES.shield.color;
+                
+                this.effectSystem.addDestruction(centerX, centerY, {
+                    colors: [shieldColor, '#85c1e9', '#ffffff']
+                });
+                this.effectSystem.addPickupEffect(centerX, centerY, localization.t('effect.shieldBlock'), shieldColor);
+            }
+            
+            this.playSound('hit', { pitch: 1.5 });
+            this.rumble('block');
+            
+            console.log('🛡 护盾抵挡了碰撞');
+            return;
+        }
+        
+        // 扣除生命值，还有剩余生命时摧毁击中玩家的物体并继续
+        this.hitsTaken++;
+        const damage = this.player ? this.player.takeDamage(1) : { defeated: true };
+        if (!damage.defeated) {
+            removeHazard();
+            this.handlePlayerHurt(hazard, damage);
+            return;
+        }
+        
+        // 添加碰撞效果
+        if (this.effectSystem && this.player) {
+            const playerBounds = this.player.getBounds();
+            const centerX = playerBounds.x + playerBounds.width / 2;
+            const centerY = playerBounds.y + playerBounds.height / 2;
+            
+            // 创建摧毁效果（玩家碰撞）
+            this.effectSystem.addDestruction(centerX, centerY, {
+                particleCount: 10,
+                colors: ['#ff0000', '#ff4444', '#ff8888']
+            });
+        }
+        
+        this.gameOver(reason);
+    }
+    
+    /**
+     * 显示玩家受伤但未被击败的效果
+     * @param {Entity} hazard - 击中玩家的障碍物、敌人或敌人子弹
+     * @param {Object} damage - 受伤结果 { health, lives, lifeLost, defeated }
+     */
+    handlePlayerHurt(hazard, damage) {
+        this.playSound('hit');
+        this.rumble('hit');
+        
+        if (this.effectSystem) {
+            const hazardBounds = hazard.getBounds();
+            this.effectSystem.addDestruction(
+                hazardBounds.x + hazardBounds.width / 2,
+                hazardBounds.y + hazardBounds.height / 2
+            );
+            
+            const playerBounds = this.player.getBounds();
+            const centerX = playerBounds.x + playerBounds.width / 2;
+            this.effectSystem.addPickupEffect(
+                centerX,
+                playerBounds.y,
+                damage.lifeLost ? localization.t('effect.lifeLost', { lives: damage.lives }) : '-1 ❤',
+                '#e74c3c'
+            );
+        }
+        
+        console.log(`💔 受到伤害: 生命值=${damage.health}, 剩余命数=${damage.lives}`);
+    }
+    
+    /**
+     * 处理子弹与障碍物碰撞
+     * @param {Object} collision - 碰撞信息
+     */
+    handleBulletObstacleCollision(collision) {
+        const { bullet, obstacle, damage } = collision;
+        
+        console.log('🎯 子弹击中障碍物:', {
+            bulletPos: `(${Math.round(bullet.x)}, ${Math.round(bullet.y)})`,
+            obstaclePos: `(${Math.round(obstacle.x)}, ${Math.round(obstacle.y)})`,
+            obstacleType: obstacle.type,
+            damage: damage
+        });
+        
+        // 统计命中次数，没有穿透能力的子弹被移除
+        this.handleBulletHit(bullet, obstacle);
+        
+        // 对障碍物造成伤害
+        const isDestroyed = obstacle.takeDamage(damage);
+        
+        if (isDestroyed) {
+            console.log('💥 障碍物被摧毁');
+            
+            // 障碍物被摧毁，从障碍物管理器中移除
+            if (this.obstacleManager) {
+                this.obstacleManager.removeObstacle(obstacle);
+            }
+            
+            // 使用射击得分系统添加得分奖励并显示爆炸效果
+            this.rewardShootingKill(obstacle, obstacle.type || 'floating');
+        } else {
+            console.log('障碍物受到伤害但未被摧毁');
+        }
+    }
+    
+    /**
+     * 处理子弹击中敌人
+     * @param {Object} collision - 碰撞信息
+     */
+    handleBulletEnemyCollision(collision) {
+        const { bullet, enemy, damage } = collision;
+        
+        // 统计命中次数，没有穿透能力的子弹被移除
+        this.handleBulletHit(bullet, enemy);
+        
+        if (enemy.takeDamage(damage)) {
+            console.log(`💥 敌人被消灭: ${enemy.type}`);
+            
+            if (this.enemyManager) {
+                this.enemyManager.removeEnemy(enemy);
+            }
+            
+            this.shootingStats.enemiesDefeated++;
+            this.rewardShootingKill(enemy, enemy.type);
+        }
+    }
+    
+    /**
+     * 射击摧毁目标后添加得分（含连击）、爆炸效果和得分弹出
+     * @param {Entity} target - 被摧毁的障碍物或敌人
+     * @param {string} scoreType - 得分类型（ScoreSystem.config.SHOOT_SCORES中的键）
+     */
+    rewardShootingKill(target, scoreType) {
+        let scoreBonus = 0;
+        if (this.scoreSystem) {
+            scoreBonus = this.scoreSystem.addShootingScore(scoreType);
+            
+            // 更新最高连击记录
+            const currentCombo = this.scoreSystem.getComboCount();
+            if (currentCombo > this.shootingStats.maxCombo) {
+                this.shootingStats.maxCombo = currentCombo;
+            }
+            
+            console.log(`🏆 获得射击得分奖励: ${scoreBonus} (类型: ${scoreType}, 连击: ${currentCombo})`);
+            
+            // 连击音效的音调随连击数升高
+            if (currentCombo > 1) {
+                this.playSound('combo', { pitch: 1 + Math.min(currentCombo, 10) * 0.06 });
+            }
+        }
+        
+        this.playSound('explosion');
+        
+        // 添加爆炸效果
+        if (this.effectSystem) {
+            const targetBounds = target.getBounds();
+            const centerX = targetBounds.x + targetBounds.width / 2;
+            const centerY = targetBounds.y + targetBounds.height / 2;
+            
+            // 创建爆炸效果
+            this.effectSystem.addExplosion(centerX, centerY);
+            
+            // 创建得分弹出效果，显示实际获得的得分
+            this.effectSystem.addScorePopup(centerX, centerY - 20, scoreBonus);
+        }
+    }
+    
+    /**
+     * 处理敌人射击：在子弹管理器中创建敌人子弹
+     * @param {Object} shot - 射击信息 {enemy, x, y, velocityX, velocityY}
+     */
+    handleEnemyFire(shot) {
+        if (this.bulletManager) {
+            this.bulletManager.addEnemyBullet(shot.x, shot.y, shot.velocityX, shot.velocityY);
+        }
+    }
+    
+    /**
+     * 处理首领战状态变化：开始时暂停障碍物和敌人的生成，结束后恢复
+     * @param {Object} event - 状态变化信息 {type, boss, defeated}
+     */
+    handleBossEncounterChange(event) {
+        if (event.type !== 'start' && event.type !== 'end') {
+            return;
+        }
+        
+        const paused = event.type === 'start';
+        
+        if (this.obstacleManager) {
+            this.obstacleManager.setSpawningPaused(paused);
+        }
+        
+        if (this.enemyManager) {
+            this.enemyManager.setSpawningPaused(paused);
+        }
+    }
+    
+    /**
+     * 处理关卡事件：按触发器生成敌人、开始首领战或显示提示文字，关卡完成时结束本局
+     * @param {Object} event - 关卡事件 {type: 'trigger', entry, x} 或 {type: 'complete', level}
+     */
+    handleLevelEvent(event) {
+        if (event.type === 'complete') {
+            this.gameOver('levelComplete');
+            return;
+        }
+        
+        const entry = event.entry;
+        switch (entry.type) {
+            case 'boss':
+                if (this.bossManager && !this.bossManager.isEncounterActive()) {
+                    this.bossManager.startEncounter(this.distanceTraveled);
+                }
+                break;
+            case 'message':
+                this.levelMessage = entry.text;
+                this.levelMessageTimer = GameConfig.LEVEL.MESSAGE_DURATION;
+                break;
+            default:
+                if (this.enemyManager) {
+                    this.enemyManager.createEnemy(entry.type, event.x, entry.y !== undefined ? entry.y : null);
+                }
+                break;
+        }
+    }
+    
+    /**
+     * 处理子弹击中首领：击中弱点造成伤害，打在装甲上被挡住
+     * @param {Object} collision - 碰撞信息
+     */
+    handleBulletBossCollision(collision) {
+        const { bullet, boss, weakPoint, collisionPoint, damage } = collision;
+        
+        // 打在装甲上：子弹（包括穿透的子弹）被挡住，显示火花，不造成伤害
+        if (!weakPoint) {
+            if (this.bulletManager) {
+                this.bulletManager.removeBullet(bullet);
+            }
+            
+            if (this.effectSystem) {
+                this.effectSystem.addParticleBurst(collisionPoint.x, collisionPoint.y, {
+                    duration: 0.3,
+                    particleCount: 4,
+                    colors: ['#bdc3c7', '#ffffff']
+                });
+            }
+            return;
+        }
+        
+        // 统计命中次数，没有穿透能力的子弹被移除
+        this.handleBulletHit(bullet, weakPoint);
+        
+        const result = this.bossManager.damageBoss(weakPoint, damage);
+        
+        if (result.weakPointDestroyed) {
+            this.playSound('explosion');
+            
+            if (this.effectSystem) {
+                const bounds = boss.getWeakPointBounds(weakPoint);
+                this.effectSystem.addExplosion(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+            }
+        }
+        
+        if (result.defeated) {
+            this.rewardBossDefeat(boss);
+        }
+    }
+    
+    /**
+     * 击败首领后添加奖励得分和爆炸效果
+     * @param {Boss} boss - 被击败的首领
+     */
+    rewardBossDefeat(boss) {
+        this.bossesDefeated.push(boss.name);
+        
+        const bonus = this.scoreSystem ? this.scoreSystem.addBossBonus(boss.level) : 0;
+        console.log(`🏆 击败首领奖励: ${bonus} (${boss.name})`);
+        
+        this.playSound('explosion', { pitch: 0.7, volume: 1.5 });
+        
+        if (this.effectSystem) {
+            const bounds = boss.getBounds();
+            const centerX = bounds.x + bounds.width / 2;
+            const centerY = bounds.y + bounds.height / 2;
+            
+            this.effectSystem.addExplosion(centerX - 25, centerY - 30);
+            this.effectSystem.addExplosion(centerX + 20, centerY + 25);
+            this.effectSystem.addScorePopup(centerX, centerY - 20, bonus);
+            this.effectSystem.addPickupEffect(centerX, centerY, localization.t('effect.bossDefeated', { name: boss.name }), '#f1c40f');
+        }
+    }
+    
+    /**
+     * 记录子弹命中目标：子弹第一次命中时统计命中次数，命中数超过穿透数量时移除子弹
+     * @param {Bullet} bullet - 命中的子弹
+     * @param {Object} target - 被命中的障碍物、敌人或首领弱点
+     */
+    handleBulletHit(bullet, target) {
+        if (bullet.hitTargets.length === 0) {
+            this.shootingStats.shotsHit++;
+        }
+        
+        if (!bullet.registerHit(target) && this.bulletManager) {
+            this.bulletManager.removeBullet(bullet);
+        }
+    }
+    
+    /**
+     * 处理玩家射击：按当前武器的发射方式创建子弹
+     * @param {Object} shootInfo - 射击信息 {x, y, direction, weapon, charge}
+     */
+    handlePlayerShoot(shootInfo) {
+        if (this.bulletManager) {
+            const bullets = this.bulletManager.fireWeapon(
+                shootInfo.x,
+                shootInfo.y,
+                shootInfo.direction,
+                shootInfo.weapon,
+                shootInfo.charge
+            );
+            
+            if (bullets.length > 0) {
+                this.playSound('shoot');
+                
+                // 统计射击次数（散射的每颗子弹单独计算）和产生的热量
+                this.shootingStats.shotsFired += bullets.length;
+                this.shootingStats.heatGenerated += shootInfo.heat || 0;
+                
+                if (shootInfo.overheated) {
+                    this.handleOverheat();
+                }
+                console.log('🔫 玩家射击 - 子弹已创建:', {
+                    position: `(${shootInfo.x}, ${shootInfo.y})`,
+                    direction: shootInfo.direction,
+                    weapon: bullets[0].weaponType,
+                    bullets: bullets.length,
+                    totalShots: this.shootingStats.shotsFired
+                });
+                
+                // 验证子弹是否正确添加到管理器
+                const activeBullets = this.bulletManager.getBullets();
+                console.log(`当前活跃子弹数量: ${activeBullets.length}`);
+            } else {
+                console.warn('⚠️ 无法创建子弹，可能达到最大数量限制');
+            }
+        } else {
+            console.error('❌ BulletManager 未初始化，无法创建子弹');
+        }
+    }
+    
+    /**
+     * 处理武器过热：统计过热次数并在玩家头顶提示
+     */
+    handleOverheat() {
+        this.shootingStats.overheats++;
+        
+        if (this.effectSystem && this.player) {
+            const bounds = this.player.getBounds();
+            this.effectSystem.addPickupEffect(
+                bounds.x + bounds.width / 2,
+                bounds.y,
+                localization.t('effect.overheat'),
+                GameConfig.HEAT.OVERHEAT_COLOR
+            );
+        }
+    }
+    
+    /**
+     * 检查子弹与障碍物碰撞
+     */
+    checkBulletCollisions() {
+        if (!this.bulletManager || !this.obstacleManager || !this.collisionSystem) {
+            if (GameConfig.DEBUG) {
+                console.warn('碰撞检查跳过 - 缺少必要的管理器');
+            }
+            return;
+        }
+        
+        const bullets = this.bulletManager.getBullets();
+        const floatingObstacles = this.obstacleManager.getFloatingObstacles();
+        
+        // 调试信息
+        if (GameConfig.DEBUG && (bullets.length > 0 || floatingObstacles.length > 0)) {
+            console.log(`🔍 碰撞检查: ${bullets.length} 子弹 vs ${floatingObstacles.length} 漂浮障碍物`);
+        }
+        
+        // 使用碰撞系统检查子弹与漂浮障碍物的碰撞
+        const collisions = this.collisionSystem.checkBulletObstacleCollisions(bullets, floatingObstacles);
+        
+        // 已击中障碍物的子弹被移除，剩余的子弹继续检查敌人
+        if (this.enemyManager) {
+            collisions.push(...this.collisionSystem.checkBulletEnemyCollisions(
+                this.bulletManager.getBullets(),
+                this.enemyManager.getEnemies()
+            ));
+        }
+        
+        // 剩余的子弹检查首领（弱点或装甲）
+        if (this.bossManager) {
+            collisions.push(...this.collisionSystem.checkBulletBossCollisions(
+                this.bulletManager.getBullets(),
+                this.bossManager.getBoss()
+            ));
+        }
+        
+        if (GameConfig.DEBUG && collisions.length > 0) {
+            console.log(`💥 检测到 ${collisions.length} 个碰撞`);
+        }
+    }
+    
+    /**
+     * 游戏结束
+     * @param {string} reason - 游戏结束原因
+     */
+    gameOver(reason = 'unknown') {
+        if (this.gameState === 'game_over') {
+            return; // 防止重复触发
+        }
+        
+        this.gameState = 'game_over';
+        this.gameOverReason = reason;
+        
+        // 保存最高分（回放和关卡不计入）
+        if (this.scoreSystem && !this.isReplaying() && !this.currentLevel) {
+            this.scoreSystem.saveHighScore();
+        }
+        
+        // 停止玩家移动
+        if (this.player) {
+            this.player.velocityX = 0;
+        }
+        
+        console.log(`游戏结束！原因: ${reason}, 得分: ${this.scoreSystem?.getScore() || 0}`);
+        
+        // 停止背景音乐，播放游戏结束音效（完成关卡时播放胜利音效）
+        if (this.gameEngine) {
+            this.gameEngine.audioManager.stopMusic();
+        }
+        this.playSound(reason === 'levelComplete' ? 'victory' : 'gameOver');
+        if (reason !== 'levelComplete') {
+            this.rumble('crash');
+        }
+        
+        this.onGameOver(reason);
+    }
+    
+    /**
+     * 游戏结束回调
+     * @param {string} reason - 游戏结束原因
+     */
+    onGameOver(reason) {
         // 这里可以添加游戏结束时的特殊效果
         // 比如震屏效果、粒子效果等
         
         // 记录游戏统计
+        const tier = this.difficultyDirector ? this.difficultyDirector.getCurrentTier() : null;
         const stats = {
             score: this.scoreSystem?.getScore() || 0,
             time: this.gameTime,
+            distance: this.distanceTraveled,
+            difficultyLevel: tier ? tier.level : 1,
+            difficultyName: tier ? tier.name : '',
+            seed: this.random.getSeed(),
             reason: reason,
             isNewRecord: this.scoreSystem?.isNewHighScore() || false,
+            powerUpsCollected: this.powerUpsCollected,
+            healthMode: this.currentHealthMode,
+            hitsTaken: this.hitsTaken,
+            bossesDefeated: this.bossesDefeated.length,
+            bossNames: [...this.bossesDefeated],
+            biomeName: this.biomeSystem.getCurrentBiome().name,
+            biomesVisited: this.biomeSystem.getStats().biomesVisited,
+            levelName: this.currentLevel ? this.currentLevel.name : null,
+            levelProgress: this.obstacleManager.getLevelProgress(),
             ...this.shootingStats
         };
         
         console.log('游戏统计:', stats);
         
+        // 回放结束时停留在游戏场景，由回放控制器继续处理跳转和退出
+        if (this.isReplaying()) {
+            console.log('回放结束');
+            return;
+        }
+        
+        // 结束本局录制
+        this.lastReplay = this.inputRecorder.finish(this.tick, this.leadUpdates, {
+            score: stats.score,
+            time: stats.time,
+            distance: stats.distance,
+            reason: reason
+        });
+        
+        // 试玩关卡时直接回到关卡编辑器
+        if (this.isLevelTest) {
+            this.endLevelTest(stats);
+            return;
+        }
+        
         // 通知游戏引擎切换到游戏结束场景
         if (this.onGameOverCallback && typeof this.onGameOverCallback === 'function') {
             this.onGameOverCallback(stats.score, stats);
@@ -455,121 +1373,518 @@ class GameScene extends Scene {
     }
     
     /**
-     * 渲染场景 - 集成实体渲染和动画帧渲染
+     * 渲染场景 - 集成实体渲染和动画帧渲染
+     * @param {Renderer} renderer - 渲染器
+     * @param {number} alpha - 渲染插值系数 (0-1)
+     */
+    render(renderer, alpha = 1) {
+        // 背景已经在GameEngine中绘制，这里不需要重复绘制
+        
+        // 渲染游戏实体
+        this.renderEntities(renderer, alpha);
+        
+        // 渲染UI元素
+        this.renderUI(renderer);
+        
+        // 渲染游戏状态相关信息
+        this.renderGameState(renderer);
+        
+        // 渲染触摸按钮
+        this.renderTouchControls(renderer);
+        
+        // 渲染碰撞系统调试信息（如果启用调试模式）
+        if (this.collisionSystem && GameConfig.DEBUG) {
+            this.collisionSystem.renderDebugInfo(renderer);
+        }
+        
+        // 渲染效果系统调试信息（如果启用调试模式）
+        if (this.effectSystem && GameConfig.DEBUG) {
+            this.effectSystem.renderDebugInfo(renderer);
+        }
+        
+        // 渲染射击性能监控信息（如果启用调试模式）
+        if (window.shootingPerformanceMonitor && GameConfig.DEBUG) {
+            window.shootingPerformanceMonitor.render(renderer);
+        }
+    }
+    
+    /**
+     * 渲染游戏实体
+     * @param {Renderer} renderer - 渲染器
+     * @param {number} alpha - 渲染插值系数 (0-1)
+     */
+    renderEntities(renderer, alpha = 1) {
+        // 在上一个和当前模拟步之间插值实体位置，渲染后恢复
+        const entities = this.getInterpolatedEntities();
+        entities.forEach(entity => entity.applyInterpolation(alpha));
+        
+        // 渲染障碍物（先渲染，在玩家后面）
+        if (this.obstacleManager) {
+            this.obstacleManager.render(renderer);
+        }
+        
+        // 渲染敌人
+        if (this.enemyManager) {
+            this.enemyManager.render(renderer);
+        }
+        
+        // 渲染首领
+        if (this.bossManager) {
+            this.bossManager.render(renderer);
+        }
+        
+        // 渲染子弹（在玩家和障碍物之间）
+        if (this.bulletManager) {
+            this.bulletManager.render(renderer);
+        }
+        
+        // 渲染玩家（后渲染，在前面）
+        if (this.player) {
+            this.player.render(renderer);
+            this.renderShield(renderer);
+            this.renderChargeBar(renderer);
+        }
+        
+        // 渲染效果（最后渲染，在所有实体前面）
+        if (this.effectSystem) {
+            this.effectSystem.render(renderer);
+        }
+        
+        // 渲染前景层（在所有实体前面，界面后面）
+        renderer.drawForeground();
+        
+        entities.forEach(entity => entity.restoreSimulatedPosition());
+        
+        // 时间减缓时给画面加一层色调
+        if (this.powerUpSystem && this.powerUpSystem.isActive('slowTime')) {
+            renderer.fillRect(0, 0, GameConfig.CANVAS_WIDTH, GameConfig.CANVAS_HEIGHT, 'rgba(155, 89, 182, 0.12)');
+        }
+    }
+    
+    /**
+     * 护盾生效时在玩家周围绘制护盾
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderShield(renderer) {
+        const stacks = this.powerUpSystem ? this.powerUpSystem.getStacks('shield') : 0;
+        if (stacks === 0) {
+            return;
+        }
+        
+        const bounds = this.player.getBounds();
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        const radius = Math.max(bounds.width, bounds.height) / 2 + 8;
+        
+        // 剩余时间不足2秒时闪烁提示
+        const remaining = this.powerUpSystem.getRemaining('shield');
+        if (remaining < 2 && Math.floor(remaining * 8) % 2 === 0) {
+            return;
+        }
+        
+        renderer.setGlobalAlpha(0.25 + 0.1 * stacks);
+        renderer.drawCircle(centerX, centerY, radius, GameConfig.POWER_UP.TYPES.shield.color);
+        renderer.resetGlobalAlpha();
+    }
+    
+    /**
+     * 蓄力时在玩家头顶绘制蓄力条，蓄满时闪烁
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderChargeBar(renderer) {
+        if (!this.player.isCharging) {
+            return;
+        }
+        
+        const charge = this.player.getChargeLevel();
+        const bounds = this.player.getBounds();
+        const barWidth = 36;
+        const barX = bounds.x + bounds.width / 2 - barWidth / 2;
+        const barY = bounds.y - 12;
+        const full = charge >= 1;
+        const color = full && Math.floor(this.player.chargeTime * 10) % 2 === 0
+            ? '#ffffff'
+            : GameConfig.WEAPONS.TYPES[this.player.getWeapon()].color;
+        
+        renderer.fillRect(barX, barY, barWidth, 5, 'rgba(0, 0, 0, 0.6)');
+        renderer.fillRect(barX, barY, barWidth * charge, 5, color);
+        renderer.strokeRect(barX, barY, barWidth, 5, '#ffffff', 1);
+    }
+    
+    /**
+     * 渲染UI元素
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderUI(renderer) {
+        // 使用得分系统的渲染方法
+        if (this.scoreSystem) {
+            this.scoreSystem.render(renderer);
+        }
+        
+        // 渲染游戏时间
+        const minutes = Math.floor(this.gameTime / 60);
+        const seconds = Math.floor(this.gameTime % 60);
+        const timeString = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        
+        renderer.drawTextWithStroke(
+            localization.t('hud.time', { time: timeString }),
+            20,
+            GameConfig.CANVAS_HEIGHT - 40,
+            '#ffffff',
+            '#000000',
+            '16px Arial'
+        );
+        
+        // 渲染难度阶段和距离（可在设置中隐藏）
+        if (this.difficultyDirector && this.isHudOptionEnabled('showDifficulty')) {
+            this.renderDifficultyInfo(renderer);
+        }
+        
+        // 渲染道具效果计时
+        if (this.powerUpSystem) {
+            this.renderPowerUpTimers(renderer);
+        }
+        
+        // 渲染生命值（经典模式不显示）
+        if (this.player && this.isHealthHudVisible()) {
+            this.renderHealth(renderer);
+        }
+        
+        // 渲染首领来袭提示和生命条
+        if (this.bossManager && this.gameState === 'playing') {
+            this.bossManager.renderHud(renderer);
+        }
+        
+        // 渲染武器栏和热量条
+        if (this.player) {
+            this.renderWeaponInfo(renderer);
+            this.renderHeatBar(renderer);
+        }
+        
+        // 渲染帧率（可在设置中开启）
+        if (this.gameEngine && this.isHudOptionEnabled('showFps')) {
+            renderer.drawTextWithStroke(
+                localization.t('hud.fps', { fps: this.gameEngine.fps }),
+                GameConfig.CANVAS_WIDTH - 20,
+                GameConfig.CANVAS_HEIGHT - 40,
+                '#00ff00',
+                '#000000',
+                '14px Arial',
+                'right'
+            );
+        }
+        
+        // 渲染操作提示（仅在游戏进行时，可在设置中隐藏）
+        if (this.gameState === 'playing') {
+            const showControls = this.isHudOptionEnabled('showControls');
+            if (showControls) {
+                const keys = {
+                    jump: this.getActionLabel('jump'),
+                    slide: this.getActionLabel('slide'),
+                    shoot: this.getActionLabel('shoot'),
+                    weapons: this.getWeaponKeysLabel(),
+                    escape: localization.t(this.isLevelTest ? 'hud.escapeEditor' : 'hud.escapePause', { pause: this.getActionLabel('pause') })
+                };
+                renderer.drawTextWithStroke(
+                    localization.t(this.isUsingTouch() ? 'hud.touchControls' : 'hud.controls', keys),
+                    20,
+                    20,
+                    '#ffffff',
+                    '#000000',
+                    '14px Arial'
+                );
+            }
+            
+            // 渲染射击得分提示
+            if (this.scoreSystem && this.scoreSystem.getComboCount() > 1) {
+                const comboCount = this.scoreSystem.getComboCount();
+                const comboMultiplier = this.scoreSystem.getComboMultiplier(comboCount);
+                renderer.drawTextWithStroke(
+                    localization.t('hud.combo', { count: comboCount, multiplier: comboMultiplier.toFixed(1) }),
+                    20,
+                    40,
+                    this.scoreSystem.getComboColor(comboCount),
+                    '#000000',
+                    '14px Arial'
+                );
+            } else if (showControls) {
+                renderer.drawTextWithStroke(
+                    localization.t('hud.comboHint'),
+                    20,
+                    40,
+                    '#ffff88',
+                    '#000000',
+                    '12px Arial'
+                );
+            }
+        }
+    }
+    
+    /**
+     * 渲染生效中的道具及剩余时间（在时间显示上方向上排列）
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderPowerUpTimers(renderer) {
+        const barWidth = 80;
+        let y = GameConfig.CANVAS_HEIGHT - 70;
+        
+        this.powerUpSystem.getActiveEffects().forEach(effect => {
+            const config = GameConfig.POWER_UP.TYPES[effect.type];
+            const stacksText = effect.stacks > 1 ? ` x${effect.stacks}` : '';
+            
+            renderer.drawTextWithStroke(
+                `${config.icon} ${localization.t(`powerUp.${effect.type}`)}${stacksText}`,
+                20,
+                y,
+                config.color,
+                '#000000',
+                '14px Arial'
+            );
+            
+            // 剩余时间条
+            const barX = 130;
+            renderer.fillRect(barX, y - 9, barWidth, 8, 'rgba(0, 0, 0, 0.5)');
+            renderer.fillRect(barX, y - 9, barWidth * (effect.remaining / effect.duration), 8, config.color);
+            renderer.drawTextWithStroke(
+                `${effect.remaining.toFixed(1)}s`,
+                barX + barWidth + 8,
+                y,
+                '#ffffff',
+                '#000000',
+                '12px Arial'
+            );
+            
+            y -= 20;
+        });
+    }
+    
+    /**
+     * 渲染武器栏（屏幕右下角），高亮当前武器
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderWeaponInfo(renderer) {
+        const types = Object.entries(GameConfig.WEAPONS.TYPES);
+        const slotWidth = 82;
+        const y = GameConfig.CANVAS_HEIGHT - 20;
+        let x = GameConfig.CANVAS_WIDTH - types.length * slotWidth - 10;
+        
+        types.forEach(([type, weapon]) => {
+            const current = type === this.player.getWeapon();
+            
+            if (current) {
+                renderer.fillRect(x, y - 15, slotWidth - 4, 22, 'rgba(0, 0, 0, 0.5)');
+                renderer.strokeRect(x, y - 15, slotWidth - 4, 22, weapon.color, 2);
+            }
+            
+            renderer.drawTextWithStroke(
+                `${this.getActionShortLabel(weapon.action)} ${localization.t(`weapon.${type}`)}`,
+                x + (slotWidth - 4) / 2,
+                y,
+                current ? weapon.color : '#95a5a6',
+                '#000000',
+                current ? 'bold 13px Arial' : '12px Arial',
+                'center'
+            );
+            
+            x += slotWidth;
+        });
+    }
+    
+    /**
+     * 渲染射击热量条（武器栏上方），过热时闪烁并提示等待散热
      * @param {Renderer} renderer - 渲染器
      */
-    render(renderer) {
-        // 背景已经在GameEngine中绘制，这里不需要重复绘制
-        
-        // 渲染游戏实体
-        this.renderEntities(renderer);
-        
-        // 渲染UI元素
-        this.renderUI(renderer);
-        
-        // 渲染游戏状态相关信息
-        this.renderGameState(renderer);
-        
-        // 渲染碰撞系统调试信息（如果启用调试模式）
-        if (this.collisionSystem && GameConfig.DEBUG) {
-            this.collisionSystem.renderDebugInfo(renderer);
+    renderHeatBar(renderer) {
+        const config = GameConfig.HEAT;
+        const ratio = this.player.getHeatRatio();
+        const barWidth = 160;
+        const barX = GameConfig.CANVAS_WIDTH - barWidth - 14;
+        const barY = GameConfig.CANVAS_HEIGHT - 50;
+        
+        let color = ratio >= config.WARNING_RATIO ? config.WARNING_COLOR : config.COLOR;
+        let label = localization.t('hud.heat');
+        if (this.player.isOverheated) {
+            color = Math.floor(this.gameTime * 8) % 2 === 0 ? config.OVERHEAT_COLOR : '#ffffff';
+            label = localization.t('hud.overheated');
         }
         
-        // 渲染效果系统调试信息（如果启用调试模式）
-        if (this.effectSystem && GameConfig.DEBUG) {
-            this.effectSystem.renderDebugInfo(renderer);
-        }
+        renderer.drawTextWithStroke(
+            label,
+            barX - 8,
+            barY + 9,
+            color,
+            '#000000',
+            '12px Arial',
+            'right'
+        );
+        renderer.fillRect(barX, barY, barWidth, 10, 'rgba(0, 0, 0, 0.5)');
+        renderer.fillRect(barX, barY, barWidth * ratio, 10, color);
         
-        // 渲染射击性能监控信息（如果启用调试模式）
-        if (window.shootingPerformanceMonitor && GameConfig.DEBUG) {
-            window.shootingPerformanceMonitor.render(renderer);
-        }
+        // 过热后恢复射击的位置
+        const recoverX = barX + barWidth * config.RECOVER_HEAT / config.MAX;
+        renderer.fillRect(recoverX - 1, barY, 2, 10, 'rgba(255, 255, 255, 0.6)');
+        renderer.strokeRect(barX, barY, barWidth, 10, '#ffffff', 1);
     }
     
     /**
-     * 渲染游戏实体
+     * 渲染触摸按钮（使用触摸操作时显示，回放时不显示），按住的按钮高亮
      * @param {Renderer} renderer - 渲染器
      */
-    renderEntities(renderer) {
-        // 渲染障碍物（先渲染，在玩家后面）
-        if (this.obstacleManager) {
-            this.obstacleManager.render(renderer);
+    renderTouchControls(renderer) {
+        if (!this.isUsingTouch() || this.isReplaying() || (this.gameState !== 'playing' && this.gameState !== 'paused')) {
+            return;
         }
         
-        // 渲染子弹（在玩家和障碍物之间）
-        if (this.bulletManager) {
-            this.bulletManager.render(renderer);
-        }
+        const inputHandler = this.gameEngine.inputHandler;
+        inputHandler.getTouchButtons().forEach(button => {
+            renderer.drawTouchButton(
+                button.x,
+                button.y,
+                button.radius,
+                button.label || localization.t(`touch.button.${button.action}`),
+                inputHandler.isActionPressed(button.action)
+            );
+        });
+    }
+    
+    /**
+     * 当前模式是否需要显示生命值（有多颗心或额外的命）
+     * @returns {boolean} 是否显示
+     */
+    isHealthHudVisible() {
+        const config = this.getHealthModeConfig();
+        return config.maxHealth > 1 || config.lives > 0;
+    }
+    
+    /**
+     * 渲染生命值（心）和剩余命数
+     * @param {Renderer} renderer - 渲染器
+     */
+    renderHealth(renderer) {
+        const { health, maxHealth, lives } = this.player.getHealthInfo();
+        const y = 68;
         
-        // 渲染玩家（后渲染，在前面）
-        if (this.player) {
-            this.player.render(renderer);
+        for (let i = 0; i < maxHealth; i++) {
+            renderer.drawTextWithStroke(
+                i < health ? '❤' : '♡',
+                20 + i * 24,
+                y,
+                i < health ? '#e74c3c' : '#7f8c8d',
+                '#000000',
+                '20px Arial'
+            );
         }
         
-        // 渲染效果（最后渲染，在所有实体前面）
-        if (this.effectSystem) {
-            this.effectSystem.render(renderer);
-        }
+        renderer.drawTextWithStroke(
+            `x${lives}`,
+            20 + maxHealth * 24 + 4,
+            y,
+            '#ffffff',
+            '#000000',
+            '16px Arial'
+        );
     }
     
     /**
-     * 渲染UI元素
+     * 渲染难度阶段信息
      * @param {Renderer} renderer - 渲染器
      */
-    renderUI(renderer) {
-        // 使用得分系统的渲染方法
-        if (this.scoreSystem) {
-            this.scoreSystem.render(renderer);
-        }
-        
-        // 渲染游戏时间
-        const minutes = Math.floor(this.gameTime / 60);
-        const seconds = Math.floor(this.gameTime % 60);
-        const timeString = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    renderDifficultyInfo(renderer) {
+        const tier = this.difficultyDirector.getCurrentTier();
+        const meters = Math.floor(this.distanceTraveled / GameConfig.PIXELS_PER_METER);
+        const levelProgress = this.obstacleManager ? this.obstacleManager.getLevelProgress() : null;
+        const levelText = levelProgress ? localization.t('hud.levelProgress', {
+            name: this.currentLevel.name,
+            progress: Math.floor(levelProgress.progress * 100)
+        }) : '';
+        const tierName = localization.t(`difficulty.tier.${tier.level}`);
+        
+        const biome = this.biomeSystem.getDominantBiome();
         
         renderer.drawTextWithStroke(
-            `时间: ${timeString}`,
+            localization.t('hud.difficulty', {
+                level: levelText,
+                tierLevel: tier.level,
+                tier: tierName,
+                biome: localization.t(`biome.${biome.key}`),
+                meters
+            }),
             20,
-            GameConfig.CANVAS_HEIGHT - 40,
-            '#ffffff',
+            GameConfig.CANVAS_HEIGHT - 20,
+            '#ffcc66',
             '#000000',
-            '16px Arial'
+            '14px Arial'
         );
         
-        // 渲染操作提示（仅在游戏进行时）
-        if (this.gameState === 'playing') {
+        // 难度提升时在屏幕中央短暂提示
+        if (this.tierBannerTimer > 0 && this.gameState === 'playing') {
+            renderer.setGlobalAlpha(Math.min(1, this.tierBannerTimer));
             renderer.drawTextWithStroke(
-                '空格键跳跃 | Q键射击漂浮障碍物 | ESC暂停',
-                20,
-                20,
+                localization.t('hud.tierUp', { tierLevel: tier.level, tier: tierName }),
+                GameConfig.CANVAS_WIDTH / 2,
+                GameConfig.CANVAS_HEIGHT / 2 - 100,
+                '#ff8800',
+                '#000000',
+                'bold 28px Arial',
+                'center',
+                3
+            );
+            renderer.resetGlobalAlpha();
+        }
+        
+        // 进入新的地形区域时提示（有物理变化的区域说明效果）
+        if (this.biomeBannerTimer > 0 && this.gameState === 'playing') {
+            const current = this.biomeSystem.getCurrentBiome();
+            renderer.setGlobalAlpha(Math.min(1, this.biomeBannerTimer));
+            renderer.drawTextWithStroke(
+                localization.t('hud.biomeEnter', {
+                    biome: localization.t(`biome.${current.key}`),
+                    effects: this.getBiomeModifierText(current.modifiers)
+                }),
+                GameConfig.CANVAS_WIDTH / 2,
+                GameConfig.CANVAS_HEIGHT / 2 - 140,
+                '#66ddff',
+                '#000000',
+                'bold 24px Arial',
+                'center',
+                3
+            );
+            renderer.resetGlobalAlpha();
+        }
+        
+        // 关卡中的提示文字
+        if (this.levelMessageTimer > 0 && this.gameState === 'playing') {
+            renderer.setGlobalAlpha(Math.min(1, this.levelMessageTimer));
+            renderer.drawTextWithStroke(
+                this.levelMessage,
+                GameConfig.CANVAS_WIDTH / 2,
+                GameConfig.CANVAS_HEIGHT / 2 - 60,
                 '#ffffff',
                 '#000000',
-                '14px Arial'
+                'bold 24px Arial',
+                'center',
+                3
             );
-            
-            // 渲染射击得分提示
-            if (this.scoreSystem && this.scoreSystem.getComboCount() > 1) {
-                const comboCount = this.scoreSystem.getComboCount();
-                const comboMultiplier = this.scoreSystem.getComboMultiplier(comboCount);
-                renderer.drawTextWithStroke(
-                    `射击连击: ${comboCount}x (${comboMultiplier.toFixed(1)}倍得分)`,
-                    20,
-                    40,
-                    this.scoreSystem.getComboColor(comboCount),
-                    '#000000',
-                    '14px Arial'
-                );
-            } else {
-                renderer.drawTextWithStroke(
-                    '射击漂浮障碍物获得额外得分！',
-                    20,
-                    40,
-                    '#ffff88',
-                    '#000000',
-                    '12px Arial'
-                );
-            }
+            renderer.resetGlobalAlpha();
+        }
+    }
+    
+    /**
+     * 获取地形区域物理效果的说明文字
+     * @param {Object} modifiers - 物理参数 {gravityMultiplier, jumpControl}
+     * @returns {string} 说明文字，没有物理变化时为空
+     */
+    getBiomeModifierText(modifiers) {
+        const effects = [];
+        if (modifiers.gravityMultiplier < 1) {
+            effects.push(localization.t('biome.lowGravity'));
+        } else if (modifiers.gravityMultiplier > 1) {
+            effects.push(localization.t('biome.highGravity'));
+        }
+        if (modifiers.jumpControl < 1) {
+            effects.push(localization.t('biome.slippery'));
         }
+        return effects.length > 0 ? localization.t('hud.biomeEffects', { effects: effects.join(localization.t('hud.biomeEffectSeparator')) }) : '';
     }
     
     /**
@@ -584,7 +1899,7 @@ class GameScene extends Scene {
             renderer.resetGlobalAlpha();
             
             renderer.drawTextWithStroke(
-                '游戏暂停',
+                localization.t('pause.title'),
                 GameConfig.CANVAS_WIDTH / 2,
                 GameConfig.CANVAS_HEIGHT / 2 - 40,
                 '#ffffff',
@@ -593,25 +1908,52 @@ class GameScene extends Scene {
                 'center'
             );
             
-            renderer.drawTextWithStroke(
-                '按空格键或ESC继续',
-                GameConfig.CANVAS_WIDTH / 2,
+            const touch = this.isUsingTouch();
+            const inputHandler = this.gameEngine && this.gameEngine.inputHandler;
+            
+            // 使用鼠标时提示可以点击：继续和重新开始通过输入处理器触发动作，这样会被录制到回放中
+            // 回放时读取的是录制的输入，点击无效，只显示按键提示
+            const clickable = !touch && !this.isReplaying() && !!inputHandler;
+            const drawOption = (id, text, y, color, font, onClick) => {
+                if (clickable) {
+                    this.drawTextButton(renderer, id, text, GameConfig.CANVAS_WIDTH / 2, y, 260, onClick, font, color);
+                } else {
+                    renderer.drawTextWithStroke(text, GameConfig.CANVAS_WIDTH / 2, y, color, '#000000', font, 'center');
+                }
+            };
+            
+            drawOption(
+                'resume',
+                localization.t(touch ? 'pause.touchResume' : 'pause.resume', { jump: this.getActionLabel('jump'), pause: this.getActionLabel('pause') }),
                 GameConfig.CANVAS_HEIGHT / 2,
                 '#ffffff',
-                '#000000',
                 '16px Arial',
-                'center'
+                () => inputHandler.pressAction('pause')
             );
             
-            renderer.drawTextWithStroke(
-                '按R键重新开始',
-                GameConfig.CANVAS_WIDTH / 2,
-                GameConfig.CANVAS_HEIGHT / 2 + 25,
-                '#cccccc',
-                '#000000',
-                '14px Arial',
-                'center'
-            );
+            // 重新开始和打开设置没有触摸操作，使用触摸时不提示
+            if (!touch) {
+                drawOption(
+                    'restart',
+                    localization.t('pause.restart', { restart: this.getActionLabel('restart') }),
+                    GameConfig.CANVAS_HEIGHT / 2 + 25,
+                    '#cccccc',
+                    '14px Arial',
+                    () => inputHandler.pressAction('restart')
+                );
+            }
+            
+            // 回放时不能打开设置（设置键不在录制的输入中）
+            if (!touch && !this.isReplaying()) {
+                drawOption(
+                    'settings',
+                    localization.t('pause.settings', { settings: this.getActionLabel('settings') }),
+                    GameConfig.CANVAS_HEIGHT / 2 + 47,
+                    '#cccccc',
+                    '14px Arial',
+                    () => inputHandler.pressAction('settings')
+                );
+            }
         } else if (this.gameState === 'game_over') {
             // 绘制游戏结束覆盖层
             renderer.setGlobalAlpha(0.8);
@@ -620,7 +1962,7 @@ class GameScene extends Scene {
             
             // 游戏结束标题
             renderer.drawTextWithStroke(
-                '游戏结束',
+                localization.t('gameOver.title'),
                 GameConfig.CANVAS_WIDTH / 2,
                 GameConfig.CANVAS_HEIGHT / 2 - 80,
                 '#ff0000',
@@ -646,7 +1988,7 @@ class GameScene extends Scene {
                 const stats = this.scoreSystem.getScoreStats();
                 
                 renderer.drawTextWithStroke(
-                    `最终得分: ${stats.formattedScore}`,
+                    localization.t('gameOver.finalScore', { score: stats.formattedScore }),
                     GameConfig.CANVAS_WIDTH / 2,
                     GameConfig.CANVAS_HEIGHT / 2 - 10,
                     '#ffffff',
@@ -656,7 +1998,7 @@ class GameScene extends Scene {
                 );
                 
                 renderer.drawTextWithStroke(
-                    `等级: ${stats.grade}`,
+                    localization.t('gameOver.grade', { grade: stats.grade }),
                     GameConfig.CANVAS_WIDTH / 2,
                     GameConfig.CANVAS_HEIGHT / 2 + 15,
                     '#00ff00',
@@ -668,7 +2010,7 @@ class GameScene extends Scene {
                 // 新纪录提示
                 if (stats.isNewRecord) {
                     renderer.drawTextWithStroke(
-                        '🎉 新纪录！ 🎉',
+                        `🎉 ${localization.t('gameOver.newRecord')} 🎉`,
                         GameConfig.CANVAS_WIDTH / 2,
                         GameConfig.CANVAS_HEIGHT / 2 + 40,
                         '#ffff00',
@@ -681,7 +2023,9 @@ class GameScene extends Scene {
             
             // 操作提示
             renderer.drawTextWithStroke(
-                '按R键或空格键重新开始',
+                this.isReplaying() ?
+                    localization.t('gameOver.replayHint') :
+                    localization.t('gameOver.restartKeys', { restart: this.getActionLabel('restart'), jump: this.getActionLabel('jump') }),
                 GameConfig.CANVAS_WIDTH / 2,
                 GameConfig.CANVAS_HEIGHT / 2 + 70,
                 '#ffffff',
@@ -690,15 +2034,17 @@ class GameScene extends Scene {
                 'center'
             );
             
-            renderer.drawTextWithStroke(
-                '按ESC返回菜单',
-                GameConfig.CANVAS_WIDTH / 2,
-                GameConfig.CANVAS_HEIGHT / 2 + 90,
-                '#cccccc',
-                '#000000',
-                '14px Arial',
-                'center'
-            );
+            if (!this.isReplaying()) {
+                renderer.drawTextWithStroke(
+                    localization.t('gameOver.menuHint', { menu: this.getActionLabel('menu') }),
+                    GameConfig.CANVAS_WIDTH / 2,
+                    GameConfig.CANVAS_HEIGHT / 2 + 90,
+                    '#cccccc',
+                    '#000000',
+                    '14px Arial',
+                    'center'
+                );
+            }
         }
     }
     
@@ -709,13 +2055,14 @@ class GameScene extends Scene {
     getGameOverReasonText() {
         switch (this.gameOverReason) {
             case 'collision':
-                return '撞到障碍物了！';
+            case 'enemy':
+            case 'shot':
             case 'fall':
-                return '掉下去了！';
             case 'outOfBounds':
-                return '跑出边界了！';
+            case 'levelComplete':
+                return localization.t(`gameOver.reason.${this.gameOverReason}`);
             default:
-                return '游戏结束';
+                return localization.t('gameOver.title');
         }
     }
     
@@ -724,42 +2071,73 @@ class GameScene extends Scene {
      * @param {InputHandler} inputHandler - 输入处理器
      */
     handleInput(inputHandler) {
+        // 回放时使用录制的输入，否则录制本步读取到的输入
+        const input = this.getInputSource(inputHandler);
+        
         if (this.gameState === 'playing') {
             // 更新输入处理器的射击冷却时间
-            inputHandler.update(16.67); // 假设60FPS，约16.67ms每帧
+            input.update(GameConfig.SIMULATION.FIXED_DELTA_TIME * 1000); // 每个模拟步的时长（毫秒）
+            
+            // 玩家跳跃（按下时起跳，按住跳得更高）
+            if (this.player) {
+                this.player.setJumpHeld(input.isActionPressed('jump'));
+            }
+            
+            // 玩家滑铲（按住）
+            if (this.player) {
+                this.player.setSlideHeld(input.isActionPressed('slide'));
+            }
             
-            // 玩家跳跃
-            if (inputHandler.isKeyPressed('Space') && this.player) {
-                this.player.jump();
+            // 武器动作切换武器（默认数字键1-4）
+            if (this.player) {
+                Object.entries(GameConfig.WEAPONS.TYPES).forEach(([type, weapon]) => {
+                    if (input.isActionJustPressed(weapon.action) && this.player.getWeapon() !== type) {
+                        this.player.setWeapon(type);
+                        console.log(`切换武器: ${weapon.name}`);
+                    }
+                });
             }
             
-            // 玩家射击 - 使用Q键射击
-            if (inputHandler.isKeyJustPressed('KeyQ') && this.player && this.player.canShootNow()) {
-                this.player.shoot();
+            // 玩家射击（蓄力武器按住射击键蓄力，松开发射）
+            if (this.player) {
+                if (this.player.isChargeWeapon()) {
+                    this.player.setChargeHeld(input.isActionPressed('shoot'));
+                } else if (input.isActionJustPressed('shoot') && this.player.canShootNow()) {
+                    this.player.shoot();
+                }
             }
             
-            // 暂停游戏
-            if (inputHandler.isKeyJustPressed('Escape')) {
-                this.pauseGame();
+            // 暂停游戏（试玩关卡时返回关卡编辑器）
+            if (input.isActionJustPressed('pause')) {
+                if (this.isLevelTest) {
+                    this.endLevelTest(null);
+                } else {
+                    this.pauseGame();
+                }
             }
         } else if (this.gameState === 'paused') {
             // 恢复游戏
-            if (inputHandler.isKeyJustPressed('Space') || inputHandler.isKeyJustPressed('Escape')) {
+            if (input.isActionJustPressed('jump') || input.isActionJustPressed('pause')) {
                 this.resumeGame();
             }
             
             // 重新开始游戏（从暂停状态）
-            if (inputHandler.isKeyJustPressed('KeyR')) {
+            if (input.isActionJustPressed('restart')) {
                 this.restartGame();
             }
+            
+            // 打开设置（叠加在暂停画面上，关闭后仍然暂停），不经过录制的输入
+            if (!this.isReplaying() && inputHandler.isActionJustPressed('settings') && this.gameEngine) {
+                this.gameEngine.sceneManager.pushScene('settings');
+            }
         } else if (this.gameState === 'game_over') {
             // 重新开始游戏
-            if (inputHandler.isKeyJustPressed('KeyR') || inputHandler.isKeyJustPressed('Space')) {
+            if (input.isActionJustPressed('restart') || input.isActionJustPressed('jump')) {
                 this.restartGame();
             }
             
             // 返回菜单（如果需要）
-            if (inputHandler.isKeyJustPressed('Escape')) {
+            if (input.isActionJustPressed('menu')) {
                 this.returnToMenu();
             }
         }
@@ -771,6 +2149,9 @@ class GameScene extends Scene {
     pauseGame() {
         if (this.gameState === 'playing') {
             this.gameState = 'paused';
+            if (this.gameEngine) {
+                this.gameEngine.audioManager.suspend('scene');
+            }
             console.log('游戏已暂停');
         }
     }
@@ -781,6 +2162,9 @@ class GameScene extends Scene {
     resumeGame() {
         if (this.gameState === 'paused') {
             this.gameState = 'playing';
+            if (this.gameEngine) {
+                this.gameEngine.audioManager.resume('scene');
+            }
             console.log('游戏已恢复');
         }
     }
@@ -805,6 +2189,17 @@ class GameScene extends Scene {
         }
     }
     
+    /**
+     * 结束关卡试玩，返回关卡编辑器
+     * @param {Object|null} stats - 本局统计，中途退出时为null
+     */
+    endLevelTest(stats) {
+        console.log('关卡试玩结束');
+        if (this.onLevelTestEnd) {
+            this.onLevelTestEnd(stats);
+        }
+    }
+    
     /**
      * 获取游戏状态
      * @returns {string} 当前游戏状态
@@ -829,6 +2224,22 @@ class GameScene extends Scene {
         return this.obstacleManager;
     }
     
+    /**
+     * 获取敌人管理器
+     * @returns {EnemyManager} 敌人管理器
+     */
+    getEnemyManager() {
+        return this.enemyManager;
+    }
+    
+    /**
+     * 获取首领管理器
+     * @returns {BossManager} 首领管理器
+     */
+    getBossManager() {
+        return this.bossManager;
+    }
+    
     /**
      * 获取得分系统
      * @returns {ScoreSystem} 得分系统
@@ -837,6 +2248,150 @@ class GameScene extends Scene {
         return this.scoreSystem;
     }
     
+    /**
+     * 指定下一局使用的种子（在下次重置游戏时生效）
+     * @param {number|string} seed - 种子，支持数字或任意字符串
+     * @returns {boolean} 种子是否有效
+     */
+    setNextSeed(seed) {
+        const parsedSeed = RandomService.parseSeed(seed);
+        if (parsedSeed === null) {
+            console.warn('无效的种子:', seed);
+            return false;
+        }
+        
+        this.pendingSeed = parsedSeed;
+        return true;
+    }
+    
+    /**
+     * 设置生命值模式（在下次重置游戏时生效）
+     * @param {string} mode - 模式名称（GameConfig.HEALTH.MODES中的键）
+     * @returns {boolean} 模式是否有效
+     */
+    setHealthMode(mode) {
+        if (!GameConfig.HEALTH.MODES[mode]) {
+            console.warn('未知的生命值模式:', mode);
+            return false;
+        }
+        
+        this.healthMode = mode;
+        return true;
+    }
+    
+    /**
+     * 设置每局使用的关卡（在下次重置游戏时生效）
+     * @param {Object|null} level - 关卡数据，为null时恢复随机生成
+     */
+    setLevel(level) {
+        this.level = level;
+    }
+    
+    /**
+     * 设置下一局试玩的关卡（只在下一局生效）
+     * @param {Object} level - 关卡数据
+     * @param {number} start - 开始位置（关卡起点滚过屏幕右边缘后的距离，像素）
+     */
+    setLevelTest(level, start = 0) {
+        this.pendingLevelTest = { level: level, start: start };
+    }
+    
+    /**
+     * 获取本局使用的关卡
+     * @returns {Object|null} 关卡数据
+     */
+    getCurrentLevel() {
+        return this.currentLevel;
+    }
+    
+    /**
+     * 获取设置的生命值模式
+     * @returns {string} 模式名称
+     */
+    getHealthMode() {
+        return this.healthMode;
+    }
+    
+    /**
+     * 获取本局使用的生命值模式配置
+     * @returns {Object} 模式配置
+     */
+    getHealthModeConfig() {
+        return GameConfig.HEALTH.MODES[this.currentHealthMode];
+    }
+    
+    /**
+     * 获取当前局的种子
+     * @returns {number} 种子
+     */
+    getSeed() {
+        return this.random.getSeed();
+    }
+    
+    /**
+     * 获取本局输入源：回放时使用录制的输入，否则包装真实输入并录制
+     * @param {InputHandler} inputHandler - 输入处理器
+     * @returns {Object} 输入源（与InputHandler接口一致）
+     */
+    getInputSource(inputHandler) {
+        if (this.replaySource) {
+            this.replaySource.setTick(this.tick);
+            return this.replaySource;
+        }
+        
+        this.inputRecorder.setSource(inputHandler);
+        this.inputRecorder.setTick(this.tick);
+        return this.inputRecorder;
+    }
+    
+    /**
+     * 设置回放输入源（传入null恢复正常游戏）
+     * @param {ReplayInputSource|null} source - 回放输入源
+     */
+    setReplaySource(source) {
+        this.replaySource = source;
+    }
+    
+    /**
+     * 是否正在回放
+     * @returns {boolean} 是否正在回放
+     */
+    isReplaying() {
+        return this.replaySource !== null;
+    }
+    
+    /**
+     * 获取最近一局的录制
+     * @returns {Object|null} 回放数据
+     */
+    getLastReplay() {
+        return this.lastReplay;
+    }
+    
+    /**
+     * 获取当前模拟步
+     * @returns {number} 模拟步序号
+     */
+    getTick() {
+        return this.tick;
+    }
+    
+    /**
+     * 获取道具效果系统
+     * @returns {PowerUpSystem} 道具效果系统
+     */
+    getPowerUpSystem() {
+        return this.powerUpSystem;
+    }
+    
+    /**
+     * 获取难度导演
+     * @returns {DifficultyDirector} 难度导演
+     */
+    getDifficultyDirector() {
+        return this.difficultyDirector;
+    }
+    
     /**
      * 获取子弹管理器
      * @returns {BulletManager} 子弹管理器
@@ -854,15 +2409,17 @@ class GameScene extends Scene {
         const activeObstacles = obstacles.filter(obstacle => obstacle.active);
         const bullets = this.bulletManager ? this.bulletManager.getBullets() : [];
         const activeBullets = bullets.filter(bullet => bullet.active);
+        const enemies = this.enemyManager ? this.enemyManager.getEnemies() : [];
         
         const activeEffects = this.effectSystem ? this.effectSystem.getActiveEffectCount() : 0;
         
         return {
-            active: activeObstacles.length + activeBullets.length + activeEffects + (this.player ? 1 : 0),
-            total: obstacles.length + bullets.length + activeEffects + (this.player ? 1 : 0),
-            rendered: activeObstacles.length + activeBullets.length + activeEffects + (this.player ? 1 : 0),
+            active: activeObstacles.length + enemies.length + activeBullets.length + activeEffects + (this.player ? 1 : 0),
+            total: obstacles.length + enemies.length + bullets.length + activeEffects + (this.player ? 1 : 0),
+            rendered: activeObstacles.length + enemies.length + activeBullets.length + activeEffects + (this.player ? 1 : 0),
             bullets: activeBullets.length,
             obstacles: activeObstacles.length,
+            enemies: enemies.length,
             effects: activeEffects
         };
     }
@@ -0,0 +1,114 @@
+/**
+ * 加载场景 - 游戏启动时预加载资源并显示进度条，完成后进入菜单
+ */
+class LoadingScene extends Scene {
+    constructor(assets = assetManager) {
+        super('loading');
+        this.assets = assets;
+        this.elapsedTime = 0;
+        this.displayProgress = 0;   // 进度条显示的进度（平滑追赶实际进度）
+    }
+    
+    /**
+     * 场景进入时调用，开始加载资源
+     */
+    onEnter() {
+        super.onEnter();
+        console.log('进入加载场景');
+        this.elapsedTime = 0;
+        this.displayProgress = 0;
+        this.assets.load();
+    }
+    
+    /**
+     * 场景退出时调用
+     */
+    onExit() {
+        super.onExit();
+        console.log('退出加载场景');
+    }
+    
+    /**
+     * 更新场景
+     * @param {number} deltaTime - 时间增量
+     */
+    update(deltaTime) {
+        this.elapsedTime += deltaTime;
+        
+        const progress = this.assets.getProgress();
+        this.displayProgress = Math.min(progress, this.displayProgress + deltaTime * 2);
+        
+        const finished = this.assets.isFinished && this.displayProgress >= 1 &&
+            this.elapsedTime >= GameConfig.ASSETS.MIN_LOADING_TIME;
+        const timedOut = this.elapsedTime >= GameConfig.ASSETS.LOAD_TIMEOUT;
+        
+        if (finished || timedOut) {
+            if (timedOut && !this.assets.isFinished) {
+                console.warn('资源加载超时，先进入菜单，剩余资源在后台继续加载');
+            }
+            this.gameEngine.sceneManager.switchScene('menu');
+        }
+    }
+    
+    /**
+     * 渲染场景
+     * @param {Renderer} renderer - 渲染器
+     */
+    render(renderer) {
+        const centerX = GameConfig.CANVAS_WIDTH / 2;
+        const centerY = GameConfig.CANVAS_HEIGHT / 2;
+        
+        renderer.fillRect(0, 0, GameConfig.CANVAS_WIDTH, GameConfig.CANVAS_HEIGHT, 'rgba(0, 0, 0, 0.5)');
+        
+        renderer.drawTextWithStroke(
+            localization.t('menu.title'),
+            centerX,
+            centerY - 80,
+            '#FFD700',
+            '#8B4513',
+            'bold 48px Arial',
+            'center',
+            4
+        );
+        
+        this.drawProgressBar(renderer, centerX, centerY + 20);
+        
+        const stats = this.assets.getStats();
+        const dots = '.'.repeat(Math.floor(this.elapsedTime * 3) % 4);
+        renderer.drawText(
+            stats.total > 0 ?
+                localization.t('loading.progress', { count: stats.loaded + stats.failed, total: stats.total, dots: dots }) :
+                localization.t('loading.waiting', { dots: dots }),
+            centerX,
+            centerY + 50,
+            'rgba(255, 255, 255, 0.8)',
+            '14px Arial',
+            'center'
+        );
+    }
+    
+    /**
+     * 绘制进度条
+     * @param {Renderer} renderer - 渲染器
+     * @param {number} centerX - 中心X坐标
+     * @param {number} y - 顶部Y坐标
+     */
+    drawProgressBar(renderer, centerX, y) {
+        const width = 300;
+        const height = 16;
+        const x = centerX - width / 2;
+        
+        renderer.fillRect(x, y, width, height, 'rgba(255, 255, 255, 0.2)');
+        renderer.fillRect(x, y, width * this.displayProgress, height, '#32CD32');
+        renderer.strokeRect(x, y, width, height, '#ffffff', 2);
+        
+        renderer.drawText(
+            `${Math.round(this.displayProgress * 100)}%`,
+            centerX,
+            y + 2,
+            '#ffffff',
+            'bold 12px Arial',
+            'center'
+        );
+    }
+}
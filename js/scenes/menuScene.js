@@ -53,7 +53,7 @@ class MenuScene extends Scene {
         // 绘制游戏标题（带动画效果）
         const titleY = GameConfig.CANVAS_HEIGHT / 2 - 120 + this.titleBounce;
         renderer.drawTextWithStroke(
-            '跑酷大冒险',
+            localization.t('menu.title'),
             GameConfig.CANVAS_WIDTH / 2,
             titleY,
             '#FFD700',
@@ -65,7 +65,7 @@ class MenuScene extends Scene {
         
         // 绘制副标题
         renderer.drawTextWithStroke(
-            'Runner Adventure',
+            localization.t('menu.subtitle'),
             GameConfig.CANVAS_WIDTH / 2,
             titleY + 60,
             '#FFA500',
@@ -78,12 +78,15 @@ class MenuScene extends Scene {
         // 绘制开始游戏按钮
         this.drawStartButton(renderer);
         
+        // 绘制生命值模式
+        this.drawHealthMode(renderer);
+        
         // 绘制游戏说明
         this.drawInstructions(renderer);
         
         // 绘制版权信息
         renderer.drawText(
-            '© 2024 跑酷游戏 - 按空格键开始冒险！',
+            this.isUsingTouch() ? localization.t('menu.touchFooter') : localization.t('menu.footer', { jump: this.getActionLabel('jump') }),
             GameConfig.CANVAS_WIDTH / 2,
             GameConfig.CANVAS_HEIGHT - 30,
             'rgba(255, 255, 255, 0.7)',
@@ -173,11 +176,17 @@ class MenuScene extends Scene {
     drawStartButton(renderer) {
         const buttonX = GameConfig.CANVAS_WIDTH / 2;
         const buttonY = GameConfig.CANVAS_HEIGHT / 2 + 20;
-        const buttonWidth = 200 * this.buttonPulse;
-        const buttonHeight = 50 * this.buttonPulse;
+        const state = this.getUIState('start');
+        const scale = state === 'pressed' ? 0.95 : this.buttonPulse;
+        const buttonWidth = 200 * scale;
+        const buttonHeight = 50 * scale;
+        
+        // 点击区域使用不随动画变化的大小
+        this.addUIRegion('start', buttonX - 100, buttonY - 25, 200, 50, () => this.startGame());
         
-        // 绘制按钮背景
-        renderer.ctx.fillStyle = '#32CD32';
+        // 绘制按钮背景（鼠标悬停时变亮，按下时变暗）
+        const colors = { hover: '#5BE85B', pressed: '#228B22' };
+        renderer.ctx.fillStyle = colors[state] || '#32CD32';
         renderer.ctx.fillRect(
             buttonX - buttonWidth / 2,
             buttonY - buttonHeight / 2,
@@ -197,7 +206,7 @@ class MenuScene extends Scene {
         
         // 绘制按钮文本
         renderer.drawTextWithStroke(
-            '开始游戏',
+            localization.t('menu.start'),
             buttonX,
             buttonY - 8,
             '#FFFFFF',
@@ -209,7 +218,7 @@ class MenuScene extends Scene {
         
         // 绘制按键提示
         renderer.drawText(
-            '按 [空格键] 开始',
+            this.isUsingTouch() ? localization.t('menu.tapToStart') : localization.t('menu.startHint', { key: this.getActionLabel('jump') }),
             buttonX,
             buttonY + 15,
             '#FFFFFF',
@@ -218,6 +227,80 @@ class MenuScene extends Scene {
         );
     }
     
+    /**
+     * 绘制当前生命值模式
+     * @param {Renderer} renderer - 渲染器
+     */
+    drawHealthMode(renderer) {
+        const gameScene = this.getGameScene();
+        if (!gameScene) {
+            return;
+        }
+        
+        const mode = gameScene.getHealthMode();
+        this.drawTextButton(
+            renderer,
+            'healthMode',
+            localization.t('menu.mode', {
+                name: localization.t(`healthMode.${mode}`),
+                description: localization.t(`healthMode.${mode}.description`)
+            }),
+            GameConfig.CANVAS_WIDTH / 2,
+            GameConfig.CANVAS_HEIGHT / 2 + 70,
+            440,
+            () => this.changeHealthMode(),
+            '16px Arial',
+            '#FFD700'
+        );
+        
+        // 设置、导入回放和关卡编辑器的入口（可用鼠标点击或按括号中的按键）
+        const links = [
+            { id: 'settings', onClick: () => this.openSettings() },
+            { id: 'import', onClick: () => this.importReplay() },
+            { id: 'editor', onClick: () => this.openEditor() }
+        ];
+        const linkWidth = 160;
+        links.forEach((link, index) => {
+            this.drawTextButton(
+                renderer,
+                link.id,
+                localization.t(`menu.link.${link.id}`),
+                GameConfig.CANVAS_WIDTH / 2 + (index - 1) * (linkWidth + 10),
+                GameConfig.CANVAS_HEIGHT / 2 + 95,
+                linkWidth,
+                link.onClick,
+                '14px Arial',
+                'rgba(255, 255, 255, 0.9)'
+            );
+        });
+    }
+    
+    /**
+     * 切换到下一个生命值模式（保存到设置，由设置应用到游戏场景）
+     */
+    cycleHealthMode() {
+        const gameScene = this.getGameScene();
+        if (!gameScene) {
+            return;
+        }
+        
+        const modes = Object.keys(GameConfig.HEALTH.MODES);
+        const nextIndex = (modes.indexOf(gameScene.getHealthMode()) + 1) % modes.length;
+        this.gameEngine.setHealthMode(modes[nextIndex]);
+        console.log('生命值模式:', modes[nextIndex]);
+    }
+    
+    /**
+     * 获取游戏场景
+     * @returns {GameScene|null} 游戏场景
+     */
+    getGameScene() {
+        if (!this.gameEngine || !this.gameEngine.sceneManager) {
+            return null;
+        }
+        return this.gameEngine.sceneManager.scenes.get('game') || null;
+    }
+    
     /**
      * 绘制游戏说明
      * @param {Renderer} renderer - 渲染器
@@ -227,7 +310,7 @@ class MenuScene extends Scene {
         
         // 绘制说明标题
         renderer.drawTextWithStroke(
-            '游戏说明',
+            localization.t('menu.instructionsTitle'),
             GameConfig.CANVAS_WIDTH / 2,
             instructionY,
             '#FFD700',
@@ -237,15 +320,18 @@ class MenuScene extends Scene {
             2
         );
         
-        // 绘制游戏规则
-        const instructions = [
-            '🏃 角色会自动向前奔跑',
-            '⬆️ 按空格键让角色跳跃',
-            '🔫 按Q键射击消除漂浮障碍物',
-            '🚧 躲避路上的障碍物',
-            '🎯 射击漂浮障碍物获得额外得分',
-            '🏆 坚持越久得分越高'
-        ];
+        // 绘制游戏规则（使用手柄时显示手柄按钮，使用触摸时操作说明改为触摸操作）
+        const keys = {
+            jump: this.getActionLabel('jump'),
+            shoot: this.getActionLabel('shoot'),
+            slide: this.getActionLabel('slide'),
+            weapons: this.getWeaponKeysLabel()
+        };
+        const touchInstructions = this.isUsingTouch() ? [2, 3, 4] : [];
+        const instructions = [1, 2, 3, 4, 5, 6].map(index => {
+            const id = touchInstructions.includes(index) ? `menu.touchInstruction${index}` : `menu.instruction${index}`;
+            return localization.t(id, keys);
+        });
         
         instructions.forEach((instruction, index) => {
             renderer.drawText(
@@ -264,13 +350,76 @@ class MenuScene extends Scene {
      * @param {InputHandler} inputHandler - 输入处理器
      */
     handleInput(inputHandler) {
-        if (inputHandler.isKeyJustPressed('Space')) {
-            // 切换到游戏场景
-            if (this.gameEngine && this.gameEngine.sceneManager) {
-                this.gameEngine.sceneManager.switchScene('game');
-            } else {
-                console.log('准备开始游戏...');
-            }
+        // 触摸时点击屏幕任意位置开始
+        if (inputHandler.isActionJustPressed('jump') || inputHandler.isScreenJustTapped()) {
+            this.startGame();
+        }
+        
+        if (inputHandler.isKeyJustPressed('KeyM')) {
+            this.changeHealthMode();
+        }
+        
+        if (inputHandler.isKeyJustPressed('KeyL')) {
+            this.importReplay();
+        }
+        
+        if (inputHandler.isKeyJustPressed('KeyO')) {
+            this.openSettings();
+        }
+        
+        if (inputHandler.isKeyJustPressed('KeyK')) {
+            this.openEditor();
+        }
+    }
+    
+    /**
+     * 切换到游戏场景
+     */
+    startGame() {
+        if (this.gameEngine && this.gameEngine.sceneManager) {
+            this.gameEngine.audioManager.play('uiConfirm');
+            this.gameEngine.sceneManager.switchScene('game');
+        } else {
+            console.log('准备开始游戏...');
+        }
+    }
+    
+    /**
+     * 切换生命值模式
+     */
+    changeHealthMode() {
+        this.cycleHealthMode();
+        if (this.gameEngine) {
+            this.gameEngine.audioManager.play('uiSelect');
+        }
+    }
+    
+    /**
+     * 导入回放文件并播放
+     */
+    importReplay() {
+        if (this.gameEngine && this.gameEngine.replayController) {
+            this.gameEngine.replayController.importReplay();
+        }
+    }
+    
+    /**
+     * 打开设置（叠加在菜单上）
+     */
+    openSettings() {
+        if (this.gameEngine && this.gameEngine.sceneManager) {
+            this.gameEngine.audioManager.play('uiConfirm');
+            this.gameEngine.sceneManager.pushScene('settings');
+        }
+    }
+    
+    /**
+     * 打开关卡编辑器
+     */
+    openEditor() {
+        if (this.gameEngine && this.gameEngine.sceneManager) {
+            this.gameEngine.audioManager.play('uiConfirm');
+            this.gameEngine.sceneManager.switchScene('editor');
         }
     }
-}
\ No newline at end of file
+}
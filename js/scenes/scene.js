@@ -1,10 +1,16 @@
 /**
  * 基础场景类 - 所有场景的基类
+ * 场景在绘制按钮时登记可点击的界面区域，游戏引擎在处理输入前用鼠标位置检测区域并分发点击
  */
 class Scene {
     constructor(name) {
         this.name = name;
         this.isActive = false;
+        
+        // 界面区域：每次绘制前清空，绘制时重新登记，保证与画面上的按钮一致
+        this.uiRegions = [];          // {id, x, y, width, height, onClick, onRightClick}
+        this.hoveredRegionId = null;  // 鼠标所在的区域
+        this.pressedRegionId = null;  // 鼠标左键按下时所在的区域（在同一区域松开才算点击）
     }
     
     /**
@@ -29,11 +35,19 @@ class Scene {
         // 子类实现具体逻辑
     }
     
+    /**
+     * 每个模拟步开始前调用，用于记录渲染插值所需的上一步状态等
+     */
+    beginStep() {
+        // 子类实现具体逻辑
+    }
+    
     /**
      * 渲染场景
      * @param {Renderer} renderer - 渲染器
+     * @param {number} alpha - 渲染插值系数 (0-1)
      */
-    render(renderer) {
+    render(renderer, alpha = 1) {
         // 子类实现具体逻辑
     }
     
@@ -44,4 +58,183 @@ class Scene {
     handleInput(inputHandler) {
         // 子类实现具体逻辑
     }
+    
+    /**
+     * 清空界面区域（由场景管理器在绘制场景前调用）
+     */
+    clearUIRegions() {
+        this.uiRegions = [];
+    }
+    
+    /**
+     * 登记可点击的界面区域（后登记的区域在上层）
+     * @param {string} id - 区域ID（用于查询悬停和按下状态）
+     * @param {number} x - 左上角X坐标
+     * @param {number} y - 左上角Y坐标
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {Function} onClick - 左键点击回调，参数为点击位置 (x, y)
+     * @param {Function|null} onRightClick - 右键点击回调
+     */
+    addUIRegion(id, x, y, width, height, onClick, onRightClick = null) {
+        this.uiRegions.push({ id, x, y, width, height, onClick, onRightClick });
+    }
+    
+    /**
+     * 查找位置所在的最上层界面区域
+     * @param {number} x - 画布X坐标
+     * @param {number} y - 画布Y坐标
+     * @returns {Object|null} 区域，不在任何区域内时返回null
+     */
+    getUIRegionAt(x, y) {
+        for (let i = this.uiRegions.length - 1; i >= 0; i--) {
+            const region = this.uiRegions[i];
+            if (x >= region.x && x < region.x + region.width && y >= region.y && y < region.y + region.height) {
+                return region;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 获取界面区域的鼠标状态（用于绘制悬停和按下效果）
+     * @param {string} id - 区域ID
+     * @returns {string|null} 'pressed'、'hover'，鼠标不在区域上时返回null
+     */
+    getUIState(id) {
+        if (this.hoveredRegionId !== id) {
+            return null;
+        }
+        return this.pressedRegionId === id ? 'pressed' : 'hover';
+    }
+    
+    /**
+     * 用鼠标位置检测界面区域，更新悬停和按下状态并分发点击（由游戏引擎在处理输入前调用）
+     * 没有登记区域的场景（如游戏进行中、关卡编辑器）不读取鼠标按键
+     * @param {InputHandler} inputHandler - 输入处理器
+     * @returns {boolean} 鼠标是否指向界面区域
+     */
+    handlePointer(inputHandler) {
+        if (this.uiRegions.length === 0 || !inputHandler.isMouseOverCanvas()) {
+            this.hoveredRegionId = null;
+            this.pressedRegionId = null;
+            return false;
+        }
+        
+        const { x, y } = inputHandler.getMousePosition();
+        const region = this.getUIRegionAt(x, y);
+        this.hoveredRegionId = region ? region.id : null;
+        
+        if (inputHandler.isMouseButtonJustPressed(0) && region) {
+            this.pressedRegionId = region.id;
+        }
+        
+        if (inputHandler.isMouseButtonJustReleased(0)) {
+            const clicked = region && region.id === this.pressedRegionId;
+            this.pressedRegionId = null;
+            if (clicked) {
+                region.onClick(x, y);
+            }
+        }
+        
+        if (inputHandler.isMouseButtonJustPressed(2) && region && region.onRightClick) {
+            region.onRightClick(x, y);
+        }
+        
+        return region !== null;
+    }
+    
+    /**
+     * 绘制文字按钮并登记为界面区域：鼠标悬停时显示边框，按下时加深背景
+     * @param {Renderer} renderer - 渲染器
+     * @param {string} id - 区域ID
+     * @param {string} text - 按钮文字
+     * @param {number} x - 中心X坐标
+     * @param {number} y - 文字顶部Y坐标
+     * @param {number} width - 按钮宽度
+     * @param {Function} onClick - 点击回调
+     * @param {string} font - 字体
+     * @param {string} color - 文字颜色
+     */
+    drawTextButton(renderer, id, text, x, y, width, onClick, font = '14px Arial', color = '#ffffff') {
+        const match = /(\d+)px/.exec(font);
+        const height = (match ? Number(match[1]) : 14) + 8;
+        const left = x - width / 2;
+        const top = y - 4;
+        const state = this.getUIState(id);
+        
+        if (state) {
+            renderer.fillRect(left, top, width, height, state === 'pressed' ? 'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.12)');
+            renderer.strokeRect(left, top, width, height, 'rgba(255, 255, 255, 0.7)', 1);
+        }
+        
+        renderer.drawTextWithStroke(text, x, y, color, '#000000', font, 'center');
+        this.addUIRegion(id, left, top, width, height, onClick);
+    }
+    
+    /**
+     * 获取动作的主按键
+     * @param {string} action - 动作（如 'jump'）
+     * @returns {string} 按键（如 'Space'），输入源没有绑定按键时使用默认按键
+     */
+    getActionKey(action) {
+        const inputHandler = this.gameEngine && this.gameEngine.inputHandler;
+        const keys = inputHandler ? inputHandler.getActionKeys(action) : [];
+        const defaults = GameConfig.SETTINGS.DEFAULTS.controls[action] || GameConfig.SETTINGS.UI_ACTIONS[action];
+        return keys[0] || defaults[0];
+    }
+    
+    /**
+     * 检查玩家当前是否在使用手柄（操作提示显示手柄按钮）
+     * @returns {boolean} 是否在使用手柄
+     */
+    isUsingGamepad() {
+        const inputHandler = this.gameEngine && this.gameEngine.inputHandler;
+        return !!inputHandler && inputHandler.isUsingGamepad();
+    }
+    
+    /**
+     * 检查玩家当前是否在使用触摸操作（操作提示显示触摸操作）
+     * @returns {boolean} 是否在使用触摸
+     */
+    isUsingTouch() {
+        const inputHandler = this.gameEngine && this.gameEngine.inputHandler;
+        return !!inputHandler && inputHandler.isUsingTouch();
+    }
+    
+    /**
+     * 获取动作主按键（使用手柄时为手柄按钮，使用触摸时为触摸操作）的显示名称（用于操作提示）
+     * 触摸或手柄不能触发的动作仍然显示按键
+     * @param {string} action - 动作（如 'jump'）
+     * @returns {string} 显示名称（如 '空格键'、'A键'、'屏幕左侧'）
+     */
+    getActionLabel(action) {
+        const inputHandler = this.gameEngine && this.gameEngine.inputHandler;
+        if (this.isUsingTouch() && inputHandler.hasTouchAction(action)) {
+            return localization.t(`touch.${inputHandler.getTouchLayout()}.${action}`);
+        }
+        const button = this.isUsingGamepad() ? inputHandler.getGamepadButtonName(action) : null;
+        if (button) {
+            return localization.t('gamepad.button', { button });
+        }
+        return localization.getKeyLabel(this.getActionKey(action));
+    }
+    
+    /**
+     * 获取动作主按键（使用手柄时为手柄按钮）的简短名称（用于武器栏等空间有限的地方）
+     * @param {string} action - 动作
+     * @returns {string} 简短名称（如 'Q'、'1'、'RB'）
+     */
+    getActionShortLabel(action) {
+        const button = this.isUsingGamepad() ? this.gameEngine.inputHandler.getGamepadButtonName(action) : null;
+        return button || localization.getKeyName(this.getActionKey(action));
+    }
+    
+    /**
+     * 获取切换武器的按键提示（如 '1/2/3/4'）
+     * @returns {string} 各武器按键的简短名称
+     */
+    getWeaponKeysLabel() {
+        return Object.values(GameConfig.WEAPONS.TYPES).map(weapon => this.getActionShortLabel(weapon.action)).join('/');
+    }
 }
\ No newline at end of file
@@ -0,0 +1,342 @@
+/**
+ * 设置场景 - 叠加在菜单或暂停的游戏上，修改音量、难度、画质、界面选项和语言，并可打开按键设置
+ * 修改立即通过设置管理器保存并应用，关闭后回到打开设置前的场景
+ */
+class SettingsScene extends Scene {
+    constructor() {
+        super('settings');
+        this.selectedIndex = 0;
+        this.statusMessage = '';
+        this.statusTimer = 0;
+        
+        // 布局：左右两栏，每栏按分组排列选项，选项下面是操作按钮（按键绑定在单独的按键设置场景中修改）
+        this.columns = [
+            { x: 60, sections: ['audio', 'gameplay'], actions: ['controls'] },
+            { x: 430, sections: ['video', 'hud', 'general'], actions: ['reset', 'back'] }
+        ];
+        this.columnWidth = 310;
+        this.lineHeight = 22;
+        this.top = 72;
+        
+        this.buildLayout();
+    }
+    
+    /**
+     * 按默认设置的分组和选项生成可选条目和绘制行
+     */
+    buildLayout() {
+        this.items = [];   // 可选条目 {type: 'option', section, key} 或 {type: 'action', action}
+        this.lines = [];   // 绘制行 {x, y, header} 或 {x, y, item}
+        
+        this.columns.forEach(column => {
+            let y = this.top;
+            
+            column.sections.forEach(section => {
+                this.lines.push({ x: column.x, y, header: section });
+                y += this.lineHeight;
+                
+                Object.keys(GameConfig.SETTINGS.DEFAULTS[section]).forEach(key => {
+                    const item = { type: 'option', section, key };
+                    this.items.push(item);
+                    this.lines.push({ x: column.x, y, item });
+                    y += this.lineHeight;
+                });
+            });
+            
+            // 操作按钮与上面的选项隔开一行
+            y += this.lineHeight;
+            column.actions.forEach(action => {
+                const item = { type: 'action', action };
+                this.items.push(item);
+                this.lines.push({ x: column.x, y, item });
+                y += this.lineHeight;
+            });
+        });
+    }
+    
+    /**
+     * 场景进入时调用
+     */
+    onEnter() {
+        super.onEnter();
+        console.log('进入设置场景');
+        this.selectedIndex = 0;
+        this.statusTimer = 0;
+    }
+    
+    /**
+     * 场景退出时调用
+     */
+    onExit() {
+        super.onExit();
+        console.log('退出设置场景');
+    }
+    
+    /**
+     * 更新场景
+     * @param {number} deltaTime - 时间增量
+     */
+    update(deltaTime) {
+        if (this.statusTimer > 0) {
+            this.statusTimer -= deltaTime;
+        }
+    }
+    
+    /**
+     * 处理输入
+     * @param {InputHandler} inputHandler - 输入处理器
+     */
+    handleInput(inputHandler) {
+        if (inputHandler.isKeyJustPressed('ArrowUp')) {
+            this.moveSelection(-1);
+        }
+        
+        if (inputHandler.isKeyJustPressed('ArrowDown')) {
+            this.moveSelection(1);
+        }
+        
+        if (inputHandler.isKeyJustPressed('ArrowLeft')) {
+            this.adjustSelected(-1);
+        }
+        
+        if (inputHandler.isKeyJustPressed('ArrowRight')) {
+            this.adjustSelected(1);
+        }
+        
+        if (inputHandler.isKeyJustPressed('Enter')) {
+            this.activateSelected();
+        }
+        
+        if (inputHandler.isKeyJustPressed('Escape')) {
+            this.close();
+        }
+    }
+    
+    /**
+     * 移动选中的条目（首尾循环）
+     * @param {number} direction - 方向（-1向上，1向下）
+     */
+    moveSelection(direction) {
+        this.selectedIndex = (this.selectedIndex + direction + this.items.length) % this.items.length;
+        this.playSound('uiSelect');
+    }
+    
+    /**
+     * 调整选中的选项：音量增减，开关切换，选择类型的选项切换到上一个或下一个可选值
+     * @param {number} direction - 方向（-1减小/上一个，1增大/下一个）
+     */
+    adjustSelected(direction) {
+        const item = this.items[this.selectedIndex];
+        if (item.type !== 'option') {
+            return;
+        }
+        
+        const settings = this.gameEngine.settings;
+        const value = settings.get(item.section, item.key);
+        let newValue;
+        
+        if (typeof value === 'number') {
+            const volume = Math.round((value + direction * GameConfig.SETTINGS.VOLUME_STEP) * 100) / 100;
+            newValue = Math.max(0, Math.min(1, volume));
+        } else if (typeof value === 'boolean') {
+            newValue = !value;
+        } else {
+            const options = settings.getOptions(item.section, item.key);
+            newValue = options[(options.indexOf(value) + direction + options.length) % options.length];
+        }
+        
+        settings.set(item.section, item.key, newValue);
+        this.playSound('uiSelect');
+    }
+    
+    /**
+     * 确认选中的条目：执行操作按钮，或把选项切换到下一个值（音量不变）
+     */
+    activateSelected() {
+        const item = this.items[this.selectedIndex];
+        
+        if (item.type === 'action') {
+            this.playSound('uiConfirm');
+            if (item.action === 'reset') {
+                this.gameEngine.settings.reset();
+                this.statusMessage = localization.t('settings.resetDone');
+                this.statusTimer = 2;
+            } else if (item.action === 'controls') {
+                this.gameEngine.sceneManager.pushScene('controls');
+            } else if (item.action === 'back') {
+                this.close();
+            }
+            return;
+        }
+        
+        if (typeof this.gameEngine.settings.get(item.section, item.key) !== 'number') {
+            this.adjustSelected(1);
+        }
+    }
+    
+    /**
+     * 点击条目：选中条目并确认（音量需要点击音量条修改）
+     * @param {number} index - 条目索引
+     */
+    clickItem(index) {
+        const item = this.items[index];
+        this.selectedIndex = index;
+        
+        if (item.type === 'option' && typeof this.gameEngine.settings.get(item.section, item.key) === 'number') {
+            this.playSound('uiSelect');
+        } else {
+            this.activateSelected();
+        }
+    }
+    
+    /**
+     * 点击音量条：选中条目并把音量设置为点击位置（按调整步长取整）
+     * @param {number} index - 条目索引
+     * @param {number} ratio - 点击位置在音量条上的比例
+     */
+    setVolumeAt(index, ratio) {
+        const item = this.items[index];
+        const step = GameConfig.SETTINGS.VOLUME_STEP;
+        const volume = Math.round(Math.round(ratio / step) * step * 100) / 100;
+        
+        this.selectedIndex = index;
+        this.gameEngine.settings.set(item.section, item.key, Math.max(0, Math.min(1, volume)));
+        this.playSound('uiSelect');
+    }
+    
+    /**
+     * 关闭设置，回到打开设置前的场景
+     */
+    close() {
+        const sceneManager = this.gameEngine.sceneManager;
+        if (sceneManager.isOverlay()) {
+            sceneManager.popScene();
+        } else {
+            sceneManager.switchScene('menu');
+        }
+    }
+    
+    /**
+     * 播放界面音效
+     * @param {string} name - 音效名称
+     */
+    playSound(name) {
+        this.gameEngine.audioManager.play(name);
+    }
+    
+    /**
+     * 渲染场景
+     * @param {Renderer} renderer - 渲染器
+     */
+    render(renderer) {
+        renderer.setGlobalAlpha(0.85);
+        renderer.fillRect(0, 0, GameConfig.CANVAS_WIDTH, GameConfig.CANVAS_HEIGHT, '#1b2631');
+        renderer.resetGlobalAlpha();
+        
+        renderer.drawTextWithStroke(
+            localization.t('settings.title'),
+            GameConfig.CANVAS_WIDTH / 2,
+            20,
+            '#FFD700',
+            '#000000',
+            'bold 28px Arial',
+            'center',
+            2
+        );
+        
+        this.lines.forEach(line => {
+            if (line.header) {
+                renderer.drawText(
+                    localization.t(`settings.section.${line.header}`),
+                    line.x,
+                    line.y + 3,
+                    '#f5b041',
+                    'bold 15px Arial'
+                );
+            } else {
+                this.drawItem(renderer, line);
+            }
+        });
+        
+        const footer = this.statusTimer > 0 ? this.statusMessage : localization.t('settings.help');
+        renderer.drawText(
+            footer,
+            GameConfig.CANVAS_WIDTH / 2,
+            GameConfig.CANVAS_HEIGHT - 28,
+            this.statusTimer > 0 ? '#2ecc71' : 'rgba(255, 255, 255, 0.7)',
+            '14px Arial',
+            'center'
+        );
+    }
+    
+    /**
+     * 绘制一个条目（选中时高亮）
+     * @param {Renderer} renderer - 渲染器
+     * @param {Object} line - 绘制行 {x, y, item}
+     */
+    drawItem(renderer, line) {
+        const item = line.item;
+        const index = this.items.indexOf(item);
+        const selected = this.selectedIndex === index;
+        const id = `item.${index}`;
+        
+        if (selected) {
+            renderer.fillRect(line.x - 8, line.y, this.columnWidth, this.lineHeight - 2, 'rgba(255, 215, 0, 0.2)');
+            renderer.strokeRect(line.x - 8, line.y, this.columnWidth, this.lineHeight - 2, '#FFD700', 1);
+        } else if (this.getUIState(id)) {
+            renderer.fillRect(line.x - 8, line.y, this.columnWidth, this.lineHeight - 2, 'rgba(255, 255, 255, 0.08)');
+        }
+        
+        this.addUIRegion(id, line.x - 8, line.y, this.columnWidth, this.lineHeight - 2, () => this.clickItem(index));
+        
+        const color = selected ? '#ffffff' : '#d5d8dc';
+        
+        if (item.type === 'action') {
+            renderer.drawText(localization.t(`settings.${item.action}`), line.x + 8, line.y + 3, color, 'bold 14px Arial');
+            return;
+        }
+        
+        renderer.drawText(localization.t(`settings.${item.section}.${item.key}`), line.x + 8, line.y + 3, color, '14px Arial');
+        
+        const value = this.gameEngine.settings.get(item.section, item.key);
+        const valueX = line.x + this.columnWidth - 20;
+        
+        if (typeof value === 'number') {
+            // 音量条和百分比
+            const barWidth = 80;
+            const barX = valueX - barWidth - 40;
+            renderer.fillRect(barX, line.y + 6, barWidth, 8, 'rgba(255, 255, 255, 0.2)');
+            renderer.fillRect(barX, line.y + 6, barWidth * value, 8, '#2ecc71');
+            this.addUIRegion(`${id}.bar`, barX - 4, line.y, barWidth + 8, this.lineHeight - 2, (x) => {
+                this.setVolumeAt(index, (x - barX) / barWidth);
+            });
+            renderer.drawText(`${Math.round(value * 100)}%`, valueX, line.y + 3, color, '14px Arial', 'right');
+        } else {
+            const text = this.getValueText(item, value);
+            renderer.drawText(selected ? `◀ ${text} ▶` : text, valueX, line.y + 3, color, '14px Arial', 'right');
+        }
+    }
+    
+    /**
+     * 获取选项值的显示文字
+     * @param {Object} item - 条目 {section, key}
+     * @param {boolean|string} value - 值
+     * @returns {string} 显示文字
+     */
+    getValueText(item, value) {
+        if (typeof value === 'boolean') {
+            return localization.t(value ? 'settings.on' : 'settings.off');
+        }
+        
+        switch (item.section) {
+            case 'gameplay':
+                return localization.t(item.key === 'healthMode' ? `healthMode.${value}` : `touchLayout.${value}`);
+            case 'video':
+                return localization.t(`quality.${value}`);
+            case 'general':
+                return localization.t(`language.${value}`);
+            default:
+                return String(value);
+        }
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * 地形区域系统 - 按奔跑距离轮换草原、沙漠、夜之城、冰原、月球等区域
+ * 每个区域有自己的配色、背景层、障碍物颜色和物理参数（重力倍数、跳跃控制），
+ * 进入下一个区域前的过渡距离内配色和物理参数按进度插值，背景层交叉淡入淡出
+ */
+class BiomeSystem {
+    constructor(config = GameConfig.BIOMES) {
+        this.config = config;
+        this.biomeChangeCallbacks = [];
+
+        this.reset();
+    }
+
+    /**
+     * 重置到第一个区域
+     */
+    reset() {
+        this.distance = 0;
+        this.index = 0;
+        this.blend = 0;
+        this.modifiers = { ...this.getBiome(0).modifiers };
+    }
+
+    /**
+     * 更新当前区域和过渡进度
+     * @param {number} distance - 奔跑距离（像素）
+     */
+    update(distance) {
+        this.distance = distance;
+
+        const previousIndex = this.index;
+        this.index = this.getIndexAt(distance);
+        this.blend = this.getBlendAt(distance);
+        this.modifiers = this.getModifiersAt(distance);
+
+        if (this.index !== previousIndex) {
+            this.triggerBiomeChange(previousIndex);
+        }
+    }
+
+    /**
+     * 获取指定距离所在的区域序号
+     * @param {number} distance - 奔跑距离（像素）
+     * @returns {number} 区域序号
+     */
+    getIndexAt(distance) {
+        return this.config.ENABLED ? Math.floor(distance / this.config.LENGTH) : 0;
+    }
+
+    /**
+     * 获取指定距离处向下一个区域过渡的进度（区域结束前的过渡距离内从0变为1）
+     * @param {number} distance - 奔跑距离（像素）
+     * @returns {number} 过渡进度
+     */
+    getBlendAt(distance) {
+        if (!this.config.ENABLED) {
+            return 0;
+        }
+        const transitionStart = (this.getIndexAt(distance) + 1) * this.config.LENGTH - this.config.TRANSITION_LENGTH;
+        return Utils.clamp((distance - transitionStart) / this.config.TRANSITION_LENGTH, 0, 1);
+    }
+
+    /**
+     * 按序号获取区域配置（按 ROTATION 循环）
+     * @param {number} index - 区域序号（从0开始，不断增加）
+     * @returns {Object} 区域配置
+     */
+    getBiome(index) {
+        const rotation = this.config.ROTATION;
+        const key = rotation[index % rotation.length];
+        return { key, ...this.config.TYPES[key] };
+    }
+
+    /**
+     * 获取当前区域
+     * @returns {Object} 区域配置
+     */
+    getCurrentBiome() {
+        return this.getBiome(this.index);
+    }
+
+    /**
+     * 获取下一个区域
+     * @returns {Object} 区域配置
+     */
+    getNextBiome() {
+        return this.getBiome(this.index + 1);
+    }
+
+    /**
+     * 获取过渡进度
+     * @returns {number} 0为完全是当前区域，1为完全是下一个区域
+     */
+    getBlend() {
+        return this.blend;
+    }
+
+    /**
+     * 获取画面上占主导的区域（过渡过半后为下一个区域）
+     * @returns {Object} 区域配置
+     */
+    getDominantBiome() {
+        return this.blend < 0.5 ? this.getCurrentBiome() : this.getNextBiome();
+    }
+
+    /**
+     * 计算指定距离处插值后的物理参数（用于提前检查障碍物到达玩家时的物理参数）
+     * @param {number} distance - 奔跑距离（像素）
+     * @returns {Object} 物理参数 {gravityMultiplier, jumpControl}
+     */
+    getModifiersAt(distance) {
+        const index = this.getIndexAt(distance);
+        const blend = this.getBlendAt(distance);
+        const from = this.getBiome(index).modifiers;
+        const to = this.getBiome(index + 1).modifiers;
+        return {
+            gravityMultiplier: from.gravityMultiplier + (to.gravityMultiplier - from.gravityMultiplier) * blend,
+            jumpControl: from.jumpControl + (to.jumpControl - from.jumpControl) * blend
+        };
+    }
+
+    /**
+     * 获取当前的物理参数
+     * @returns {Object} 物理参数 {gravityMultiplier, jumpControl}
+     */
+    getModifiers() {
+        return { ...this.modifiers };
+    }
+
+    /**
+     * 获取背景绘制参数：插值后的配色和两个区域的背景层
+     * @returns {Object} 背景主题 {palette, from, to, blend}
+     */
+    getBackgroundTheme() {
+        const from = this.getCurrentBiome();
+        const to = this.getNextBiome();
+        const palette = {};
+
+        Object.keys(from.palette).forEach(key => {
+            palette[key] = this.blend > 0 ? Utils.lerpColor(from.palette[key], to.palette[key], this.blend) : from.palette[key];
+        });
+
+        return { palette, from: from.layers, to: to.layers, blend: this.blend };
+    }
+
+    /**
+     * 注册区域变化回调
+     * @param {Function} callback - 回调函数 (biome, previousIndex) => void
+     */
+    onBiomeChange(callback) {
+        if (typeof callback === 'function') {
+            this.biomeChangeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * 触发区域变化回调
+     * @param {number} previousIndex - 之前的区域序号
+     */
+    triggerBiomeChange(previousIndex) {
+        const biome = this.getCurrentBiome();
+
+        if (GameConfig.DEBUG) {
+            console.log(`进入区域: ${biome.name}`, this.modifiers);
+        }
+
+        this.biomeChangeCallbacks.forEach(callback => {
+            try {
+                callback(biome, previousIndex);
+            } catch (error) {
+                console.error('区域变化回调执行错误:', error);
+            }
+        });
+    }
+
+    /**
+     * 获取区域统计信息
+     * @returns {Object} 统计信息
+     */
+    getStats() {
+        const biome = this.getCurrentBiome();
+        return {
+            biome: biome.key,
+            biomeName: biome.name,
+            biomesVisited: this.index + 1,
+            blend: this.blend,
+            ...this.modifiers
+        };
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * 障碍物片段库 - 加载、校验并按标签提供手工编排的障碍物片段
+ * 片段描述一段按距离排列的地面障碍物、漂浮障碍物和道具，格式如下：
+ * {
+ *     id: 'jump-steps', name: '连续跳跃', tags: ['easy'], weight: 1, length: 900,
+ *     entries: [{ at: 0, kind: 'obstacle', type: 'basic' }, { at: 300, kind: 'floating', type: 'floating', y: 180 }, ...]
+ * }
+ * at 为条目相对片段起点的距离（像素），片段起点到达屏幕右边缘后按滚动距离依次生成
+ */
+class ChunkLibrary {
+    constructor() {
+        this.chunks = [];
+    }
+
+    /**
+     * 从清单加载所有片段文件（浏览器中使用）
+     * 清单格式为 {chunks: ['文件名.json', ...]}，文件路径相对清单所在目录
+     * @param {string} manifestUrl - 清单地址
+     * @returns {Promise<number>} 成功加载的片段数量，加载失败时为0（障碍物改为随机生成）
+     */
+    load(manifestUrl = GameConfig.CHUNKS.MANIFEST_URL) {
+        const baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+
+        return this.fetchJSON(manifestUrl).then(manifest => {
+            if (!manifest || !Array.isArray(manifest.chunks)) {
+                throw new Error('片段清单缺少chunks列表');
+            }
+
+            return Promise.all(manifest.chunks.map(file => {
+                return this.fetchJSON(baseUrl + file).catch(error => {
+                    console.warn(`障碍物片段文件加载失败: ${file}`, error);
+                    return null;
+                });
+            })).then(files => {
+                // 全部读取完成后再按清单顺序添加，保证片段顺序（以及同一种子选出的片段）与加载快慢无关
+                let total = 0;
+                files.forEach((data, index) => {
+                    if (data !== null) {
+                        total += this.addChunks(data, manifest.chunks[index]);
+                    }
+                });
+                return total;
+            });
+        }).then(total => {
+            console.log(`障碍物片段加载完成: ${total} 个`);
+            return total;
+        }).catch(error => {
+            console.warn('障碍物片段加载失败，使用随机生成:', error);
+            return 0;
+        });
+    }
+
+    /**
+     * 读取JSON文件
+     * @param {string} url - 文件地址
+     * @returns {Promise<Object>} 解析后的数据
+     */
+    fetchJSON(url) {
+        return fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`${url}: HTTP ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+
+    /**
+     * 校验并添加片段，无效的片段会被跳过
+     * @param {Object|Array<Object>} data - 单个片段或片段数组
+     * @param {string} source - 来源（用于提示信息）
+     * @returns {number} 成功添加的片段数量
+     */
+    addChunks(data, source = '') {
+        const list = Array.isArray(data) ? data : [data];
+        let added = 0;
+
+        list.forEach((chunk, index) => {
+            try {
+                ChunkLibrary.validateChunk(chunk);
+
+                if (this.getChunk(chunk.id)) {
+                    throw new Error(`片段ID重复: ${chunk.id}`);
+                }
+
+                this.chunks.push(chunk);
+                added++;
+            } catch (error) {
+                console.warn(`跳过无效的障碍物片段 (${source || '未知来源'} #${index}): ${error.message}`);
+            }
+        });
+
+        return added;
+    }
+
+    /**
+     * 校验片段格式
+     * @param {Object} chunk - 片段数据
+     * @throws {Error} 数据无效时抛出错误
+     */
+    static validateChunk(chunk) {
+        if (!chunk || typeof chunk !== 'object') {
+            throw new Error('片段必须是对象');
+        }
+
+        if (typeof chunk.id !== 'string' || chunk.id === '') {
+            throw new Error('缺少片段ID');
+        }
+
+        if (!Array.isArray(chunk.tags) || chunk.tags.length === 0 ||
+            !chunk.tags.every(tag => typeof tag === 'string')) {
+            throw new Error(`片段 ${chunk.id} 缺少难度标签`);
+        }
+
+        if (chunk.weight !== undefined && !(typeof chunk.weight === 'number' && chunk.weight > 0)) {
+            throw new Error(`片段 ${chunk.id} 的权重必须是正数`);
+        }
+
+        if (typeof chunk.length !== 'number' || !(chunk.length > 0) || chunk.length > GameConfig.CHUNKS.MAX_LENGTH) {
+            throw new Error(`片段 ${chunk.id} 的长度必须在 0-${GameConfig.CHUNKS.MAX_LENGTH} 像素之间`);
+        }
+
+        if (!Array.isArray(chunk.entries) || chunk.entries.length === 0 ||
+            chunk.entries.length > GameConfig.CHUNKS.MAX_ENTRIES) {
+            throw new Error(`片段 ${chunk.id} 需要 1-${GameConfig.CHUNKS.MAX_ENTRIES} 个条目`);
+        }
+
+        let previousAt = 0;
+        chunk.entries.forEach((entry, index) => {
+            const label = `片段 ${chunk.id} 的第 ${index + 1} 个条目`;
+
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`${label}必须是对象`);
+            }
+
+            if (typeof entry.at !== 'number' || entry.at < previousAt || entry.at > chunk.length) {
+                throw new Error(`${label}的位置必须按顺序排列且不超过片段长度`);
+            }
+            previousAt = entry.at;
+
+            ChunkLibrary.validateEntry(entry, label);
+        });
+    }
+
+    /**
+     * 校验条目的种类、类型和高度（关卡中的障碍物、漂浮障碍物和道具条目使用相同的规则）
+     * @param {Object} entry - 条目 {at, kind, type, y}
+     * @param {string} label - 条目名称（用于错误信息）
+     * @throws {Error} 条目无效时抛出错误
+     */
+    static validateEntry(entry, label) {
+        const types = ChunkLibrary.getEntryTypes(entry.kind);
+        if (!types) {
+            throw new Error(`${label}的种类未知: ${entry.kind}`);
+        }
+
+        if (!types.includes(entry.type)) {
+            throw new Error(`${label}的类型未知: ${entry.type}`);
+        }
+
+        if (entry.y !== undefined) {
+            const range = ChunkLibrary.getEntryYRange(entry.kind);
+            if (!range || typeof entry.y !== 'number' || entry.y < range.min || entry.y > range.max) {
+                throw new Error(`${label}的高度超出范围`);
+            }
+        }
+    }
+
+    /**
+     * 获取条目种类允许的类型
+     * @param {string} kind - 条目种类 'obstacle' | 'floating' | 'powerUp'
+     * @returns {Array<string>|null} 类型列表，种类未知时为null
+     */
+    static getEntryTypes(kind) {
+        switch (kind) {
+            case 'obstacle':
+                return ['basic', 'tall', 'wide', 'barrier'];
+            case 'floating':
+                return ['floating', 'floating_large'];
+            case 'powerUp':
+                // random 表示按道具权重随机选择
+                return [...Object.keys(GameConfig.POWER_UP.TYPES), 'random'];
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 获取条目种类允许的高度范围（地面障碍物的高度由类型决定，不能指定）
+     * @param {string} kind - 条目种类
+     * @returns {Object|null} 范围 {min, max}
+     */
+    static getEntryYRange(kind) {
+        switch (kind) {
+            case 'floating':
+                return { min: GameConfig.FLOATING_OBSTACLE_MIN_Y, max: GameConfig.FLOATING_OBSTACLE_MAX_Y };
+            case 'powerUp':
+                return { min: GameConfig.POWER_UP.MIN_Y, max: GameConfig.POWER_UP.MAX_Y };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 按ID获取片段
+     * @param {string} id - 片段ID
+     * @returns {Object|null} 片段
+     */
+    getChunk(id) {
+        return this.chunks.find(chunk => chunk.id === id) || null;
+    }
+
+    /**
+     * 获取带有任意一个指定标签的片段
+     * @param {Array<string>} tags - 标签列表
+     * @returns {Array<Object>} 片段数组（按加载顺序）
+     */
+    getChunksByTags(tags) {
+        return this.chunks.filter(chunk => chunk.tags.some(tag => tags.includes(tag)));
+    }
+
+    /**
+     * 检查是否有可用的片段
+     * @returns {boolean} 是否有可用的片段
+     */
+    hasChunks() {
+        return this.chunks.length > 0;
+    }
+
+    /**
+     * 清空片段库
+     */
+    clear() {
+        this.chunks = [];
+    }
+}
+
+// 全局片段库实例（页面加载时从清单读取，无界面模拟中从文件读取）
+const chunkLibrary = new ChunkLibrary();
@@ -37,6 +37,118 @@ class CollisionSystem {
         return collision;
     }
     
+    /**
+     * 检查玩家与道具的碰撞（拾取）
+     * @param {Player} player - 玩家对象
+     * @param {PowerUp[]} powerUps - 道具数组
+     * @returns {Object[]} 拾取信息数组
+     */
+    checkPlayerPowerUpCollisions(player, powerUps) {
+        const pickups = [];
+        
+        if (!player || !player.active || !powerUps) {
+            return pickups;
+        }
+        
+        const playerBounds = player.getBounds();
+        
+        for (const powerUp of powerUps) {
+            if (!powerUp.active) continue;
+            
+            const powerUpBounds = powerUp.getBounds();
+            this.stats.totalChecks++;
+            
+            if (this.physicsSystem.checkRectangleCollision(playerBounds, powerUpBounds)) {
+                const pickup = {
+                    player: player,
+                    powerUp: powerUp,
+                    collisionPoint: this.physicsSystem.getCollisionPoint(playerBounds, powerUpBounds)
+                };
+                
+                pickups.push(pickup);
+                this.stats.collisionsDetected++;
+                this.recordCollision(pickup);
+                this.triggerCollisionCallback('player-powerup', pickup);
+            }
+        }
+        
+        return pickups;
+    }
+    
+    /**
+     * 检查玩家与敌人的碰撞
+     * @param {Player} player - 玩家对象
+     * @param {Enemy[]} enemies - 敌人数组
+     * @returns {Object|null} 碰撞信息或null
+     */
+    checkPlayerEnemyCollisions(player, enemies) {
+        const hit = this.findPlayerCollision(player, enemies);
+        if (!hit) return null;
+        
+        const collision = {
+            player: player,
+            enemy: hit.entity,
+            collisionPoint: hit.collisionPoint
+        };
+        
+        this.stats.collisionsDetected++;
+        this.recordCollision(collision);
+        this.triggerCollisionCallback('player-enemy', collision);
+        
+        return collision;
+    }
+    
+    /**
+     * 检查玩家与敌人子弹的碰撞
+     * @param {Player} player - 玩家对象
+     * @param {EnemyBullet[]} enemyBullets - 敌人子弹数组
+     * @returns {Object|null} 碰撞信息或null
+     */
+    checkPlayerEnemyBulletCollisions(player, enemyBullets) {
+        const hit = this.findPlayerCollision(player, enemyBullets);
+        if (!hit) return null;
+        
+        const collision = {
+            player: player,
+            bullet: hit.entity,
+            collisionPoint: hit.collisionPoint
+        };
+        
+        this.stats.collisionsDetected++;
+        this.recordCollision(collision);
+        this.triggerCollisionCallback('player-enemybullet', collision);
+        
+        return collision;
+    }
+    
+    /**
+     * 查找与玩家碰撞的第一个实体
+     * @param {Player} player - 玩家对象
+     * @param {Entity[]} entities - 实体数组
+     * @returns {Object|null} {entity, collisionPoint} 或null
+     */
+    findPlayerCollision(player, entities) {
+        if (!player || !player.active || !entities) return null;
+        
+        const playerBounds = player.getBounds();
+        
+        for (const entity of entities) {
+            if (!entity.active) continue;
+            
+            const entityBounds = entity.getBounds();
+            this.stats.totalChecks++;
+            
+            if (this.physicsSystem.checkRectangleCollision(playerBounds, entityBounds)) {
+                return {
+                    entity: entity,
+                    collisionPoint: this.physicsSystem.getCollisionPoint(playerBounds, entityBounds)
+                };
+            }
+        }
+        
+        return null;
+    }
+    
     /**
      * 检查子弹与漂浮障碍物的碰撞
      * @param {Bullet[]} bullets - 子弹数组
@@ -71,6 +183,9 @@ class CollisionSystem {
             const bulletBounds = bullet.getBounds();
             
             for (const obstacle of shootableObstacles) {
+                // 已被前面的子弹摧毁或已被这颗子弹穿过的障碍物不再检查
+                if (!obstacle.active || bullet.hasHit(obstacle)) continue;
+                
                 const obstacleBounds = obstacle.getBounds();
                 collisionChecks++;
                 
@@ -88,7 +203,7 @@ class CollisionSystem {
                     this.recordCollision(collision);
                     this.triggerCollisionCallback('bullet-obstacle', collision);
                     
-                    // 一个子弹只能击中一个障碍物
+                    // 一个子弹每步只能击中一个障碍物（穿透的子弹之后的步骤继续检查）
                     break;
                 }
             }
@@ -106,6 +221,116 @@ class CollisionSystem {
         return collisions;
     }
     
+    /**
+     * 检查玩家子弹与敌人的碰撞
+     * @param {Bullet[]} bullets - 玩家子弹数组
+     * @param {Enemy[]} enemies - 敌人数组
+     * @returns {Object[]} 碰撞信息数组
+     */
+    checkBulletEnemyCollisions(bullets, enemies) {
+        const collisions = [];
+        
+        if (!bullets || !enemies) {
+            return collisions;
+        }
+        
+        const activeBullets = bullets.filter(bullet => bullet.active);
+        
+        for (const bullet of activeBullets) {
+            const bulletBounds = bullet.getBounds();
+            
+            for (const enemy of enemies) {
+                // 同一步中已被前面的子弹消灭或已被这颗子弹穿过的敌人不再检查
+                if (!enemy.active || !enemy.canBeShot || bullet.hasHit(enemy)) continue;
+                
+                const enemyBounds = enemy.getBounds();
+                this.stats.totalChecks++;
+                
+                if (this.physicsSystem.checkRectangleCollision(bulletBounds, enemyBounds)) {
+                    const collision = {
+                        bullet: bullet,
+                        enemy: enemy,
+                        collisionPoint: this.physicsSystem.getCollisionPoint(bulletBounds, enemyBounds),
+                        damage: bullet.getDamage(),
+                        timestamp: performance.now()
+                    };
+                    
+                    collisions.push(collision);
+                    this.stats.collisionsDetected++;
+                    this.recordCollision(collision);
+                    this.triggerCollisionCallback('bullet-enemy', collision);
+                    
+                    // 一个子弹每步只能击中一个敌人
+                    break;
+                }
+            }
+        }
+        
+        return collisions;
+    }
+    
+    /**
+     * 检查子弹与首领的碰撞：先检查弱点，没有击中弱点但打在身体上时子弹被装甲挡住（weakPoint为null）
+     * @param {Bullet[]} bullets - 子弹数组
+     * @param {Boss|null} boss - 首领
+     * @returns {Array} 碰撞信息数组
+     */
+    checkBulletBossCollisions(bullets, boss) {
+        const collisions = [];
+        
+        if (!bullets || !boss || !boss.isVulnerable()) {
+            return collisions;
+        }
+        
+        const bossBounds = boss.getBounds();
+        const activeBullets = bullets.filter(bullet => bullet.active);
+        
+        for (const bullet of activeBullets) {
+            const bulletBounds = bullet.getBounds();
+            this.stats.totalChecks++;
+            
+            let hitBounds = null;
+            let hitWeakPoint = null;
+            for (const weakPoint of boss.getActiveWeakPoints()) {
+                if (bullet.hasHit(weakPoint)) continue;
+                
+                const weakPointBounds = boss.getWeakPointBounds(weakPoint);
+                if (this.physicsSystem.checkRectangleCollision(bulletBounds, weakPointBounds)) {
+                    hitBounds = weakPointBounds;
+                    hitWeakPoint = weakPoint;
+                    break;
+                }
+            }
+            
+            if (!hitWeakPoint && this.physicsSystem.checkRectangleCollision(bulletBounds, bossBounds)) {
+                hitBounds = bossBounds;
+            }
+            
+            if (!hitBounds) continue;
+            
+            const collision = {
+                bullet: bullet,
+                boss: boss,
+                weakPoint: hitWeakPoint,
+                collisionPoint: this.physicsSystem.getCollisionPoint(bulletBounds, hitBounds),
+                damage: bullet.getDamage(),
+                timestamp: performance.now()
+            };
+            
+            collisions.push(collision);
+            this.stats.collisionsDetected++;
+            this.recordCollision(collision);
+            this.triggerCollisionCallback('bullet-boss', collision);
+            
+            // 同一步中首领已被击败时剩余的子弹不再检查
+            if (!boss.isVulnerable()) {
+                break;
+            }
+        }
+        
+        return collisions;
+    }
+    
     /**
      * 检查单个子弹与障碍物的碰撞
      * @param {Bullet} bullet - 子弹对象
@@ -165,7 +390,7 @@ class CollisionSystem {
     
     /**
      * 注册碰撞回调函数
-     * @param {string} type - 碰撞类型 ('player-obstacle', 'entity-entity')
+     * @param {string} type - 碰撞类型 ('player-obstacle', 'player-powerup', 'player-enemy', 'player-enemybullet', 'bullet-obstacle', 'bullet-enemy', 'bullet-boss', 'entity-entity')
      * @param {Function} callback - 回调函数
      */
     registerCollisionCallback(type, callback) {
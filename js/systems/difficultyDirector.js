@@ -0,0 +1,222 @@
+/**
+ * 难度导演 - 根据游戏时间和奔跑距离逐步提升难度
+ * 按配置的难度曲线计算滚动速度、生成密度、障碍物类型权重、漂浮幅度和可用的障碍物片段
+ */
+class DifficultyDirector {
+    constructor(config = GameConfig.DIFFICULTY) {
+        this.config = config;
+        this.tiers = config.TIERS;
+        this.tierChangeCallbacks = [];
+
+        // 固定的难度阶段（按关卡游戏时使用关卡指定的阶段，不随时间和距离变化）
+        this.fixedTierIndex = null;
+
+        this.reset();
+    }
+
+    /**
+     * 重置难度到初始阶段（固定了阶段时重置到固定的阶段）
+     */
+    reset() {
+        this.gameTime = 0;
+        this.distance = 0;
+        this.tierIndex = this.fixedTierIndex !== null ? this.fixedTierIndex : 0;
+        this.tierProgress = 0;
+        this.settings = this.computeSettings(this.tierIndex, 0);
+    }
+
+    /**
+     * 固定难度阶段（在下次重置时生效）
+     * @param {number|null} tierIndex - 阶段索引，为null时恢复随时间和距离提升
+     */
+    setFixedTier(tierIndex) {
+        this.fixedTierIndex = tierIndex;
+    }
+
+    /**
+     * 更新难度
+     * @param {number} gameTime - 游戏时间（秒）
+     * @param {number} distance - 奔跑距离（像素）
+     * @returns {Object} 当前难度参数
+     */
+    update(gameTime, distance) {
+        this.gameTime = gameTime;
+        this.distance = distance;
+
+        if (this.fixedTierIndex !== null) {
+            return this.settings;
+        }
+
+        // 找到已达到的最高阶段（时间或距离任意一个达到阈值即可）
+        let tierIndex = 0;
+        for (let i = 1; i < this.tiers.length; i++) {
+            if (this.isTierReached(this.tiers[i])) {
+                tierIndex = i;
+            }
+        }
+
+        this.tierProgress = this.getProgressToNextTier(tierIndex);
+        this.settings = this.computeSettings(tierIndex, this.tierProgress);
+
+        if (tierIndex !== this.tierIndex) {
+            const previousIndex = this.tierIndex;
+            this.tierIndex = tierIndex;
+            this.triggerTierChange(previousIndex);
+        }
+
+        return this.settings;
+    }
+
+    /**
+     * 检查是否达到指定阶段
+     * @param {Object} tier - 阶段配置
+     * @returns {boolean} 是否达到
+     */
+    isTierReached(tier) {
+        return this.gameTime >= tier.startTime || this.distance >= tier.startDistance;
+    }
+
+    /**
+     * 计算当前阶段到下一阶段的进度
+     * @param {number} tierIndex - 当前阶段索引
+     * @returns {number} 进度 (0-1)
+     */
+    getProgressToNextTier(tierIndex) {
+        const current = this.tiers[tierIndex];
+        const next = this.tiers[tierIndex + 1];
+        if (!next) {
+            return 0;
+        }
+
+        const timeProgress = (this.gameTime - current.startTime) / (next.startTime - current.startTime);
+        const distanceProgress = (this.distance - current.startDistance) / (next.startDistance - current.startDistance);
+
+        return Utils.clamp(Math.max(timeProgress, distanceProgress), 0, 1);
+    }
+
+    /**
+     * 在当前阶段和下一阶段之间插值计算难度参数
+     * @param {number} tierIndex - 当前阶段索引
+     * @param {number} progress - 到下一阶段的进度 (0-1)
+     * @returns {Object} 难度参数
+     */
+    computeSettings(tierIndex, progress) {
+        const current = this.tiers[tierIndex];
+        const next = this.tiers[tierIndex + 1] || current;
+        const lerp = (a, b) => a + (b - a) * progress;
+
+        const speedMultiplier = Math.min(
+            lerp(current.speedMultiplier, next.speedMultiplier),
+            this.config.MAX_SPEED_MULTIPLIER
+        );
+
+        return {
+            speedMultiplier: speedMultiplier,
+            scrollSpeed: GameConfig.OBSTACLE_SPEED * speedMultiplier,
+            backgroundSpeed: GameConfig.BACKGROUND_SPEED * speedMultiplier,
+            spawnInterval: GameConfig.OBSTACLE_SPAWN_INTERVAL * lerp(current.spawnIntervalMultiplier, next.spawnIntervalMultiplier),
+            floatingSpawnInterval: GameConfig.FLOATING_OBSTACLE_SPAWN_INTERVAL *
+                lerp(current.floatingSpawnIntervalMultiplier, next.floatingSpawnIntervalMultiplier),
+            floatingAmplitudeMultiplier: lerp(current.floatingAmplitudeMultiplier, next.floatingAmplitudeMultiplier),
+            obstacleWeights: this.interpolateWeights(current.obstacleWeights, next.obstacleWeights, progress),
+            floatingWeights: this.interpolateWeights(current.floatingWeights, next.floatingWeights, progress),
+            enemySpawnInterval: GameConfig.ENEMY.SPAWN_INTERVAL * lerp(current.spawnIntervalMultiplier, next.spawnIntervalMultiplier),
+            enemySpawnChance: lerp(current.enemySpawnChance, next.enemySpawnChance),
+            enemyWeights: this.interpolateWeights(current.enemyWeights, next.enemyWeights, progress),
+            // 片段标签不插值，只使用当前阶段的标签
+            chunkTags: current.chunkTags || []
+        };
+    }
+
+    /**
+     * 插值并归一化类型权重
+     * @param {Object} from - 起始权重 {type: weight}
+     * @param {Object} to - 目标权重 {type: weight}
+     * @param {number} progress - 进度 (0-1)
+     * @returns {Array} 权重数组 [{type, weight}]
+     */
+    interpolateWeights(from, to, progress) {
+        const types = new Set([...Object.keys(from), ...Object.keys(to)]);
+        const weights = [];
+        let total = 0;
+
+        for (const type of types) {
+            const a = from[type] || 0;
+            const b = to[type] || 0;
+            const weight = a + (b - a) * progress;
+            if (weight > 0) {
+                weights.push({ type: type, weight: weight });
+                total += weight;
+            }
+        }
+
+        return weights.map(entry => ({ type: entry.type, weight: entry.weight / total }));
+    }
+
+    /**
+     * 获取当前难度参数
+     * @returns {Object} 难度参数
+     */
+    getSettings() {
+        return this.settings;
+    }
+
+    /**
+     * 获取当前难度阶段
+     * @returns {Object} 阶段信息 {index, level, name, progress}
+     */
+    getCurrentTier() {
+        return {
+            index: this.tierIndex,
+            level: this.tierIndex + 1,
+            name: this.tiers[this.tierIndex].name,
+            progress: this.tierProgress
+        };
+    }
+
+    /**
+     * 注册阶段变化回调
+     * @param {Function} callback - 回调函数 (tier, previousIndex) => void
+     */
+    onTierChange(callback) {
+        if (typeof callback === 'function') {
+            this.tierChangeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * 触发阶段变化回调
+     * @param {number} previousIndex - 之前的阶段索引
+     */
+    triggerTierChange(previousIndex) {
+        const tier = this.getCurrentTier();
+
+        if (GameConfig.DEBUG) {
+            console.log(`难度提升: Lv.${tier.level} ${tier.name}`, this.settings);
+        }
+
+        this.tierChangeCallbacks.forEach(callback => {
+            try {
+                callback(tier, previousIndex);
+            } catch (error) {
+                console.error('难度阶段回调执行错误:', error);
+            }
+        });
+    }
+
+    /**
+     * 获取难度统计信息
+     * @returns {Object} 统计信息
+     */
+    getStats() {
+        const tier = this.getCurrentTier();
+        return {
+            tierLevel: tier.level,
+            tierName: tier.name,
+            tierProgress: tier.progress,
+            speedMultiplier: this.settings.speedMultiplier,
+            gameTime: this.gameTime,
+            distance: this.distance
+        };
+    }
+}
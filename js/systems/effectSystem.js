@@ -3,16 +3,21 @@
  * 管理游戏中的各种视觉效果，如爆炸、消除动画等
  */
 class EffectSystem {
-    constructor() {
+    constructor(random = null) {
+        // 视觉效果随机数流（与游戏过程随机数流分离）
+        this.random = random || defaultRandom;
+        
         this.effects = [];
         this.maxEffects = 50; // 最大同时存在的效果数量
+        this.currentTime = 0; // 模拟时间（毫秒）
         
         // 效果类型定义
         this.effectTypes = {
             EXPLOSION: 'explosion',
             DESTRUCTION: 'destruction',
             PARTICLE_BURST: 'particle_burst',
-            SCORE_POPUP: 'score_popup'
+            SCORE_POPUP: 'score_popup',
+            PICKUP: 'pickup'
         };
         
         // 性能统计
@@ -55,6 +60,17 @@ class EffectSystem {
                 color: '#ffff00',
                 moveSpeed: 50,          // 向上移动速度
                 fadeOut: true
+            },
+            pickup: {
+                duration: 0.8,
+                particleCount: 10,
+                particleSpeed: 120,
+                colors: ['#ffffff'],
+                size: 10,
+                ringRadius: 36,         // 扩散光环的最大半径
+                fontSize: 16,
+                moveSpeed: 40,          // 文字向上移动速度
+                fadeOut: true
             }
         };
     }
@@ -74,7 +90,7 @@ class EffectSystem {
             type: this.effectTypes.EXPLOSION,
             x: x,
             y: y,
-            startTime: performance.now(),
+            startTime: this.currentTime,
             duration: config.duration * 1000, // 转换为毫秒
             particles: this.createParticles(x, y, config),
             config: config,
@@ -101,7 +117,7 @@ class EffectSystem {
             type: this.effectTypes.DESTRUCTION,
             x: x,
             y: y,
-            startTime: performance.now(),
+            startTime: this.currentTime,
             duration: config.duration * 1000,
             particles: this.createParticles(x, y, config),
             config: config,
@@ -128,7 +144,7 @@ class EffectSystem {
             type: this.effectTypes.PARTICLE_BURST,
             x: x,
             y: y,
-            startTime: performance.now(),
+            startTime: this.currentTime,
             duration: config.duration * 1000,
             particles: this.createParticles(x, y, config),
             config: config,
@@ -159,7 +175,7 @@ class EffectSystem {
             startX: x,
             startY: y,
             score: score,
-            startTime: performance.now(),
+            startTime: this.currentTime,
             duration: config.duration * 1000,
             config: config,
             active: true,
@@ -170,6 +186,39 @@ class EffectSystem {
         return effect;
     }
     
+    /**
+     * 创建道具拾取效果（扩散光环 + 粒子 + 道具名称）
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {string} label - 显示的文字
+     * @param {string} color - 效果颜色
+     * @param {Object} options - 可选配置
+     * @returns {Object} 创建的效果对象
+     */
+    addPickupEffect(x, y, label, color, options = {}) {
+        const config = { ...this.effectConfigs.pickup, colors: [color, '#ffffff'], ...options };
+        
+        const effect = {
+            id: this.generateEffectId(),
+            type: this.effectTypes.PICKUP,
+            x: x,
+            y: y,
+            labelY: y - 20,
+            label: label,
+            color: color,
+            progress: 0,
+            startTime: this.currentTime,
+            duration: config.duration * 1000,
+            particles: this.createParticles(x, y, config),
+            config: config,
+            active: true,
+            alpha: 1.0
+        };
+        
+        this.addEffect(effect);
+        return effect;
+    }
+    
     /**
      * 创建粒子
      * @param {number} centerX - 中心X坐标
@@ -181,16 +230,16 @@ class EffectSystem {
         const particles = [];
         
         for (let i = 0; i < config.particleCount; i++) {
-            const angle = (Math.PI * 2 * i) / config.particleCount + Math.random() * 0.5;
-            const speed = config.particleSpeed * (0.5 + Math.random() * 0.5);
+            const angle = (Math.PI * 2 * i) / config.particleCount + this.random.range(0, 0.5);
+            const speed = config.particleSpeed * this.random.range(0.5, 1.0);
             
             const particle = {
                 x: centerX,
                 y: centerY,
                 velocityX: Math.cos(angle) * speed,
                 velocityY: Math.sin(angle) * speed,
-                size: config.size * (0.5 + Math.random() * 0.5),
-                color: config.colors[Math.floor(Math.random() * config.colors.length)],
+                size: config.size * this.random.range(0.5, 1.0),
+                color: this.random.pick(config.colors),
                 life: 1.0,
                 decay: 1.0 / (config.duration / 1000) // 生命衰减率
             };
@@ -230,7 +279,7 @@ class EffectSystem {
      * 移除已完成的效果
      */
     removeFinishedEffects() {
-        const currentTime = performance.now();
+        const currentTime = this.currentTime;
         const initialLength = this.effects.length;
         
         this.effects = this.effects.filter(effect => {
@@ -257,7 +306,9 @@ class EffectSystem {
             window.shootingPerformanceMonitor.startTimer('effectUpdate');
         }
         
-        const currentTime = performance.now();
+        // 效果时间按模拟时间推进（暂停时冻结，回放变速时同步）
+        this.currentTime += deltaTime * 1000;
+        const currentTime = this.currentTime;
         let totalParticles = 0;
         
         for (const effect of this.effects) {
@@ -285,6 +336,13 @@ class EffectSystem {
                 case this.effectTypes.SCORE_POPUP:
                     this.updateScorePopup(effect, deltaTime);
                     break;
+                    
+                case this.effectTypes.PICKUP:
+                    effect.progress = progress;
+                    effect.labelY -= effect.config.moveSpeed * deltaTime;
+                    this.updateParticleEffect(effect, deltaTime);
+                    totalParticles += effect.particles.length;
+                    break;
             }
             
             // 检查是否完成
@@ -372,6 +430,10 @@ class EffectSystem {
                 case this.effectTypes.SCORE_POPUP:
                     this.renderScorePopup(renderer, effect);
                     break;
+                    
+                case this.effectTypes.PICKUP:
+                    this.renderPickupEffect(renderer, effect);
+                    break;
             }
             
             // 恢复透明度
@@ -433,6 +495,35 @@ class EffectSystem {
         renderer.ctx.fillText(`+${effect.score}`, effect.x, effect.y);
     }
     
+    /**
+     * 渲染道具拾取效果
+     * @param {Renderer} renderer - 渲染器
+     * @param {Object} effect - 效果对象
+     */
+    renderPickupEffect(renderer, effect) {
+        const ctx = renderer.ctx;
+        
+        // 扩散光环
+        ctx.strokeStyle = effect.color;
+        ctx.lineWidth = 3 * (1 - effect.progress) + 1;
+        ctx.beginPath();
+        ctx.arc(effect.x, effect.y, effect.config.ringRadius * effect.progress, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        // 道具名称
+        ctx.font = `bold ${effect.config.fontSize}px Arial`;
+        ctx.fillStyle = effect.color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2;
+        ctx.strokeText(effect.label, effect.x, effect.labelY);
+        ctx.fillText(effect.label, effect.x, effect.labelY);
+        
+        // 粒子（会修改透明度，放在最后绘制）
+        this.renderParticleEffect(renderer, effect);
+    }
+    
     /**
      * 生成唯一的效果ID
      * @returns {string} 效果ID
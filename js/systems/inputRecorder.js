@@ -0,0 +1,149 @@
+/**
+ * 输入录制器 - 以模拟步为单位记录游戏场景读取到的输入动作
+ * 作为输入源包装真实的InputHandler，查询结果原样返回并同时记录，
+ * 录制结果与种子、配置一起组成回放数据，由ReplayInputSource逐步复现
+ */
+class InputRecorder {
+    constructor() {
+        this.source = null;
+        this.isRecording = false;
+        this.seed = 0;
+        this.settings = {};
+        this.tick = 0;
+        this.inputs = []; // [[模拟步, 按住掩码, 刚按下掩码], ...]，只记录有输入的模拟步
+    }
+
+    /**
+     * 开始新的录制
+     * @param {number} seed - 本局种子
+     * @param {Object} settings - 本局玩法设置（如生命值模式），回放时原样应用
+     */
+    begin(seed, settings = {}) {
+        this.isRecording = true;
+        this.seed = seed;
+        this.settings = settings;
+        this.tick = 0;
+        this.inputs = [];
+    }
+
+    /**
+     * 设置被包装的真实输入源
+     * @param {InputHandler} inputHandler - 输入处理器
+     */
+    setSource(inputHandler) {
+        this.source = inputHandler;
+    }
+
+    /**
+     * 设置当前模拟步
+     * @param {number} tick - 模拟步序号
+     */
+    setTick(tick) {
+        this.tick = tick;
+    }
+
+    /**
+     * 检查按键是否被按下（不记录，回放只复现动作）
+     * @param {string} code - 按键
+     * @returns {boolean} 是否被按下
+     */
+    isKeyPressed(code) {
+        return this.source.isKeyPressed(code);
+    }
+
+    /**
+     * 检查按键是否刚被按下（不记录）
+     * @param {string} code - 按键
+     * @returns {boolean} 是否刚被按下
+     */
+    isKeyJustPressed(code) {
+        return this.source.isKeyJustPressed(code);
+    }
+
+    /**
+     * 检查动作是否被触发（并记录）
+     * @param {string} action - 动作
+     * @returns {boolean} 是否被按下
+     */
+    isActionPressed(action) {
+        const pressed = this.source.isActionPressed(action);
+        if (pressed) {
+            this.recordAction(action, 1);
+        }
+        return pressed;
+    }
+
+    /**
+     * 检查动作是否刚被触发（并记录）
+     * @param {string} action - 动作
+     * @returns {boolean} 是否刚被按下
+     */
+    isActionJustPressed(action) {
+        const justPressed = this.source.isActionJustPressed(action);
+        if (justPressed) {
+            this.recordAction(action, 2);
+        }
+        return justPressed;
+    }
+
+    /**
+     * 转发输入处理器更新
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     */
+    update(deltaTime) {
+        this.source.update(deltaTime);
+    }
+
+    /**
+     * 记录当前模拟步的输入动作
+     * @param {string} action - 动作
+     * @param {number} maskIndex - 掩码位置（1=按住，2=刚按下）
+     */
+    recordAction(action, maskIndex) {
+        const bit = GameConfig.REPLAY.ACTION_BITS[action];
+        if (!this.isRecording || !bit) {
+            return;
+        }
+
+        let entry = this.inputs[this.inputs.length - 1];
+        if (!entry || entry[0] !== this.tick) {
+            entry = [this.tick, 0, 0];
+            this.inputs.push(entry);
+        }
+        entry[maskIndex] |= bit;
+    }
+
+    /**
+     * 结束录制并生成回放数据
+     * @param {number} totalTicks - 录制的总模拟步数
+     * @param {number} leadUpdates - 重置后到第一个模拟步之前的场景更新次数
+     * @param {Object} result - 本局结果（得分等）
+     * @returns {Object} 回放数据
+     */
+    finish(totalTicks, leadUpdates, result = {}) {
+        this.isRecording = false;
+
+        return {
+            version: GameConfig.REPLAY.VERSION,
+            seed: this.seed,
+            settings: this.settings,
+            tickRate: Math.round(1 / GameConfig.SIMULATION.FIXED_DELTA_TIME),
+            leadUpdates: leadUpdates,
+            totalTicks: totalTicks,
+            inputs: this.inputs,
+            config: InputRecorder.createConfigSnapshot(),
+            result: result,
+            recordedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 创建当前游戏配置的快照（不包含调试开关）
+     * @returns {Object} 配置快照
+     */
+    static createConfigSnapshot() {
+        const snapshot = JSON.parse(JSON.stringify(GameConfig));
+        delete snapshot.DEBUG;
+        return snapshot;
+    }
+}
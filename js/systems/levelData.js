@@ -0,0 +1,175 @@
+/**
+ * 关卡数据 - 关卡文件的格式、校验和读写（关卡编辑器保存，按关卡游戏时由障碍物管理器按距离生成）
+ * 关卡条目与障碍物片段的条目格式相同，另外可以放置触发器：
+ * {
+ *     version: 1, name: '关卡', tier: 0, length: 6000,
+ *     entries: [{ at: 0, kind: 'obstacle', type: 'basic' }, { at: 900, kind: 'trigger', type: 'message', text: '准备滑铲！' }, ...]
+ * }
+ * tier 为关卡使用的难度阶段（决定滚动速度），length 为关卡终点的距离，终点到达玩家时关卡完成
+ * 触发器类型为敌人类型（在该位置生成敌人，可以指定高度）、boss（开始首领战）或 message（显示提示文字）
+ */
+class LevelData {
+    /**
+     * 创建空关卡
+     * @param {string} name - 关卡名称
+     * @returns {Object} 关卡数据
+     */
+    static create(name = localization.t('editor.newLevel')) {
+        return {
+            version: GameConfig.LEVEL.VERSION,
+            name: name,
+            tier: 0,
+            length: GameConfig.EDITOR.DEFAULT_LENGTH,
+            entries: []
+        };
+    }
+
+    /**
+     * 校验关卡格式
+     * @param {Object} level - 关卡数据
+     * @throws {Error} 数据无效时抛出错误
+     */
+    static validate(level) {
+        if (!level || typeof level !== 'object') {
+            throw new Error('关卡必须是对象');
+        }
+
+        if (level.version !== GameConfig.LEVEL.VERSION) {
+            throw new Error(`不支持的关卡版本: ${level.version}`);
+        }
+
+        if (typeof level.name !== 'string') {
+            throw new Error('缺少关卡名称');
+        }
+
+        if (!Number.isInteger(level.tier) || level.tier < 0 || level.tier >= GameConfig.DIFFICULTY.TIERS.length) {
+            throw new Error(`关卡的难度阶段必须在 0-${GameConfig.DIFFICULTY.TIERS.length - 1} 之间`);
+        }
+
+        if (typeof level.length !== 'number' || !(level.length > 0) || level.length > GameConfig.LEVEL.MAX_LENGTH) {
+            throw new Error(`关卡长度必须在 0-${GameConfig.LEVEL.MAX_LENGTH} 像素之间`);
+        }
+
+        if (!Array.isArray(level.entries) || level.entries.length > GameConfig.LEVEL.MAX_ENTRIES) {
+            throw new Error(`关卡最多可以有 ${GameConfig.LEVEL.MAX_ENTRIES} 个条目`);
+        }
+
+        let previousAt = 0;
+        level.entries.forEach((entry, index) => {
+            const label = `关卡的第 ${index + 1} 个条目`;
+
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`${label}必须是对象`);
+            }
+
+            if (typeof entry.at !== 'number' || entry.at < previousAt || entry.at > level.length) {
+                throw new Error(`${label}的位置必须按顺序排列且不超过关卡长度`);
+            }
+            previousAt = entry.at;
+
+            if (entry.kind === 'trigger') {
+                LevelData.validateTrigger(entry, label);
+            } else {
+                ChunkLibrary.validateEntry(entry, label);
+            }
+        });
+    }
+
+    /**
+     * 校验触发器条目
+     * @param {Object} entry - 触发器条目 {at, kind: 'trigger', type, y, text}
+     * @param {string} label - 条目名称（用于错误信息）
+     * @throws {Error} 条目无效时抛出错误
+     */
+    static validateTrigger(entry, label) {
+        if (!LevelData.getTriggerTypes().includes(entry.type)) {
+            throw new Error(`${label}的触发器类型未知: ${entry.type}`);
+        }
+
+        if (entry.y !== undefined) {
+            const range = LevelData.getTriggerYRange(entry.type);
+            if (!range || typeof entry.y !== 'number' || entry.y < range.min || entry.y > range.max) {
+                throw new Error(`${label}的高度超出范围`);
+            }
+        }
+
+        if (entry.type === 'message' &&
+            (typeof entry.text !== 'string' || entry.text === '' || entry.text.length > GameConfig.LEVEL.MAX_MESSAGE_LENGTH)) {
+            throw new Error(`${label}的提示文字必须是 1-${GameConfig.LEVEL.MAX_MESSAGE_LENGTH} 个字符`);
+        }
+    }
+
+    /**
+     * 获取触发器类型：所有敌人类型、首领战和提示文字
+     * @returns {Array<string>} 类型列表
+     */
+    static getTriggerTypes() {
+        return [...Object.keys(GameConfig.ENEMY.TYPES), 'boss', 'message'];
+    }
+
+    /**
+     * 获取触发器允许的高度范围（与随机生成敌人时的高度范围一致）
+     * @param {string} type - 触发器类型
+     * @returns {Object|null} 范围 {min, max}，不能指定高度时为null
+     */
+    static getTriggerYRange(type) {
+        const enemy = GameConfig.ENEMY.TYPES[type];
+        if (!enemy) {
+            return null;
+        }
+
+        switch (type) {
+            case 'turret':
+                return { min: enemy.minY, max: enemy.maxY };
+            case 'diver':
+                // 俯冲者在巡航高度入场
+                return null;
+            default:
+                return { min: enemy.minY, max: GameConfig.GROUND_Y - enemy.height };
+        }
+    }
+
+    /**
+     * 获取条目允许的高度范围
+     * @param {Object} entry - 条目
+     * @returns {Object|null} 范围 {min, max}，不能指定高度时为null
+     */
+    static getEntryYRange(entry) {
+        return entry.kind === 'trigger' ?
+            LevelData.getTriggerYRange(entry.type) :
+            ChunkLibrary.getEntryYRange(entry.kind);
+    }
+
+    /**
+     * 按位置排序条目（位置相同时保持原来的顺序）
+     * @param {Object} level - 关卡数据
+     */
+    static sortEntries(level) {
+        level.entries.sort((a, b) => a.at - b.at);
+    }
+
+    /**
+     * 将关卡转换为JSON文本（每个条目一行，方便在版本控制中比较）
+     * @param {Object} level - 关卡数据
+     * @returns {string} JSON文本
+     */
+    static serialize(level) {
+        const { entries, ...header } = level;
+        const headerText = JSON.stringify(header, null, 4).slice(0, -2);
+        const entriesText = entries.map(entry => `        ${JSON.stringify(entry)}`).join(',\n');
+
+        return `${headerText},\n    "entries": [\n${entriesText}\n    ]\n}\n`;
+    }
+
+    /**
+     * 解析并校验关卡JSON文本
+     * @param {string} text - JSON文本
+     * @returns {Object} 关卡数据
+     * @throws {Error} 文本无法解析或关卡无效时抛出错误
+     */
+    static parse(text) {
+        const level = JSON.parse(text);
+        LevelData.validate(level);
+        return level;
+    }
+}
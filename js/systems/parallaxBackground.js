@@ -0,0 +1,450 @@
+/**
+ * 视差背景 - 按数据配置的背景层栈，每层有自己的滚动系数、内容、垂直偏移和雾色
+ * 背景层在实体之前绘制，标记为 foreground 的前景层在实体之后、界面之前绘制
+ * 背景层格式（见 GameConfig.PARALLAX）：
+ * {
+ *     type: 'mountains',           // 内容类型，见 ParallaxBackground.getLayerTypes
+ *     factor: 0.1,                 // 滚动系数：0为静止，1与地面同速，大于1为比地面更快的前景
+ *     offsetY: 0,                  // 基准线相对地面的垂直偏移（像素，负数向上）
+ *     color: '#b3d4e8',            // 主颜色
+ *     fog: { amount: 0.3, color }, // 可选雾色：按比例混合雾色（默认为天空底部颜色），只作用于 #rrggbb 颜色
+ *     alpha: 1,                    // 可选透明度
+ *     foreground: false,           // 是否在实体之后绘制
+ *     seed: 0                      // 可选随机种子，让同类型的层图案不同
+ * }
+ * 程序生成的内容由图案序号的伪随机数决定，每次绘制都相同；tile 类型按固定宽度平铺一组图形
+ */
+class ParallaxBackground {
+    constructor(config = GameConfig.PARALLAX) {
+        this.config = config;
+        this.validatedStacks = new WeakMap();   // 原始背景层数组 -> 校验通过的背景层
+    }
+
+    /**
+     * 绘制一组背景层中属于指定绘制阶段的层
+     * @param {Renderer} renderer - 渲染器
+     * @param {Array<Object>} layers - 背景层
+     * @param {string} pass - 绘制阶段：'background' 或 'foreground'
+     * @param {Object} options - {offset: 背景偏移量, palette: 当前配色, alpha: 整组透明度}
+     */
+    render(renderer, layers, pass, { offset, palette, alpha = 1 }) {
+        const foreground = pass === 'foreground';
+
+        this.getLayers(layers).forEach(layer => {
+            if (Boolean(layer.foreground) !== foreground) {
+                return;
+            }
+
+            const tint = this.createTint(layer, palette);
+            const scroll = offset * layer.factor;
+            const baseY = GameConfig.GROUND_Y + (layer.offsetY || 0);
+
+            renderer.setGlobalAlpha(alpha * (layer.alpha !== undefined ? layer.alpha : 1));
+            this.drawLayer(renderer, layer, scroll, baseY, tint);
+        });
+
+        renderer.resetGlobalAlpha();
+    }
+
+    /**
+     * 获取校验通过的背景层（无效的层输出错误后跳过，每个数组只校验一次）
+     * @param {Array<Object>} layers - 背景层
+     * @returns {Array<Object>} 有效的背景层
+     */
+    getLayers(layers) {
+        let valid = this.validatedStacks.get(layers);
+        if (!valid) {
+            valid = layers.filter((layer, index) => {
+                try {
+                    ParallaxBackground.validateLayer(layer, `第 ${index + 1} 个背景层`, this.config.TILES);
+                    return true;
+                } catch (error) {
+                    console.error('背景层配置无效:', error);
+                    return false;
+                }
+            });
+            this.validatedStacks.set(layers, valid);
+        }
+        return valid;
+    }
+
+    /**
+     * 创建给颜色加雾的函数（同一帧内相同颜色只计算一次）
+     * @param {Object} layer - 背景层
+     * @param {Object} palette - 当前配色
+     * @returns {Function} color => 加雾后的颜色
+     */
+    createTint(layer, palette) {
+        if (!layer.fog) {
+            return color => color;
+        }
+
+        const fogColor = layer.fog.color || palette.skyBottom;
+        const cache = {};
+        return color => {
+            if (!(color in cache)) {
+                cache[color] = ParallaxBackground.isHexColor(color) ?
+                    Utils.lerpColor(color, fogColor, layer.fog.amount) : color;
+            }
+            return cache[color];
+        };
+    }
+
+    /**
+     * 按类型绘制一个背景层
+     * @param {Renderer} renderer - 渲染器
+     * @param {Object} layer - 背景层
+     * @param {number} scroll - 该层的滚动距离
+     * @param {number} baseY - 该层的基准线
+     * @param {Function} tint - 加雾函数
+     */
+    drawLayer(renderer, layer, scroll, baseY, tint) {
+        switch (layer.type) {
+            case 'clouds':
+                this.drawClouds(renderer, layer, scroll, baseY, tint);
+                break;
+            case 'waves':
+                this.drawWaves(renderer, layer, scroll, baseY, tint);
+                break;
+            case 'mountains':
+                this.drawMountains(renderer, layer, scroll, baseY, tint);
+                break;
+            case 'buildings':
+                this.drawBuildings(renderer, layer, scroll, baseY, tint);
+                break;
+            case 'stars':
+                this.drawStars(renderer, layer, scroll, baseY, tint);
+                break;
+            case 'snow':
+                this.drawSnow(renderer, layer, scroll, baseY, tint);
+                break;
+            case 'foliage':
+                this.drawFoliage(renderer, layer, scroll, baseY, tint);
+                break;
+            case 'tile':
+                this.drawTiles(renderer, layer, scroll, baseY, tint);
+                break;
+        }
+    }
+
+    /**
+     * 获取当前画面内图案序号的范围
+     * @param {number} scroll - 滚动距离
+     * @param {number} spacing - 图案间距
+     * @param {number} margin - 左右多绘制的图案数量（图案比间距宽时需要）
+     * @returns {Object} {first, last}
+     */
+    getVisibleRange(scroll, spacing, margin = 1) {
+        const first = Math.floor(scroll / spacing) - margin;
+        return { first, last: first + Math.ceil(GameConfig.CANVAS_WIDTH / spacing) + margin * 2 };
+    }
+
+    /**
+     * 按序号生成固定的伪随机数（背景图案每次绘制都相同）
+     * @param {Object} layer - 背景层（不同种子的层图案不同）
+     * @param {number} index - 序号
+     * @param {number} salt - 区分不同用途的偏移
+     * @returns {number} [0, 1) 之间的数
+     */
+    hash(layer, index, salt = 0) {
+        const value = Math.sin(index * 127.1 + salt * 311.7 + (layer.seed || 0) * 74.7) * 43758.5453;
+        return value - Math.floor(value);
+    }
+
+    /**
+     * 云朵：三个椭圆组成，基准线为云朵中心高度
+     */
+    drawClouds(renderer, layer, scroll, baseY, tint) {
+        const spacing = layer.spacing || 200;
+        const color = tint(layer.color);
+        const { first, last } = this.getVisibleRange(scroll, spacing);
+
+        for (let i = first; i <= last; i++) {
+            const x = i * spacing - scroll;
+            renderer.drawEllipse(x, baseY, 60, 30, color);
+            renderer.drawEllipse(x + 20, baseY - 10, 48, 24, color);
+            renderer.drawEllipse(x - 15, baseY - 5, 36, 18, color);
+        }
+    }
+
+    /**
+     * 起伏地形（丘陵、沙丘）：正弦波叠加成的轮廓，向下填充到地面（前景层填充到画布底部）
+     * layer.waves 为正弦波列表 [[振幅, 波长系数], ...]
+     */
+    drawWaves(renderer, layer, scroll, baseY, tint) {
+        const ctx = renderer.ctx;
+        const bottom = layer.foreground ? GameConfig.CANVAS_HEIGHT : GameConfig.GROUND_Y;
+        const waves = layer.waves || [[20, 80]];
+
+        ctx.fillStyle = tint(layer.color);
+        ctx.beginPath();
+        ctx.moveTo(0, bottom);
+        for (let x = 0; x <= GameConfig.CANVAS_WIDTH; x += 10) {
+            const y = waves.reduce((sum, [amplitude, wavelength]) => sum - amplitude * Math.sin((x + scroll) / wavelength), baseY);
+            ctx.lineTo(x, y);
+        }
+        ctx.lineTo(GameConfig.CANVAS_WIDTH, bottom);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * 山脉：高度随机的三角形山峰，可选山顶积雪颜色 layer.capColor
+     */
+    drawMountains(renderer, layer, scroll, baseY, tint) {
+        const ctx = renderer.ctx;
+        const spacing = layer.spacing || 160;
+        const minHeight = layer.minHeight || 90;
+        const maxHeight = layer.maxHeight || 180;
+        const halfWidth = spacing * 0.7;
+        const { first, last } = this.getVisibleRange(scroll, spacing, 2);
+
+        for (let i = first; i <= last; i++) {
+            const x = i * spacing - scroll;
+            const height = minHeight + this.hash(layer, i) * (maxHeight - minHeight);
+            const peakY = baseY - height;
+
+            ctx.fillStyle = tint(layer.color);
+            ctx.beginPath();
+            ctx.moveTo(x - halfWidth, baseY);
+            ctx.lineTo(x, peakY);
+            ctx.lineTo(x + halfWidth, baseY);
+            ctx.closePath();
+            ctx.fill();
+
+            if (layer.capColor) {
+                const capHeight = height * 0.23;
+                const capWidth = capHeight * halfWidth / height;
+                ctx.fillStyle = tint(layer.capColor);
+                ctx.beginPath();
+                ctx.moveTo(x - capWidth, peakY + capHeight);
+                ctx.lineTo(x, peakY);
+                ctx.lineTo(x + capWidth, peakY + capHeight);
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+    }
+
+    /**
+     * 建筑：宽高随机的楼房，可选窗户颜色 layer.windowColor（亮灯的窗户由序号决定）
+     */
+    drawBuildings(renderer, layer, scroll, baseY, tint) {
+        const spacing = layer.spacing || 60;
+        const minHeight = layer.minHeight || 60;
+        const maxHeight = layer.maxHeight || 190;
+        const color = tint(layer.color);
+        const windowColor = layer.windowColor ? tint(layer.windowColor) : null;
+        const { first, last } = this.getVisibleRange(scroll, spacing);
+
+        for (let i = first; i <= last; i++) {
+            const x = i * spacing - scroll;
+            const width = spacing * (0.65 + this.hash(layer, i, 1) * 0.27);
+            const height = minHeight + this.hash(layer, i, 2) * (maxHeight - minHeight);
+            const top = baseY - height;
+
+            renderer.fillRect(x, top, width, height, color);
+            if (!windowColor) {
+                continue;
+            }
+            for (let row = 0; top + 10 + row * 16 < baseY - 10; row++) {
+                for (let column = 0; column * 12 + 14 < width; column++) {
+                    if (this.hash(layer, i * 31 + row * 7 + column, 3) < 0.35) {
+                        renderer.fillRect(x + 6 + column * 12, top + 10 + row * 16, 5, 7, windowColor);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * 星空：分布在画布顶部到基准线之间的星星
+     */
+    drawStars(renderer, layer, scroll, baseY, tint) {
+        const spacing = layer.spacing || 40;
+        const color = tint(layer.color);
+        const { first, last } = this.getVisibleRange(scroll, spacing);
+
+        for (let i = first; i <= last; i++) {
+            const x = i * spacing + this.hash(layer, i, 4) * spacing - scroll;
+            const y = this.hash(layer, i, 5) * baseY;
+            const size = this.hash(layer, i, 6) < 0.2 ? 2 : 1;
+            renderer.fillRect(x, y, size, size, color);
+        }
+    }
+
+    /**
+     * 飘落的雪花：从画布顶部落到基准线，下落进度为滚动距离乘以 layer.fall
+     */
+    drawSnow(renderer, layer, scroll, baseY, tint) {
+        const spacing = layer.spacing || 50;
+        const fall = layer.fall !== undefined ? layer.fall : 0.7;
+        const color = tint(layer.color);
+        const { first, last } = this.getVisibleRange(scroll, spacing);
+
+        for (let i = first; i <= last; i++) {
+            const x = i * spacing + this.hash(layer, i, 7) * spacing - scroll;
+            const y = (this.hash(layer, i, 8) * baseY + scroll * fall) % baseY;
+            renderer.drawCircle(x, y, 1.5 + this.hash(layer, i, 9), color);
+        }
+    }
+
+    /**
+     * 植被：长在基准线上的灌木丛和草叶，layer.density 为每个位置长出植被的概率
+     */
+    drawFoliage(renderer, layer, scroll, baseY, tint) {
+        const ctx = renderer.ctx;
+        const spacing = layer.spacing || 90;
+        const minHeight = layer.minHeight || 14;
+        const maxHeight = layer.maxHeight || 30;
+        const density = layer.density !== undefined ? layer.density : 0.7;
+        const color = tint(layer.color);
+        const { first, last } = this.getVisibleRange(scroll, spacing);
+
+        for (let i = first; i <= last; i++) {
+            if (this.hash(layer, i, 10) >= density) {
+                continue;
+            }
+
+            const x = i * spacing + this.hash(layer, i, 11) * spacing * 0.5 - scroll;
+            const height = minHeight + this.hash(layer, i, 12) * (maxHeight - minHeight);
+
+            // 灌木丛
+            renderer.drawEllipse(x, baseY - height * 0.4, height * 1.6, height, color);
+            renderer.drawEllipse(x - height * 0.7, baseY - height * 0.25, height, height * 0.6, color);
+            renderer.drawEllipse(x + height * 0.7, baseY - height * 0.3, height * 1.1, height * 0.7, color);
+
+            // 草叶
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            for (let blade = 0; blade < 3; blade++) {
+                const bladeX = x + height * (1.2 + blade * 0.35);
+                ctx.moveTo(bladeX - 2, baseY);
+                ctx.lineTo(bladeX + blade - 1, baseY - height * (0.6 + this.hash(layer, i * 3 + blade, 13) * 0.5));
+                ctx.lineTo(bladeX + 2, baseY);
+            }
+            ctx.fill();
+        }
+    }
+
+    /**
+     * 平铺图案：按 tile.width 重复绘制一组图形，图形坐标相对于每块图案的左端和基准线
+     * layer.tile 为 GameConfig.PARALLAX.TILES 中的名称或图案对象 {width, shapes}
+     * 图形 {shape: 'rect'|'ellipse'|'circle'|'triangle', x, y, width, height, radius, color}，颜色默认为层的颜色
+     */
+    drawTiles(renderer, layer, scroll, baseY, tint) {
+        const ctx = renderer.ctx;
+        const tile = ParallaxBackground.resolveTile(layer.tile, this.config.TILES);
+        const { first, last } = this.getVisibleRange(scroll, tile.width);
+
+        for (let i = first; i <= last; i++) {
+            const x = i * tile.width - scroll;
+
+            tile.shapes.forEach(shape => {
+                const color = tint(shape.color || layer.color);
+                const shapeX = x + shape.x;
+                const shapeY = baseY + shape.y;
+
+                switch (shape.shape) {
+                    case 'rect':
+                        renderer.fillRect(shapeX, shapeY, shape.width, shape.height, color);
+                        break;
+                    case 'ellipse':
+                        renderer.drawEllipse(shapeX, shapeY, shape.width, shape.height, color);
+                        break;
+                    case 'circle':
+                        renderer.drawCircle(shapeX, shapeY, shape.radius, color);
+                        break;
+                    case 'triangle':
+                        // 底边中点在 (x, y)，顶点朝上
+                        ctx.fillStyle = color;
+                        ctx.beginPath();
+                        ctx.moveTo(shapeX - shape.width / 2, shapeY);
+                        ctx.lineTo(shapeX, shapeY - shape.height);
+                        ctx.lineTo(shapeX + shape.width / 2, shapeY);
+                        ctx.closePath();
+                        ctx.fill();
+                        break;
+                }
+            });
+        }
+    }
+
+    /**
+     * 获取背景层类型
+     * @returns {Array<string>} 类型列表
+     */
+    static getLayerTypes() {
+        return ['clouds', 'waves', 'mountains', 'buildings', 'stars', 'snow', 'foliage', 'tile'];
+    }
+
+    /**
+     * 检查颜色是否为可以加雾的 #rrggbb 格式
+     * @param {string} color - 颜色
+     * @returns {boolean} 是否为 #rrggbb 格式
+     */
+    static isHexColor(color) {
+        return /^#[0-9a-f]{6}$/i.test(color);
+    }
+
+    /**
+     * 获取平铺图案（按名称查找或直接使用图案对象）
+     * @param {string|Object} tile - 图案名称或图案对象
+     * @param {Object} tiles - 命名图案表
+     * @returns {Object|undefined} 图案 {width, shapes}
+     */
+    static resolveTile(tile, tiles) {
+        return typeof tile === 'string' ? tiles[tile] : tile;
+    }
+
+    /**
+     * 校验背景层格式
+     * @param {Object} layer - 背景层
+     * @param {string} label - 背景层名称（用于错误信息）
+     * @param {Object} tiles - 命名图案表
+     * @throws {Error} 背景层无效时抛出错误
+     */
+    static validateLayer(layer, label, tiles = GameConfig.PARALLAX.TILES) {
+        if (!layer || typeof layer !== 'object') {
+            throw new Error(`${label}必须是对象`);
+        }
+
+        if (!ParallaxBackground.getLayerTypes().includes(layer.type)) {
+            throw new Error(`${label}的类型未知: ${layer.type}`);
+        }
+
+        if (typeof layer.factor !== 'number' || !(layer.factor >= 0)) {
+            throw new Error(`${label}的滚动系数必须是非负数`);
+        }
+
+        if (layer.offsetY !== undefined && typeof layer.offsetY !== 'number') {
+            throw new Error(`${label}的垂直偏移必须是数字`);
+        }
+
+        if (typeof layer.color !== 'string') {
+            throw new Error(`${label}缺少颜色`);
+        }
+
+        if (layer.fog !== undefined) {
+            const fog = layer.fog;
+            if (!fog || typeof fog.amount !== 'number' || fog.amount < 0 || fog.amount > 1 ||
+                (fog.color !== undefined && !ParallaxBackground.isHexColor(fog.color))) {
+                throw new Error(`${label}的雾色格式错误`);
+            }
+        }
+
+        if (layer.type === 'tile') {
+            const tile = ParallaxBackground.resolveTile(layer.tile, tiles);
+            if (!tile || typeof tile.width !== 'number' || !(tile.width > 0) || !Array.isArray(tile.shapes)) {
+                throw new Error(`${label}的平铺图案无效: ${JSON.stringify(layer.tile)}`);
+            }
+
+            tile.shapes.forEach((shape, index) => {
+                if (!['rect', 'ellipse', 'circle', 'triangle'].includes(shape.shape) ||
+                    typeof shape.x !== 'number' || typeof shape.y !== 'number') {
+                    throw new Error(`${label}的第 ${index + 1} 个图形格式错误`);
+                }
+            });
+        }
+    }
+}
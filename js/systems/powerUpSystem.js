@@ -0,0 +1,186 @@
+/**
+ * 道具效果系统 - 管理已拾取道具的持续时间、叠加规则和效果参数
+ * 自身不修改其他系统，效果变化时通过回调通知游戏场景应用
+ */
+class PowerUpSystem {
+    constructor() {
+        this.activeEffects = new Map(); // 道具类型 -> { type, remaining, duration, stacks }
+        this.changeCallbacks = [];
+    }
+    
+    /**
+     * 清除所有效果
+     */
+    reset() {
+        const hadEffects = this.activeEffects.size > 0;
+        this.activeEffects.clear();
+        
+        if (hadEffects) {
+            this.notifyChange(null, 'reset');
+        }
+    }
+    
+    /**
+     * 激活道具效果，按类型的叠加规则处理重复拾取
+     * @param {string} type - 道具类型
+     * @returns {boolean} 是否激活成功
+     */
+    activate(type) {
+        const config = GameConfig.POWER_UP.TYPES[type];
+        if (!config) {
+            console.warn('未知的道具类型:', type);
+            return false;
+        }
+        
+        const effect = this.activeEffects.get(type);
+        
+        if (!effect) {
+            this.activeEffects.set(type, {
+                type: type,
+                remaining: config.duration,
+                duration: config.duration,
+                stacks: 1
+            });
+        } else {
+            switch (config.stacking) {
+                case 'stack':
+                    // 增加层数并重置时间
+                    effect.stacks = Math.min(config.maxStacks || 1, effect.stacks + 1);
+                    effect.remaining = config.duration;
+                    effect.duration = config.duration;
+                    break;
+                case 'extend':
+                    // 累加剩余时间
+                    effect.remaining = Math.min(config.maxDuration || config.duration, effect.remaining + config.duration);
+                    effect.duration = Math.max(effect.duration, effect.remaining);
+                    break;
+                default:
+                    // 重置为完整时间
+                    effect.remaining = config.duration;
+                    effect.duration = config.duration;
+                    break;
+            }
+        }
+        
+        if (GameConfig.DEBUG) {
+            const current = this.activeEffects.get(type);
+            console.log(`道具生效: ${type}, 剩余=${current.remaining.toFixed(1)}s, 层数=${current.stacks}`);
+        }
+        
+        this.notifyChange(type, 'activated');
+        return true;
+    }
+    
+    /**
+     * 消耗一层效果（如护盾抵挡一次碰撞），层数用完时效果结束
+     * @param {string} type - 道具类型
+     * @returns {boolean} 是否有可消耗的效果
+     */
+    consume(type) {
+        const effect = this.activeEffects.get(type);
+        if (!effect) {
+            return false;
+        }
+        
+        effect.stacks--;
+        if (effect.stacks <= 0) {
+            this.activeEffects.delete(type);
+        }
+        
+        this.notifyChange(type, 'consumed');
+        return true;
+    }
+    
+    /**
+     * 更新效果剩余时间
+     * @param {number} deltaTime - 时间增量（秒）
+     */
+    update(deltaTime) {
+        for (const [type, effect] of this.activeEffects) {
+            effect.remaining -= deltaTime;
+            
+            if (effect.remaining <= 0) {
+                this.activeEffects.delete(type);
+                this.notifyChange(type, 'expired');
+            }
+        }
+    }
+    
+    /**
+     * 检查效果是否生效
+     * @param {string} type - 道具类型
+     * @returns {boolean} 是否生效
+     */
+    isActive(type) {
+        return this.activeEffects.has(type);
+    }
+    
+    /**
+     * 获取效果层数
+     * @param {string} type - 道具类型
+     * @returns {number} 层数（未生效为0）
+     */
+    getStacks(type) {
+        const effect = this.activeEffects.get(type);
+        return effect ? effect.stacks : 0;
+    }
+    
+    /**
+     * 获取效果剩余时间
+     * @param {string} type - 道具类型
+     * @returns {number} 剩余时间（秒，未生效为0）
+     */
+    getRemaining(type) {
+        const effect = this.activeEffects.get(type);
+        return effect ? effect.remaining : 0;
+    }
+    
+    /**
+     * 获取所有生效中的效果（按拾取顺序）
+     * @returns {Array<Object>} 效果数组 { type, remaining, duration, stacks }
+     */
+    getActiveEffects() {
+        return Array.from(this.activeEffects.values());
+    }
+    
+    /**
+     * 汇总当前生效的效果参数
+     * @returns {Object} 效果参数
+     */
+    getModifiers() {
+        const types = GameConfig.POWER_UP.TYPES;
+        return {
+            shootCooldownMultiplier: this.isActive('rapidFire') ? types.rapidFire.cooldownMultiplier : 1,
+            heatMultiplier: (this.isActive('rapidFire') ? types.rapidFire.heatMultiplier : 1) *
+                (this.isActive('coolant') ? types.coolant.heatMultiplier : 1),
+            scoreMultiplier: this.isActive('scoreDoubler') ? types.scoreDoubler.scoreMultiplier : 1,
+            worldTimeScale: this.isActive('slowTime') ? types.slowTime.worldTimeScale : 1,
+            magnet: this.isActive('magnet') ? types.magnet : null
+        };
+    }
+    
+    /**
+     * 注册效果变化回调
+     * @param {Function} callback - 回调函数 (type, reason) => void，reason为activated/consumed/expired/reset
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeCallbacks.push(callback);
+        }
+    }
+    
+    /**
+     * 通知效果变化
+     * @param {string|null} type - 道具类型
+     * @param {string} reason - 变化原因
+     */
+    notifyChange(type, reason) {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(type, reason);
+            } catch (error) {
+                console.error('道具效果回调执行错误:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,308 @@
+/**
+ * 可通过性分析器 - 用简化的玩家跳跃模型判断一段地面障碍物序列能否通过
+ * 从玩家站在地面上开始，按固定步长同时推进障碍物和所有可能的操作（跳跃、松键截断、二段跳、快速下落、滑铲），
+ * 只要有一种操作序列能让玩家在不碰到障碍物的情况下越过最后一个障碍物，序列就可以通过
+ * 空中操作由少到多分几轮搜索，大部分序列只用完整跳跃就能通过，不需要展开全部操作组合
+ * 漂浮障碍物和敌人可以被子弹消灭，不参与分析
+ */
+class ReachabilityAnalyzer {
+    constructor(config = GameConfig.FAIRNESS) {
+        this.config = config;
+        this.timeStep = config.TIME_STEP;
+        this.decisionInterval = config.DECISION_INTERVAL;
+        this.holdOnly = ['hold'];    // 不能做决定的模拟步只保持当前操作
+
+        // 地形区域调整的物理参数
+        this.setModifiers({ gravityMultiplier: 1, jumpControl: 1 });
+
+        // 每轮搜索允许的空中操作（地面上总是可以奔跑、滑铲和起跳）
+        this.airActionLevels = [
+            ['hold'],
+            ['hold', 'release', 'fastFall'],
+            ['hold', 'release', 'airJump', 'fastFall']
+        ];
+
+        // 玩家站在地面上时的碰撞边界
+        this.playerX = GameConfig.PLAYER.CENTER_X - GameConfig.PLAYER.WIDTH / 2;
+        this.playerWidth = GameConfig.PLAYER.WIDTH;
+        this.playerHeight = GameConfig.PLAYER.HEIGHT;
+        this.standingY = GameConfig.GROUND_Y - GameConfig.PLAYER.HEIGHT;
+
+        // 统计
+        this.stats = {
+            analyses: 0,
+            unfair: 0,
+            statesExplored: 0
+        };
+    }
+
+    /**
+     * 设置地形区域的物理参数（与Player.setBiomeModifiers一致）
+     * @param {Object} modifiers - 物理参数 {gravityMultiplier, jumpControl}
+     */
+    setModifiers(modifiers) {
+        this.gravity = GameConfig.GRAVITY * modifiers.gravityMultiplier;
+        this.jumpCutMultiplier = 1 - (1 - GameConfig.PLAYER.JUMP_CUT_MULTIPLIER) * modifiers.jumpControl;
+    }
+
+    /**
+     * 获取分析起点：左边缘在这个X坐标之后的障碍物才参与分析（更近的视为玩家正在应对）
+     * @returns {number} X坐标
+     */
+    getStartX() {
+        return this.playerX + this.playerWidth + this.config.START_LEAD;
+    }
+
+    /**
+     * 分析障碍物序列能否通过
+     * @param {Array<Object>} obstacles - 地面障碍物的碰撞边界 [{x, y, width, height}]（当前屏幕坐标）
+     * @param {number} scrollSpeed - 滚动速度（像素/秒）
+     * @returns {Object} 结果 {clearable, blockedBy, time}，blockedBy为挡住所有操作序列的障碍物序号
+     */
+    analyze(obstacles, scrollSpeed) {
+        this.stats.analyses++;
+
+        if (obstacles.length === 0 || !(scrollSpeed > 0)) {
+            return { clearable: true, blockedBy: -1, time: 0 };
+        }
+
+        // 最后一个障碍物的右边缘越过玩家左边缘后结束
+        const endTime = obstacles.reduce(
+            (latest, obstacle) => Math.max(latest, (obstacle.x + obstacle.width - this.playerX) / scrollSpeed),
+            0
+        );
+
+        let result = null;
+        for (const airActions of this.airActionLevels) {
+            result = this.search(obstacles, scrollSpeed, endTime, airActions);
+            if (result.clearable) {
+                return result;
+            }
+        }
+
+        this.stats.unfair++;
+        return result;
+    }
+
+    /**
+     * 按允许的空中操作搜索能通过的操作序列
+     * @param {Array<Object>} obstacles - 障碍物碰撞边界
+     * @param {number} scrollSpeed - 滚动速度
+     * @param {number} endTime - 结束时间（秒）
+     * @param {Array<string>} airActions - 允许的空中操作
+     * @returns {Object} 结果 {clearable, blockedBy, time}
+     */
+    search(obstacles, scrollSpeed, endTime, airActions) {
+        let states = new Map();
+        const start = this.createState();
+        states.set(this.getStateKey(start), start);
+
+        let time = 0;
+        let step = 0;
+        while (time < endTime) {
+            const canDecide = step % this.decisionInterval === 0;
+            const nextStates = new Map();
+            const nextTime = time + this.timeStep;
+            let blockedBy = -1;
+
+            for (const state of states.values()) {
+                const actions = canDecide ? this.getActions(state, airActions) : this.holdOnly;
+                for (const action of actions) {
+                    const next = this.advance(state, action);
+                    const hit = this.findCollision(next, obstacles, scrollSpeed, nextTime);
+                    if (hit === -1) {
+                        nextStates.set(this.getStateKey(next), next);
+                    } else {
+                        blockedBy = hit;
+                    }
+                }
+            }
+
+            this.stats.statesExplored += nextStates.size;
+
+            if (nextStates.size === 0) {
+                return { clearable: false, blockedBy: blockedBy, time: nextTime };
+            }
+
+            states = nextStates;
+            time = nextTime;
+            step++;
+        }
+
+        return { clearable: true, blockedBy: -1, time: time };
+    }
+
+    /**
+     * 创建站在地面上的初始状态
+     * @returns {Object} 玩家状态
+     */
+    createState() {
+        return {
+            y: this.standingY,
+            velocityY: 0,
+            grounded: true,
+            rising: false,       // 按住跳跃键上升中（松开时截断）
+            airJumps: GameConfig.PLAYER.AIR_JUMPS,
+            fastFalling: false,
+            sliding: false
+        };
+    }
+
+    /**
+     * 获取状态去重用的键（位置和速度取整，相近的状态视为相同）
+     * 用整数而不是字符串作为键，搜索中每一步都要计算，字符串拼接会明显变慢
+     * @param {Object} state - 玩家状态
+     * @returns {number} 状态键，地面上奔跑为-1，滑铲为-2
+     */
+    getStateKey(state) {
+        if (state.grounded) {
+            return state.sliding ? -2 : -1;
+        }
+        const y = Math.round(state.y / 2) + 1000;
+        const velocityY = Math.round(state.velocityY / 20) + 1000;
+        const flags = state.airJumps * 4 + (state.rising ? 2 : 0) + (state.fastFalling ? 1 : 0);
+        return (y * 2000 + velocityY) * 64 + flags;
+    }
+
+    /**
+     * 获取当前状态下可选的操作
+     * @param {Object} state - 玩家状态
+     * @param {Array<string>} airActions - 允许的空中操作
+     * @returns {Array<string>} 操作列表
+     */
+    getActions(state, airActions) {
+        if (state.grounded) {
+            return ['run', 'slide', 'jump'];
+        }
+
+        return airActions.filter(action => {
+            switch (action) {
+                case 'release':
+                    return state.rising;
+                case 'airJump':
+                    return state.airJumps > 0;
+                case 'fastFall':
+                    return !state.fastFalling;
+                default:
+                    return true;
+            }
+        });
+    }
+
+    /**
+     * 执行操作并推进一个模拟步（与Player的跳跃、滑铲规则一致）
+     * @param {Object} state - 玩家状态
+     * @param {string} action - 操作: 'hold' | 'run' | 'slide' | 'jump' | 'release' | 'airJump' | 'fastFall'
+     * @returns {Object} 新状态
+     */
+    advance(state, action) {
+        // 逐个字段复制，保持所有状态对象的结构一致（展开运算符复制的对象在搜索中明显更慢）
+        const next = {
+            y: state.y,
+            velocityY: state.velocityY,
+            grounded: state.grounded,
+            rising: state.rising,
+            airJumps: state.airJumps,
+            fastFalling: state.fastFalling,
+            sliding: state.sliding
+        };
+        const player = GameConfig.PLAYER;
+
+        switch (action) {
+            case 'run':
+                next.sliding = false;
+                break;
+            case 'slide':
+                next.sliding = true;
+                break;
+            case 'jump':
+                next.grounded = false;
+                next.sliding = false;
+                next.velocityY = GameConfig.JUMP_FORCE;
+                next.rising = true;
+                break;
+            case 'release':
+                next.velocityY *= this.jumpCutMultiplier;
+                next.rising = false;
+                break;
+            case 'airJump':
+                next.airJumps--;
+                next.velocityY = player.AIR_JUMP_FORCE;
+                next.rising = true;
+                next.fastFalling = false;
+                break;
+            case 'fastFall':
+                next.fastFalling = true;
+                next.rising = false;
+                break;
+        }
+
+        if (next.grounded) {
+            return next;
+        }
+
+        next.velocityY += this.gravity * this.timeStep;
+        if (next.fastFalling) {
+            next.velocityY = Math.max(next.velocityY, player.SLIDE_FAST_FALL_SPEED);
+        }
+        if (next.rising && next.velocityY >= 0) {
+            next.rising = false;
+        }
+        next.y += next.velocityY * this.timeStep;
+
+        // 落地后恢复空中跳跃次数（快速下落落地时已按住滑铲）
+        if (next.y >= this.standingY) {
+            next.y = this.standingY;
+            next.velocityY = 0;
+            next.grounded = true;
+            next.rising = false;
+            next.sliding = next.fastFalling;
+            next.fastFalling = false;
+            next.airJumps = player.AIR_JUMPS;
+        }
+
+        return next;
+    }
+
+    /**
+     * 检查玩家状态在指定时间是否碰到障碍物
+     * @param {Object} state - 玩家状态
+     * @param {Array<Object>} obstacles - 障碍物碰撞边界（时间0时的位置）
+     * @param {number} scrollSpeed - 滚动速度
+     * @param {number} time - 时间（秒）
+     * @returns {number} 碰到的障碍物序号，没有碰撞时为-1
+     */
+    findCollision(state, obstacles, scrollSpeed, time) {
+        const height = state.sliding ? GameConfig.PLAYER.SLIDE_HEIGHT : this.playerHeight;
+        const playerBounds = {
+            x: this.playerX,
+            y: state.y + this.playerHeight - height,
+            width: this.playerWidth,
+            height: height
+        };
+        const offset = scrollSpeed * time;
+
+        for (let i = 0; i < obstacles.length; i++) {
+            const obstacle = obstacles[i];
+            const bounds = {
+                x: obstacle.x - offset,
+                y: obstacle.y,
+                width: obstacle.width,
+                height: obstacle.height
+            };
+            if (Utils.checkCollision(playerBounds, bounds)) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * 获取分析统计
+     * @returns {Object} 统计信息
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+}
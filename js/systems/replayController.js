@@ -0,0 +1,384 @@
+/**
+ * 回放控制器 - 通过游戏场景播放录制的回放，并提供暂停、变速、跳转和导入导出
+ * 每帧在模拟步之外处理控制按键，因此暂停时（时间倍率为0）仍能响应操作
+ */
+class ReplayController {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.replay = null;
+        this.pendingReplay = null;
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.speedIndex = GameConfig.REPLAY.SPEEDS.indexOf(1);
+        this.configMismatch = false;
+    }
+
+    /**
+     * 播放回放（在下一帧开始时启动，避免在模拟步中途重置场景）
+     * @param {Object} replay - 回放数据
+     * @returns {boolean} 是否成功开始
+     */
+    play(replay) {
+        try {
+            ReplayController.validateReplay(replay);
+        } catch (error) {
+            console.error('回放数据无效:', error);
+            return false;
+        }
+
+        this.pendingReplay = replay;
+        return true;
+    }
+
+    /**
+     * 停止回放并返回主菜单
+     */
+    stop() {
+        if (!this.isPlaying) {
+            return;
+        }
+
+        this.isPlaying = false;
+        this.replay = null;
+        this.gameEngine.setTimeScale(1);
+
+        const gameScene = this.getGameScene();
+        if (gameScene) {
+            gameScene.setReplaySource(null);
+        }
+
+        this.gameEngine.sceneManager.switchScene('menu');
+        console.log('回放已停止');
+    }
+
+    /**
+     * 每帧更新（在模拟步之前调用）
+     * @param {InputHandler} inputHandler - 输入处理器
+     */
+    update(inputHandler) {
+        if (this.pendingReplay) {
+            const replay = this.pendingReplay;
+            this.pendingReplay = null;
+            this.startPlayback(replay);
+        }
+
+        if (!this.isPlaying) {
+            return;
+        }
+
+        this.handleInput(inputHandler);
+    }
+
+    /**
+     * 处理回放控制按键
+     * @param {InputHandler} inputHandler - 输入处理器
+     */
+    handleInput(inputHandler) {
+        if (inputHandler.isKeyJustPressed('KeyP')) {
+            this.togglePause();
+        }
+
+        if (inputHandler.isKeyJustPressed('ArrowUp')) {
+            this.changeSpeed(1);
+        }
+
+        if (inputHandler.isKeyJustPressed('ArrowDown')) {
+            this.changeSpeed(-1);
+        }
+
+        if (inputHandler.isKeyJustPressed('ArrowRight')) {
+            this.seek(GameConfig.REPLAY.SEEK_SECONDS);
+        }
+
+        if (inputHandler.isKeyJustPressed('ArrowLeft')) {
+            this.seek(-GameConfig.REPLAY.SEEK_SECONDS);
+        }
+
+        if (inputHandler.isKeyJustPressed('Escape')) {
+            this.stop();
+        }
+    }
+
+    /**
+     * 开始播放
+     * @param {Object} replay - 回放数据
+     */
+    startPlayback(replay) {
+        this.replay = replay;
+        this.isPlaying = true;
+        this.isPaused = false;
+        this.speedIndex = GameConfig.REPLAY.SPEEDS.indexOf(1);
+        this.configMismatch = JSON.stringify(replay.config) !== JSON.stringify(InputRecorder.createConfigSnapshot());
+
+        if (this.configMismatch) {
+            console.warn('回放录制时的游戏配置与当前配置不一致，回放结果可能不同');
+        }
+
+        this.restart();
+        this.applyTimeScale();
+
+        console.log(`开始回放: 种子=${replay.seed}, 模拟步数=${replay.totalTicks}`);
+    }
+
+    /**
+     * 从头重新开始回放
+     */
+    restart() {
+        const gameScene = this.getGameScene();
+        const sceneManager = this.gameEngine.sceneManager;
+
+        gameScene.setReplaySource(new ReplayInputSource(this.replay));
+        gameScene.setNextSeed(this.replay.seed);
+
+        if (sceneManager.getCurrentScene() === gameScene) {
+            gameScene.resetGame();
+        } else {
+            sceneManager.switchScene('game');
+        }
+
+        // 补齐录制时重置后到第一个模拟步之前的场景更新，保证调用顺序一致
+        for (let i = 0; i < this.replay.leadUpdates; i++) {
+            gameScene.update(this.gameEngine.fixedDeltaTime);
+        }
+
+        this.gameEngine.accumulator = 0;
+    }
+
+    /**
+     * 切换暂停状态
+     */
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        this.applyTimeScale();
+    }
+
+    /**
+     * 调整回放速度
+     * @param {number} direction - 1加速，-1减速
+     */
+    changeSpeed(direction) {
+        const speeds = GameConfig.REPLAY.SPEEDS;
+        this.speedIndex = Utils.clamp(this.speedIndex + direction, 0, speeds.length - 1);
+        this.applyTimeScale();
+    }
+
+    /**
+     * 将暂停状态和速度应用到游戏引擎的时间倍率
+     */
+    applyTimeScale() {
+        const speed = GameConfig.REPLAY.SPEEDS[this.speedIndex];
+        this.gameEngine.setTimeScale(this.isPaused ? 0 : speed);
+    }
+
+    /**
+     * 跳转回放进度
+     * 向后跳转时从头重新模拟到目标位置，向前跳转时直接快进
+     * @param {number} seconds - 跳转秒数（负数为后退）
+     */
+    seek(seconds) {
+        const gameScene = this.getGameScene();
+        const targetTick = Utils.clamp(
+            gameScene.getTick() + Math.round(seconds * this.replay.tickRate),
+            0,
+            this.replay.totalTicks
+        );
+
+        if (targetTick < gameScene.getTick()) {
+            this.restart();
+        }
+
+        this.fastForward(targetTick);
+    }
+
+    /**
+     * 同步模拟到指定的模拟步
+     * @param {number} targetTick - 目标模拟步
+     */
+    fastForward(targetTick) {
+        const gameScene = this.getGameScene();
+
+        while (gameScene.getTick() < targetTick && gameScene.getGameState() !== 'game_over') {
+            this.gameEngine.step();
+        }
+
+        this.gameEngine.interpolationAlpha = 1;
+    }
+
+    /**
+     * 获取游戏场景
+     * @returns {GameScene} 游戏场景
+     */
+    getGameScene() {
+        return this.gameEngine.sceneManager.scenes.get('game');
+    }
+
+    /**
+     * 获取最近一局的录制
+     * @returns {Object|null} 回放数据
+     */
+    getLastRecording() {
+        const gameScene = this.getGameScene();
+        return gameScene ? gameScene.getLastReplay() : null;
+    }
+
+    /**
+     * 将回放导出为JSON文件
+     * @param {Object} replay - 回放数据，默认导出最近一局
+     * @returns {boolean} 是否导出成功
+     */
+    exportReplay(replay = this.getLastRecording()) {
+        if (!replay) {
+            console.warn('没有可导出的回放');
+            return false;
+        }
+
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `replay_${replay.seed}_${replay.recordedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        console.log('回放已导出:', link.download);
+        return true;
+    }
+
+    /**
+     * 打开文件选择框导入回放JSON文件，导入成功后立即播放
+     */
+    importReplay() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (!file) {
+                return;
+            }
+
+            file.text().then(text => {
+                const replay = JSON.parse(text);
+                ReplayController.validateReplay(replay);
+                this.play(replay);
+            }).catch(error => {
+                console.error('导入回放失败:', error);
+                alert(localization.t('replay.importFailed', { error: error.message }));
+            });
+        });
+
+        input.click();
+    }
+
+    /**
+     * 渲染回放控制信息
+     * @param {Renderer} renderer - 渲染器
+     */
+    render(renderer) {
+        if (!this.isPlaying) {
+            return;
+        }
+
+        const gameScene = this.getGameScene();
+        const speed = GameConfig.REPLAY.SPEEDS[this.speedIndex];
+        const current = (Math.min(gameScene.getTick(), this.replay.totalTicks) / this.replay.tickRate).toFixed(1);
+        const total = (this.replay.totalTicks / this.replay.tickRate).toFixed(1);
+        const status = gameScene.getGameState() === 'game_over' ? localization.t('replay.ended') :
+            (this.isPaused ? localization.t('replay.paused') : `▶ ${speed}x`);
+
+        renderer.fillRect(0, 0, GameConfig.CANVAS_WIDTH, 28, 'rgba(0, 0, 0, 0.6)');
+        renderer.drawText(
+            localization.t('replay.status', { status, current, total, seed: this.replay.seed }),
+            10,
+            19,
+            '#00ffcc',
+            'bold 14px Arial',
+            'left'
+        );
+        renderer.drawText(
+            localization.t('replay.help'),
+            GameConfig.CANVAS_WIDTH - 10,
+            19,
+            'rgba(255, 255, 255, 0.8)',
+            '12px Arial',
+            'right'
+        );
+
+        if (this.configMismatch) {
+            renderer.drawText(
+                localization.t('replay.configMismatch'),
+                GameConfig.CANVAS_WIDTH / 2,
+                46,
+                '#ffcc00',
+                '12px Arial',
+                'center'
+            );
+        }
+    }
+
+    /**
+     * 校验回放数据格式
+     * @param {Object} replay - 回放数据
+     * @throws {Error} 数据无效时抛出错误
+     */
+    static validateReplay(replay) {
+        if (!replay || typeof replay !== 'object') {
+            throw new Error('回放数据必须是对象');
+        }
+
+        if (!Number.isInteger(replay.version) || replay.version < 1 || replay.version > GameConfig.REPLAY.VERSION) {
+            throw new Error(`不支持的回放版本: ${replay.version}`);
+        }
+
+        if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+            throw new Error('缺少有效的种子');
+        }
+
+        if (replay.settings !== undefined) {
+            if (!replay.settings || typeof replay.settings !== 'object') {
+                throw new Error('玩法设置格式错误');
+            }
+
+            if (replay.settings.healthMode !== undefined && !GameConfig.HEALTH.MODES[replay.settings.healthMode]) {
+                throw new Error(`未知的生命值模式: ${replay.settings.healthMode}`);
+            }
+
+            if (replay.settings.chunks !== undefined && typeof replay.settings.chunks !== 'boolean') {
+                throw new Error('障碍物片段设置格式错误');
+            }
+
+            const level = replay.settings.level;
+            if (level !== undefined && level !== null) {
+                if (typeof level !== 'object' || typeof level.start !== 'number' || !(level.start >= 0)) {
+                    throw new Error('关卡设置格式错误');
+                }
+                LevelData.validate(level.data);
+            }
+        }
+
+        if (!Number.isInteger(replay.totalTicks) || replay.totalTicks < 0 ||
+            !Number.isInteger(replay.leadUpdates) || replay.leadUpdates < 0) {
+            throw new Error('缺少有效的模拟步数');
+        }
+
+        if (replay.tickRate !== Math.round(1 / GameConfig.SIMULATION.FIXED_DELTA_TIME)) {
+            throw new Error(`模拟频率不匹配: ${replay.tickRate}Hz`);
+        }
+
+        if (!Array.isArray(replay.inputs)) {
+            throw new Error('缺少输入记录');
+        }
+
+        let previousTick = -1;
+        for (const entry of replay.inputs) {
+            if (!Array.isArray(entry) || entry.length !== 3 || !entry.every(Number.isInteger) ||
+                entry[0] <= previousTick) {
+                throw new Error(`输入记录格式错误: ${JSON.stringify(entry)}`);
+            }
+            previousTick = entry[0];
+        }
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * 回放输入源 - 代替InputHandler向游戏场景提供录制的输入
+ * 实现与InputHandler相同的查询接口，按模拟步返回录制时的动作状态
+ */
+class ReplayInputSource {
+    /**
+     * @param {Object} replay - 回放数据
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.inputsByTick = new Map(replay.inputs.map(entry => [entry[0], entry]));
+        this.tick = -1;
+        this.heldMask = 0;
+        this.pressedMask = 0;
+    }
+
+    /**
+     * 获取录制时的玩法设置（旧版回放没有设置，按默认处理）
+     * @returns {Object} 玩法设置
+     */
+    getSettings() {
+        return this.replay.settings || {};
+    }
+
+    /**
+     * 切换到指定模拟步的输入
+     * @param {number} tick - 模拟步序号
+     */
+    setTick(tick) {
+        if (tick === this.tick) {
+            return;
+        }
+
+        const entry = this.inputsByTick.get(tick);
+        this.tick = tick;
+        this.heldMask = entry ? entry[1] : 0;
+        this.pressedMask = entry ? entry[2] : 0;
+    }
+
+    /**
+     * 检查按键是否被按下（回放只复现动作，按键始终未按下）
+     * @returns {boolean} 是否被按下
+     */
+    isKeyPressed() {
+        return false;
+    }
+
+    /**
+     * 检查按键是否刚被按下
+     * @returns {boolean} 是否刚被按下
+     */
+    isKeyJustPressed() {
+        return false;
+    }
+
+    /**
+     * 检查动作是否被触发
+     * @param {string} action - 动作
+     * @returns {boolean} 是否被按下
+     */
+    isActionPressed(action) {
+        const bit = GameConfig.REPLAY.ACTION_BITS[action] || 0;
+        return (this.heldMask & bit) !== 0;
+    }
+
+    /**
+     * 检查动作是否刚被触发（单次触发，与InputHandler一致）
+     * @param {string} action - 动作
+     * @returns {boolean} 是否刚被按下
+     */
+    isActionJustPressed(action) {
+        const bit = GameConfig.REPLAY.ACTION_BITS[action] || 0;
+        if (this.pressedMask & bit) {
+            this.pressedMask &= ~bit;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 更新输入状态
+     */
+    update() {
+        // 回放输入没有需要随时间更新的状态
+    }
+}
@@ -6,12 +6,14 @@ class ScoreSystem {
         this.currentScore = 0;
         this.highScore = this.loadHighScore();
         this.scoreMultiplier = 1;
+        this.bonusMultiplier = 1;    // 道具等临时得分倍数，与时间倍数相乘
         this.timeBonus = 0;
         
         // 射击得分相关
         this.comboCount = 0;
         this.lastShootTime = 0;
         this.comboTimeWindow = 3000; // 连击时间窗口（毫秒）
+        this.elapsedTime = 0;        // 模拟时间（毫秒），用于连击判定
         
         // 得分配置
         this.config = {
@@ -26,9 +28,15 @@ class ScoreSystem {
                 'floating_large': 100,  // 大型漂浮障碍物
                 'basic': 25,            // 基础地面障碍物（如果可射击）
                 'tall': 75,             // 高障碍物
-                'wide': 60              // 宽障碍物
+                'wide': 60,             // 宽障碍物
+                'chaser': 70,           // 追踪者敌人
+                'turret': 120,          // 炮台敌人
+                'diver': 60             // 俯冲者敌人
             },
             
+            // 击败首领奖励（乘以首领等级，不计入连击）
+            BOSS_BONUS: 1500,
+            
             // 连击奖励配置
             COMBO_MULTIPLIERS: {
                 2: 1.2,   // 2连击：1.2倍
@@ -47,9 +55,11 @@ class ScoreSystem {
     reset() {
         this.currentScore = 0;
         this.scoreMultiplier = 1;
+        this.bonusMultiplier = 1;
         this.timeBonus = 0;
         this.comboCount = 0;
         this.lastShootTime = 0;
+        this.elapsedTime = 0;
     }
     
     /**
@@ -58,7 +68,7 @@ class ScoreSystem {
      */
     addScore(points) {
         if (points > 0) {
-            this.currentScore += Math.floor(points * this.scoreMultiplier);
+            this.currentScore += Math.floor(points * this.getTotalMultiplier());
         }
     }
     
@@ -80,12 +90,12 @@ class ScoreSystem {
     
     /**
      * 添加射击得分奖励
-     * @param {string} obstacleType - 障碍物类型
+     * @param {string} obstacleType - 障碍物或敌人类型
      * @param {Object} options - 额外选项
      * @returns {number} 实际获得的得分
      */
     addShootingScore(obstacleType, options = {}) {
-        const currentTime = performance.now();
+        const currentTime = this.elapsedTime;
         
         // 检查连击
         if (currentTime - this.lastShootTime <= this.comboTimeWindow) {
@@ -115,6 +125,22 @@ class ScoreSystem {
         return finalScore;
     }
     
+    /**
+     * 添加击败首领奖励得分
+     * @param {number} level - 首领等级（本局第几次出现）
+     * @returns {number} 基础奖励得分
+     */
+    addBossBonus(level = 1) {
+        const bonus = this.config.BOSS_BONUS * level;
+        this.addScore(bonus);
+        
+        if (GameConfig.DEBUG) {
+            console.log(`首领奖励: 等级=${level}, 得分=${bonus}`);
+        }
+        
+        return bonus;
+    }
+    
     /**
      * 获取连击倍数
      * @param {number} comboCount - 连击数
@@ -153,9 +179,9 @@ class ScoreSystem {
     
     /**
      * 检查连击是否过期
-     * @param {number} currentTime - 当前时间
+     * @param {number} currentTime - 当前模拟时间（毫秒）
      */
-    checkComboExpiry(currentTime = performance.now()) {
+    checkComboExpiry(currentTime = this.elapsedTime) {
         if (currentTime - this.lastShootTime > this.comboTimeWindow) {
             this.comboCount = 0;
         }
@@ -178,6 +204,22 @@ class ScoreSystem {
         this.scoreMultiplier = Math.max(1, multiplier);
     }
     
+    /**
+     * 设置临时得分倍数（如双倍得分道具）
+     * @param {number} multiplier - 得分倍数
+     */
+    setBonusMultiplier(multiplier) {
+        this.bonusMultiplier = Math.max(1, multiplier);
+    }
+    
+    /**
+     * 获取实际生效的得分倍数
+     * @returns {number} 得分倍数
+     */
+    getTotalMultiplier() {
+        return this.scoreMultiplier * this.bonusMultiplier;
+    }
+    
     /**
      * 获取当前得分
      * @returns {number} 当前得分
@@ -275,6 +317,9 @@ class ScoreSystem {
      * @param {Object} gameData - 游戏数据对象
      */
     update(deltaTime, gameData = {}) {
+        // 推进模拟时间
+        this.elapsedTime += deltaTime * 1000;
+        
         // 基于时间的得分
         this.addTimeScore(deltaTime);
         
@@ -305,7 +350,7 @@ class ScoreSystem {
         
         // 当前得分
         renderer.drawTextWithStroke(
-            `得分: ${this.getFormattedScore()}`,
+            localization.t('hud.score', { score: this.getFormattedScore() }),
             x,
             currentY,
             '#ffffff',
@@ -317,7 +362,7 @@ class ScoreSystem {
         
         // 最高分
         renderer.drawTextWithStroke(
-            `最高分: ${this.getFormattedScore(this.highScore)}`,
+            localization.t('hud.highScore', { score: this.getFormattedScore(this.highScore) }),
             x,
             currentY,
             '#ffff00',
@@ -330,7 +375,7 @@ class ScoreSystem {
         // 得分等级
         const grade = this.getScoreGrade();
         renderer.drawTextWithStroke(
-            `等级: ${grade}`,
+            localization.t('gameOver.grade', { grade }),
             x,
             currentY,
             '#00ff00',
@@ -346,7 +391,7 @@ class ScoreSystem {
             const comboColor = this.getComboColor(this.comboCount);
             
             renderer.drawTextWithStroke(
-                `连击: ${this.comboCount}x (${comboMultiplier.toFixed(1)}倍)`,
+                localization.t('hud.scoreCombo', { count: this.comboCount, multiplier: comboMultiplier.toFixed(1) }),
                 x,
                 currentY,
                 comboColor,
@@ -358,9 +403,10 @@ class ScoreSystem {
         }
         
         // 得分倍数（如果大于1）
-        if (this.scoreMultiplier > 1) {
+        const totalMultiplier = this.getTotalMultiplier();
+        if (totalMultiplier > 1) {
             renderer.drawTextWithStroke(
-                `倍数: x${this.scoreMultiplier.toFixed(1)}`,
+                localization.t('hud.multiplier', { multiplier: totalMultiplier.toFixed(1) }),
                 x,
                 currentY,
                 '#ff8800',
@@ -395,7 +441,7 @@ class ScoreSystem {
             highScore: this.highScore,
             isNewRecord: this.isNewHighScore(),
             grade: this.getScoreGrade(),
-            multiplier: this.scoreMultiplier,
+            multiplier: this.getTotalMultiplier(),
             formattedScore: this.getFormattedScore(),
             formattedHighScore: this.getFormattedScore(this.highScore),
             comboCount: this.comboCount,
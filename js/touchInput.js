@@ -0,0 +1,247 @@
+/**
+ * 触摸输入 - 把画布上的触摸换算为游戏动作
+ * zones 布局点击屏幕左半边跳跃、右半边射击，buttons 布局使用屏幕按钮；两种布局都可以向下滑动滑铲，并显示暂停按钮
+ * 每个手指单独记录触发的动作，多个手指可以同时按住不同的动作
+ */
+class TouchInput {
+    /**
+     * @param {HTMLCanvasElement|null} canvas - 游戏画布（为null时不处理触摸）
+     * @param {Object} config - 触摸配置（见 GameConfig.TOUCH）
+     */
+    constructor(canvas, config = GameConfig.TOUCH) {
+        this.canvas = canvas;
+        this.config = config;
+        this.layout = config.LAYOUTS[0];
+        this.touches = new Map();     // touch.identifier -> {startX, startY, action, locked}（locked 时不再因滑动改为滑铲）
+        this.held = {};               // 手指按住的动作
+        this.justPressed = {};        // 刚按下、尚未读取的动作
+        this.pendingTap = false;      // 上一个模拟步之后有新的触摸
+        this.tapped = false;          // 本模拟步可以读取的点击
+        
+        if (this.canvas) {
+            this.bindEvents();
+        }
+    }
+    
+    /**
+     * 绑定画布上的触摸事件
+     * 事件不能是被动监听，否则无法阻止浏览器在画布上滚动页面和缩放
+     */
+    bindEvents() {
+        const options = { passive: false };
+        
+        this.canvas.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            this.handleTouchStart(event.changedTouches);
+        }, options);
+        
+        this.canvas.addEventListener('touchmove', (event) => {
+            event.preventDefault();
+            this.handleTouchMove(event.changedTouches);
+        }, options);
+        
+        ['touchend', 'touchcancel'].forEach(type => {
+            this.canvas.addEventListener(type, (event) => {
+                event.preventDefault();
+                this.handleTouchEnd(event.changedTouches);
+            }, options);
+        });
+        
+        // Safari 的双指缩放手势不通过 touch 事件阻止
+        this.canvas.addEventListener('gesturestart', (event) => {
+            event.preventDefault();
+        });
+    }
+    
+    /**
+     * 记录新按下的手指和它触发的动作
+     * @param {TouchList} touches - 新按下的手指
+     */
+    handleTouchStart(touches) {
+        Array.from(touches).forEach(touch => {
+            const point = this.toCanvasPoint(touch);
+            const button = this.getButtonAt(point.x, point.y);
+            this.touches.set(touch.identifier, {
+                startX: point.x,
+                startY: point.y,
+                action: button ? button.action : this.getZoneAction(point.x),
+                locked: !!button
+            });
+        });
+        
+        this.pendingTap = true;
+        this.updateHeldActions();
+    }
+    
+    /**
+     * 手指移动：不在按钮上的手指向下滑动时改为滑铲
+     * @param {TouchList} touches - 移动的手指
+     */
+    handleTouchMove(touches) {
+        Array.from(touches).forEach(touch => {
+            const state = this.touches.get(touch.identifier);
+            if (!state || state.locked || state.action === 'slide') {
+                return;
+            }
+            
+            const point = this.toCanvasPoint(touch);
+            const dx = point.x - state.startX;
+            const dy = point.y - state.startY;
+            if (dy > this.config.SWIPE_DISTANCE && dy > Math.abs(dx)) {
+                state.action = 'slide';
+            }
+        });
+        
+        this.updateHeldActions();
+    }
+    
+    /**
+     * 移除松开的手指，松开它按住的动作
+     * @param {TouchList} touches - 松开的手指
+     */
+    handleTouchEnd(touches) {
+        Array.from(touches).forEach(touch => {
+            this.touches.delete(touch.identifier);
+        });
+        
+        this.updateHeldActions();
+    }
+    
+    /**
+     * 将触摸点的页面坐标换算为游戏画布坐标
+     * @param {Touch} touch - 触摸点
+     * @returns {Object} 画布坐标 {x, y}
+     */
+    toCanvasPoint(touch) {
+        return Utils.clientToCanvas(this.canvas, touch.clientX, touch.clientY) || { x: 0, y: 0 };
+    }
+    
+    /**
+     * 设置操作布局
+     * @param {string} layout - 布局（见 GameConfig.TOUCH.LAYOUTS）
+     */
+    setLayout(layout) {
+        this.layout = this.config.LAYOUTS.includes(layout) ? layout : this.config.LAYOUTS[0];
+    }
+    
+    /**
+     * 获取当前布局显示的屏幕按钮
+     * @returns {Array<Object>} 按钮 {action, x, y, radius, label?}
+     */
+    getButtons() {
+        const buttons = this.layout === 'buttons' ? this.config.BUTTONS : [];
+        return [...buttons, this.config.PAUSE_BUTTON];
+    }
+    
+    /**
+     * 查找触摸点所在的屏幕按钮
+     * @param {number} x - 画布X坐标
+     * @param {number} y - 画布Y坐标
+     * @returns {Object|null} 按钮，不在按钮上时返回null
+     */
+    getButtonAt(x, y) {
+        return this.getButtons().find(button => Math.hypot(x - button.x, y - button.y) <= button.radius) || null;
+    }
+    
+    /**
+     * 获取不在按钮上的触摸触发的动作
+     * @param {number} x - 画布X坐标
+     * @returns {string|null} 动作（buttons 布局下按钮以外的位置只能向下滑动）
+     */
+    getZoneAction(x) {
+        if (this.layout !== 'zones') {
+            return null;
+        }
+        return x < GameConfig.CANVAS_WIDTH / 2 ? this.config.ZONES.left : this.config.ZONES.right;
+    }
+    
+    /**
+     * 检查当前布局能否触发动作（决定操作提示显示触摸操作还是按键）
+     * @param {string} action - 动作
+     * @returns {boolean} 能否触发
+     */
+    hasAction(action) {
+        return action === 'slide' ||
+            this.getButtons().some(button => button.action === action) ||
+            (this.layout === 'zones' && Object.values(this.config.ZONES).includes(action));
+    }
+    
+    /**
+     * 合并所有手指按住的动作，记录刚按下的动作（松开后未读取的单次触发作废，与键盘一致）
+     */
+    updateHeldActions() {
+        const held = {};
+        this.touches.forEach(state => {
+            if (state.action) {
+                held[state.action] = true;
+            }
+        });
+        
+        new Set([...Object.keys(this.held), ...Object.keys(held)]).forEach(action => {
+            if (held[action] && !this.held[action]) {
+                this.justPressed[action] = true;
+            }
+            if (!held[action]) {
+                this.justPressed[action] = false;
+            }
+        });
+        
+        this.held = held;
+    }
+    
+    /**
+     * 检查动作是否被按下
+     * @param {string} action - 动作
+     * @returns {boolean} 是否被按下
+     */
+    isActionPressed(action) {
+        return !!this.held[action];
+    }
+    
+    /**
+     * 检查动作是否刚被按下（单次触发）
+     * @param {string} action - 动作
+     * @returns {boolean} 是否刚被按下
+     */
+    isActionJustPressed(action) {
+        if (this.justPressed[action] && this.held[action]) {
+            this.justPressed[action] = false;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * 清除没有读取的单次触发（按住的动作需要松开后重新按下才会再次触发）
+     */
+    clearJustPressed() {
+        this.justPressed = {};
+    }
+    
+    /**
+     * 新的模拟步开始：上一步之后的新触摸可以作为本步的点击读取，没有读取的点击作废
+     */
+    beginStep() {
+        this.tapped = this.pendingTap;
+        this.pendingTap = false;
+    }
+    
+    /**
+     * 读取本模拟步的点击（用于点击屏幕开始游戏）
+     * 点击被界面使用后，这次触摸的手指不再触发游戏动作
+     * @returns {boolean} 是否有点击
+     */
+    consumeTap() {
+        if (!this.tapped) {
+            return false;
+        }
+        
+        this.tapped = false;
+        this.touches.forEach(state => {
+            state.action = null;
+            state.locked = true;
+        });
+        this.updateHeldActions();
+        return true;
+    }
+}
@@ -97,4 +97,47 @@ class Utils {
         const dy = y2 - y1;
         return Math.sqrt(dx * dx + dy * dy);
     }
+    
+    /**
+     * 在两个颜色之间线性插值
+     * @param {string} from - 起始颜色（#rrggbb）
+     * @param {string} to - 目标颜色（#rrggbb）
+     * @param {number} t - 插值系数 (0-1)
+     * @returns {string} 插值后的颜色（#rrggbb）
+     */
+    static lerpColor(from, to, t) {
+        const a = parseInt(from.slice(1), 16);
+        const b = parseInt(to.slice(1), 16);
+        let result = 0;
+        
+        for (let shift = 16; shift >= 0; shift -= 8) {
+            const channelA = (a >> shift) & 0xff;
+            const channelB = (b >> shift) & 0xff;
+            result |= Math.round(channelA + (channelB - channelA) * t) << shift;
+        }
+        
+        return `#${result.toString(16).padStart(6, '0')}`;
+    }
+    
+    /**
+     * 将页面坐标（鼠标或触摸事件的clientX/clientY）换算为游戏画布坐标
+     * 画布可能被CSS缩放，边框不属于画布内容
+     * @param {HTMLCanvasElement} canvas - 游戏画布
+     * @param {number} clientX - 页面X坐标
+     * @param {number} clientY - 页面Y坐标
+     * @returns {Object|null} 画布坐标 {x, y}，画布没有显示时返回null
+     */
+    static clientToCanvas(canvas, clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        const width = canvas.clientWidth || rect.width;
+        const height = canvas.clientHeight || rect.height;
+        if (width === 0 || height === 0) {
+            return null;
+        }
+        
+        return {
+            x: (clientX - rect.left - (canvas.clientLeft || 0)) * GameConfig.CANVAS_WIDTH / width,
+            y: (clientY - rect.top - (canvas.clientTop || 0)) * GameConfig.CANVAS_HEIGHT / height
+        };
+    }
 }
\ No newline at end of file
@@ -0,0 +1,247 @@
+const vm = require('vm');
+const HeadlessSimulation = require('./headless/headlessSimulation');
+
+/**
+ * 障碍物可通过性检查命令行工具 - 离线批量生成地面障碍物序列，统计无法通过的布局出现的频率
+ * 每个难度阶段用该阶段开始时的参数随机生成若干序列，对序列中的每个障碍物按游戏中生成时的检查范围分析：
+ * 它出现在屏幕右边缘时，和前面还在分析起点之后的最多 LOOKBEHIND 个地面障碍物能否一起通过
+ *
+ * 用法:
+ *   node tools/fairness.js --sequences 1000 --seed 1 --length 12
+ *   node tools/fairness.js --no-check --chunks
+ *
+ * 选项:
+ *   --sequences <n>     每个难度阶段生成的序列数（默认200，种子从--seed开始依次递增）
+ *   --seed <n>          第一个序列的种子（默认1）
+ *   --length <n>        每个序列的地面障碍物数量（默认12）
+ *   --no-check          生成时不做可通过性检查（统计原始随机生成中无法通过的布局）
+ *   --chunks            同时检查每个障碍物片段在所属难度阶段的速度范围内能否通过，有无法通过的片段时退出码为1
+ *   --json              以JSON输出结果
+ */
+
+const TIME_STEP = 1 / 60;
+
+// 单个序列最长模拟秒数（生成间隔很长或者大部分生成被放弃时防止无限运行）
+const MAX_SEQUENCE_SECONDS = 600;
+
+function parseArgs(argv) {
+    const options = {
+        sequences: 200,
+        seed: 1,
+        length: 12,
+        check: true,
+        chunks: false,
+        json: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--sequences':
+                options.sequences = parseInt(argv[++i], 10);
+                break;
+            case '--seed':
+                options.seed = parseInt(argv[++i], 10);
+                break;
+            case '--length':
+                options.length = parseInt(argv[++i], 10);
+                break;
+            case '--no-check':
+                options.check = false;
+                break;
+            case '--chunks':
+                options.chunks = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw new Error(`未知参数: ${arg}`);
+        }
+    }
+
+    if (!(options.sequences > 0) || !(options.seed >= 0) || !(options.length > 0)) {
+        throw new Error('--sequences、--seed、--length 必须是正数');
+    }
+
+    return options;
+}
+
+/**
+ * 用指定难度参数生成一个地面障碍物序列
+ * @returns {Object} 序列 {obstacles: [{type, worldX, bounds}], fairness}
+ */
+function generateSequence(game, settings, seed, options) {
+    const analyzer = options.check ? new game.ReachabilityAnalyzer() : null;
+    const manager = new game.ObstacleManager(new game.SeededRandom(seed), null, analyzer);
+    manager.applyDifficulty(settings);
+
+    const seen = new Set();
+    const obstacles = [];
+    let scrolled = 0;
+
+    for (let time = 0; obstacles.length < options.length && time < MAX_SEQUENCE_SECONDS; time += TIME_STEP) {
+        manager.update(TIME_STEP);
+        scrolled += manager.scrollSpeed * TIME_STEP;
+
+        manager.obstacles.forEach(obstacle => {
+            if (!seen.has(obstacle)) {
+                seen.add(obstacle);
+                obstacles.push({
+                    type: obstacle.type,
+                    worldX: obstacle.x + scrolled,
+                    bounds: obstacle.getBounds()
+                });
+            }
+        });
+    }
+
+    return { obstacles: obstacles.slice(0, options.length), fairness: manager.getStats().fairness };
+}
+
+/**
+ * 分析序列中的每个障碍物：把它放在屏幕右边缘，和前面还在分析起点之后的障碍物一起检查
+ * @returns {Array<Object>} 无法通过的窗口 [{index, types}]，index为窗口中最后一个障碍物的序号
+ */
+function findUnfairWindows(game, analyzer, sequence, scrollSpeed) {
+    const unfair = [];
+    const startX = analyzer.getStartX();
+    const spawnX = game.GameConfig.CANVAS_WIDTH;
+    const lookbehind = game.GameConfig.FAIRNESS.LOOKBEHIND;
+
+    sequence.forEach((obstacle, index) => {
+        const toScreen = other => ({ ...other.bounds, x: spawnX - (obstacle.worldX - other.worldX) });
+        const group = sequence.slice(0, index)
+            .filter(other => toScreen(other).x >= startX)
+            .slice(-lookbehind);
+        group.push(obstacle);
+
+        if (!analyzer.analyze(group.map(toScreen), scrollSpeed).clearable) {
+            unfair.push({ index, types: group.map(other => other.type) });
+        }
+    });
+
+    return unfair;
+}
+
+function analyzeTier(game, director, tierIndex, options) {
+    const settings = director.computeSettings(tierIndex, 0);
+    const analyzer = new game.ReachabilityAnalyzer();
+
+    const report = {
+        tier: director.tiers[tierIndex].name,
+        scrollSpeed: settings.scrollSpeed,
+        sequences: 0,
+        unfairSequences: 0,
+        windows: 0,
+        unfairWindows: 0,
+        adjusted: 0,
+        rejected: 0,
+        examples: []
+    };
+
+    for (let i = 0; i < options.sequences; i++) {
+        const seed = (options.seed + i) >>> 0;
+        const sequence = generateSequence(game, settings, seed, options);
+        const unfair = findUnfairWindows(game, analyzer, sequence.obstacles, settings.scrollSpeed);
+
+        report.sequences++;
+        report.windows += sequence.obstacles.length;
+        report.unfairWindows += unfair.length;
+        report.adjusted += sequence.fairness.adjusted;
+        report.rejected += sequence.fairness.rejected;
+
+        if (unfair.length > 0) {
+            report.unfairSequences++;
+            if (report.examples.length < 3) {
+                report.examples.push({ seed, ...unfair[0] });
+            }
+        }
+    }
+
+    return report;
+}
+
+/**
+ * 检查每个片段在所属难度阶段的速度范围内能否通过（按游戏中相同的20像素/秒分档）
+ * @returns {Array<Object>} 无法通过的片段 [{id, tier, scrollSpeed}]
+ */
+function checkChunks(game, director) {
+    const manager = new game.ObstacleManager(new game.SeededRandom(1), null, new game.ReachabilityAnalyzer());
+    const unfair = [];
+
+    director.tiers.forEach((tier, tierIndex) => {
+        const from = director.computeSettings(tierIndex, 0).scrollSpeed;
+        const to = director.computeSettings(tierIndex, 1).scrollSpeed;
+        const tierChunks = game.chunkLibrary.getChunksByTags(tier.chunkTags || []);
+
+        tierChunks.forEach(chunk => {
+            for (let speed = Math.round(from / 20) * 20; speed <= to; speed += 20) {
+                manager.scrollSpeed = speed;
+                if (!manager.isChunkClearable(chunk)) {
+                    unfair.push({ id: chunk.id, tier: tier.name, scrollSpeed: speed });
+                }
+            }
+        });
+    });
+
+    return unfair;
+}
+
+function formatRate(count, total) {
+    return total > 0 ? `${(count / total * 100).toFixed(2)}%` : '-';
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    const simulation = new HeadlessSimulation();
+    const game = vm.runInContext(
+        '({ GameConfig, ObstacleManager, ReachabilityAnalyzer, DifficultyDirector, SeededRandom, chunkLibrary })',
+        simulation.context
+    );
+    const director = new game.DifficultyDirector();
+
+    const startTime = Date.now();
+    const tiers = director.tiers.map((tier, tierIndex) => analyzeTier(game, director, tierIndex, options));
+    const unfairChunks = options.chunks ? checkChunks(game, director) : null;
+    const elapsed = (Date.now() - startTime) / 1000;
+
+    if (options.json) {
+        console.log(JSON.stringify({ options, tiers, unfairChunks }, null, 2));
+    } else {
+        console.log(`🧮 序列: 每个阶段 ${options.sequences} 个 × ${options.length} 个地面障碍物  种子: ${options.seed}-${options.seed + options.sequences - 1}  生成时检查: ${options.check ? '是' : '否'}`);
+        console.log(`⏱️  耗时: ${elapsed.toFixed(1)}s`);
+        tiers.forEach(report => {
+            console.log(`📊 ${report.tier} (速度 ${report.scrollSpeed.toFixed(0)}): ` +
+                `无法通过的序列 ${report.unfairSequences}/${report.sequences} (${formatRate(report.unfairSequences, report.sequences)})  ` +
+                `窗口 ${report.unfairWindows}/${report.windows} (${formatRate(report.unfairWindows, report.windows)})  ` +
+                `改为基础 ${report.adjusted}  放弃 ${report.rejected}`);
+            report.examples.forEach(example => {
+                console.log(`   种子 ${example.seed} 第 ${example.index + 1} 个: ${example.types.join(' → ')}`);
+            });
+        });
+
+        if (unfairChunks) {
+            if (unfairChunks.length === 0) {
+                console.log(`✅ 障碍物片段: ${game.chunkLibrary.chunks.length} 个片段在所属阶段的速度范围内都可以通过`);
+            } else {
+                unfairChunks.forEach(chunk => {
+                    console.log(`❌ 障碍物片段 ${chunk.id} 在 ${chunk.tier} 阶段速度 ${chunk.scrollSpeed} 时无法通过`);
+                });
+            }
+        }
+    }
+
+    if (unfairChunks && unfairChunks.length > 0) {
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,107 @@
+/**
+ * 无界面模拟使用的输入脚本（机器人）
+ * 每个工厂函数返回一个脚本：每个模拟步接收当前局面，返回本步的动作 { jump, shoot, slide, pause }
+ */
+
+/**
+ * 什么都不做（用于测量不操作时的存活时间）
+ * @returns {Function} 输入脚本
+ */
+function idle() {
+    return () => ({});
+}
+
+/**
+ * 根据障碍物到达时间跳跃（顶部障碍物则滑铲），躲避俯冲的敌人和敌人子弹，
+ * 射击前方同一高度的漂浮障碍物、敌人和首领弱点，首领的弱点都在高处时跳起射击
+ * @param {Object} options - 选项
+ * @param {number} options.reactionTime - 障碍物到达前多少秒起跳
+ * @returns {Function} 输入脚本
+ */
+function jumper(options = {}) {
+    const reactionTime = options.reactionTime || 0.3;
+    let shootHeld = false;
+
+    return (view) => {
+        const player = view.player;
+        const playerFront = player.x + player.width;
+        const shootY = player.y + player.height / 2;
+        const enemies = view.enemies || [];
+        const enemyBullets = view.enemyBullets || [];
+        const weakPoints = view.boss && view.boss.isVulnerable()
+            ? view.boss.getActiveWeakPoints().map(weakPoint => view.boss.getWeakPointBounds(weakPoint))
+            : [];
+
+        // 障碍物即将到达时起跳，顶部障碍物则滑铲
+        const incoming = view.obstacles.filter(obstacle => {
+            const distance = obstacle.x - playerFront;
+            const speed = Math.max(1, -obstacle.velocityX);
+            // 障碍物完全越过玩家之前保持动作
+            return distance > -(obstacle.width + player.width) && distance / speed < reactionTime;
+        });
+
+        // 俯冲中且还没越过玩家的敌人从下方滑铲躲过
+        const diving = enemies.some(enemy =>
+            enemy.isDiving && enemy.x + enemy.width > player.x
+        );
+
+        // 即将飞到玩家位置的敌人子弹：能从下方通过时滑铲，否则跳起躲过
+        const slideTop = player.y + player.height - 22;
+        const incomingShots = enemyBullets.filter(bullet => {
+            const distance = bullet.x - playerFront;
+            const speed = Math.max(1, -bullet.velocityX);
+            return distance > -(bullet.width + player.width) && distance / speed < reactionTime;
+        });
+        // 按子弹完全越过玩家时的高度判断（斜向下的子弹越过玩家的过程中还会继续下降）
+        const shotOverhead = incomingShots.length > 0 && incomingShots.every(bullet => {
+            const passTime = Math.max(0, (bullet.x + bullet.width - player.x) / Math.max(1, -bullet.velocityX));
+            return bullet.y + bullet.height + Math.max(0, bullet.velocityY) * passTime < slideTop;
+        });
+        const incomingShot = incomingShots.length > 0 && !shotOverhead;
+
+        const groundIncoming = incoming.some(obstacle => !obstacle.isOverhead());
+        const slide = !incomingShot &&
+            (diving || incoming.some(obstacle => obstacle.isOverhead()) || (shotOverhead && !groundIncoming));
+        // 站立时打不到首领的弱点则跳起射击
+        const reachBoss = player.isGrounded && weakPoints.length > 0 &&
+            weakPoints.every(bounds => bounds.y + bounds.height < shootY);
+        const jump = !slide && (incoming.length > 0 || incomingShot || (reachBoss && incomingShots.length === 0));
+
+        // 前方有与枪口同高的漂浮障碍物、敌人或首领弱点时射击（每隔一步松开一次，以便连续射击多血的目标）
+        const hasTarget = [...view.floatingObstacles, ...enemies, ...weakPoints].some(target =>
+            target.x > playerFront &&
+            shootY >= target.y && shootY <= target.y + target.height
+        );
+        const shoot = hasTarget && !shootHeld;
+        shootHeld = shoot;
+
+        return { jump, shoot, slide };
+    };
+}
+
+/**
+ * 随机操作（用于测试极端输入）
+ * @param {Object} options - 选项
+ * @param {Object} options.random - 随机数生成器（SeededRandom）
+ * @param {number} options.jumpChance - 每步起跳概率
+ * @param {number} options.shootChance - 每步射击概率
+ * @param {number} options.slideChance - 每步滑铲概率
+ * @returns {Function} 输入脚本
+ */
+function random(options = {}) {
+    const jumpChance = options.jumpChance || 0.02;
+    const shootChance = options.shootChance || 0.02;
+    const slideChance = options.slideChance || 0.02;
+
+    return () => ({
+        jump: options.random.chance(jumpChance),
+        shoot: options.random.chance(shootChance),
+        slide: options.random.chance(slideChance)
+    });
+}
+
+module.exports = {
+    idle,
+    jumper,
+    random
+};
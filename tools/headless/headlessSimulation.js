@@ -0,0 +1,356 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+
+const NullRenderer = require('./nullRenderer');
+const ScriptedInput = require('./scriptedInput');
+const bots = require('./bots');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// 只在浏览器中有意义的脚本（页面入口和调试控制台界面）
+const BROWSER_ONLY_SCRIPTS = ['js/main.js', 'js/debugConsole.js'];
+
+/**
+ * 无界面模拟 - 在Node中运行游戏场景
+ * 按index.html的顺序把游戏脚本加载到独立的vm上下文中，
+ * 用空渲染器和脚本输入创建GameEngine，逐个模拟步推进，调用顺序与浏览器中完全相同
+ */
+class HeadlessSimulation {
+    /**
+     * @param {Object} options - 选项
+     * @param {boolean} options.verbose - 是否输出游戏内日志
+     */
+    constructor(options = {}) {
+        this.verbose = options.verbose || false;
+        this.context = this.createContext();
+        this.loadGameScripts();
+        this.loadChunks();
+
+        this.game = vm.runInContext(
+            '({ GameEngine, GameConfig, Renderer, SeededRandom, ReplayController, LOCALIZED_STRINGS })',
+            this.context
+        );
+
+        this.input = new ScriptedInput();
+        this.renderer = new NullRenderer(this.game.Renderer, this.game.GameConfig);
+        this.engine = new this.game.GameEngine(null, {
+            renderer: this.renderer,
+            inputHandler: this.input
+        });
+        this.gameScene = this.engine.sceneManager.scenes.get('game');
+        this.tickRate = Math.round(1 / this.engine.fixedDeltaTime);
+
+        // 记录游戏结束时的统计，同时保留原有的场景切换
+        this.lastStats = null;
+        const onGameOver = this.gameScene.onGameOverCallback;
+        this.gameScene.onGameOverCallback = (score, stats) => {
+            this.lastStats = stats;
+            onGameOver(score, stats);
+        };
+    }
+
+    /**
+     * 创建模拟浏览器全局对象的vm上下文
+     * @returns {Object} vm上下文
+     */
+    createContext() {
+        const storage = new Map();
+        const silentConsole = {
+            log() {},
+            info() {},
+            warn() {},
+            debug() {},
+            error: (...args) => console.error(...args)
+        };
+
+        const context = {
+            console: this.verbose ? console : silentConsole,
+            performance: performance,
+            setTimeout: setTimeout,
+            clearTimeout: clearTimeout,
+            // 内存清理、性能优化等定时任务在模拟中不需要
+            setInterval: () => 0,
+            clearInterval: () => {},
+            requestAnimationFrame: () => 0,
+            localStorage: {
+                getItem: key => (storage.has(key) ? storage.get(key) : null),
+                setItem: (key, value) => storage.set(key, String(value)),
+                removeItem: key => storage.delete(key)
+            },
+            document: {
+                hidden: false,
+                addEventListener() {},
+                createElement: () => ({ style: {}, appendChild() {}, addEventListener() {} }),
+                body: { appendChild() {}, removeChild() {} }
+            },
+            navigator: {},
+            location: { search: '' },
+            addEventListener() {},
+            removeEventListener() {}
+        };
+        context.window = context;
+
+        return vm.createContext(context);
+    }
+
+    /**
+     * 从index.html读取游戏脚本列表（保持与页面加载顺序一致）
+     * @returns {Array<string>} 脚本路径
+     */
+    getScriptList() {
+        const html = fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8');
+        return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+            .map(match => match[1])
+            .filter(script => !BROWSER_ONLY_SCRIPTS.includes(script));
+    }
+
+    /**
+     * 加载游戏脚本到vm上下文
+     */
+    loadGameScripts() {
+        this.getScriptList().forEach(script => {
+            const code = fs.readFileSync(path.join(ROOT_DIR, script), 'utf8');
+            vm.runInContext(code, this.context, { filename: script });
+        });
+    }
+
+    /**
+     * 按片段清单从文件读取障碍物片段（浏览器中通过fetch加载，vm上下文中没有fetch）
+     */
+    loadChunks() {
+        const config = vm.runInContext('GameConfig.CHUNKS', this.context);
+        if (!config.ENABLED) {
+            return;
+        }
+
+        const library = vm.runInContext('chunkLibrary', this.context);
+        const manifestPath = path.join(ROOT_DIR, config.MANIFEST_URL);
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+        manifest.chunks.forEach(file => {
+            const data = JSON.parse(fs.readFileSync(path.join(path.dirname(manifestPath), file), 'utf8'));
+            library.addChunks(data, file);
+        });
+    }
+
+    /**
+     * 创建输入脚本
+     * @param {string|Function} script - 机器人名称或自定义脚本
+     * @param {number} seed - 本局种子（随机机器人使用）
+     * @returns {Function} 输入脚本
+     */
+    createScript(script, seed) {
+        if (typeof script === 'function') {
+            return script;
+        }
+
+        const factory = bots[script];
+        if (!factory) {
+            throw new Error(`未知的机器人: ${script}（可用: ${Object.keys(bots).join(', ')}）`);
+        }
+
+        return factory({ random: new this.game.SeededRandom(seed ^ 0x5F3759DF) });
+    }
+
+    /**
+     * 获取脚本可见的当前局面
+     * @returns {Object} 局面信息
+     */
+    createView() {
+        const obstacleManager = this.gameScene.getObstacleManager();
+        return {
+            tick: this.gameScene.getTick(),
+            player: this.gameScene.getPlayer(),
+            obstacles: obstacleManager.getObstacles(),
+            floatingObstacles: obstacleManager.getFloatingObstacles(),
+            enemies: this.gameScene.getEnemyManager().getEnemies(),
+            enemyBullets: this.gameScene.getBulletManager().getEnemyBullets(),
+            boss: this.gameScene.getBossManager().getBoss(),
+            scene: this.gameScene
+        };
+    }
+
+    /**
+     * 模拟一局游戏
+     * @param {Object} options - 选项
+     * @param {number} options.seed - 种子
+     * @param {number} options.maxTicks - 最多模拟步数（到达后视为存活结束）
+     * @param {string|Function} options.script - 机器人名称或自定义脚本
+     * @param {string} options.healthMode - 生命值模式（默认使用GameConfig.HEALTH.DEFAULT_MODE）
+     * @param {boolean} options.keepReplay - 是否在结果中保留回放数据
+     * @returns {Object} 本局结果
+     */
+    run(options = {}) {
+        const seed = options.seed !== undefined ? options.seed : 1;
+        const maxTicks = options.maxTicks || this.tickRate * 300;
+        const script = this.createScript(options.script || 'jumper', seed);
+        const sceneManager = this.engine.sceneManager;
+
+        this.input.reset();
+        this.lastStats = null;
+
+        const healthMode = options.healthMode || this.game.GameConfig.HEALTH.DEFAULT_MODE;
+        if (!this.gameScene.setHealthMode(healthMode)) {
+            throw new Error(`未知的生命值模式: ${healthMode}`);
+        }
+
+        // 在模拟步之外切换场景开始新的一局
+        this.gameScene.setNextSeed(seed);
+        sceneManager.switchScene('game');
+
+        while (sceneManager.getCurrentScene() === this.gameScene && this.gameScene.getTick() < maxTicks) {
+            this.input.setActions(script(this.createView()));
+            this.engine.step();
+        }
+
+        return this.collectResult(seed, options.keepReplay);
+    }
+
+    /**
+     * 汇总本局结果
+     * @param {number} seed - 种子
+     * @param {boolean} keepReplay - 是否保留回放数据
+     * @returns {Object} 本局结果
+     */
+    collectResult(seed, keepReplay = false) {
+        const scene = this.gameScene;
+        const tier = scene.getDifficultyDirector().getCurrentTier();
+
+        // 未结束的局（达到最大步数）按当前状态统计
+        const stats = this.lastStats || {
+            score: scene.getScoreSystem().getScore(),
+            time: scene.gameTime,
+            distance: scene.distanceTraveled,
+            difficultyLevel: tier.level,
+            difficultyName: tier.name,
+            seed: scene.getSeed(),
+            reason: 'timeout',
+            powerUpsCollected: scene.powerUpsCollected,
+            healthMode: scene.currentHealthMode,
+            hitsTaken: scene.hitsTaken,
+            bossesDefeated: scene.bossesDefeated.length,
+            bossNames: [...scene.bossesDefeated],
+            ...scene.shootingStats
+        };
+
+        const result = {
+            ...stats,
+            seed: seed,
+            ticks: scene.getTick(),
+            finished: this.lastStats !== null
+        };
+        delete result.isNewRecord;
+
+        if (keepReplay && result.finished) {
+            result.replay = scene.getLastReplay();
+        }
+
+        return result;
+    }
+
+    /**
+     * 批量模拟多局游戏（种子依次递增）
+     * @param {Object} options - 选项，同run，另有runs（局数）
+     * @param {Function} onProgress - 进度回调 (completed, total) => void
+     * @returns {Array<Object>} 每局结果
+     */
+    runBatch(options = {}, onProgress = null) {
+        const runs = options.runs || 100;
+        const firstSeed = options.seed !== undefined ? options.seed : 1;
+        const results = [];
+
+        for (let i = 0; i < runs; i++) {
+            results.push(this.run({ ...options, seed: (firstSeed + i) >>> 0 }));
+
+            if (onProgress) {
+                onProgress(i + 1, runs);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * 校验回放：重新模拟并与录制时的结果比较（用于自动回归检查）
+     * @param {Object} replay - 回放数据
+     * @returns {Object} 校验结果 {matches, configMismatch, expected, actual}
+     */
+    verifyReplay(replay) {
+        this.game.ReplayController.validateReplay(replay);
+
+        const replayController = this.engine.replayController;
+        replayController.startPlayback(replay);
+
+        // 多留一秒余量，防止结果不一致时无限运行
+        const maxTicks = replay.totalTicks + this.tickRate;
+        while (this.gameScene.getGameState() !== 'game_over' && this.gameScene.getTick() < maxTicks) {
+            this.engine.step();
+        }
+
+        const actual = {
+            score: this.gameScene.getScoreSystem().getScore(),
+            time: this.gameScene.gameTime,
+            distance: this.gameScene.distanceTraveled,
+            reason: this.gameScene.getGameState() === 'game_over' ? this.gameScene.gameOverReason : 'timeout',
+            ticks: this.gameScene.getTick()
+        };
+        const expected = replay.result || {};
+        const configMismatch = replayController.configMismatch;
+
+        replayController.stop();
+
+        return {
+            matches: actual.score === expected.score &&
+                actual.reason === expected.reason &&
+                Math.abs(actual.distance - expected.distance) < 1e-6,
+            configMismatch: configMismatch,
+            expected: expected,
+            actual: actual
+        };
+    }
+
+    /**
+     * 统计批量模拟结果
+     * @param {Array<Object>} results - 每局结果
+     * @returns {Object} 统计信息
+     */
+    static summarize(results) {
+        const describe = values => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+            return {
+                mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+                min: sorted[0],
+                p10: percentile(0.1),
+                median: percentile(0.5),
+                p90: percentile(0.9),
+                max: sorted[sorted.length - 1]
+            };
+        };
+
+        const reasons = {};
+        const difficultyLevels = {};
+        results.forEach(result => {
+            reasons[result.reason] = (reasons[result.reason] || 0) + 1;
+            difficultyLevels[result.difficultyLevel] = (difficultyLevels[result.difficultyLevel] || 0) + 1;
+        });
+
+        return {
+            runs: results.length,
+            score: describe(results.map(result => result.score)),
+            time: describe(results.map(result => result.time)),
+            distance: describe(results.map(result => result.distance)),
+            shotsFired: describe(results.map(result => result.shotsFired)),
+            overheats: describe(results.map(result => result.overheats)),
+            enemiesDefeated: describe(results.map(result => result.enemiesDefeated)),
+            bossesDefeated: describe(results.map(result => result.bossesDefeated)),
+            hitsTaken: describe(results.map(result => result.hitsTaken)),
+            reasons: reasons,
+            difficultyLevels: difficultyLevels
+        };
+    }
+}
+
+module.exports = HeadlessSimulation;
@@ -0,0 +1,62 @@
+/**
+ * 创建空的Canvas 2D上下文，场景中直接使用ctx绘制的代码（特效、菜单等）也可以在无界面模拟中运行
+ * 属性可以读写，其他方法调用没有效果
+ * @returns {Object} 2D上下文
+ */
+function createNullContext() {
+    const gradient = { addColorStop() {} };
+    const state = {
+        globalAlpha: 1,
+        measureText: text => ({ width: String(text).length * 8 }),
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        createPattern: () => null
+    };
+
+    return new Proxy(state, {
+        get: (target, key) => (key in target ? target[key] : () => {}),
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * 空渲染器 - 无界面模拟时代替Renderer
+ * 为Renderer的每个方法生成空实现，不需要Canvas；场景绘制时登记的界面区域与浏览器中相同
+ */
+class NullRenderer {
+    /**
+     * @param {Function} rendererClass - 游戏中的Renderer类，用于生成相同的接口
+     * @param {Object} gameConfig - 游戏配置
+     */
+    constructor(rendererClass, gameConfig) {
+        Object.getOwnPropertyNames(rendererClass.prototype).forEach(name => {
+            if (!(name in this)) {
+                this[name] = () => {};
+            }
+        });
+
+        this.canvas = null;
+        this.ctx = createNullContext();
+        this.width = gameConfig.CANVAS_WIDTH;
+        this.height = gameConfig.CANVAS_HEIGHT;
+        this.backgroundOffset = 0;
+        this.backgroundSpeed = gameConfig.BACKGROUND_SPEED;
+        this.renderStats = {
+            drawCalls: 0,
+            entitiesRendered: 0
+        };
+    }
+
+    /**
+     * 获取渲染统计信息
+     * @returns {Object} 渲染统计
+     */
+    getRenderStats() {
+        return { ...this.renderStats };
+    }
+}
+
+module.exports = NullRenderer;
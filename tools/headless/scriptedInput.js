@@ -0,0 +1,274 @@
+/**
+ * 脚本输入 - 无界面模拟时代替InputHandler
+ * 每个模拟步由脚本给出动作（jump、shoot、slide、pause、weapon1-weapon4）和鼠标状态，按InputHandler的接口提供给场景
+ */
+class ScriptedInput {
+    constructor() {
+        // 脚本可以使用的动作
+        this.actions = ['jump', 'shoot', 'slide', 'pause', 'weapon1', 'weapon2', 'weapon3', 'weapon4'];
+
+        this.reset();
+    }
+
+    /**
+     * 清空所有动作状态
+     */
+    reset() {
+        this.held = {};        // 当前按住的动作
+        this.justPressed = {}; // 本步刚按下、尚未被读取的动作
+        this.uiActions = {};   // 点击界面按钮触发的动作（只在当前模拟步内有效）
+
+        // 鼠标（只有左键）：与InputHandler一致，刚按下和刚松开在读取后或模拟步结束时清除
+        this.mouse = { x: 0, y: 0, overCanvas: false, pressed: false, justPressed: false, justReleased: false };
+    }
+
+    /**
+     * 设置本模拟步的动作
+     * @param {Object} actions - 动作状态，如 { jump: true, shoot: false }
+     */
+    setActions(actions = {}) {
+        this.actions.forEach(action => {
+            const pressed = !!actions[action];
+            if (pressed && !this.held[action]) {
+                this.justPressed[action] = true;
+            }
+            if (!pressed) {
+                this.justPressed[action] = false;
+            }
+            this.held[action] = pressed;
+        });
+    }
+
+    /**
+     * 设置鼠标位置和左键状态（在下一个模拟步读取）
+     * @param {number} x - 画布X坐标
+     * @param {number} y - 画布Y坐标
+     * @param {boolean} pressed - 左键是否按住
+     */
+    setMouse(x, y, pressed = false) {
+        const mouse = this.mouse;
+        if (pressed && !mouse.pressed) {
+            mouse.justPressed = true;
+        }
+        if (!pressed && mouse.pressed) {
+            mouse.justReleased = true;
+        }
+        mouse.x = x;
+        mouse.y = y;
+        mouse.overCanvas = true;
+        mouse.pressed = pressed;
+    }
+
+    /**
+     * 在指定位置按下并松开左键（在下一个模拟步读取，与两个模拟步之间的一次快速点击相同）
+     * @param {number} x - 画布X坐标
+     * @param {number} y - 画布Y坐标
+     */
+    click(x, y) {
+        this.setMouse(x, y, true);
+        this.setMouse(x, y, false);
+    }
+
+    /**
+     * 检查按键是否被按下（脚本只按下动作，按键始终未按下）
+     * @returns {boolean} 是否被按下
+     */
+    isKeyPressed() {
+        return false;
+    }
+
+    /**
+     * 检查按键是否刚被按下
+     * @returns {boolean} 是否刚被按下
+     */
+    isKeyJustPressed() {
+        return false;
+    }
+
+    /**
+     * 检查动作是否被触发
+     * @param {string} action - 动作
+     * @returns {boolean} 是否被按下
+     */
+    isActionPressed(action) {
+        return !!this.held[action] || action in this.uiActions;
+    }
+
+    /**
+     * 检查动作是否刚被触发（单次触发，与InputHandler一致）
+     * @param {string} action - 动作
+     * @returns {boolean} 是否刚被按下
+     */
+    isActionJustPressed(action) {
+        if (this.justPressed[action] && this.held[action]) {
+            this.justPressed[action] = false;
+            return true;
+        }
+        if (this.uiActions[action]) {
+            this.uiActions[action] = false;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 触发动作（点击界面按钮时使用），在当前模拟步内视为按下并触发一次
+     * @param {string} action - 动作
+     */
+    pressAction(action) {
+        this.uiActions[action] = true;
+    }
+
+    /**
+     * 设置动作绑定
+     */
+    setBindings() {
+        // 脚本直接按下动作，不使用玩家的按键绑定
+    }
+
+    /**
+     * 获取动作绑定的按键
+     * @returns {Array<string>} 空列表（脚本没有按键，操作提示使用默认按键）
+     */
+    getActionKeys() {
+        return [];
+    }
+
+    /**
+     * 检查是否在使用手柄
+     * @returns {boolean} 始终为false（操作提示显示按键）
+     */
+    isUsingGamepad() {
+        return false;
+    }
+
+    /**
+     * 手柄震动
+     */
+    rumble() {
+        // 无界面模拟没有手柄
+    }
+
+    /**
+     * 新的模拟步开始
+     */
+    beginStep() {
+        // 脚本动作在 setActions 时更新，只清除上一步点击界面按钮触发的动作
+        this.uiActions = {};
+    }
+
+    /**
+     * 模拟步结束：本步没有被读取的鼠标按下和松开作废（与InputHandler一致）
+     */
+    endStep() {
+        this.mouse.justPressed = false;
+        this.mouse.justReleased = false;
+    }
+
+    /**
+     * 清除所有没有读取的单次触发（切换场景时调用）
+     */
+    clearJustPressed() {
+        this.justPressed = {};
+        this.uiActions = {};
+        this.endStep();
+    }
+
+    /**
+     * 检查本步是否点击了屏幕
+     * @returns {boolean} 始终为false（无界面模拟没有触摸）
+     */
+    isScreenJustTapped() {
+        return false;
+    }
+
+    /**
+     * 检查是否在使用触摸操作
+     * @returns {boolean} 始终为false
+     */
+    isUsingTouch() {
+        return false;
+    }
+
+    /**
+     * 设置触摸操作布局（无界面模拟没有触摸，忽略）
+     */
+    setTouchLayout() {
+        // 无界面模拟没有触摸
+    }
+
+    /**
+     * 获取鼠标位置
+     * @returns {Object} 画布坐标 {x, y}
+     */
+    getMousePosition() {
+        return { x: this.mouse.x, y: this.mouse.y };
+    }
+
+    /**
+     * 检查鼠标按键是否被按下
+     * @param {number} button - 按键（脚本只有左键 0）
+     * @returns {boolean} 是否被按下
+     */
+    isMouseButtonPressed(button = 0) {
+        return button === 0 && this.mouse.pressed;
+    }
+
+    /**
+     * 检查鼠标按键是否刚被按下（单次触发）
+     * @param {number} button - 按键（脚本只有左键 0）
+     * @returns {boolean} 是否刚被按下
+     */
+    isMouseButtonJustPressed(button = 0) {
+        if (button === 0 && this.mouse.justPressed) {
+            this.mouse.justPressed = false;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 检查鼠标按键是否刚被松开（单次触发）
+     * @param {number} button - 按键（脚本只有左键 0）
+     * @returns {boolean} 是否刚被松开
+     */
+    isMouseButtonJustReleased(button = 0) {
+        if (button === 0 && this.mouse.justReleased) {
+            this.mouse.justReleased = false;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 读取并清空累计的滚轮滚动量
+     * @returns {number} 始终为0
+     */
+    consumeMouseWheel() {
+        return 0;
+    }
+
+    /**
+     * 检查鼠标是否在画布上
+     * @returns {boolean} 脚本设置过鼠标后为true
+     */
+    isMouseOverCanvas() {
+        return this.mouse.overCanvas;
+    }
+
+    /**
+     * 设置鼠标光标（无界面模拟没有画布，忽略）
+     */
+    setPointerCursor() {
+        // 无界面模拟没有画布
+    }
+
+    /**
+     * 更新输入状态
+     */
+    update() {
+        // 脚本输入没有需要随时间更新的状态
+    }
+}
+
+module.exports = ScriptedInput;
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const HeadlessSimulation = require('./headless/headlessSimulation');
+
+/**
+ * 无界面模拟命令行工具 - 在Node中批量运行游戏，用于平衡性调整和回放回归检查
+ *
+ * 用法:
+ *   node tools/simulate.js --runs 1000 --seed 1 --bot jumper --max-seconds 300
+ *   node tools/simulate.js --replay replay.json [--replay other.json]
+ *
+ * 选项:
+ *   --runs <n>          模拟局数（默认100，种子从--seed开始依次递增）
+ *   --seed <n>          第一局的种子（默认1）
+ *   --bot <name>        机器人: idle | jumper | random（默认jumper）
+ *   --max-seconds <n>   每局最长模拟秒数（默认300）
+ *   --mode <name>       生命值模式: classic | hearts（默认使用配置中的默认模式）
+ *   --replay <file>     校验回放文件，结果不一致时退出码为1
+ *   --json              以JSON输出结果
+ *   --verbose           输出游戏内日志
+ */
+
+function parseArgs(argv) {
+    const options = {
+        runs: 100,
+        seed: 1,
+        bot: 'jumper',
+        maxSeconds: 300,
+        healthMode: null,
+        replays: [],
+        json: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--runs':
+                options.runs = parseInt(argv[++i], 10);
+                break;
+            case '--seed':
+                options.seed = parseInt(argv[++i], 10);
+                break;
+            case '--bot':
+                options.bot = argv[++i];
+                break;
+            case '--max-seconds':
+                options.maxSeconds = parseFloat(argv[++i]);
+                break;
+            case '--mode':
+                options.healthMode = argv[++i];
+                break;
+            case '--replay':
+                options.replays.push(argv[++i]);
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            default:
+                throw new Error(`未知参数: ${arg}`);
+        }
+    }
+
+    if (!(options.runs > 0) || !(options.seed >= 0) || !(options.maxSeconds > 0)) {
+        throw new Error('--runs、--seed、--max-seconds 必须是正数');
+    }
+
+    return options;
+}
+
+function formatStats(stats, digits = 0) {
+    return ['mean', 'min', 'p10', 'median', 'p90', 'max']
+        .map(key => `${key}=${stats[key].toFixed(digits)}`)
+        .join('  ');
+}
+
+function verifyReplays(simulation, options) {
+    const reports = options.replays.map(file => {
+        const replay = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return { file, ...simulation.verifyReplay(replay) };
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        reports.forEach(report => {
+            const icon = report.matches ? '✅' : '❌';
+            console.log(`${icon} ${report.file}`);
+            console.log(`   录制: 分数=${report.expected.score} 原因=${report.expected.reason}`);
+            console.log(`   重放: 分数=${report.actual.score} 原因=${report.actual.reason}`);
+            if (report.configMismatch) {
+                console.log('   ⚠️  录制时的游戏配置与当前配置不一致');
+            }
+        });
+    }
+
+    return reports.every(report => report.matches);
+}
+
+function runBatch(simulation, options) {
+    const startTime = Date.now();
+    const results = simulation.runBatch({
+        runs: options.runs,
+        seed: options.seed,
+        script: options.bot,
+        healthMode: options.healthMode,
+        maxTicks: Math.round(options.maxSeconds * simulation.tickRate)
+    }, (completed, total) => {
+        if (!options.json && process.stdout.isTTY) {
+            process.stdout.write(`\r⏳ 模拟中 ${completed}/${total}`);
+        }
+    });
+    const summary = HeadlessSimulation.summarize(results);
+    const elapsed = (Date.now() - startTime) / 1000;
+
+    if (options.json) {
+        console.log(JSON.stringify({ options, summary, results }, null, 2));
+        return;
+    }
+
+    if (process.stdout.isTTY) {
+        process.stdout.write('\r');
+    }
+
+    console.log(`🤖 机器人: ${options.bot}  模式: ${results[0].healthMode}  种子: ${options.seed}-${options.seed + options.runs - 1}  局数: ${summary.runs}`);
+    console.log(`⏱️  耗时: ${elapsed.toFixed(1)}s`);
+    console.log(`🏆 分数: ${formatStats(summary.score)}`);
+    console.log(`⌛ 时间: ${formatStats(summary.time, 1)}`);
+    console.log(`📏 距离: ${formatStats(summary.distance)}`);
+    console.log(`🔫 射击: ${formatStats(summary.shotsFired)}`);
+    console.log(`🔥 过热: ${formatStats(summary.overheats)}`);
+    console.log(`👾 消灭敌人: ${formatStats(summary.enemiesDefeated)}`);
+    console.log(`👑 击败首领: ${formatStats(summary.bossesDefeated)}`);
+    console.log(`💔 受伤: ${formatStats(summary.hitsTaken)}`);
+    console.log(`💀 结束原因: ${JSON.stringify(summary.reasons)}`);
+    console.log(`📈 最终难度: ${JSON.stringify(summary.difficultyLevels)}`);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    const simulation = new HeadlessSimulation({ verbose: options.verbose });
+
+    const modes = simulation.game.GameConfig.HEALTH.MODES;
+    if (options.healthMode !== null && !modes[options.healthMode]) {
+        console.error(`❌ 未知的生命值模式: ${options.healthMode}（可用: ${Object.keys(modes).join(', ')}）`);
+        process.exit(2);
+    }
+
+    if (options.replays.length > 0) {
+        process.exit(verifyReplays(simulation, options) ? 0 : 1);
+    }
+
+    runBatch(simulation, options);
+}
+
+main();
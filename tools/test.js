@@ -0,0 +1,292 @@
+const assert = require('assert');
+const HeadlessSimulation = require('./headless/headlessSimulation');
+const bots = require('./headless/bots');
+
+/**
+ * 自动测试 - 在无界面模拟中检查回放、输入和界面行为，任何一项失败时退出码为1
+ *
+ * 用法:
+ *   node tools/test.js
+ *   npm test
+ */
+
+const checks = [];
+
+/**
+ * 登记一项检查，每项检查使用新的模拟实例
+ * @param {string} name - 检查名称
+ * @param {Function} fn - 检查函数 (simulation) => void，失败时抛出异常
+ */
+function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+/**
+ * 先由jumper机器人操作一段时间再停止操作，使对局有一定长度并且一定会结束
+ * @param {HeadlessSimulation} simulation - 模拟实例
+ * @param {number} seconds - 操作的秒数
+ * @returns {Function} 输入脚本
+ */
+function jumperFor(simulation, seconds) {
+    const jumper = bots.jumper();
+    const stopTick = Math.round(seconds * simulation.tickRate);
+    return view => (view.tick < stopTick ? jumper(view) : {});
+}
+
+check('回放：录制的对局导出后重放，最终状态与录制时完全一致', simulation => {
+    [
+        ['jumper 20秒', 1, jumperFor(simulation, 20)],
+        ['jumper 45秒', 2, jumperFor(simulation, 45)],
+        ['random', 3, 'random']
+    ].forEach(([bot, seed, script]) => {
+        const result = simulation.run({ seed, script, keepReplay: true });
+        assert.ok(result.replay, `${bot} 种子${seed} 的对局没有结束，没有生成回放`);
+
+        // 与导出导入相同，经过一次JSON序列化
+        const replay = JSON.parse(JSON.stringify(result.replay));
+        const report = simulation.verifyReplay(replay);
+
+        assert.ok(!report.configMismatch, '回放记录的配置与当前配置不一致');
+        assert.deepStrictEqual(report.actual, {
+            score: result.score,
+            time: result.time,
+            distance: result.distance,
+            reason: result.reason,
+            ticks: result.ticks
+        }, `${bot} 种子${seed} 的回放结果与录制时不同`);
+    });
+});
+
+/**
+ * 在模拟步之外开始新的一局
+ * @param {HeadlessSimulation} simulation - 模拟实例
+ * @param {number} seed - 种子
+ */
+function startGame(simulation, seed = 1) {
+    simulation.gameScene.setNextSeed(seed);
+    simulation.engine.sceneManager.switchScene('game');
+}
+
+/**
+ * 推进若干模拟步，每步之后绘制一次（绘制时登记界面区域，与浏览器中相同）
+ * @param {HeadlessSimulation} simulation - 模拟实例
+ * @param {number} steps - 模拟步数
+ */
+function stepFrames(simulation, steps = 1) {
+    for (let i = 0; i < steps; i++) {
+        simulation.engine.step();
+        simulation.engine.render();
+    }
+}
+
+/**
+ * 获取当前场景中界面区域的中心点
+ * @param {Scene} scene - 场景
+ * @param {string} id - 区域ID
+ * @returns {Object} 画布坐标 {x, y}
+ */
+function regionCenter(scene, id) {
+    const region = scene.uiRegions.find(item => item.id === id);
+    assert.ok(region, `${scene.name} 场景没有登记界面区域 ${id}`);
+    return { x: region.x + region.width / 2, y: region.y + region.height / 2 };
+}
+
+/**
+ * 记录绘制的所有文字
+ * @param {HeadlessSimulation} simulation - 模拟实例
+ * @returns {Set<string>} 绘制过的文字（随绘制持续增加）
+ */
+function captureText(simulation) {
+    const texts = new Set();
+    const renderer = simulation.renderer;
+    const record = text => texts.add(String(text));
+    renderer.drawText = record;
+    renderer.drawTextWithStroke = record;
+    renderer.ctx.fillText = record;
+    renderer.ctx.strokeText = record;
+    return texts;
+}
+
+check('本地化：英文没有多余的文字ID，缺少的文字（使用中文）不含中文', simulation => {
+    const strings = simulation.game.LOCALIZED_STRINGS;
+    const fallback = Object.keys(strings.zh).filter(id => !(id in strings.en));
+    assert.deepStrictEqual(Object.keys(strings.en).filter(id => !(id in strings.zh)), [], '中文缺少这些文字');
+    // 语言名称在各种语言中都用这种语言自己的写法
+    const missing = fallback.filter(id => !id.startsWith('language.') && /[一-鿿]/.test(strings.zh[id]));
+    assert.deepStrictEqual(missing, [], '英文缺少这些文字');
+});
+
+check('本地化：切换为英文后各个界面不再绘制中文', simulation => {
+    const strings = simulation.game.LOCALIZED_STRINGS;
+    const hasChinese = text => /[一-鿿]/.test(text);
+    // 英文界面中有意保留的中文（如副标题）
+    const allowed = new Set(Object.values(strings.en).filter(hasChinese));
+    const texts = captureText(simulation);
+    const sceneManager = simulation.engine.sceneManager;
+
+    simulation.engine.settings.set('general', 'language', 'en');
+
+    ['loading', 'menu', 'settings', 'controls', 'editor'].forEach(name => {
+        sceneManager.switchScene(name);
+        stepFrames(simulation);
+    });
+
+    // 游戏中、暂停、游戏结束覆盖层和结算界面
+    startGame(simulation);
+    stepFrames(simulation, 10);
+    simulation.input.setActions({ pause: true });
+    stepFrames(simulation);
+    simulation.input.setActions({ pause: false });
+    stepFrames(simulation);
+    simulation.input.setActions({ pause: true });
+    stepFrames(simulation);
+    simulation.input.setActions({});
+    for (let i = 0; i < simulation.tickRate * 60 && sceneManager.getCurrentScene() !== sceneManager.scenes.get('gameOver'); i++) {
+        stepFrames(simulation);
+    }
+    assert.strictEqual(sceneManager.getCurrentScene().name, 'gameOver', '空闲的对局在60秒内没有结束');
+    stepFrames(simulation, 10);
+
+    const chinese = [...texts].filter(text => hasChinese(text) && !allowed.has(text));
+    assert.deepStrictEqual(chinese, [], '英文界面中绘制了中文');
+});
+
+check('难度：URL指定的模式不被其他设置覆盖，在菜单中切换到保存的模式也会生效', simulation => {
+    const GameConfig = simulation.game.GameConfig;
+    const { engine, gameScene } = simulation;
+    const modes = Object.keys(GameConfig.HEALTH.MODES);
+    const menuScene = engine.sceneManager.scenes.get('menu');
+
+    engine.settings.set('gameplay', 'healthMode', modes[0]);
+    gameScene.setHealthMode(modes[1]);   // 与 ?mode= 相同，只修改游戏场景
+
+    engine.settings.set('audio', 'master', 0.5);
+    assert.strictEqual(gameScene.getHealthMode(), modes[1], '修改其他设置时URL指定的模式被覆盖');
+
+    // 从URL指定的模式切换到下一个模式（直到回到保存的模式），每次都要生效
+    for (let i = 2; i <= modes.length; i++) {
+        menuScene.cycleHealthMode();
+        assert.strictEqual(gameScene.getHealthMode(), modes[i % modes.length]);
+        assert.strictEqual(engine.settings.get('gameplay', 'healthMode'), modes[i % modes.length]);
+    }
+});
+
+check('手柄：界面动作不使用游戏动作的按钮', simulation => {
+    const GameConfig = simulation.game.GameConfig;
+    const buttons = GameConfig.GAMEPAD.BUTTONS;
+    const gameplayButtons = new Set(Object.keys(GameConfig.SETTINGS.DEFAULTS.controls)
+        .flatMap(action => buttons[action] || []));
+
+    Object.keys(GameConfig.SETTINGS.UI_ACTIONS).forEach(action => {
+        const shared = (buttons[action] || []).filter(button => gameplayButtons.has(button));
+        assert.deepStrictEqual([...shared], [], `界面动作 ${action} 与游戏动作共用按钮`);
+    });
+});
+
+check('输入：切换场景前没有读取的按下不会在新场景中触发', simulation => {
+    const sceneManager = simulation.engine.sceneManager;
+
+    // 游戏结束时按住跳跃（跳跃在结算界面是重新开始）
+    simulation.input.setActions({ jump: true });
+    sceneManager.switchScene('gameOver');
+    stepFrames(simulation, 5);
+    assert.strictEqual(sceneManager.getCurrentScene().name, 'gameOver', '按住的按键跳过了结算界面');
+
+    // 松开后重新按下仍然有效
+    simulation.input.setActions({});
+    stepFrames(simulation);
+    simulation.input.setActions({ jump: true });
+    stepFrames(simulation);
+    assert.strictEqual(sceneManager.getCurrentScene().name, 'game', '重新按下跳跃没有重新开始');
+});
+
+check('鼠标：游戏中的点击不会在之后的暂停界面上触发', simulation => {
+    const { input, gameScene } = simulation;
+    startGame(simulation);
+    stepFrames(simulation);
+
+    // 先暂停一次找到“继续”按钮的位置
+    input.setActions({ pause: true });
+    stepFrames(simulation);
+    const resume = regionCenter(gameScene, 'resume');
+    input.setActions({});
+    stepFrames(simulation);
+    input.setActions({ pause: true });
+    stepFrames(simulation);
+    input.setActions({});
+    assert.strictEqual(gameScene.getGameState(), 'playing');
+
+    // 游戏中在“继续”按钮的位置点击（游戏中没有界面按钮，点击不被读取）
+    input.click(resume.x, resume.y);
+    stepFrames(simulation);
+
+    // 暂停后鼠标停在“继续”按钮上，不应继续游戏
+    input.setActions({ pause: true });
+    stepFrames(simulation);
+    input.setActions({});
+    input.setMouse(resume.x, resume.y);
+    stepFrames(simulation, 3);
+    assert.strictEqual(gameScene.getGameState(), 'paused', '游戏中的点击在暂停界面上触发了“继续”');
+
+    // 在暂停界面点击“继续”
+    input.click(resume.x, resume.y);
+    stepFrames(simulation);
+    assert.strictEqual(gameScene.getGameState(), 'playing', '点击“继续”没有继续游戏');
+});
+
+check('鼠标：按下和松开在同一个模拟步之前时仍然算作点击，在按钮外松开不算点击', simulation => {
+    const { input, engine } = simulation;
+    const sceneManager = engine.sceneManager;
+    sceneManager.switchScene('menu');
+    stepFrames(simulation);
+    const start = regionCenter(sceneManager.getCurrentScene(), 'start');
+
+    input.setMouse(start.x, start.y, true);
+    stepFrames(simulation);
+    input.setMouse(0, 0, false);
+    stepFrames(simulation);
+    assert.strictEqual(sceneManager.getCurrentScene().name, 'menu', '在按钮外松开也开始了游戏');
+
+    input.click(start.x, start.y);
+    stepFrames(simulation);
+    assert.strictEqual(sceneManager.getCurrentScene().name, 'game', '点击开始按钮没有开始游戏');
+});
+
+check('鼠标：菜单的难度和设置链接可以点击', simulation => {
+    const { input, engine, gameScene } = simulation;
+    const sceneManager = engine.sceneManager;
+    const modes = Object.keys(simulation.game.GameConfig.HEALTH.MODES);
+    sceneManager.switchScene('menu');
+    stepFrames(simulation);
+
+    const before = gameScene.getHealthMode();
+    const mode = regionCenter(sceneManager.getCurrentScene(), 'healthMode');
+    input.click(mode.x, mode.y);
+    stepFrames(simulation);
+    assert.strictEqual(gameScene.getHealthMode(), modes[(modes.indexOf(before) + 1) % modes.length], '点击难度没有切换模式');
+
+    const settings = regionCenter(sceneManager.getCurrentScene(), 'settings');
+    input.click(settings.x, settings.y);
+    stepFrames(simulation);
+    assert.strictEqual(sceneManager.getCurrentScene().name, 'settings', '点击设置链接没有打开设置');
+});
+
+function main() {
+    let failed = 0;
+
+    checks.forEach(({ name, fn }) => {
+        try {
+            fn(new HeadlessSimulation());
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${name}`);
+            console.log(`   ${error.message}`);
+        }
+    });
+
+    console.log(`\n${checks.length - failed}/${checks.length} 项检查通过`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();